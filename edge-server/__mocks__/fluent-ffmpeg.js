@@ -0,0 +1,193 @@
+/**
+ * ASTROSURVEILLANCE - Fake fluent-ffmpeg for tests
+ *
+ * Jest uses this in place of fluent-ffmpeg, so recording modules can be
+ * tested without FFmpeg or cameras. Commands write plain bytes, not video:
+ * - Live sources (rtsp://) write LIVE_BYTES to their output and keep
+ *   running until killed, or until the test calls end() or fail()
+ * - concat lists (-f concat) and concat: inputs join the listed files
+ * - Any other input is copied to the output
+ * - Commands matching ffmpeg.hold(predicate) wait for finish() or fail()
+ * ffprobe reports a 10 s H.264 video for any file that exists.
+ *
+ * Tests see every command in ffmpeg.commands; ffmpeg.reset() clears them.
+ */
+
+const EventEmitter = require('events');
+const fs = require('fs');
+
+const LIVE_BYTES = 4096;
+
+const commands = [];
+let holdPredicate = () => false;
+
+class FakeCommand extends EventEmitter {
+  constructor(input) {
+    super();
+
+    this.input = input;
+    this.inputOpts = [];
+    this.outputOpts = [];
+    this.filters = [];
+    this.seek = null;
+    this.length = null;
+    this.outputPath = null;
+    this.running = false;
+    this.killedWith = null;
+
+    commands.push(this);
+  }
+
+  inputOptions(options) {
+    this.inputOpts.push(...[].concat(options));
+    return this;
+  }
+
+  outputOptions(options) {
+    this.outputOpts.push(...[].concat(options));
+    return this;
+  }
+
+  videoFilters(filters) {
+    this.filters.push(...[].concat(filters));
+    return this;
+  }
+
+  seekInput(seconds) {
+    this.seek = seconds;
+    return this;
+  }
+
+  duration(seconds) {
+    this.length = seconds;
+    return this;
+  }
+
+  noAudio() {
+    this.outputOpts.push('-an');
+    return this;
+  }
+
+  output(outputPath) {
+    this.outputPath = outputPath;
+    return this;
+  }
+
+  /**
+   * Whether the input is a camera stream
+   */
+  get live() {
+    return /^rtsp:\/\//.test(this.input);
+  }
+
+  run() {
+    this.running = true;
+
+    setImmediate(() => {
+      // Killed before it started
+      if (!this.running) return;
+      this.emit('start', `ffmpeg -i ${this.input} ${this.outputPath}`);
+
+      if (this.live) {
+        // Segment patterns are filled in by the test
+        if (!this.outputPath.includes('%')) {
+          fs.writeFileSync(this.outputPath, Buffer.alloc(LIVE_BYTES, 1));
+        }
+        return;
+      }
+
+      if (!holdPredicate(this)) this.finish();
+    });
+  }
+
+  /**
+   * Write the output of a file command and end it
+   */
+  finish() {
+    if (!this.running) return;
+
+    try {
+      fs.writeFileSync(this.outputPath, this._render());
+    } catch (err) {
+      this._exit('error', err);
+      return;
+    }
+    this._exit('end');
+  }
+
+  /**
+   * End a live command as if the camera closed the stream
+   */
+  end() {
+    this._exit('end');
+  }
+
+  /**
+   * Fail a running command
+   * @param {string} message
+   */
+  fail(message = 'Connection refused') {
+    this._exit('error', new Error(message));
+  }
+
+  kill(signal = 'SIGKILL') {
+    if (!this.running) return;
+    this.killedWith = signal;
+    this._exit('error', new Error(`ffmpeg was killed with signal ${signal}`));
+  }
+
+  _exit(event, arg) {
+    if (!this.running) return;
+    this.running = false;
+    setImmediate(() => this.emit(event, arg));
+  }
+
+  /**
+   * Output bytes: the joined inputs of a concat, else a copy of the input
+   */
+  _render() {
+    if (this.inputOpts.includes('-f concat')) {
+      const list = fs.readFileSync(this.input, 'utf8');
+      const files = [...list.matchAll(/^file '(.+)'$/gm)].map(match => match[1]);
+      return Buffer.concat(files.map(file => fs.readFileSync(file)));
+    }
+    if (this.input.startsWith('concat:')) {
+      return Buffer.concat(this.input.slice('concat:'.length).split('|').map(file => fs.readFileSync(file)));
+    }
+    return fs.readFileSync(this.input);
+  }
+}
+
+function ffmpeg(input) {
+  return new FakeCommand(input);
+}
+
+ffmpeg.ffprobe = (filePath, callback) => {
+  setImmediate(() => {
+    if (!fs.existsSync(filePath)) {
+      callback(new Error(`${filePath}: No such file or directory`));
+      return;
+    }
+    callback(null, {
+      streams: [{ codec_type: 'video', codec_name: 'h264', width: 1280, height: 720, avg_frame_rate: '25/1' }],
+      format: { duration: '10.0', bit_rate: '2000000' }
+    });
+  });
+};
+
+ffmpeg.commands = commands;
+
+/**
+ * Keep file commands matching a predicate running until finish() or fail()
+ * @param {Function} predicate - command => boolean
+ */
+ffmpeg.hold = (predicate) => {
+  holdPredicate = predicate;
+};
+
+ffmpeg.reset = () => {
+  commands.length = 0;
+  holdPredicate = () => false;
+};
+
+module.exports = ffmpeg;
@@ -0,0 +1,150 @@
+/**
+ * ASTROSURVEILLANCE - Offline Motion Analysis
+ *
+ * Runs a local video file through the frame differencing engine and
+ * MotionDetector so thresholds can be tuned without a live camera.
+ *
+ * Usage:
+ *   node scripts/analyze-motion.js <video-file> [options]
+ *
+ * Options:
+ *   --fps <n>                 Analysis frame rate
+ *   --pixel-diff <n>          Per-pixel difference threshold (0-255)
+ *   --threshold <n>           Motion level threshold (0-100)
+ *   --min-pixel-change <n>    Minimum changed area in percent
+ *   --min-duration <ms>       Minimum motion duration
+ *   --sensitivity <level>     low | medium | high
+ *   --background-model <m>    frame-diff | running-average | gaussian
+ *   --learning-rate <n>       Background learning rate (0.001-1)
+ *   --min-blob-area <n>       Minimum object size in percent of frame
+ *   --max-blob-area <n>       Maximum object size in percent of frame
+ *   --min-aspect <n>          Minimum object width / height
+ *   --max-aspect <n>          Maximum object width / height
+ *   --zones <file.json>       Motion zones to apply (same format as PATCH /api/cameras/:id)
+ *   --verbose                 Print every analysed frame
+ */
+
+const path = require('path');
+const fs = require('fs');
+const config = require('../config/default.json');
+const FrameAnalyzer = require('../src/modules/FrameAnalyzer');
+const MotionDetector = require('../src/modules/MotionDetector');
+const { validateZones } = require('../src/utils/MotionZones');
+const { MotionEventType } = require('../src/shared/types');
+
+function parseArgs(argv) {
+  const args = { file: null, options: {} };
+
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (arg.startsWith('--')) {
+      const key = arg.slice(2);
+      const next = argv[i + 1];
+      if (next === undefined || next.startsWith('--')) {
+        args.options[key] = true;
+      } else {
+        args.options[key] = next;
+        i++;
+      }
+    } else if (!args.file) {
+      args.file = arg;
+    }
+  }
+
+  return args;
+}
+
+function optionalNumber(value, fallback) {
+  return value === undefined ? fallback : Number(value);
+}
+
+async function main() {
+  const { file, options } = parseArgs(process.argv.slice(2));
+
+  if (!file) {
+    console.error('Usage: node scripts/analyze-motion.js <video-file> [options]');
+    process.exit(1);
+  }
+
+  const motionConfig = config.motionDetection;
+
+  const analyzer = new FrameAnalyzer({
+    ...motionConfig.analysis,
+    fps: Number(options.fps) || motionConfig.analysis.fps,
+    pixelDiffThreshold: Number(options['pixel-diff']) || motionConfig.analysis.pixelDiffThreshold
+  });
+
+  const detector = new MotionDetector({
+    ...motionConfig,
+    threshold: Number(options.threshold) || motionConfig.threshold,
+    minPixelChangePercent: Number(options['min-pixel-change']) || motionConfig.minPixelChangePercent,
+    minDurationMs: Number(options['min-duration']) || motionConfig.minDurationMs,
+    sensitivityLevel: options.sensitivity || motionConfig.sensitivityLevel,
+    minBlobAreaPercent: optionalNumber(options['min-blob-area'], motionConfig.minBlobAreaPercent),
+    maxBlobAreaPercent: optionalNumber(options['max-blob-area'], motionConfig.maxBlobAreaPercent),
+    minAspectRatio: optionalNumber(options['min-aspect'], motionConfig.minAspectRatio),
+    maxAspectRatio: optionalNumber(options['max-aspect'], motionConfig.maxAspectRatio),
+    analysis: { enabled: false }
+  });
+
+  const zones = options.zones
+    ? validateZones(JSON.parse(fs.readFileSync(options.zones, 'utf8')))
+    : [];
+
+  const cameraId = path.basename(file);
+  detector.attachCamera({ id: cameraId, motionZones: zones });
+
+  const events = [];
+  detector.on('motion', (id, event) => events.push(event));
+
+  const frames = await analyzer.analyzeFile(file, {
+    zones,
+    backgroundModel: options['background-model'] || motionConfig.backgroundModel,
+    learningRate: Number(options['learning-rate']) || motionConfig.learningRate
+  });
+
+  for (const frame of frames) {
+    detector.processFrame(cameraId, frame);
+
+    if (options.verbose) {
+      const seconds = (frame.timestamp / 1000).toFixed(2);
+      console.log(
+        `${seconds.padStart(8)}s  change=${frame.pixelChangePercent.toFixed(2).padStart(6)}%  ` +
+        `level=${frame.motionLevel.toFixed(2).padStart(6)}` +
+        (frame.zone ? `  zone=${frame.zone}` : '') +
+        (frame.hasShadow ? '  shadow' : '') +
+        (frame.hasLightingChange ? `  lighting=${frame.luminanceShift.toFixed(1)}` : '') +
+        (frame.blobs.length > 0
+          ? `  blob=${frame.blobs[0].areaPercent.toFixed(2)}%@${frame.blobs[0].aspectRatio.toFixed(2)}`
+          : '')
+      );
+    }
+  }
+
+  const suppressed = detector.getSuppressionStats(cameraId);
+  const peakChange = frames.reduce((max, f) => Math.max(max, f.pixelChangePercent), 0);
+  const peakLevel = frames.reduce((max, f) => Math.max(max, f.motionLevel), 0);
+
+  console.log('');
+  console.log(`Frames analysed:   ${frames.length}`);
+  console.log(`Peak pixel change: ${peakChange.toFixed(2)}%`);
+  console.log(`Peak motion level: ${peakLevel.toFixed(2)}`);
+  console.log(`Motion events:     ${events.filter(e => e.type !== MotionEventType.FALSE_POSITIVE).length}`);
+  console.log(
+    `Suppressed:        ${suppressed.shadow} shadow, ${suppressed.lightingChange} lighting, ` +
+    `${suppressed.blobSize} object size, ${suppressed.blobAspect} object shape`
+  );
+
+  for (const event of events) {
+    const seconds = (new Date(event.timestamp).getTime() / 1000).toFixed(2);
+    const level = event.level !== undefined ? `  level=${event.level.toFixed(2)}` : '';
+    const zone = event.zone ? `  zone=${event.zone}` : '';
+    const reason = event.reason ? `  reason=${event.reason}` : '';
+    console.log(`  ${seconds.padStart(8)}s  ${event.type}${level}${zone}${reason}`);
+  }
+}
+
+main().catch((err) => {
+  console.error('Analysis failed:', err.message);
+  process.exit(1);
+});
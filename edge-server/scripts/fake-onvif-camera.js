@@ -0,0 +1,316 @@
+/**
+ * ASTROSURVEILLANCE - Fake ONVIF Event Endpoint
+ *
+ * Minimal ONVIF device and event service for exercising the
+ * OnvifEventSubscriber without a real camera. Supports GetCapabilities,
+ * GetEventProperties, PullPoint subscriptions, basic-notification
+ * subscriptions, Renew and Unsubscribe, and emits
+ * RuleEngine/CellMotionDetector/Motion events on demand.
+ *
+ * Usage:
+ *   node scripts/fake-onvif-camera.js [options]
+ *
+ * Options:
+ *   --port <n>          Port to listen on (default 8899)
+ *   --interval <s>      Toggle motion on/off every n seconds
+ *   --no-pullpoint      Advertise basic notification only
+ *
+ * Trigger motion manually:
+ *   curl http://localhost:8899/motion?state=on
+ *   curl http://localhost:8899/motion?state=off
+ *
+ * Register the camera with onvifUrl http://localhost:8899/onvif/device_service
+ */
+
+const http = require('http');
+
+const ENVELOPE_START =
+  '<?xml version="1.0" encoding="UTF-8"?>' +
+  '<SOAP-ENV:Envelope xmlns:SOAP-ENV="http://www.w3.org/2003/05/soap-envelope"' +
+  ' xmlns:wsa="http://www.w3.org/2005/08/addressing"' +
+  ' xmlns:wsnt="http://docs.oasis-open.org/wsn/b-2"' +
+  ' xmlns:wstop="http://docs.oasis-open.org/wsn/t-1"' +
+  ' xmlns:tt="http://www.onvif.org/ver10/schema"' +
+  ' xmlns:tds="http://www.onvif.org/ver10/device/wsdl"' +
+  ' xmlns:tev="http://www.onvif.org/ver10/events/wsdl"' +
+  ' xmlns:tns1="http://www.onvif.org/ver10/topics">' +
+  '<SOAP-ENV:Body>';
+const ENVELOPE_END = '</SOAP-ENV:Body></SOAP-ENV:Envelope>';
+
+/**
+ * Start a fake ONVIF camera
+ * @param {Object} options - { port, host, pullPoint }
+ * @returns {Promise<Object>} { url, deviceUrl, setMotion, getSubscriptions,
+ *                             dropSubscriptions, close }
+ */
+function createFakeOnvifCamera(options = {}) {
+  const host = options.host || '127.0.0.1';
+  const pullPoint = options.pullPoint !== false;
+  const subscriptions = new Map();
+  let nextId = 1;
+  let baseUrl = null;
+
+  const terminationTime = (seconds) => new Date(Date.now() + seconds * 1000).toISOString();
+  const parseDuration = (xml, tag, fallback) => {
+    const match = xml.match(new RegExp(`<(?:\\w+:)?${tag}>PT(\\d+)S<`));
+    return match ? Number(match[1]) : fallback;
+  };
+
+  const notificationMessage = (isMotion) =>
+    '<wsnt:NotificationMessage>' +
+      '<wsnt:Topic Dialect="http://www.onvif.org/ver10/tev/topicExpression/ConcreteSet">' +
+        'tns1:RuleEngine/CellMotionDetector/Motion' +
+      '</wsnt:Topic>' +
+      '<wsnt:Message>' +
+        `<tt:Message UtcTime="${new Date().toISOString()}" PropertyOperation="Changed">` +
+          '<tt:Source>' +
+            '<tt:SimpleItem Name="VideoSourceConfigurationToken" Value="VideoSourceToken"/>' +
+            '<tt:SimpleItem Name="VideoAnalyticsConfigurationToken" Value="VideoAnalyticsToken"/>' +
+            '<tt:SimpleItem Name="Rule" Value="MyMotionDetectorRule"/>' +
+          '</tt:Source>' +
+          `<tt:Data><tt:SimpleItem Name="IsMotion" Value="${isMotion}"/></tt:Data>` +
+        '</tt:Message>' +
+      '</wsnt:Message>' +
+    '</wsnt:NotificationMessage>';
+
+  const send = (res, status, body) => {
+    const xml = ENVELOPE_START + body + ENVELOPE_END;
+    res.writeHead(status, { 'Content-Type': 'application/soap+xml; charset=utf-8' });
+    res.end(xml);
+  };
+
+  const fault = (res, reason) => send(res, 400,
+    '<SOAP-ENV:Fault><SOAP-ENV:Code><SOAP-ENV:Value>SOAP-ENV:Sender</SOAP-ENV:Value></SOAP-ENV:Code>' +
+    `<SOAP-ENV:Reason><SOAP-ENV:Text xml:lang="en">${reason}</SOAP-ENV:Text></SOAP-ENV:Reason></SOAP-ENV:Fault>`);
+
+  const createSubscription = (type, xml) => {
+    const id = nextId++;
+    const consumer = xml.match(/<(?:\w+:)?ConsumerReference>\s*<(?:\w+:)?Address>([^<]+)</);
+    const subscription = {
+      id,
+      type,
+      address: `${baseUrl}/onvif/subscription/${id}`,
+      consumer: consumer ? consumer[1].trim() : null,
+      queue: [],
+      waiting: null,
+      renewals: 0,
+      expires: terminationTime(parseDuration(xml, 'InitialTerminationTime', 60))
+    };
+    subscriptions.set(id, subscription);
+    return subscription;
+  };
+
+  const subscriptionReference = (subscription) =>
+    `<wsnt:SubscriptionReference><wsa:Address>${subscription.address}</wsa:Address></wsnt:SubscriptionReference>` +
+    `<wsnt:CurrentTime>${new Date().toISOString()}</wsnt:CurrentTime>` +
+    `<wsnt:TerminationTime>${subscription.expires}</wsnt:TerminationTime>`;
+
+  const pullMessages = (res, subscription, xml) => {
+    const respond = () => {
+      subscription.waiting = null;
+      const messages = subscription.queue.splice(0);
+      send(res, 200,
+        '<tev:PullMessagesResponse>' +
+          `<tev:CurrentTime>${new Date().toISOString()}</tev:CurrentTime>` +
+          `<tev:TerminationTime>${subscription.expires}</tev:TerminationTime>` +
+          messages.join('') +
+        '</tev:PullMessagesResponse>');
+    };
+
+    if (subscription.queue.length > 0) return respond();
+
+    // Hold the request until an event arrives or the timeout passes
+    const timer = setTimeout(respond, parseDuration(xml, 'Timeout', 1) * 1000);
+    subscription.waiting = () => {
+      clearTimeout(timer);
+      respond();
+    };
+  };
+
+  const handleSoap = (req, res, xml) => {
+    const action = (xml.match(/<(?:\w+:)?Body[^>]*>\s*<(?:\w+:)?(\w+)/) || [])[1];
+    const subscriptionMatch = req.url.match(/^\/onvif\/subscription\/(\d+)/);
+    const subscription = subscriptionMatch ? subscriptions.get(Number(subscriptionMatch[1])) : null;
+
+    if (subscriptionMatch && !subscription) {
+      return fault(res, 'Unknown subscription');
+    }
+
+    switch (action) {
+      case 'GetSystemDateAndTime': {
+        const now = new Date();
+        return send(res, 200,
+          '<tds:GetSystemDateAndTimeResponse><tds:SystemDateAndTime>' +
+            '<tt:DateTimeType>NTP</tt:DateTimeType><tt:DaylightSavings>false</tt:DaylightSavings>' +
+            '<tt:UTCDateTime>' +
+              `<tt:Time><tt:Hour>${now.getUTCHours()}</tt:Hour><tt:Minute>${now.getUTCMinutes()}</tt:Minute><tt:Second>${now.getUTCSeconds()}</tt:Second></tt:Time>` +
+              `<tt:Date><tt:Year>${now.getUTCFullYear()}</tt:Year><tt:Month>${now.getUTCMonth() + 1}</tt:Month><tt:Day>${now.getUTCDate()}</tt:Day></tt:Date>` +
+            '</tt:UTCDateTime>' +
+          '</tds:SystemDateAndTime></tds:GetSystemDateAndTimeResponse>');
+      }
+
+      case 'GetCapabilities':
+        return send(res, 200,
+          '<tds:GetCapabilitiesResponse><tds:Capabilities>' +
+            '<tt:Events>' +
+              `<tt:XAddr>${baseUrl}/onvif/event_service</tt:XAddr>` +
+              '<tt:WSSubscriptionPolicySupport>false</tt:WSSubscriptionPolicySupport>' +
+              `<tt:WSPullPointSupport>${pullPoint}</tt:WSPullPointSupport>` +
+              '<tt:WSPausableSubscriptionManagerInterfaceSupport>false</tt:WSPausableSubscriptionManagerInterfaceSupport>' +
+            '</tt:Events>' +
+            '<tt:Analytics>' +
+              `<tt:XAddr>${baseUrl}/onvif/analytics_service</tt:XAddr>` +
+              '<tt:RuleSupport>true</tt:RuleSupport><tt:AnalyticsModuleSupport>true</tt:AnalyticsModuleSupport>' +
+            '</tt:Analytics>' +
+          '</tds:Capabilities></tds:GetCapabilitiesResponse>');
+
+      case 'GetEventProperties':
+        return send(res, 200,
+          '<tev:GetEventPropertiesResponse>' +
+            '<tev:TopicNamespaceLocation>http://www.onvif.org/onvif/ver10/topics/topicns.xml</tev:TopicNamespaceLocation>' +
+            '<wsnt:FixedTopicSet>true</wsnt:FixedTopicSet>' +
+            '<wstop:TopicSet><tns1:RuleEngine><CellMotionDetector><Motion wstop:topic="true"/></CellMotionDetector></tns1:RuleEngine></wstop:TopicSet>' +
+            '<wsnt:TopicExpressionDialect>http://www.onvif.org/ver10/tev/topicExpression/ConcreteSet</wsnt:TopicExpressionDialect>' +
+          '</tev:GetEventPropertiesResponse>');
+
+      case 'CreatePullPointSubscription':
+        if (!pullPoint) return fault(res, 'PullPoint not supported');
+        return send(res, 200,
+          `<tev:CreatePullPointSubscriptionResponse>${subscriptionReference(createSubscription('pullpoint', xml))}</tev:CreatePullPointSubscriptionResponse>`);
+
+      case 'Subscribe': {
+        const created = createSubscription('basic', xml);
+        if (!created.consumer) return fault(res, 'ConsumerReference required');
+        return send(res, 200, `<wsnt:SubscribeResponse>${subscriptionReference(created)}</wsnt:SubscribeResponse>`);
+      }
+
+      case 'PullMessages':
+        if (!subscription || subscription.type !== 'pullpoint') return fault(res, 'Not a pull point');
+        return pullMessages(res, subscription, xml);
+
+      case 'Renew':
+        if (!subscription) return fault(res, 'Not a subscription');
+        subscription.expires = terminationTime(parseDuration(xml, 'TerminationTime', 60));
+        subscription.renewals++;
+        return send(res, 200,
+          '<wsnt:RenewResponse>' +
+            `<wsnt:TerminationTime>${subscription.expires}</wsnt:TerminationTime>` +
+            `<wsnt:CurrentTime>${new Date().toISOString()}</wsnt:CurrentTime>` +
+          '</wsnt:RenewResponse>');
+
+      case 'Unsubscribe':
+        if (!subscription) return fault(res, 'Not a subscription');
+        subscriptions.delete(subscription.id);
+        if (subscription.waiting) subscription.waiting();
+        return send(res, 200, '<wsnt:UnsubscribeResponse/>');
+
+      default:
+        return fault(res, `Action not supported: ${action}`);
+    }
+  };
+
+  const server = http.createServer((req, res) => {
+    if (req.method === 'GET' && req.url.startsWith('/motion')) {
+      const state = new URL(req.url, 'http://localhost').searchParams.get('state');
+      setMotion(state !== 'off' && state !== 'false');
+      res.writeHead(200, { 'Content-Type': 'application/json' });
+      return res.end(JSON.stringify({ motion: state !== 'off' && state !== 'false' }));
+    }
+
+    let xml = '';
+    req.setEncoding('utf8');
+    req.on('data', (chunk) => { xml += chunk; });
+    req.on('end', () => handleSoap(req, res, xml));
+  });
+
+  /**
+   * Queue a motion event for every subscription
+   * @param {boolean} isMotion
+   */
+  function setMotion(isMotion) {
+    const message = notificationMessage(isMotion);
+
+    for (const subscription of subscriptions.values()) {
+      if (subscription.type === 'pullpoint') {
+        subscription.queue.push(message);
+        if (subscription.waiting) subscription.waiting();
+        continue;
+      }
+
+      const body = ENVELOPE_START + `<wsnt:Notify>${message}</wsnt:Notify>` + ENVELOPE_END;
+      const request = http.request(subscription.consumer, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/soap+xml; charset=utf-8' }
+      });
+      request.on('response', response => response.resume());
+      request.on('error', (err) => {
+        console.error(`Notify to ${subscription.consumer} failed: ${err.message}`);
+      });
+      request.end(body);
+    }
+  }
+
+  /**
+   * Forget all subscriptions, as a camera does when it reboots
+   * Requests to the old subscription addresses then get a SOAP fault.
+   */
+  function dropSubscriptions() {
+    for (const subscription of subscriptions.values()) {
+      subscriptions.delete(subscription.id);
+      if (subscription.waiting) subscription.waiting();
+    }
+  }
+
+  return new Promise((resolve, reject) => {
+    server.once('error', reject);
+    server.listen(options.port || 0, host, () => {
+      baseUrl = `http://${host}:${server.address().port}`;
+
+      resolve({
+        url: baseUrl,
+        deviceUrl: `${baseUrl}/onvif/device_service`,
+        setMotion,
+        getSubscriptions: () => Array.from(subscriptions.values()),
+        dropSubscriptions,
+        close: () => new Promise((done) => {
+          for (const subscription of subscriptions.values()) {
+            if (subscription.waiting) subscription.waiting();
+          }
+          server.close(() => done());
+        })
+      });
+    });
+  });
+}
+
+if (require.main === module) {
+  const argv = process.argv.slice(2);
+  const option = (name) => {
+    const index = argv.indexOf(`--${name}`);
+    return index === -1 ? undefined : argv[index + 1];
+  };
+
+  createFakeOnvifCamera({
+    port: Number(option('port')) || 8899,
+    host: option('host') || '0.0.0.0',
+    pullPoint: !argv.includes('--no-pullpoint')
+  }).then((camera) => {
+    console.log(`Fake ONVIF camera listening on ${camera.url}`);
+    console.log(`Device service: ${camera.deviceUrl}`);
+
+    const interval = Number(option('interval'));
+    if (interval > 0) {
+      let motion = false;
+      setInterval(() => {
+        motion = !motion;
+        camera.setMotion(motion);
+        console.log(`Motion ${motion ? 'started' : 'stopped'}`);
+      }, interval * 1000);
+    }
+  }).catch((err) => {
+    console.error('Failed to start fake camera:', err.message);
+    process.exit(1);
+  });
+}
+
+module.exports = { createFakeOnvifCamera };
@@ -6,6 +6,47 @@
 
 const express = require('express');
 const router = express.Router();
+const { validateZones } = require('../utils/MotionZones');
+const { mergeMotionSettings } = require('../utils/MotionSettings');
+const { validateSchedule, getScheduleState } = require('../utils/Schedule');
+const { validateStreams, validateStreamName, selectStream, resolveStreamUrl } = require('../utils/StreamProfiles');
+const { StreamRole } = require('../shared/types');
+const { mergeHeatmaps, toGrid, renderHeatmapPng } = require('../utils/Heatmap');
+const HeatmapRepository = require('../database/HeatmapRepository');
+const Logger = require('../utils/Logger');
+
+// Allowed widths of rendered heatmap PNGs
+const MIN_HEATMAP_WIDTH = 64;
+const MAX_HEATMAP_WIDTH = 1920;
+
+/**
+ * Switch motion analysis and recording of a camera to its picked streams
+ */
+function switchStreams(modules, camera) {
+  const { motionDetector, recordingController } = modules;
+  
+  motionDetector.setStreamUrl(camera.id, resolveStreamUrl(camera, StreamRole.ANALYSIS));
+  recordingController.registerCamera(camera.id, resolveStreamUrl(camera, StreamRole.RECORDING));
+}
+
+/**
+ * Describe the streams of a camera and which one each role uses
+ */
+function describeStreams(camera) {
+  const recording = selectStream(camera, StreamRole.RECORDING);
+  const analysis = selectStream(camera, StreamRole.ANALYSIS);
+  
+  return {
+    cameraId: camera.id,
+    streams: camera.streams || [],
+    recordingStream: camera.recordingStream || null,
+    analysisStream: camera.analysisStream || null,
+    active: {
+      recording: recording ? recording.name : null,
+      analysis: analysis ? analysis.name : null
+    }
+  };
+}
 
 /**
  * GET /api/cameras
@@ -113,7 +154,7 @@ router.post('/', (req, res) => {
     
     // Attach to motion detector and recording controller
     motionDetector.attachCamera(camera);
-    recordingController.registerCamera(id, camera.rtspUrl);
+    recordingController.registerCamera(id, resolveStreamUrl(camera, StreamRole.RECORDING));
     
     res.status(201).json({
       code: 'SUCCESS',
@@ -155,13 +196,13 @@ router.put('/:id', (req, res) => {
  * DELETE /api/cameras/:id
  * Unregister a camera
  */
-router.delete('/:id', (req, res) => {
+router.delete('/:id', async (req, res) => {
   const { cameraManager, motionDetector, recordingController } = req.app.locals.modules;
   const { id } = req.params;
   
   try {
-    // Stop any active recording
-    recordingController.forceStop(id);
+    // Stop any active recording (saving it) and pre-event buffering
+    await recordingController.unregisterCamera(id);
     
     // Detach from motion detector
     motionDetector.detachCamera(id);
@@ -198,7 +239,7 @@ router.post('/:id/connect', async (req, res) => {
     
     // Attach to motion detector
     motionDetector.attachCamera(camera);
-    recordingController.registerCamera(id, camera.rtspUrl);
+    recordingController.registerCamera(id, resolveStreamUrl(camera, StreamRole.RECORDING));
     
     res.json({
       code: 'SUCCESS',
@@ -372,7 +413,7 @@ router.post('/manual', (req, res) => {
     
     // Attach to motion detector
     motionDetector.attachCamera(camera);
-    recordingController.registerCamera(camera.id, camera.rtspUrl);
+    recordingController.registerCamera(camera.id, resolveStreamUrl(camera, StreamRole.RECORDING));
     
     res.status(201).json({
       code: 'SUCCESS',
@@ -444,7 +485,7 @@ router.post('/scan', (req, res) => {
     
     // Attach to motion detector and recording controller
     motionDetector.attachCamera(camera);
-    recordingController.registerCamera(camera.id, camera.rtspUrl);
+    recordingController.registerCamera(camera.id, resolveStreamUrl(camera, StreamRole.RECORDING));
     
     res.status(201).json({
       code: 'SUCCESS',
@@ -765,6 +806,94 @@ router.post('/wifi/configure', async (req, res) => {
   }
 });
 
+// =============================================
+// MOTION HEATMAP ENDPOINTS
+// =============================================
+
+/**
+ * GET /api/cameras/:id/heatmap?from=&to=&format=png&width=
+ * Get the motion heatmap of a camera for a time range (default: last 24 hours).
+ * With format=png, renders the heatmap over the latest analysed frame
+ * (width 64-1920 pixels, default 640).
+ */
+router.get('/:id/heatmap', async (req, res) => {
+  const { cameraManager, motionDetector, config, db } = req.app.locals.modules;
+  const cameraId = req.params.id;
+  
+  const camera = cameraManager.getCamera(cameraId);
+  if (!camera) {
+    return res.status(404).json({
+      code: 'ERROR',
+      message: 'Camera not found'
+    });
+  }
+  
+  const to = req.query.to ? new Date(req.query.to) : new Date();
+  const from = req.query.from ? new Date(req.query.from) : new Date(to.getTime() - 24 * 3600000);
+  
+  if (Number.isNaN(from.getTime()) || Number.isNaN(to.getTime()) || from >= to) {
+    return res.status(400).json({
+      code: 'ERROR',
+      message: 'from and to must be valid dates with from before to'
+    });
+  }
+  
+  let width;
+  if (req.query.width !== undefined) {
+    width = Number(req.query.width);
+    if (!Number.isInteger(width) || width < MIN_HEATMAP_WIDTH || width > MAX_HEATMAP_WIDTH) {
+      return res.status(400).json({
+        code: 'ERROR',
+        message: `width must be a whole number between ${MIN_HEATMAP_WIDTH} and ${MAX_HEATMAP_WIDTH}`
+      });
+    }
+  }
+  
+  try {
+    const heatmaps = db && db.isConnected
+      ? await HeatmapRepository.getHeatmaps(cameraId, from, to)
+      : [];
+    
+    // Include counts not yet written to the database
+    const pending = motionDetector.getPendingHeatmap(cameraId);
+    if (pending && new Date(pending.hourStart) < to && new Date(pending.hourStart).getTime() + 3600000 > from.getTime()) {
+      heatmaps.push(pending);
+    }
+    
+    const columns = config.motionDetection.heatmap?.columns || 16;
+    const rows = config.motionDetection.heatmap?.rows || 12;
+    const heatmap = mergeHeatmaps(heatmaps, columns, rows);
+    
+    if (req.query.format === 'png') {
+      const background = motionDetector.frameAnalyzer.getLatestFrame(cameraId);
+      const png = await renderHeatmapPng(heatmap, background, { width });
+      res.set('Content-Type', 'image/png');
+      return res.send(png);
+    }
+    
+    res.json({
+      code: 'SUCCESS',
+      data: {
+        cameraId,
+        from: from.toISOString(),
+        to: to.toISOString(),
+        columns: heatmap.columns,
+        rows: heatmap.rows,
+        hours: heatmap.hours,
+        frameCount: heatmap.frameCount,
+        max: heatmap.max,
+        grid: toGrid(heatmap)
+      }
+    });
+  } catch (error) {
+    Logger.error('Failed to build heatmap', { cameraId, error: error.message });
+    res.status(500).json({
+      code: 'ERROR',
+      message: 'Failed to build heatmap: ' + error.message
+    });
+  }
+});
+
 // =============================================
 // CAMERA SNAPSHOT & RECORDING ENDPOINTS
 // =============================================
@@ -885,7 +1014,7 @@ router.post('/:id/record', async (req, res) => {
     const recordingId = `rec_${Date.now()}`;
     
     if (recordingController && typeof recordingController.startRecording === 'function') {
-      recordingController.startRecording(cameraId, { duration, triggerType });
+      recordingController.startRecording(cameraId, null, { type: triggerType });
     }
     
     // Update camera status
@@ -974,7 +1103,7 @@ router.delete('/:id', async (req, res) => {
     
     // Remove from recording controller
     if (recordingController && typeof recordingController.unregisterCamera === 'function') {
-      recordingController.unregisterCamera(cameraId);
+      await recordingController.unregisterCamera(cameraId);
     }
     
     // Remove from camera manager
@@ -1003,7 +1132,7 @@ router.delete('/:id', async (req, res) => {
  * Update camera settings
  */
 router.patch('/:id', async (req, res) => {
-  const { cameraManager, db } = req.app.locals.modules;
+  const { cameraManager, motionDetector, db } = req.app.locals.modules;
   const cameraId = req.params.id;
   const updates = req.body;
   
@@ -1015,9 +1144,42 @@ router.patch('/:id', async (req, res) => {
     });
   }
   
+  // Validate motion zones, settings and schedule before applying any update
+  try {
+    if (updates.motionZones !== undefined) {
+      const { width, height } = motionDetector.frameAnalyzer.config;
+      updates.motionZones = validateZones(updates.motionZones, width, height);
+    }
+    if (updates.motionSettings !== undefined) {
+      updates.motionSettings = mergeMotionSettings(camera.motionSettings, updates.motionSettings);
+    }
+    if (updates.schedule !== undefined) {
+      updates.schedule = validateSchedule(updates.schedule);
+    }
+    if (updates.streams !== undefined) {
+      updates.streams = validateStreams(updates.streams);
+    }
+    
+    // Picks must name one of the streams; picks of removed streams are cleared
+    const streams = updates.streams ?? camera.streams;
+    for (const field of ['recordingStream', 'analysisStream']) {
+      if (updates[field] !== undefined) {
+        updates[field] = validateStreamName(streams, updates[field]);
+      } else if (updates.streams !== undefined && camera[field] && !streams.some(s => s.name === camera[field])) {
+        updates[field] = null;
+      }
+    }
+  } catch (err) {
+    return res.status(400).json({
+      code: 'ERROR',
+      message: err.message
+    });
+  }
+  
   try {
     // Update allowed fields
-    const allowedFields = ['name', 'location', 'alarmEnabled', 'motionEnabled'];
+    const allowedFields = ['name', 'location', 'alarmEnabled', 'motionEnabled', 'motionZones', 'motionSettings', 'schedule', 'streams', 'recordingStream', 'analysisStream'];
+    const jsonFields = ['motionZones', 'motionSettings', 'schedule', 'streams'];
     const validUpdates = {};
     
     for (const field of allowedFields) {
@@ -1034,12 +1196,28 @@ router.patch('/:id', async (req, res) => {
         return `${dbField} = $${i + 2}`;
       }).join(', ');
       
+      const values = Object.entries(validUpdates).map(([k, v]) => (
+        jsonFields.includes(k) ? JSON.stringify(v) : v
+      ));
+      
       await db.query(
         `UPDATE cameras SET ${sets}, updated_at = CURRENT_TIMESTAMP WHERE id = $1`,
-        [cameraId, ...Object.values(validUpdates)]
+        [cameraId, ...values]
       );
     }
     
+    // Apply new zones and tuning to live motion analysis
+    if (validUpdates.motionZones) {
+      motionDetector.setZones(cameraId, validUpdates.motionZones);
+    }
+    if (validUpdates.motionSettings) {
+      motionDetector.setSettings(cameraId, validUpdates.motionSettings);
+    }
+    
+    if (['streams', 'recordingStream', 'analysisStream'].some(field => field in validUpdates)) {
+      switchStreams(req.app.locals.modules, camera);
+    }
+    
     res.json({
       code: 'SUCCESS',
       message: 'Camera updated',
@@ -1053,4 +1231,151 @@ router.patch('/:id', async (req, res) => {
   }
 });
 
+/**
+ * POST /api/cameras/:id/background/reset
+ * Relearn the motion background, e.g. after the camera was repositioned
+ */
+router.post('/:id/background/reset', (req, res) => {
+  const { cameraManager, motionDetector } = req.app.locals.modules;
+  const cameraId = req.params.id;
+  
+  const camera = cameraManager.getCamera(cameraId);
+  if (!camera) {
+    return res.status(404).json({
+      code: 'ERROR',
+      message: 'Camera not found'
+    });
+  }
+  
+  const analysing = motionDetector.resetBackground(cameraId);
+  const { backgroundModel, learningRate } = motionDetector.getSettings(cameraId);
+  
+  res.json({
+    code: 'SUCCESS',
+    message: analysing
+      ? 'Background reset, relearning from the next frame'
+      : 'Camera is not being analysed',
+    data: { cameraId, analysing, backgroundModel, learningRate }
+  });
+});
+
+/**
+ * GET /api/cameras/:id/schedule
+ * Get the camera schedule and whether each target is currently enabled
+ */
+router.get('/:id/schedule', (req, res) => {
+  const { cameraManager } = req.app.locals.modules;
+  
+  const camera = cameraManager.getCamera(req.params.id);
+  if (!camera) {
+    return res.status(404).json({
+      code: 'ERROR',
+      message: 'Camera not found'
+    });
+  }
+  
+  res.json({
+    code: 'SUCCESS',
+    data: {
+      cameraId: camera.id,
+      schedule: camera.schedule || null,
+      active: getScheduleState(camera.schedule)
+    }
+  });
+});
+
+/**
+ * GET /api/cameras/:id/streams
+ * Get the stream profiles of a camera and the stream used for recording and analysis
+ */
+router.get('/:id/streams', (req, res) => {
+  const { cameraManager } = req.app.locals.modules;
+  
+  const camera = cameraManager.getCamera(req.params.id);
+  if (!camera) {
+    return res.status(404).json({
+      code: 'ERROR',
+      message: 'Camera not found'
+    });
+  }
+  
+  res.json({
+    code: 'SUCCESS',
+    data: describeStreams(camera)
+  });
+});
+
+/**
+ * POST /api/cameras/:id/streams/discover
+ * Replace the stream profiles of a camera with its ONVIF media profiles
+ */
+router.post('/:id/streams/discover', async (req, res) => {
+  const { cameraManager, cameraDiscovery, db } = req.app.locals.modules;
+  
+  const camera = cameraManager.getCamera(req.params.id);
+  if (!camera) {
+    return res.status(404).json({
+      code: 'ERROR',
+      message: 'Camera not found'
+    });
+  }
+  
+  if (!camera.onvifUrl) {
+    return res.status(400).json({
+      code: 'ERROR',
+      message: 'Camera has no ONVIF URL'
+    });
+  }
+  
+  let streams;
+  try {
+    streams = await cameraDiscovery.getStreamProfiles(camera.onvifUrl, camera.credentials);
+  } catch (err) {
+    Logger.warn('ONVIF stream discovery failed', { cameraId: camera.id, error: err.message });
+    return res.status(502).json({
+      code: 'ERROR',
+      message: 'ONVIF stream discovery failed: ' + err.message
+    });
+  }
+  
+  if (streams.length === 0) {
+    return res.status(404).json({
+      code: 'NOT_FOUND',
+      message: 'Camera reported no RTSP stream profiles'
+    });
+  }
+  
+  try {
+    camera.streams = streams;
+    
+    // Keep picks that still exist, otherwise fall back to automatic selection
+    for (const field of ['recordingStream', 'analysisStream']) {
+      if (camera[field] && !streams.some(s => s.name === camera[field])) {
+        camera[field] = null;
+      }
+    }
+    
+    if (db && db.isConnected) {
+      await db.query(
+        `UPDATE cameras SET streams = $2, recording_stream = $3, analysis_stream = $4,
+           updated_at = CURRENT_TIMESTAMP WHERE id = $1`,
+        [camera.id, JSON.stringify(streams), camera.recordingStream, camera.analysisStream]
+      );
+    }
+    
+    switchStreams(req.app.locals.modules, camera);
+    
+    res.json({
+      code: 'SUCCESS',
+      message: `Found ${streams.length} stream profiles`,
+      data: describeStreams(camera)
+    });
+  } catch (error) {
+    res.status(500).json({
+      code: 'ERROR',
+      message: 'Failed to update camera streams: ' + error.message
+    });
+  }
+});
+
 module.exports = router;
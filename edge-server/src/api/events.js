@@ -0,0 +1,73 @@
+/**
+ * ASTROSURVEILLANCE - Events API Routes
+ *
+ * History of persisted motion events.
+ */
+
+const express = require('express');
+const router = express.Router();
+const EventRepository = require('../database/EventRepository');
+const Logger = require('../utils/Logger');
+const { MotionEventType } = require('../shared/types');
+
+/**
+ * GET /api/events/motion?cameraId=&type=&from=&to=&limit=&offset=
+ * Get motion events, newest first
+ */
+router.get('/motion', async (req, res) => {
+  const { db } = req.app.locals.modules;
+  const { cameraId, type } = req.query;
+  
+  if (!db || !db.isConnected) {
+    return res.status(503).json({
+      code: 'ERROR',
+      message: 'Database not connected'
+    });
+  }
+  
+  if (type && !Object.values(MotionEventType).includes(type)) {
+    return res.status(400).json({
+      code: 'ERROR',
+      message: `type must be one of: ${Object.values(MotionEventType).join(', ')}`
+    });
+  }
+  
+  const from = req.query.from ? new Date(req.query.from) : null;
+  const to = req.query.to ? new Date(req.query.to) : null;
+  
+  if ((from && Number.isNaN(from.getTime())) || (to && Number.isNaN(to.getTime()))) {
+    return res.status(400).json({
+      code: 'ERROR',
+      message: 'from and to must be valid dates'
+    });
+  }
+  
+  const limit = Math.min(parseInt(req.query.limit, 10) || 50, 500);
+  const offset = Math.max(parseInt(req.query.offset, 10) || 0, 0);
+  const filters = { cameraId, type, from, to };
+  
+  try {
+    const [events, total] = await Promise.all([
+      EventRepository.getMotionEvents({ ...filters, limit, offset }),
+      EventRepository.countMotionEvents(filters)
+    ]);
+    
+    res.json({
+      code: 'SUCCESS',
+      data: {
+        events,
+        total,
+        limit,
+        offset
+      }
+    });
+  } catch (error) {
+    Logger.error('Failed to get motion events', { error: error.message });
+    res.status(500).json({
+      code: 'ERROR',
+      message: 'Failed to get motion events: ' + error.message
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,53 @@
+/**
+ * ASTROSURVEILLANCE - ONVIF Event API Routes
+ *
+ * Notification consumer for cameras using basic-notification
+ * subscriptions, and subscription status.
+ */
+
+const express = require('express');
+const router = express.Router();
+const Logger = require('../utils/Logger');
+
+/**
+ * GET /api/onvif/subscriptions
+ * Get ONVIF event subscription status for all cameras
+ */
+router.get('/subscriptions', (req, res) => {
+  const { onvifEvents } = req.app.locals.modules;
+  
+  res.json({
+    code: 'SUCCESS',
+    data: onvifEvents.getStatus()
+  });
+});
+
+/**
+ * POST /api/onvif/notify/:cameraId
+ * Receive a SOAP Notify message from a camera
+ */
+router.post('/notify/:cameraId', express.text({ type: () => true, limit: '1mb' }), async (req, res) => {
+  const { onvifEvents } = req.app.locals.modules;
+  const { cameraId } = req.params;
+  
+  try {
+    const handled = await onvifEvents.handleNotification(cameraId, req.body);
+    
+    if (!handled) {
+      return res.status(404).json({
+        code: 'ERROR',
+        message: 'No basic-notification subscription for this camera'
+      });
+    }
+    
+    res.status(200).end();
+  } catch (error) {
+    Logger.warn('Invalid ONVIF notification', { cameraId, error: error.message });
+    res.status(400).json({
+      code: 'ERROR',
+      message: error.message
+    });
+  }
+});
+
+module.exports = router;
@@ -8,6 +8,34 @@ const express = require('express');
 const router = express.Router();
 const path = require('path');
 const fs = require('fs');
+const EventRepository = require('../database/EventRepository');
+const RecordingRepository = require('../database/RecordingRepository');
+const Logger = require('../utils/Logger');
+const { buildTimeline } = require('../utils/Timeline');
+const { RecordingState, RecordingType } = require('../shared/types');
+
+// Timeline range: default and upper limit
+const DEFAULT_TIMELINE_MS = 24 * 60 * 60 * 1000;
+const MAX_TIMELINE_MS = 7 * 24 * 60 * 60 * 1000;
+
+// Most motion events loaded into one timeline
+const MAX_TIMELINE_EVENTS = 5000;
+
+// Evidence lock audit fields
+const MAX_LOCK_REASON_LENGTH = 500;
+const MAX_LOCK_NOTE_LENGTH = 100;
+
+/**
+ * Require an admin session (x-session-id from /api/system/admin-login)
+ */
+const requireAdmin = (req, res, next) =>
+  req.app.locals.modules.securityManager.authMiddleware(true)(req, res, next);
+
+/**
+ * Check an optional free-text lock note
+ */
+const isValidNote = note =>
+  note === undefined || note === null || (typeof note === 'string' && note.length <= MAX_LOCK_NOTE_LENGTH);
 
 /**
  * GET /api/recordings
@@ -15,10 +43,12 @@ const fs = require('fs');
  */
 router.get('/', (req, res) => {
   const { storageManager } = req.app.locals.modules;
-  const { cameraId, startDate, endDate, limit, offset } = req.query;
+  const { cameraId, type, locked, startDate, endDate, limit, offset } = req.query;
   
   const recordings = storageManager.getRecordings({
     cameraId,
+    type,
+    locked: locked === undefined ? undefined : locked === 'true',
     startDate,
     endDate,
     limit: limit ? parseInt(limit) : undefined,
@@ -34,6 +64,275 @@ router.get('/', (req, res) => {
   });
 });
 
+/**
+ * GET /api/recordings/timeline?cameraId=&from=&to=
+ * Merged timeline of recordings, motion events and alarm events with gaps
+ * (defaults to the last 24 hours)
+ */
+router.get('/timeline', async (req, res) => {
+  const { storageManager, recordingController, db } = req.app.locals.modules;
+  const { cameraId } = req.query;
+  
+  if (!cameraId) {
+    return res.status(400).json({
+      code: 'ERROR',
+      message: 'cameraId is required'
+    });
+  }
+  
+  const to = req.query.to ? new Date(req.query.to) : new Date();
+  const from = req.query.from ? new Date(req.query.from) : new Date(to.getTime() - DEFAULT_TIMELINE_MS);
+  
+  if (Number.isNaN(from.getTime()) || Number.isNaN(to.getTime()) || from >= to) {
+    return res.status(400).json({
+      code: 'ERROR',
+      message: 'from and to must be valid dates with from before to'
+    });
+  }
+  
+  if (to - from > MAX_TIMELINE_MS) {
+    return res.status(400).json({
+      code: 'ERROR',
+      message: `Timeline range is limited to ${MAX_TIMELINE_MS / 86400000} days`
+    });
+  }
+  
+  // Indexed recordings, plus clips and segments still being written
+  const recordings = storageManager.getRecordings({ cameraId }).map((recording) => {
+    const start = new Date(recording.timestamp).getTime() - (recording.preRollSeconds || 0) * 1000;
+    return {
+      filename: recording.filename,
+      start: new Date(start),
+      end: new Date(start + (recording.duration || 0) * 1000),
+      recordingType: recording.type || RecordingType.EVENT,
+      status: recording.corrupt ? 'corrupt' : 'completed',
+      zone: recording.zone || null,
+      hasMotion: recording.type === RecordingType.CONTINUOUS ? recording.hasMotion : true
+    };
+  });
+  
+  const state = recordingController.getAllStates()[cameraId];
+  if (state && state.state === RecordingState.RECORDING && state.currentFile) {
+    recordings.push({
+      filename: state.currentFile,
+      start: state.startTime,
+      end: null,
+      recordingType: RecordingType.EVENT,
+      status: 'recording',
+      zone: state.zone || null,
+      hasMotion: true
+    });
+  }
+  if (state && state.continuousSegment) {
+    recordings.push({
+      filename: state.continuousSegment.filename,
+      start: new Date(state.continuousSegment.timestamp),
+      end: null,
+      recordingType: RecordingType.CONTINUOUS,
+      status: 'recording',
+      zone: null,
+      hasMotion: state.continuousSegment.hasMotion
+    });
+  }
+  
+  // Motion and alarm history, and failed recordings, live in the database
+  let motionEvents = [];
+  let alarmEvents = [];
+  const eventsAvailable = Boolean(db && db.isConnected);
+  
+  try {
+    if (eventsAvailable) {
+      const [motionRows, alarmRows, recordingRows] = await Promise.all([
+        EventRepository.getMotionEvents({ cameraId, from, to, limit: MAX_TIMELINE_EVENTS }),
+        EventRepository.getAlarmEventsInRange(from, to, cameraId),
+        RecordingRepository.findByDateRange(from, to, cameraId)
+      ]);
+      
+      motionEvents = motionRows;
+      alarmEvents = alarmRows.map(alarm => ({
+        start: alarm.startedAt,
+        end: alarm.stoppedAt,
+        source: alarm.triggerSource,
+        stoppedBy: alarm.stoppedBy
+      }));
+      
+      for (const row of recordingRows) {
+        if (row.status !== 'failed') continue;
+        recordings.push({
+          filename: row.filename,
+          start: row.startedAt || row.createdAt,
+          end: row.completedAt || row.startedAt || row.createdAt,
+          recordingType: RecordingType.EVENT,
+          status: 'failed',
+          zone: null,
+          hasMotion: true
+        });
+      }
+    }
+    
+    const timeline = buildTimeline({ from, to, recordings, motionEvents, alarmEvents });
+    
+    res.json({
+      code: 'SUCCESS',
+      data: {
+        cameraId,
+        from: from.toISOString(),
+        to: to.toISOString(),
+        eventsAvailable,
+        ...timeline
+      }
+    });
+  } catch (error) {
+    Logger.error('Failed to build recording timeline', { cameraId, error: error.message });
+    res.status(500).json({
+      code: 'ERROR',
+      message: 'Failed to build recording timeline: ' + error.message
+    });
+  }
+});
+
+/**
+ * POST /api/recordings/export
+ * Export recordings as one file: { recordings: [filename | { filename, startSeconds, endSeconds }] }
+ * or { cameraId, from, to }, plus burnIn: true to burn in camera name and timestamp.
+ * Progress is broadcast as EXPORT_PROGRESS, then EXPORT_COMPLETE or EXPORT_FAILED.
+ */
+router.post('/export', (req, res) => {
+  const { clipExporter } = req.app.locals.modules;
+  const { recordings, cameraId, burnIn } = req.body || {};
+  
+  const request = { burnIn: burnIn === true };
+  
+  if (recordings !== undefined) {
+    if (!Array.isArray(recordings) || recordings.length === 0) {
+      return res.status(400).json({
+        code: 'ERROR',
+        message: 'recordings must be a non-empty array'
+      });
+    }
+    request.recordings = recordings;
+  } else {
+    const from = new Date(req.body.from);
+    const to = new Date(req.body.to);
+    
+    if (!cameraId || Number.isNaN(from.getTime()) || Number.isNaN(to.getTime()) || from >= to) {
+      return res.status(400).json({
+        code: 'ERROR',
+        message: 'Either recordings, or cameraId with from and to (from before to), is required'
+      });
+    }
+    Object.assign(request, { cameraId, from, to });
+  }
+  
+  try {
+    const job = clipExporter.createJob(request);
+    
+    res.status(202).json({
+      code: 'SUCCESS',
+      message: 'Export started',
+      data: job
+    });
+  } catch (err) {
+    res.status(400).json({
+      code: 'ERROR',
+      message: err.message
+    });
+  }
+});
+
+/**
+ * GET /api/recordings/export
+ * List export jobs
+ */
+router.get('/export', (req, res) => {
+  const { clipExporter } = req.app.locals.modules;
+  
+  res.json({
+    code: 'SUCCESS',
+    data: clipExporter.getJobs()
+  });
+});
+
+/**
+ * GET /api/recordings/export/:jobId
+ * Get an export job's status and progress
+ */
+router.get('/export/:jobId', (req, res) => {
+  const { clipExporter } = req.app.locals.modules;
+  
+  const job = clipExporter.getJob(req.params.jobId);
+  if (!job) {
+    return res.status(404).json({
+      code: 'NOT_FOUND',
+      message: 'Export job not found'
+    });
+  }
+  
+  res.json({
+    code: 'SUCCESS',
+    data: job
+  });
+});
+
+/**
+ * GET /api/recordings/export/:jobId/download
+ * Download a finished export
+ */
+router.get('/export/:jobId/download', (req, res) => {
+  const { clipExporter } = req.app.locals.modules;
+  
+  const job = clipExporter.getJob(req.params.jobId);
+  if (!job) {
+    return res.status(404).json({
+      code: 'NOT_FOUND',
+      message: 'Export job not found'
+    });
+  }
+  
+  const filePath = clipExporter.getFilePath(job.id);
+  if (!filePath || !fs.existsSync(filePath)) {
+    return res.status(409).json({
+      code: 'BUSY',
+      message: `Export is not available (${job.status})`
+    });
+  }
+  
+  res.setHeader('Content-Type', 'video/mp4');
+  res.setHeader('Content-Disposition', `attachment; filename="${job.filename}"`);
+  res.setHeader('X-Content-SHA256', job.checksum);
+  
+  const fileStream = fs.createReadStream(filePath);
+  fileStream.pipe(res);
+  
+  fileStream.on('error', () => {
+    res.status(500).json({
+      code: 'ERROR',
+      message: 'Failed to stream file'
+    });
+  });
+});
+
+/**
+ * DELETE /api/recordings/export/:jobId
+ * Cancel an export, or delete a finished one
+ */
+router.delete('/export/:jobId', async (req, res) => {
+  const { clipExporter } = req.app.locals.modules;
+  
+  const deleted = await clipExporter.deleteJob(req.params.jobId);
+  if (!deleted) {
+    return res.status(404).json({
+      code: 'NOT_FOUND',
+      message: 'Export job not found'
+    });
+  }
+  
+  res.json({
+    code: 'SUCCESS',
+    message: 'Export deleted'
+  });
+});
+
 /**
  * GET /api/recordings/:filename
  * Get a specific recording metadata
@@ -160,6 +459,52 @@ router.get('/:filename/stream', (req, res) => {
   }
 });
 
+/**
+ * GET /api/recordings/:filename/thumbnail
+ * Poster frame of a recording (JPEG)
+ */
+router.get('/:filename/thumbnail', (req, res) => {
+  const { storageManager } = req.app.locals.modules;
+  const recording = storageManager.getRecording(req.params.filename);
+  
+  sendPreview(res, storageManager, recording, recording && recording.thumbnail);
+});
+
+/**
+ * GET /api/recordings/:filename/sprite
+ * Sprite sheet of a recording (JPEG); the grid geometry is in the recording's sprite field
+ */
+router.get('/:filename/sprite', (req, res) => {
+  const { storageManager } = req.app.locals.modules;
+  const recording = storageManager.getRecording(req.params.filename);
+  
+  sendPreview(res, storageManager, recording, recording && recording.sprite && recording.sprite.filename);
+});
+
+/**
+ * Send a preview image of a recording
+ */
+function sendPreview(res, storageManager, recording, previewFile) {
+  if (!recording) {
+    return res.status(404).json({
+      code: 'NOT_FOUND',
+      message: 'Recording not found'
+    });
+  }
+  
+  if (!previewFile || !storageManager.fileExists(previewFile)) {
+    return res.status(404).json({
+      code: 'NOT_FOUND',
+      message: 'Preview not available for this recording'
+    });
+  }
+  
+  // Previews never change once generated
+  res.setHeader('Cache-Control', 'public, max-age=86400');
+  res.type('image/jpeg');
+  fs.createReadStream(storageManager.getFilePath(previewFile)).pipe(res);
+}
+
 /**
  * DELETE /api/recordings/:filename
  * Delete a recording
@@ -176,6 +521,13 @@ router.delete('/:filename', async (req, res) => {
       message: 'Recording deleted'
     });
   } catch (err) {
+    if (err.code === 'RECORDING_LOCKED') {
+      return res.status(409).json({
+        code: 'ERROR',
+        message: 'Recording is locked as evidence; unlock it first'
+      });
+    }
+    
     res.status(err.message.includes('not found') ? 404 : 500).json({
       code: 'ERROR',
       message: err.message
@@ -183,6 +535,122 @@ router.delete('/:filename', async (req, res) => {
   }
 });
 
+/**
+ * POST /api/recordings/:filename/lock
+ * Hold a recording as evidence: cleanup, retention and deletion skip it (admin)
+ * Body: { reason, note, expiresAt } (note and expiresAt optional)
+ * The lock records the admin session that placed it, not a name from the body.
+ */
+router.post('/:filename/lock', requireAdmin, async (req, res) => {
+  const { storageManager, securityManager } = req.app.locals.modules;
+  const { filename } = req.params;
+  const { reason, note, expiresAt } = req.body || {};
+  
+  if (typeof reason !== 'string' || !reason.trim() || reason.length > MAX_LOCK_REASON_LENGTH) {
+    return res.status(400).json({
+      code: 'ERROR',
+      message: `reason is required (at most ${MAX_LOCK_REASON_LENGTH} characters)`
+    });
+  }
+  
+  if (!isValidNote(note)) {
+    return res.status(400).json({
+      code: 'ERROR',
+      message: `note must be text of at most ${MAX_LOCK_NOTE_LENGTH} characters`
+    });
+  }
+  
+  let expires = null;
+  if (expiresAt !== undefined && expiresAt !== null) {
+    expires = new Date(expiresAt);
+    if (Number.isNaN(expires.getTime()) || expires <= new Date()) {
+      return res.status(400).json({
+        code: 'ERROR',
+        message: 'expiresAt must be a date in the future'
+      });
+    }
+  }
+  
+  if (!storageManager.getRecording(filename)) {
+    return res.status(404).json({
+      code: 'NOT_FOUND',
+      message: 'Recording not found'
+    });
+  }
+  
+  try {
+    const recording = await storageManager.lockRecording(filename, {
+      reason: reason.trim(),
+      lockedBy: securityManager.getSessionRef(req.session),
+      note: (note && note.trim()) || null,
+      expiresAt: expires ? expires.toISOString() : null
+    });
+    
+    res.json({
+      code: 'SUCCESS',
+      message: 'Recording locked',
+      data: recording
+    });
+  } catch (err) {
+    res.status(500).json({
+      code: 'ERROR',
+      message: err.message
+    });
+  }
+});
+
+/**
+ * POST /api/recordings/:filename/unlock
+ * Release the evidence lock of a recording (admin)
+ * Body: { note } (optional) - free text for the audit trail
+ */
+router.post('/:filename/unlock', requireAdmin, async (req, res) => {
+  const { storageManager, securityManager } = req.app.locals.modules;
+  const { filename } = req.params;
+  const { note } = req.body || {};
+  
+  if (!isValidNote(note)) {
+    return res.status(400).json({
+      code: 'ERROR',
+      message: `note must be text of at most ${MAX_LOCK_NOTE_LENGTH} characters`
+    });
+  }
+  
+  const recording = storageManager.getRecording(filename);
+  if (!recording) {
+    return res.status(404).json({
+      code: 'NOT_FOUND',
+      message: 'Recording not found'
+    });
+  }
+  
+  if (!recording.locked) {
+    return res.status(400).json({
+      code: 'ERROR',
+      message: 'Recording is not locked'
+    });
+  }
+  
+  try {
+    const updated = await storageManager.unlockRecording(
+      filename,
+      securityManager.getSessionRef(req.session),
+      (note && note.trim()) || null
+    );
+    
+    res.json({
+      code: 'SUCCESS',
+      message: 'Recording unlocked',
+      data: updated
+    });
+  } catch (err) {
+    res.status(500).json({
+      code: 'ERROR',
+      message: err.message
+    });
+  }
+});
+
 /**
  * GET /api/recordings/camera/:cameraId
  * Get recordings for a specific camera
@@ -231,7 +699,7 @@ router.post('/:cameraId/start', (req, res) => {
   const { recordingController } = req.app.locals.modules;
   const { cameraId } = req.params;
   
-  const started = recordingController.startRecording(cameraId);
+  const started = recordingController.startRecording(cameraId, null, { type: 'manual' });
   
   if (started) {
     res.json({
@@ -250,13 +718,13 @@ router.post('/:cameraId/start', (req, res) => {
 
 /**
  * POST /api/recordings/:cameraId/stop
- * Force stop recording
+ * Force stop recording; the clip recorded so far is saved
  */
-router.post('/:cameraId/stop', (req, res) => {
+router.post('/:cameraId/stop', async (req, res) => {
   const { recordingController } = req.app.locals.modules;
   const { cameraId } = req.params;
   
-  recordingController.forceStop(cameraId);
+  await recordingController.forceStop(cameraId);
   
   res.json({
     code: 'SUCCESS',
@@ -7,6 +7,12 @@
 const express = require('express');
 const router = express.Router();
 
+/**
+ * Require an admin session (x-session-id from /api/system/admin-login)
+ */
+const requireAdmin = (req, res, next) =>
+  req.app.locals.modules.securityManager.authMiddleware(true)(req, res, next);
+
 /**
  * GET /api/storage
  * Get storage health and statistics
@@ -98,4 +104,253 @@ router.get('/status', (req, res) => {
   });
 });
 
+/**
+ * GET /api/storage/tiers
+ * Get the storage tiers with usage and recording counts
+ */
+router.get('/tiers', (req, res) => {
+  const { storageManager } = req.app.locals.modules;
+  
+  res.json({
+    code: 'SUCCESS',
+    data: storageManager.getTiers()
+  });
+});
+
+/**
+ * POST /api/storage/archive
+ * Move recordings that are due to their archive tier now
+ */
+router.post('/archive', async (req, res) => {
+  const { storageManager } = req.app.locals.modules;
+  
+  if (storageManager.archiving) {
+    return res.status(409).json({
+      code: 'BUSY',
+      message: 'Archiving is already running'
+    });
+  }
+  
+  try {
+    const summary = await storageManager.archiveRecordings();
+    
+    res.json({
+      code: 'SUCCESS',
+      message: 'Archive run complete',
+      data: summary
+    });
+  } catch (err) {
+    res.status(500).json({
+      code: 'ERROR',
+      message: 'Archive failed: ' + err.message
+    });
+  }
+});
+
+/**
+ * GET /api/storage/retention
+ * Get the retention rules, schedule and last run
+ */
+router.get('/retention', (req, res) => {
+  const { retentionManager } = req.app.locals.modules;
+  
+  res.json({
+    code: 'SUCCESS',
+    data: retentionManager.getPolicy()
+  });
+});
+
+/**
+ * GET /api/storage/retention/dry-run
+ * List the recordings the retention rules would delete now
+ */
+router.get('/retention/dry-run', (req, res) => {
+  const { retentionManager } = req.app.locals.modules;
+  
+  res.json({
+    code: 'SUCCESS',
+    data: retentionManager.dryRun()
+  });
+});
+
+/**
+ * POST /api/storage/retention/run
+ * Apply the retention rules now (admin)
+ */
+router.post('/retention/run', requireAdmin, async (req, res) => {
+  const { retentionManager } = req.app.locals.modules;
+  
+  if (retentionManager.running) {
+    return res.status(409).json({
+      code: 'BUSY',
+      message: 'Retention is already running'
+    });
+  }
+  
+  try {
+    const summary = await retentionManager.run();
+    
+    res.json({
+      code: 'SUCCESS',
+      message: 'Retention applied',
+      data: summary
+    });
+  } catch (err) {
+    res.status(500).json({
+      code: 'ERROR',
+      message: 'Retention failed: ' + err.message
+    });
+  }
+});
+
+/**
+ * GET /api/storage/backup
+ * Get the off-site backup status and upload counts
+ */
+router.get('/backup', (req, res) => {
+  const { backupUploader } = req.app.locals.modules;
+  
+  res.json({
+    code: 'SUCCESS',
+    data: backupUploader.getStatus()
+  });
+});
+
+/**
+ * POST /api/storage/backup/retry
+ * Queue every recording whose upload failed for good
+ */
+router.post('/backup/retry', (req, res) => {
+  const { backupUploader } = req.app.locals.modules;
+  
+  if (!backupUploader.config.enabled) {
+    return res.status(400).json({
+      code: 'ERROR',
+      message: 'Off-site backup is not enabled'
+    });
+  }
+  
+  const queued = backupUploader.retryFailed();
+  
+  res.json({
+    code: 'SUCCESS',
+    message: `${queued} recordings queued for upload`,
+    data: { queued }
+  });
+});
+
+/**
+ * POST /api/storage/backup/recordings/:filename
+ * Queue one recording for upload
+ */
+router.post('/backup/recordings/:filename', (req, res) => {
+  const { backupUploader, storageManager } = req.app.locals.modules;
+  const { filename } = req.params;
+  
+  if (!backupUploader.config.enabled) {
+    return res.status(400).json({
+      code: 'ERROR',
+      message: 'Off-site backup is not enabled'
+    });
+  }
+  
+  if (!storageManager.getRecording(filename)) {
+    return res.status(404).json({
+      code: 'NOT_FOUND',
+      message: 'Recording not found'
+    });
+  }
+  
+  const queued = backupUploader.enqueue(filename);
+  
+  res.json({
+    code: 'SUCCESS',
+    message: queued ? 'Recording queued for upload' : 'Recording is already queued or excluded from backup',
+    data: { queued }
+  });
+});
+
+/**
+ * GET /api/storage/backup/remote
+ * List the recordings stored in the bucket
+ */
+router.get('/backup/remote', async (req, res) => {
+  const { backupUploader } = req.app.locals.modules;
+  
+  try {
+    const recordings = await backupUploader.listRemote();
+    
+    res.json({
+      code: 'SUCCESS',
+      data: { recordings, count: recordings.length }
+    });
+  } catch (err) {
+    res.status(backupUploader.config.enabled ? 502 : 400).json({
+      code: 'ERROR',
+      message: err.message
+    });
+  }
+});
+
+/**
+ * POST /api/storage/backup/restore-index
+ * Rebuild the recording listing from the bucket after an SD card failure (admin)
+ */
+router.post('/backup/restore-index', requireAdmin, async (req, res) => {
+  const { backupUploader } = req.app.locals.modules;
+  
+  try {
+    const summary = await backupUploader.restoreIndex();
+    
+    res.json({
+      code: 'SUCCESS',
+      message: `${summary.imported} recordings restored to the listing`,
+      data: summary
+    });
+  } catch (err) {
+    res.status(backupUploader.config.enabled ? 502 : 400).json({
+      code: 'ERROR',
+      message: err.message
+    });
+  }
+});
+
+/**
+ * POST /api/storage/backup/restore/:filename
+ * Download a recording from the bucket back to local storage (admin)
+ */
+router.post('/backup/restore/:filename', requireAdmin, async (req, res) => {
+  const { backupUploader, storageManager } = req.app.locals.modules;
+  const { filename } = req.params;
+  
+  if (!backupUploader.config.enabled) {
+    return res.status(400).json({
+      code: 'ERROR',
+      message: 'Off-site backup is not enabled'
+    });
+  }
+  
+  if (!storageManager.getRecording(filename)) {
+    return res.status(404).json({
+      code: 'NOT_FOUND',
+      message: 'Recording not found'
+    });
+  }
+  
+  try {
+    const recording = await backupUploader.restoreRecording(filename);
+    
+    res.json({
+      code: 'SUCCESS',
+      message: 'Recording restored',
+      data: recording
+    });
+  } catch (err) {
+    res.status(500).json({
+      code: 'ERROR',
+      message: 'Restore failed: ' + err.message
+    });
+  }
+});
+
 module.exports = router;
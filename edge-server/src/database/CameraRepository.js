@@ -13,8 +13,8 @@ const CameraRepository = {
    */
   async create(camera) {
     const query = `
-      INSERT INTO cameras (id, name, location, rtsp_url, onvif_url, username, password_encrypted, status, alarm_enabled, motion_enabled)
-      VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10)
+      INSERT INTO cameras (id, name, location, rtsp_url, onvif_url, username, password_encrypted, status, alarm_enabled, motion_enabled, motion_zones, motion_settings, schedule, streams, recording_stream, analysis_stream)
+      VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15, $16)
       RETURNING *
     `;
     const values = [
@@ -27,7 +27,13 @@ const CameraRepository = {
       camera.credentials?.password, // TODO: encrypt this
       camera.status || 'INITIALIZING',
       camera.alarmEnabled !== false,
-      camera.motionEnabled !== false
+      camera.motionEnabled !== false,
+      JSON.stringify(camera.motionZones || []),
+      JSON.stringify(camera.motionSettings || {}),
+      camera.schedule ? JSON.stringify(camera.schedule) : null,
+      JSON.stringify(camera.streams || []),
+      camera.recordingStream || null,
+      camera.analysisStream || null
     ];
     
     const result = await db.query(query, values);
@@ -62,7 +68,8 @@ const CameraRepository = {
    * Update camera
    */
   async update(id, updates) {
-    const allowedFields = ['name', 'location', 'status', 'alarm_enabled', 'motion_enabled', 'last_seen'];
+    const allowedFields = ['name', 'location', 'status', 'alarm_enabled', 'motion_enabled', 'motion_zones', 'motion_settings', 'schedule', 'streams', 'recording_stream', 'analysis_stream', 'last_seen'];
+    const jsonFields = ['motion_zones', 'motion_settings', 'schedule', 'streams'];
     const setClauses = [];
     const values = [];
     let paramIndex = 1;
@@ -71,7 +78,7 @@ const CameraRepository = {
       const dbField = this._toSnakeCase(key);
       if (allowedFields.includes(dbField)) {
         setClauses.push(`${dbField} = $${paramIndex}`);
-        values.push(value);
+        values.push(jsonFields.includes(dbField) ? JSON.stringify(value) : value);
         paramIndex++;
       }
     }
@@ -140,6 +147,12 @@ const CameraRepository = {
       status: row.status,
       alarmEnabled: row.alarm_enabled,
       motionEnabled: row.motion_enabled,
+      motionZones: row.motion_zones || [],
+      motionSettings: row.motion_settings || {},
+      schedule: row.schedule || null,
+      streams: row.streams || [],
+      recordingStream: row.recording_stream || null,
+      analysisStream: row.analysis_stream || null,
       recordingCount: row.recording_count,
       lastSeen: row.last_seen,
       createdAt: row.created_at,
@@ -14,40 +14,108 @@ const EventRepository = {
    */
   async createMotionEvent(event) {
     const query = `
-      INSERT INTO motion_events (camera_id, motion_level, threshold, triggered_recording, recording_id)
-      VALUES ($1, $2, $3, $4, $5)
+      INSERT INTO motion_events (
+        camera_id, event_type, motion_level, threshold, zone, reason, source,
+        duration_ms, triggered_recording, recording_id, detected_at
+      )
+      VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, COALESCE($11, CURRENT_TIMESTAMP))
       RETURNING *
     `;
     const result = await db.query(query, [
       event.cameraId,
-      event.motionLevel,
-      event.threshold,
+      event.type || 'MOTION_START',
+      Math.round(event.motionLevel || 0),
+      event.threshold !== undefined ? Math.round(event.threshold) : null,
+      event.zone || null,
+      event.reason || null,
+      event.source || null,
+      event.durationMs !== undefined ? Math.round(event.durationMs) : null,
       event.triggeredRecording || false,
-      event.recordingId
+      event.recordingId || null,
+      event.detectedAt || null
     ]);
-    return result.rows[0];
+    return this._mapMotionEvent(result.rows[0]);
   },
 
   /**
-   * Get recent motion events
+   * Get motion events, newest first
+   * @param {Object} options - { cameraId, type, from, to, limit, offset }
    */
   async getMotionEvents(options = {}) {
     const limit = options.limit || 50;
-    const cameraId = options.cameraId;
+    const offset = options.offset || 0;
+    const { where, values } = this._motionEventFilters(options);
+    
+    const query = `SELECT * FROM motion_events${where}
+      ORDER BY detected_at DESC LIMIT $${values.length + 1} OFFSET $${values.length + 2}`;
+    values.push(limit, offset);
     
-    let query = 'SELECT * FROM motion_events';
+    const result = await db.query(query, values);
+    return result.rows.map(row => this._mapMotionEvent(row));
+  },
+
+  /**
+   * Count motion events matching the same filters as getMotionEvents
+   */
+  async countMotionEvents(options = {}) {
+    const { where, values } = this._motionEventFilters(options);
+    const result = await db.query(`SELECT COUNT(*) as count FROM motion_events${where}`, values);
+    return parseInt(result.rows[0].count);
+  },
+
+  /**
+   * Build the WHERE clause for motion event queries
+   * @private
+   */
+  _motionEventFilters(options) {
+    const conditions = [];
     const values = [];
     
-    if (cameraId) {
-      query += ' WHERE camera_id = $1';
-      values.push(cameraId);
+    if (options.cameraId) {
+      values.push(options.cameraId);
+      conditions.push(`camera_id = $${values.length}`);
     }
     
-    query += ' ORDER BY detected_at DESC LIMIT $' + (values.length + 1);
-    values.push(limit);
+    if (options.type) {
+      values.push(options.type);
+      conditions.push(`event_type = $${values.length}`);
+    }
     
-    const result = await db.query(query, values);
-    return result.rows;
+    if (options.from) {
+      values.push(options.from);
+      conditions.push(`detected_at >= $${values.length}`);
+    }
+    
+    if (options.to) {
+      values.push(options.to);
+      conditions.push(`detected_at < $${values.length}`);
+    }
+    
+    return {
+      where: conditions.length > 0 ? ' WHERE ' + conditions.join(' AND ') : '',
+      values
+    };
+  },
+
+  /**
+   * Map database row to motion event object
+   * @private
+   */
+  _mapMotionEvent(row) {
+    return {
+      id: row.id,
+      cameraId: row.camera_id,
+      type: row.event_type,
+      motionLevel: row.motion_level,
+      threshold: row.threshold,
+      zone: row.zone,
+      reason: row.reason,
+      source: row.source,
+      durationMs: row.duration_ms,
+      triggeredRecording: row.triggered_recording,
+      recordingId: row.recording_id,
+      detectedAt: row.detected_at
+    };
   },
 
   /**
@@ -108,6 +176,44 @@ const EventRepository = {
     return result.rows;
   },
 
+  /**
+   * Get alarm events overlapping a time range, oldest first
+   * @param {Date} from
+   * @param {Date} to
+   * @param {string} cameraId - Optional camera filter
+   */
+  async getAlarmEventsInRange(from, to, cameraId = null) {
+    let query = `SELECT * FROM alarm_events
+      WHERE started_at < $2 AND (stopped_at IS NULL OR stopped_at > $1)`;
+    const values = [from, to];
+
+    if (cameraId) {
+      query += ' AND camera_id = $3';
+      values.push(cameraId);
+    }
+
+    query += ' ORDER BY started_at ASC';
+    const result = await db.query(query, values);
+    return result.rows.map(row => this._mapAlarmEvent(row));
+  },
+
+  /**
+   * Map database row to alarm event object
+   * @private
+   */
+  _mapAlarmEvent(row) {
+    return {
+      id: row.id,
+      cameraId: row.camera_id,
+      triggerSource: row.trigger_source,
+      durationSeconds: row.duration_seconds,
+      volumeLevel: row.volume_level,
+      stoppedBy: row.stopped_by,
+      startedAt: row.started_at,
+      stoppedAt: row.stopped_at
+    };
+  },
+
   /**
    * Get last active alarm
    */
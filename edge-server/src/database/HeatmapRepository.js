@@ -0,0 +1,79 @@
+/**
+ * ASTROSURVEILLANCE - Heatmap Repository
+ * 
+ * Database operations for hourly motion heatmaps.
+ */
+
+const db = require('./index');
+
+const HeatmapRepository = {
+  /**
+   * Add heatmap counts to a camera's hourly bucket
+   * Counts are summed cell by cell when the bucket already exists.
+   */
+  async addHeatmap(heatmap) {
+    const query = `
+      INSERT INTO motion_heatmaps (camera_id, hour_start, grid_columns, grid_rows, cells, frame_count)
+      VALUES ($1, $2, $3, $4, $5, $6)
+      ON CONFLICT (camera_id, hour_start) DO UPDATE SET
+        cells = CASE
+          WHEN motion_heatmaps.grid_columns = EXCLUDED.grid_columns AND motion_heatmaps.grid_rows = EXCLUDED.grid_rows
+          THEN (
+            SELECT array_agg(a + b ORDER BY i)
+            FROM unnest(motion_heatmaps.cells, EXCLUDED.cells) WITH ORDINALITY AS t(a, b, i)
+          )
+          ELSE EXCLUDED.cells
+        END,
+        frame_count = CASE
+          WHEN motion_heatmaps.grid_columns = EXCLUDED.grid_columns AND motion_heatmaps.grid_rows = EXCLUDED.grid_rows
+          THEN motion_heatmaps.frame_count + EXCLUDED.frame_count
+          ELSE EXCLUDED.frame_count
+        END,
+        grid_columns = EXCLUDED.grid_columns,
+        grid_rows = EXCLUDED.grid_rows,
+        updated_at = CURRENT_TIMESTAMP
+      RETURNING *
+    `;
+    const result = await db.query(query, [
+      heatmap.cameraId,
+      heatmap.hourStart,
+      heatmap.columns,
+      heatmap.rows,
+      heatmap.cells,
+      heatmap.frameCount
+    ]);
+    return this._mapRow(result.rows[0]);
+  },
+
+  /**
+   * Get hourly heatmaps of a camera within a time range
+   */
+  async getHeatmaps(cameraId, from, to) {
+    const result = await db.query(
+      `SELECT * FROM motion_heatmaps
+       WHERE camera_id = $1 AND hour_start >= date_trunc('hour', $2::timestamptz) AND hour_start < $3
+       ORDER BY hour_start`,
+      [cameraId, from, to]
+    );
+    return result.rows.map(row => this._mapRow(row));
+  },
+
+  /**
+   * Map database row to heatmap object
+   */
+  _mapRow(row) {
+    if (!row) return null;
+    
+    return {
+      cameraId: row.camera_id,
+      hourStart: row.hour_start,
+      columns: row.grid_columns,
+      rows: row.grid_rows,
+      cells: (row.cells || []).map(Number),
+      frameCount: row.frame_count,
+      updatedAt: row.updated_at
+    };
+  }
+};
+
+module.exports = HeatmapRepository;
@@ -33,13 +33,111 @@ const RecordingRepository = {
 
   /**
    * Mark recording as completed
+   * @param {number} id
+   * @param {number} fileSize
+   * @param {Object} verification - Optional probe results ({ duration, media, checksum, corrupt }
+   *                                and alarm: true if an alarm was raised while recording)
    */
-  async complete(id, fileSize) {
+  async complete(id, fileSize, verification = {}) {
+    const media = verification.media || {};
     const result = await db.query(
       `UPDATE recordings 
-       SET status = 'completed', completed_at = CURRENT_TIMESTAMP, file_size_bytes = $1 
-       WHERE id = $2 RETURNING *`,
-      [fileSize, id]
+       SET status = 'completed', completed_at = CURRENT_TIMESTAMP, file_size_bytes = $1,
+           duration_seconds = COALESCE($2, duration_seconds), width = $3, height = $4,
+           video_codec = $5, audio_codec = $6, bitrate = $7, checksum = $8, corrupt = $9,
+           trigger_type = CASE WHEN $11 THEN 'alarm' ELSE trigger_type END
+       WHERE id = $10 RETURNING *`,
+      [
+        fileSize,
+        verification.duration !== undefined ? Math.round(verification.duration) : null,
+        media.width || null,
+        media.height || null,
+        media.videoCodec || null,
+        media.audioCodec || null,
+        media.bitrate || null,
+        verification.checksum || null,
+        verification.corrupt === true,
+        id,
+        verification.alarm === true
+      ]
+    );
+    return result.rows[0] ? this._mapRow(result.rows[0]) : null;
+  },
+
+  /**
+   * Update size and probe results of a recording whose file was replaced (e.g. re-encoded)
+   * @param {string} filename
+   * @param {number} fileSize
+   * @param {Object} verification - Probe results ({ duration, media, checksum, corrupt })
+   */
+  async updateFile(filename, fileSize, verification = {}) {
+    const media = verification.media || {};
+    const result = await db.query(
+      `UPDATE recordings 
+       SET file_size_bytes = $1, duration_seconds = COALESCE($2, duration_seconds), width = $3, height = $4,
+           video_codec = $5, audio_codec = $6, bitrate = $7, checksum = $8, corrupt = $9
+       WHERE filename = $10 RETURNING *`,
+      [
+        fileSize,
+        verification.duration !== undefined ? Math.round(verification.duration) : null,
+        media.width || null,
+        media.height || null,
+        media.videoCodec || null,
+        media.audioCodec || null,
+        media.bitrate || null,
+        verification.checksum || null,
+        verification.corrupt === true,
+        filename
+      ]
+    );
+    return result.rows[0] ? this._mapRow(result.rows[0]) : null;
+  },
+
+  /**
+   * Update where a recording's file is stored (moved to an archive tier)
+   * @param {string} filename
+   * @param {string} filepath
+   */
+  async updateFilepath(filename, filepath) {
+    const result = await db.query(
+      'UPDATE recordings SET filepath = $1 WHERE filename = $2 RETURNING *',
+      [filepath, filename]
+    );
+    return result.rows[0] ? this._mapRow(result.rows[0]) : null;
+  },
+
+  /**
+   * Set or clear the evidence lock of a recording
+   * @param {string} filename
+   * @param {Object|null} lock - { reason, lockedBy, note, lockedAt, expiresAt }, or null to unlock
+   */
+  async setLock(filename, lock) {
+    const result = await db.query(
+      `UPDATE recordings 
+       SET locked = $1, lock_reason = $2, locked_by = $3, lock_note = $4, locked_at = $5, lock_expires_at = $6
+       WHERE filename = $7 RETURNING *`,
+      [
+        Boolean(lock),
+        lock ? lock.reason : null,
+        lock ? lock.lockedBy : null,
+        lock ? lock.note : null,
+        lock ? lock.lockedAt : null,
+        lock ? lock.expiresAt : null,
+        filename
+      ]
+    );
+    return result.rows[0] ? this._mapRow(result.rows[0]) : null;
+  },
+
+  /**
+   * Mark recording as failed
+   */
+  async fail(id) {
+    const result = await db.query(
+      `UPDATE recordings 
+       SET status = 'failed', completed_at = CURRENT_TIMESTAMP 
+       WHERE id = $1 RETURNING *`,
+      [id]
     );
     return result.rows[0] ? this._mapRow(result.rows[0]) : null;
   },
@@ -136,12 +234,12 @@ const RecordingRepository = {
   },
 
   /**
-   * Delete old recordings (for cleanup)
+   * Delete old recordings (for cleanup); locked recordings are kept
    */
   async deleteOlderThan(days) {
     const result = await db.query(
       `DELETE FROM recordings 
-       WHERE created_at < CURRENT_TIMESTAMP - INTERVAL '${days} days' 
+       WHERE created_at < CURRENT_TIMESTAMP - INTERVAL '${days} days' AND locked IS NOT TRUE
        RETURNING filepath`
     );
     return result.rows.map(row => row.filepath);
@@ -182,6 +280,19 @@ const RecordingRepository = {
       fileSize: row.file_size_bytes,
       triggerType: row.trigger_type,
       motionLevel: row.motion_level,
+      width: row.width,
+      height: row.height,
+      videoCodec: row.video_codec,
+      audioCodec: row.audio_codec,
+      bitrate: row.bitrate,
+      checksum: row.checksum,
+      corrupt: row.corrupt,
+      locked: row.locked,
+      lockReason: row.lock_reason,
+      lockedBy: row.locked_by,
+      lockNote: row.lock_note,
+      lockedAt: row.locked_at,
+      lockExpiresAt: row.lock_expires_at,
       status: row.status,
       startedAt: row.started_at,
       completedAt: row.completed_at,
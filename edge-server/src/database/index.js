@@ -121,6 +121,60 @@ class Database {
         ALTER TABLE cameras ADD COLUMN IF NOT EXISTS camera_type VARCHAR(50) DEFAULT 'STANDARD';
       `);
     } catch (e) { /* Column might already exist or table doesn't exist yet */ }
+    
+    try {
+      await this.pool.query(`
+        ALTER TABLE cameras ADD COLUMN IF NOT EXISTS motion_zones JSONB DEFAULT '[]';
+      `);
+    } catch (e) { /* Column might already exist or table doesn't exist yet */ }
+    
+    try {
+      await this.pool.query(`
+        ALTER TABLE cameras ADD COLUMN IF NOT EXISTS motion_settings JSONB DEFAULT '{}';
+      `);
+    } catch (e) { /* Column might already exist or table doesn't exist yet */ }
+    
+    try {
+      await this.pool.query(`
+        ALTER TABLE cameras ADD COLUMN IF NOT EXISTS schedule JSONB;
+      `);
+    } catch (e) { /* Column might already exist or table doesn't exist yet */ }
+    
+    try {
+      await this.pool.query(`
+        ALTER TABLE cameras ADD COLUMN IF NOT EXISTS streams JSONB DEFAULT '[]';
+        ALTER TABLE cameras ADD COLUMN IF NOT EXISTS recording_stream VARCHAR(50);
+        ALTER TABLE cameras ADD COLUMN IF NOT EXISTS analysis_stream VARCHAR(50);
+      `);
+    } catch (e) { /* Column might already exist or table doesn't exist yet */ }
+    
+    try {
+      await this.pool.query(`
+        ALTER TABLE motion_events ADD COLUMN IF NOT EXISTS event_type VARCHAR(30) DEFAULT 'MOTION_START';
+        ALTER TABLE motion_events ADD COLUMN IF NOT EXISTS zone VARCHAR(100);
+        ALTER TABLE motion_events ADD COLUMN IF NOT EXISTS reason VARCHAR(50);
+        ALTER TABLE motion_events ADD COLUMN IF NOT EXISTS source VARCHAR(20);
+        ALTER TABLE motion_events ADD COLUMN IF NOT EXISTS duration_ms INTEGER;
+      `);
+    } catch (e) { /* Column might already exist or table doesn't exist yet */ }
+    
+    try {
+      await this.pool.query(`
+        ALTER TABLE recordings ADD COLUMN IF NOT EXISTS width INTEGER;
+        ALTER TABLE recordings ADD COLUMN IF NOT EXISTS height INTEGER;
+        ALTER TABLE recordings ADD COLUMN IF NOT EXISTS video_codec VARCHAR(50);
+        ALTER TABLE recordings ADD COLUMN IF NOT EXISTS audio_codec VARCHAR(50);
+        ALTER TABLE recordings ADD COLUMN IF NOT EXISTS bitrate INTEGER;
+        ALTER TABLE recordings ADD COLUMN IF NOT EXISTS checksum VARCHAR(64);
+        ALTER TABLE recordings ADD COLUMN IF NOT EXISTS corrupt BOOLEAN DEFAULT false;
+        ALTER TABLE recordings ADD COLUMN IF NOT EXISTS locked BOOLEAN DEFAULT false;
+        ALTER TABLE recordings ADD COLUMN IF NOT EXISTS lock_reason TEXT;
+        ALTER TABLE recordings ADD COLUMN IF NOT EXISTS locked_by VARCHAR(100);
+        ALTER TABLE recordings ADD COLUMN IF NOT EXISTS lock_note VARCHAR(100);
+        ALTER TABLE recordings ADD COLUMN IF NOT EXISTS locked_at TIMESTAMP WITH TIME ZONE;
+        ALTER TABLE recordings ADD COLUMN IF NOT EXISTS lock_expires_at TIMESTAMP WITH TIME ZONE;
+      `);
+    } catch (e) { /* Column might already exist or table doesn't exist yet */ }
 
     const schema = `
       -- Cameras table
@@ -137,6 +191,12 @@ class Database {
         status VARCHAR(50) DEFAULT 'OFFLINE',
         alarm_enabled BOOLEAN DEFAULT true,
         motion_enabled BOOLEAN DEFAULT true,
+        motion_zones JSONB DEFAULT '[]',
+        motion_settings JSONB DEFAULT '{}',
+        schedule JSONB,
+        streams JSONB DEFAULT '[]',
+        recording_stream VARCHAR(50),
+        analysis_stream VARCHAR(50),
         recording_count INTEGER DEFAULT 0,
         last_seen TIMESTAMP WITH TIME ZONE,
         created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
@@ -153,6 +213,19 @@ class Database {
         file_size_bytes BIGINT,
         trigger_type VARCHAR(50) DEFAULT 'motion',
         motion_level INTEGER,
+        width INTEGER,
+        height INTEGER,
+        video_codec VARCHAR(50),
+        audio_codec VARCHAR(50),
+        bitrate INTEGER,
+        checksum VARCHAR(64),
+        corrupt BOOLEAN DEFAULT false,
+        locked BOOLEAN DEFAULT false,
+        lock_reason TEXT,
+        locked_by VARCHAR(100),
+        lock_note VARCHAR(100),
+        locked_at TIMESTAMP WITH TIME ZONE,
+        lock_expires_at TIMESTAMP WITH TIME ZONE,
         status VARCHAR(50) DEFAULT 'completed',
         started_at TIMESTAMP WITH TIME ZONE,
         completed_at TIMESTAMP WITH TIME ZONE,
@@ -163,13 +236,30 @@ class Database {
       CREATE TABLE IF NOT EXISTS motion_events (
         id SERIAL PRIMARY KEY,
         camera_id VARCHAR(50) REFERENCES cameras(id) ON DELETE CASCADE,
+        event_type VARCHAR(30) DEFAULT 'MOTION_START',
         motion_level INTEGER NOT NULL,
         threshold INTEGER,
+        zone VARCHAR(100),
+        reason VARCHAR(50),
+        source VARCHAR(20),
+        duration_ms INTEGER,
         triggered_recording BOOLEAN DEFAULT false,
         recording_id INTEGER REFERENCES recordings(id) ON DELETE SET NULL,
         detected_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
       );
 
+      -- Motion heatmaps table (changed-pixel grid per camera per hour)
+      CREATE TABLE IF NOT EXISTS motion_heatmaps (
+        camera_id VARCHAR(50) REFERENCES cameras(id) ON DELETE CASCADE,
+        hour_start TIMESTAMP WITH TIME ZONE NOT NULL,
+        grid_columns INTEGER NOT NULL,
+        grid_rows INTEGER NOT NULL,
+        cells BIGINT[] NOT NULL,
+        frame_count INTEGER DEFAULT 0,
+        updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+        PRIMARY KEY (camera_id, hour_start)
+      );
+
       -- Alarm events table
       CREATE TABLE IF NOT EXISTS alarm_events (
         id SERIAL PRIMARY KEY,
@@ -210,6 +300,7 @@ class Database {
       CREATE INDEX IF NOT EXISTS idx_recordings_created_at ON recordings(created_at DESC);
       CREATE INDEX IF NOT EXISTS idx_motion_events_camera_id ON motion_events(camera_id);
       CREATE INDEX IF NOT EXISTS idx_motion_events_detected_at ON motion_events(detected_at DESC);
+      CREATE INDEX IF NOT EXISTS idx_motion_heatmaps_hour_start ON motion_heatmaps(hour_start DESC);
       CREATE INDEX IF NOT EXISTS idx_alarm_events_started_at ON alarm_events(started_at DESC);
       CREATE INDEX IF NOT EXISTS idx_system_events_type ON system_events(event_type);
       CREATE INDEX IF NOT EXISTS idx_system_events_created_at ON system_events(created_at DESC);
@@ -20,6 +20,9 @@ const config = require('../config/default.json');
 
 // Import database
 const db = require('./database');
+const HeatmapRepository = require('./database/HeatmapRepository');
+const EventRepository = require('./database/EventRepository');
+const RecordingRepository = require('./database/RecordingRepository');
 
 // Import core modules
 const CameraManager = require('./modules/CameraManager');
@@ -30,7 +33,14 @@ const StorageManager = require('./modules/StorageManager');
 const CameraDiscovery = require('./modules/CameraDiscovery');
 const SecurityManager = require('./modules/SecurityManager');
 const QRPairing = require('./modules/QRPairing');
+const OnvifEventSubscriber = require('./modules/OnvifEventSubscriber');
+const ClipExporter = require('./modules/ClipExporter');
+const RetentionManager = require('./modules/RetentionManager');
+const BackupUploader = require('./modules/BackupUploader');
 const Logger = require('./utils/Logger');
+const { isScheduleActive } = require('./utils/Schedule');
+const { resolveStreamUrl } = require('./utils/StreamProfiles');
+const { MotionEventType, ScheduleTarget, StreamRole } = require('./shared/types');
 
 // Import API routes
 const cameraRoutes = require('./api/cameras');
@@ -38,6 +48,8 @@ const recordingRoutes = require('./api/recordings');
 const alarmRoutes = require('./api/alarms');
 const storageRoutes = require('./api/storage');
 const systemRoutes = require('./api/system');
+const onvifRoutes = require('./api/onvif');
+const eventRoutes = require('./api/events');
 
 // Initialize Express app
 const app = express();
@@ -49,7 +61,7 @@ const wss = new WebSocket.Server({ server, path: '/ws' });
 // Middleware
 app.use(cors({
   origin: '*', // Allow all origins for LAN access
-  methods: ['GET', 'POST', 'PUT', 'DELETE'],
+  methods: ['GET', 'POST', 'PUT', 'PATCH', 'DELETE'],
   allowedHeaders: ['Content-Type', 'Authorization', 'X-Pairing-Token']
 }));
 app.use(express.json());
@@ -75,10 +87,20 @@ const cameraManager = new CameraManager(config.cameras);
 const motionDetector = new MotionDetector(config.motionDetection);
 const recordingController = new RecordingController(config.recording, storageManager);
 const qrPairing = new QRPairing(cameraManager, cameraDiscovery);
+const onvifEvents = new OnvifEventSubscriber(config.onvifEvents || {});
+const clipExporter = new ClipExporter(config.export, storageManager, {
+  encodeLimiter: recordingController.encodeLimiter,
+  getCameraName: cameraId => cameraManager.getCamera(cameraId)?.name
+});
+const retentionManager = new RetentionManager(config.retention, storageManager);
+const backupUploader = new BackupUploader(config.backup, storageManager);
 
 // Connect database to CameraManager for persistence
 cameraManager.setDatabase(db);
 
+// Subscribe to camera-side motion alerts as cameras come online
+cameraManager.setEventSubscriber(onvifEvents);
+
 // Note: Cameras will be loaded from database in startServer() after DB is connected
 
 // Make modules available to routes
@@ -91,6 +113,10 @@ app.locals.modules = {
   motionDetector,
   recordingController,
   qrPairing,
+  onvifEvents,
+  clipExporter,
+  retentionManager,
+  backupUploader,
   config,
   wss,
   db
@@ -151,32 +177,221 @@ function handleWebSocketMessage(ws, data) {
   }
 }
 
+// Database ids of recordings in progress per camera, resolved once the row is inserted
+const activeRecordingIds = new Map();
+
+// Database ids of sounding alarms per camera, closed when the alarm stops
+const activeAlarmIds = new Map();
+
+// Persist a motion event, linked to the recording that captures it
+function saveMotionEvent(cameraId, event, triggeredRecording = false) {
+  if (!db.isConnected) return;
+  
+  const recordingId = event.type === MotionEventType.FALSE_POSITIVE
+    ? null
+    : activeRecordingIds.get(cameraId) || null;
+  
+  Promise.resolve(recordingId)
+    .then(id => EventRepository.createMotionEvent({
+      cameraId,
+      type: event.type,
+      motionLevel: event.level,
+      threshold: motionDetector.getSettings(cameraId).threshold,
+      zone: event.zone,
+      reason: event.reason,
+      source: event.source || 'analysis',
+      durationMs: event.duration,
+      triggeredRecording,
+      recordingId: id,
+      detectedAt: event.timestamp
+    }))
+    .catch((err) => {
+      Logger.warn('Failed to save motion event', { cameraId, error: err.message });
+    });
+}
+
 // Event listeners for real-time broadcasts
 motionDetector.on('motion', (cameraId, event) => {
+  // Camera schedules decide what new motion may do right now. Ends always
+  // pass, so motion that outlasts the schedule window still closes its
+  // event and extended clip.
+  const schedule = cameraManager.getCamera(cameraId)?.schedule;
+  if (event.type !== MotionEventType.MOTION_END && !isScheduleActive(schedule, ScheduleTarget.MOTION)) {
+    Logger.debug('Motion ignored outside camera schedule', { cameraId, type: event.type });
+    return;
+  }
+  
+  if (event.type === MotionEventType.FALSE_POSITIVE) {
+    broadcast('MOTION_REJECTED', { cameraId, event });
+    saveMotionEvent(cameraId, event);
+    return;
+  }
+  
   Logger.info('Motion detected', { cameraId, event });
   broadcast('MOTION_DETECTED', { cameraId, event });
   
+  if (event.type !== MotionEventType.MOTION_START) {
+    recordingController.onMotionEnd(cameraId);
+    saveMotionEvent(cameraId, event);
+    return;
+  }
+  
+  recordingController.onMotionStart(cameraId);
+  
+  // Zones can opt out of alarms or recordings (e.g. a walkway that only records)
+  const zone = motionDetector.getZone(cameraId, event.zone);
+  
   // Trigger alarm
-  alarmController.trigger(cameraId);
+  let triggeredAlarm = false;
+  if ((!zone || zone.triggerAlarm) && isScheduleActive(schedule, ScheduleTarget.ALARM)) {
+    triggeredAlarm = alarmController.trigger(cameraId, { zone: event.zone, source: 'motion' });
+  }
   
   // Start recording
-  recordingController.startRecording(cameraId);
+  let triggeredRecording = false;
+  if ((!zone || zone.triggerRecording) && isScheduleActive(schedule, ScheduleTarget.RECORDING)) {
+    triggeredRecording = recordingController.startRecording(cameraId, null, {
+      zone: event.zone,
+      motion: true,
+      alarm: triggeredAlarm
+    });
+  }
+  
+  saveMotionEvent(cameraId, event, triggeredRecording);
+});
+
+// Persist hourly motion heatmaps
+motionDetector.on('heatmap', (cameraId, heatmap) => {
+  if (!db.isConnected) return;
+  
+  HeatmapRepository.addHeatmap({ cameraId, ...heatmap }).catch((err) => {
+    Logger.warn('Failed to save motion heatmap', { cameraId, error: err.message });
+  });
+});
+
+// Motion alerts from the camera's own detector
+onvifEvents.on('motion', (cameraId, event) => {
+  motionDetector.onCameraMotionEvent(cameraId, event);
+});
+
+recordingController.on('recordingStarted', (cameraId, filename, zone, triggerType) => {
+  broadcast('RECORDING_STARTED', { cameraId, filename, zone, triggerType });
+  
+  if (!db.isConnected) return;
+  
+  const filepath = path.join(storageManager.getBasePath(), filename);
+  activeRecordingIds.set(cameraId, RecordingRepository.create({
+    cameraId,
+    filename,
+    filepath,
+    duration: config.recording.durationSeconds,
+    triggerType
+  }).then(recording => recording.id).catch((err) => {
+    Logger.warn('Failed to save recording', { cameraId, filename, error: err.message });
+    return null;
+  }));
+});
+
+recordingController.on('recordingExtended', (cameraId, filename) => {
+  broadcast('RECORDING_EXTENDED', { cameraId, filename });
+});
+
+recordingController.on('recordingDegraded', (cameraId, details) => {
+  broadcast('RECORDING_DEGRADED', { cameraId, ...details });
+  
+  if (!db.isConnected) return;
+  
+  EventRepository.createSystemEvent({
+    type: 'RECORDING_DEGRADED',
+    severity: details.exhausted ? 'error' : 'warning',
+    message: details.exhausted
+      ? `Recording on ${cameraId} saved partially after ${details.attempt} retries`
+      : `Recording on ${cameraId} interrupted, retry ${details.attempt}/${details.maxAttempts} over ${details.transport.toUpperCase()}`,
+    metadata: { cameraId, ...details }
+  }).catch((err) => {
+    Logger.warn('Failed to save system event', { cameraId, error: err.message });
+  });
 });
 
-recordingController.on('recordingStarted', (cameraId) => {
-  broadcast('RECORDING_STARTED', { cameraId });
+recordingController.on('previewsReady', (cameraId, filename, previews) => {
+  broadcast('RECORDING_PREVIEWS', { cameraId, filename, ...previews });
+});
+
+recordingController.on('segmentComplete', (cameraId, filename, hasMotion) => {
+  broadcast('RECORDING_SEGMENT', { cameraId, filename, hasMotion });
 });
 
 recordingController.on('recordingComplete', (cameraId, filename) => {
   broadcast('RECORDING_COMPLETE', { cameraId, filename });
+  
+  const recordingId = activeRecordingIds.get(cameraId);
+  if (!recordingId) return;
+  activeRecordingIds.delete(cameraId);
+  
+  recordingId.then(async (id) => {
+    if (!id) return;
+    // The index entry holds the size, probe results and alarm flag of the saved file
+    const entry = storageManager.getRecording(filename) || {};
+    await RecordingRepository.complete(id, entry.size || null, entry);
+  }).catch((err) => {
+    Logger.warn('Failed to complete recording', { cameraId, filename, error: err.message });
+  });
+});
+
+recordingController.on('recordingTranscoded', (cameraId, filename, codec) => {
+  broadcast('RECORDING_TRANSCODED', { cameraId, filename, codec });
+
+  if (!db.isConnected) return;
+
+  const entry = storageManager.getRecording(filename) || {};
+  RecordingRepository.updateFile(filename, entry.size || null, entry).catch((err) => {
+    Logger.warn('Failed to update re-encoded recording', { cameraId, filename, error: err.message });
+  });
+});
+
+recordingController.on('recordingError', (cameraId) => {
+  const recordingId = activeRecordingIds.get(cameraId);
+  if (!recordingId) return;
+  activeRecordingIds.delete(cameraId);
+  
+  recordingId.then(id => id && RecordingRepository.fail(id)).catch((err) => {
+    Logger.warn('Failed to mark recording as failed', { cameraId, error: err.message });
+  });
 });
 
-alarmController.on('alarmTriggered', (cameraId) => {
-  broadcast('ALARM_TRIGGERED', { cameraId });
+alarmController.on('alarmTriggered', (cameraId, zone, source) => {
+  broadcast('ALARM_TRIGGERED', { cameraId, zone });
+  
+  // Clips recording while the alarm goes off count as alarm footage
+  recordingController.markAlarm(cameraId);
+  
+  if (!db.isConnected) return;
+  
+  activeAlarmIds.set(cameraId, EventRepository.createAlarmEvent({
+    cameraId,
+    triggerSource: zone ? `${source}:${zone}` : source,
+    duration: config.alarm.durationSeconds,
+    volumeLevel: config.alarm.volumeLevel
+  }).then(alarm => alarm.id).catch((err) => {
+    Logger.warn('Failed to save alarm event', { cameraId, error: err.message });
+    return null;
+  }));
 });
 
-alarmController.on('alarmStopped', () => {
+alarmController.on('alarmStopped', (cameraId, stoppedBy) => {
   broadcast('ALARM_STOPPED', {});
+  
+  // Stopping without a camera stops every alarm
+  const cameraIds = cameraId ? [cameraId] : [...activeAlarmIds.keys()];
+  for (const id of cameraIds) {
+    const alarmId = activeAlarmIds.get(id);
+    if (!alarmId) continue;
+    activeAlarmIds.delete(id);
+    
+    alarmId.then(eventId => eventId && EventRepository.stopAlarmEvent(eventId, stoppedBy)).catch((err) => {
+      Logger.warn('Failed to close alarm event', { cameraId: id, error: err.message });
+    });
+  }
 });
 
 // Camera events - broadcast to all clients for cross-device sync
@@ -192,10 +407,99 @@ cameraManager.on('cameraStatusChange', (cameraId, status) => {
   broadcast('CAMERA_STATUS', { cameraId, status });
 });
 
+storageManager.on('recordingCorrupt', (recording, reason) => {
+  broadcast('RECORDING_CORRUPT', { cameraId: recording.cameraId, filename: recording.filename, reason });
+});
+
+clipExporter.on('jobProgress', (job) => {
+  broadcast('EXPORT_PROGRESS', { jobId: job.id, status: job.status, progress: job.progress });
+});
+
+clipExporter.on('jobCompleted', (job) => {
+  broadcast('EXPORT_COMPLETE', { jobId: job.id, filename: job.filename, size: job.size, checksum: job.checksum });
+});
+
+clipExporter.on('jobFailed', (job) => {
+  broadcast('EXPORT_FAILED', { jobId: job.id, error: job.error });
+});
+
 storageManager.on('storageWarning', (usage) => {
   broadcast('STORAGE_WARNING', { usagePercent: usage });
 });
 
+storageManager.on('recordingLocked', (recording) => {
+  const { filename, cameraId, lock } = recording;
+  broadcast('RECORDING_LOCKED', { cameraId, filename, ...lock });
+  
+  if (!db.isConnected) return;
+  
+  RecordingRepository.setLock(filename, lock).catch((err) => {
+    Logger.warn('Failed to save recording lock', { filename, error: err.message });
+  });
+  EventRepository.createSystemEvent({
+    type: 'RECORDING_LOCKED',
+    severity: 'info',
+    message: `${filename} locked by ${lock.lockedBy}: ${lock.reason}`,
+    metadata: { cameraId, filename, ...lock }
+  }).catch((err) => {
+    Logger.warn('Failed to save system event', { filename, error: err.message });
+  });
+});
+
+storageManager.on('recordingUnlocked', (recording, lock, unlockedBy, note) => {
+  const { filename, cameraId } = recording;
+  broadcast('RECORDING_UNLOCKED', { cameraId, filename, unlockedBy, note });
+  
+  if (!db.isConnected) return;
+  
+  RecordingRepository.setLock(filename, null).catch((err) => {
+    Logger.warn('Failed to clear recording lock', { filename, error: err.message });
+  });
+  EventRepository.createSystemEvent({
+    type: 'RECORDING_UNLOCKED',
+    severity: 'info',
+    message: unlockedBy === 'expired'
+      ? `Lock on ${filename} expired`
+      : `${filename} unlocked by ${unlockedBy}`,
+    metadata: { cameraId, filename, unlockedBy, note, lock }
+  }).catch((err) => {
+    Logger.warn('Failed to save system event', { filename, error: err.message });
+  });
+});
+
+storageManager.on('recordingArchived', (recording, fromTier) => {
+  const { filename, cameraId, tier } = recording;
+  broadcast('RECORDING_ARCHIVED', { cameraId, filename, from: fromTier, tier });
+  
+  if (!db.isConnected) return;
+  
+  RecordingRepository.updateFilepath(filename, storageManager.getFilePath(filename)).catch((err) => {
+    Logger.warn('Failed to update archived recording path', { filename, error: err.message });
+  });
+});
+
+storageManager.on('tierOffline', (tier, reason) => {
+  broadcast('STORAGE_TIER_OFFLINE', { tier, reason });
+});
+
+retentionManager.on('retentionApplied', (summary) => {
+  broadcast('RETENTION_APPLIED', summary);
+});
+
+backupUploader.on('uploadComplete', (recording) => {
+  const { cameraId, filename, backup } = recording;
+  broadcast('BACKUP_UPLOADED', { cameraId, filename, key: backup?.key });
+});
+
+backupUploader.on('uploadFailed', (recording, error, final) => {
+  broadcast('BACKUP_FAILED', { cameraId: recording.cameraId, filename: recording.filename, error, final });
+});
+
+storageManager.on('storageCritical', (usage) => {
+  const { freeBytes } = storageManager.getHealth();
+  broadcast('STORAGE_CRITICAL', { usagePercent: usage, freeBytes });
+});
+
 // API Routes
 app.use('/api/cameras', cameraRoutes);
 app.use('/api/recordings', recordingRoutes);
@@ -203,6 +507,8 @@ app.use('/api/alarms', alarmRoutes);
 app.use('/api/alarm', alarmRoutes);  // Also mount at /api/alarm for client compatibility
 app.use('/api/storage', storageRoutes);
 app.use('/api/system', systemRoutes);
+app.use('/api/onvif', onvifRoutes);
+app.use('/api/events', eventRoutes);
 
 // Health check endpoint
 app.get('/api/health', (req, res) => {
@@ -243,6 +549,21 @@ process.on('SIGTERM', async () => {
   // Stop all recordings
   await recordingController.stopAll();
   
+  // Stop frame analysis
+  motionDetector.stopAll();
+  
+  // Cancel ONVIF event subscriptions
+  await onvifEvents.stopAll();
+  
+  // Cancel running clip exports
+  await clipExporter.stopAll();
+  
+  // Stop scheduled retention runs
+  retentionManager.stop();
+  
+  // Stop off-site uploads (resumed from the queue on next start)
+  backupUploader.stop();
+  
   // Close database connections
   await db.close();
   
@@ -275,6 +596,12 @@ async function startServer() {
         try {
           await cameraManager.loadFromDatabase();
           Logger.info('Cameras loaded from database');
+          
+          // Start motion analysis and recording for persisted cameras
+          cameraManager.getAllCameras().forEach((camera) => {
+            motionDetector.attachCamera(camera);
+            recordingController.registerCamera(camera.id, resolveStreamUrl(camera, StreamRole.RECORDING));
+          });
         } catch (loadError) {
           Logger.warn('Failed to load cameras from database', { error: loadError.message });
         }
@@ -288,6 +615,14 @@ async function startServer() {
     // Initialize storage
     await storageManager.initialize();
     
+    // Delete expired recordings on schedule
+    retentionManager.start();
+    
+    // Upload recordings off-site
+    backupUploader.start().catch((err) => {
+      Logger.warn('Off-site backup not started', { error: err.message });
+    });
+    
     // Start HTTP server
     server.listen(PORT, HOST, () => {
       Logger.info(`ASTROSURVEILLANCE Edge Server running`, { host: HOST, port: PORT });
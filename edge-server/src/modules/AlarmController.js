@@ -47,9 +47,10 @@ class AlarmController extends EventEmitter {
   /**
    * Trigger alarm for a camera
    * @param {string} cameraId - Camera that detected motion
+   * @param {Object} details - Optional trigger details ({ zone, source })
    * @returns {boolean} True if alarm was triggered
    */
-  trigger(cameraId) {
+  trigger(cameraId, details = {}) {
     // Check if alarm is armed
     if (this.state === AlarmState.DISARMED) {
       Logger.debug('Alarm not triggered - system disarmed', { cameraId });
@@ -69,7 +70,10 @@ class AlarmController extends EventEmitter {
       return false;
     }
     
-    Logger.info('ALARM TRIGGERED', { cameraId });
+    const zone = details.zone || null;
+    const source = details.source || 'manual';
+    
+    Logger.info('ALARM TRIGGERED', { cameraId, zone });
     
     // Update state
     this.state = AlarmState.TRIGGERED;
@@ -77,14 +81,15 @@ class AlarmController extends EventEmitter {
     // Track this camera's alarm
     this.cameraAlarms.set(cameraId, {
       isActive: true,
-      triggeredAt: new Date()
+      triggeredAt: new Date(),
+      zone
     });
     
     // Activate physical alarm
     this._activateHardwareAlarm();
     
     // Emit event for WebSocket broadcast
-    this.emit('alarmTriggered', cameraId);
+    this.emit('alarmTriggered', cameraId, zone, source);
     
     // Start auto-stop timer
     Timer.start(
@@ -159,7 +164,7 @@ class AlarmController extends EventEmitter {
       this._enterCooldown();
     }
     
-    this.emit('alarmStopped', cameraId);
+    this.emit('alarmStopped', cameraId, 'timeout');
   }
   
   /**
@@ -199,7 +204,7 @@ class AlarmController extends EventEmitter {
     
     this._deactivateHardwareAlarm();
     this.state = AlarmState.ARMED;
-    this.emit('alarmStopped', cameraId);
+    this.emit('alarmStopped', cameraId, 'manual');
   }
   
   /**
@@ -246,7 +251,8 @@ class AlarmController extends EventEmitter {
       if (alarm.isActive) {
         activeAlarms.push({
           cameraId,
-          triggeredAt: alarm.triggeredAt
+          triggeredAt: alarm.triggeredAt,
+          zone: alarm.zone
         });
       }
     }
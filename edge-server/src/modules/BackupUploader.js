@@ -0,0 +1,500 @@
+/**
+ * ASTROSURVEILLANCE - Backup Uploader Module
+ *
+ * Pushes completed recordings to an S3-compatible bucket for off-site
+ * backup (AWS S3, or a MinIO server on the LAN).
+ *
+ * - Each recording is stored as <prefix><cameraId>/<filename>, next to a
+ *   <filename>.json copy of its index entry
+ * - Uploads run one at a time from a queue saved next to the index, so
+ *   pending uploads survive restarts; failures retry with backoff
+ * - Upload bandwidth can be capped (maxBytesPerSecond)
+ * - Each index entry carries its backup status (BackupStatus)
+ * - After losing the SD card, the listing can be rebuilt from the bucket
+ *   and single recordings downloaded back
+ */
+
+const EventEmitter = require('events');
+const fs = require('fs');
+const path = require('path');
+const { pipeline } = require('stream');
+const Logger = require('../utils/Logger');
+const S3Client = require('../utils/S3Client');
+const Throttle = require('../utils/Throttle');
+const { sha256File } = require('../utils/MediaProbe');
+const { BackupStatus, RecordingType } = require('../shared/types');
+
+// Local-only index fields, left out of the uploaded metadata
+const LOCAL_FIELDS = ['backup', 'tier', 'archivedAt', 'remote'];
+
+class BackupUploader extends EventEmitter {
+  /**
+   * @param {Object} config - backup section of the config
+   * @param {StorageManager} storageManager
+   */
+  constructor(config = {}, storageManager) {
+    super();
+
+    this.config = {
+      enabled: config.enabled === true,
+      endpoint: config.endpoint || null,
+      region: config.region || 'us-east-1',
+      bucket: config.bucket || null,
+      prefix: config.prefix ? config.prefix.replace(/\/?$/, '/') : '',
+      forcePathStyle: config.forcePathStyle !== false,
+      includeContinuous: config.includeContinuous !== false,
+      maxBytesPerSecond: config.maxBytesPerSecond || 0,
+      maxAttempts: config.maxAttempts || 10,
+      retryDelayMs: config.retryDelayMs || 30000,
+      maxRetryDelayMs: config.maxRetryDelayMs || 60 * 60 * 1000
+    };
+
+    this.storageManager = storageManager;
+    this.queuePath = path.join(storageManager.getBasePath(), config.queueFile || '.backup-queue.json');
+
+    // Secrets can stay out of the config file
+    const accessKeyId = config.accessKeyId || process.env.S3_ACCESS_KEY_ID;
+    const secretAccessKey = config.secretAccessKey || process.env.S3_SECRET_ACCESS_KEY;
+
+    this.client = this.config.enabled && this.config.endpoint
+      ? new S3Client({
+        endpoint: this.config.endpoint,
+        region: this.config.region,
+        bucket: this.config.bucket,
+        accessKeyId,
+        secretAccessKey,
+        forcePathStyle: this.config.forcePathStyle
+      })
+      : null;
+
+    // [{ filename, attempts, nextAttemptAt, lastError }]
+    this.queue = [];
+    this.current = null;
+    this.timer = null;
+    this.stopped = true;
+    this.uploadedBytes = 0;
+    this.lastError = null;
+
+    this._onRecordingAdded = (recording) => this.enqueue(recording.filename);
+    this._onRecordingUpdated = (recording) => {
+      // Re-upload a file replaced after its upload (e.g. re-encoded)
+      if (recording.backup?.status === BackupStatus.UPLOADED && this._contentChanged(recording)) {
+        this.enqueue(recording.filename);
+      }
+    };
+
+    Logger.info('BackupUploader initialized', {
+      enabled: this.config.enabled,
+      endpoint: this.config.endpoint,
+      bucket: this.config.bucket,
+      prefix: this.config.prefix
+    });
+  }
+
+  /**
+   * Load the queue and start uploading
+   * Recordings not yet uploaded (made while backup was off) are queued too.
+   */
+  async start() {
+    if (!this.config.enabled) return;
+
+    if (!this.client || !this.config.bucket || !this.client.accessKeyId || !this.client.secretAccessKey) {
+      throw new Error('backup needs endpoint, bucket, accessKeyId and secretAccessKey');
+    }
+
+    this.queue = await this._loadQueue();
+    this.stopped = false;
+
+    const pending = new Map();
+    for (const recording of this.storageManager.getRecordings()) {
+      const status = recording.backup?.status;
+      if (status !== BackupStatus.UPLOADED && status !== BackupStatus.FAILED && this._queueable(recording)) {
+        if (!this.queue.some(item => item.filename === recording.filename)) {
+          this.queue.push({ filename: recording.filename, attempts: 0, nextAttemptAt: Date.now(), lastError: null });
+        }
+        pending.set(recording.filename, { backup: { ...recording.backup, status: BackupStatus.PENDING } });
+      }
+    }
+    await this.storageManager.updateRecordings(pending);
+    await this._saveQueue();
+
+    this.storageManager.on('recordingAdded', this._onRecordingAdded);
+    this.storageManager.on('recordingUpdated', this._onRecordingUpdated);
+
+    Logger.info('Backup started', { queued: this.queue.length });
+    this._schedule(0);
+  }
+
+  /**
+   * Stop uploading; an upload in progress is aborted and retried on the next start
+   */
+  stop() {
+    this.stopped = true;
+    clearTimeout(this.timer);
+    this.timer = null;
+
+    this.storageManager.removeListener('recordingAdded', this._onRecordingAdded);
+    this.storageManager.removeListener('recordingUpdated', this._onRecordingUpdated);
+
+    if (this.current && this.current.stream) {
+      this.current.stream.destroy(new Error('Backup stopped'));
+    }
+  }
+
+  /**
+   * Queue a recording for upload
+   * @param {string} filename
+   * @returns {boolean} True if queued (false if excluded or already queued)
+   */
+  enqueue(filename) {
+    if (!this.config.enabled) return false;
+
+    const recording = this.storageManager.getRecording(filename);
+    if (!recording || !this._queueable(recording)) return false;
+    if (this.queue.some(item => item.filename === filename)) return false;
+
+    this.queue.push({ filename, attempts: 0, nextAttemptAt: Date.now(), lastError: null });
+    this._setStatus(recording, { status: BackupStatus.PENDING, error: null });
+
+    this._saveQueue().catch((err) => {
+      Logger.warn('Failed to save backup queue', { error: err.message });
+    });
+    this._schedule(0);
+    return true;
+  }
+
+  /**
+   * Queue every recording whose upload failed for good
+   * @returns {number} Recordings queued
+   */
+  retryFailed() {
+    const failed = this.storageManager.getRecordings()
+      .filter(recording => recording.backup?.status === BackupStatus.FAILED);
+
+    return failed.filter(recording => this.enqueue(recording.filename)).length;
+  }
+
+  /**
+   * Get the uploader status
+   * @returns {Object}
+   */
+  getStatus() {
+    const counts = Object.fromEntries(Object.values(BackupStatus).map(status => [status, 0]));
+    for (const recording of this.storageManager.getRecordings()) {
+      if (recording.backup && counts[recording.backup.status] !== undefined) {
+        counts[recording.backup.status]++;
+      }
+    }
+
+    return {
+      enabled: this.config.enabled,
+      running: !this.stopped,
+      endpoint: this.config.endpoint,
+      bucket: this.config.bucket,
+      prefix: this.config.prefix,
+      maxBytesPerSecond: this.config.maxBytesPerSecond,
+      queued: this.queue.length,
+      uploading: this.current ? this.current.filename : null,
+      counts,
+      uploadedBytes: this.uploadedBytes,
+      lastError: this.lastError
+    };
+  }
+
+  /**
+   * List the recordings stored in the bucket, from their metadata objects
+   * @returns {Promise<Array<Object>>} Index entries, each with backup.key
+   */
+  async listRemote() {
+    this._requireEnabled();
+
+    const objects = await this.client.listObjects(this.config.prefix);
+    const keys = new Set(objects.map(object => object.key));
+    const entries = [];
+
+    for (const object of objects) {
+      if (!object.key.endsWith('.json')) continue;
+
+      // Metadata is written after the video, so a lone .json is an interrupted upload
+      const videoKey = object.key.slice(0, -'.json'.length);
+      if (!keys.has(videoKey)) continue;
+
+      try {
+        const entry = await this.client.getJson(object.key);
+        entries.push({
+          ...entry,
+          backup: { status: BackupStatus.UPLOADED, key: videoKey, uploadedAt: object.lastModified, size: entry.size, checksum: entry.checksum }
+        });
+      } catch (err) {
+        Logger.warn('Skipping unreadable backup metadata', { key: object.key, error: err.message });
+      }
+    }
+
+    return entries;
+  }
+
+  /**
+   * Rebuild the recording listing from the bucket (e.g. on a new SD card)
+   * Recordings missing locally are added with remote: true.
+   * @returns {Promise<Object>} { found, imported }
+   */
+  async restoreIndex() {
+    const entries = await this.listRemote();
+    const imported = await this.storageManager.importRecordings(entries);
+
+    Logger.info('Backup listing restored', { found: entries.length, imported });
+    return { found: entries.length, imported };
+  }
+
+  /**
+   * Download a recording from the bucket back to local storage
+   * @param {string} filename
+   * @returns {Promise<Object>} Updated index entry
+   * @throws {Error} If the recording has no backup or the download is damaged
+   */
+  async restoreRecording(filename) {
+    this._requireEnabled();
+
+    const recording = this.storageManager.getRecording(filename);
+    if (!recording || !recording.backup?.key) {
+      throw new Error(`No backup of ${filename}`);
+    }
+    if (!recording.remote && this.storageManager.fileExists(filename)) {
+      throw new Error(`${filename} is already stored locally`);
+    }
+
+    const target = this.storageManager.getFilePath(filename);
+    const partial = `${target}.part`;
+
+    try {
+      const res = await this.client.getObject(recording.backup.key);
+      await new Promise((resolve, reject) => {
+        const out = fs.createWriteStream(partial);
+        res.on('error', reject);
+        out.on('error', reject);
+        out.on('finish', resolve);
+        res.pipe(out);
+      });
+
+      if (recording.checksum && await sha256File(partial) !== recording.checksum) {
+        throw new Error('Checksum of the downloaded recording does not match');
+      }
+
+      await fs.promises.rename(partial, target);
+    } catch (err) {
+      await fs.promises.rm(partial, { force: true }).catch(() => {});
+      throw err;
+    }
+
+    Logger.info('Recording restored from backup', { filename });
+    return this.storageManager.updateRecording(filename, { remote: false });
+  }
+
+  /**
+   * Run the next due upload, then schedule the one after
+   * @private
+   */
+  async _processQueue() {
+    this.timer = null;
+    if (this.stopped || this.current) return;
+
+    const now = Date.now();
+    const item = this.queue.find(entry => entry.nextAttemptAt <= now);
+    if (!item) {
+      this._scheduleNextDue();
+      return;
+    }
+
+    const recording = this.storageManager.getRecording(item.filename);
+    if (!recording || recording.remote) {
+      // Deleted locally before it was uploaded
+      await this._dequeue(item);
+      this._schedule(0);
+      return;
+    }
+
+    this.current = { filename: item.filename, stream: null };
+    this._setStatus(recording, { status: BackupStatus.UPLOADING });
+
+    try {
+      await this._upload(recording);
+      await this._dequeue(item);
+      this.emit('uploadComplete', recording);
+    } catch (err) {
+      if (this.stopped) {
+        this._setStatus(recording, { status: BackupStatus.PENDING });
+        return;
+      }
+
+      item.attempts++;
+      item.lastError = err.message;
+      this.lastError = { filename: item.filename, error: err.message, at: new Date().toISOString() };
+
+      const final = item.attempts >= this.config.maxAttempts;
+      if (final) {
+        await this._dequeue(item);
+        this._setStatus(recording, { status: BackupStatus.FAILED, attempts: item.attempts, error: err.message });
+      } else {
+        item.nextAttemptAt = Date.now() + Math.min(
+          this.config.retryDelayMs * 2 ** (item.attempts - 1),
+          this.config.maxRetryDelayMs
+        );
+        await this._saveQueue().catch(() => {});
+        this._setStatus(recording, { status: BackupStatus.PENDING, attempts: item.attempts, error: err.message });
+      }
+
+      Logger.warn('Backup upload failed', { filename: item.filename, attempt: item.attempts, final, error: err.message });
+      this.emit('uploadFailed', recording, err.message, final);
+    } finally {
+      this.current = null;
+    }
+
+    this._schedule(0);
+  }
+
+  /**
+   * Upload a recording (unless this exact file is already in the bucket) and its metadata
+   * @private
+   */
+  async _upload(recording) {
+    const key = `${this.config.prefix}${recording.cameraId}/${recording.filename}`;
+    const filePath = this.storageManager.getFilePath(recording.filename);
+    const stat = await fs.promises.stat(filePath);
+
+    if (this._contentChanged(recording) || recording.backup?.key !== key) {
+      // A read error (file deleted by cleanup, failing SD card) is passed on
+      // to the throttle, so it fails the upload instead of the process
+      const stream = new Throttle(this.config.maxBytesPerSecond);
+      pipeline(fs.createReadStream(filePath), stream, () => {});
+      this.current.stream = stream;
+
+      await this.client.putObject(key, stream, {
+        contentLength: stat.size,
+        contentType: 'video/mp4',
+        metadata: recording.checksum ? { sha256: recording.checksum } : {}
+      });
+      this.uploadedBytes += stat.size;
+    }
+
+    const metadata = Object.fromEntries(
+      Object.entries(recording).filter(([field]) => !LOCAL_FIELDS.includes(field))
+    );
+    await this.client.putObject(`${key}.json`, JSON.stringify(metadata, null, 2), {
+      contentType: 'application/json'
+    });
+
+    this._setStatus(recording, {
+      status: BackupStatus.UPLOADED,
+      key,
+      uploadedAt: new Date().toISOString(),
+      // As indexed, so a later re-verify that changes it triggers a re-upload
+      size: recording.size ?? stat.size,
+      checksum: recording.checksum || null,
+      attempts: 0,
+      error: null
+    });
+
+    Logger.info('Recording backed up', { filename: recording.filename, key, bytes: stat.size });
+  }
+
+  /**
+   * Whether a recording is backed up at all
+   * @private
+   */
+  _queueable(recording) {
+    if (recording.remote) return false;
+    return this.config.includeContinuous || recording.type !== RecordingType.CONTINUOUS;
+  }
+
+  /**
+   * Whether the local file differs from the uploaded one
+   * @private
+   */
+  _contentChanged(recording) {
+    const backup = recording.backup;
+    if (!backup || !backup.uploadedAt) return true;
+    return backup.size !== recording.size || backup.checksum !== (recording.checksum || null);
+  }
+
+  /**
+   * Update the backup status in the index entry
+   * @private
+   */
+  _setStatus(recording, fields) {
+    this.storageManager.updateRecording(recording.filename, {
+      backup: { ...recording.backup, ...fields }
+    }).catch((err) => {
+      Logger.warn('Failed to save backup status', { filename: recording.filename, error: err.message });
+    });
+  }
+
+  /**
+   * Remove an item from the queue and save it
+   * @private
+   */
+  async _dequeue(item) {
+    this.queue = this.queue.filter(entry => entry !== item);
+    await this._saveQueue().catch((err) => {
+      Logger.warn('Failed to save backup queue', { error: err.message });
+    });
+  }
+
+  /**
+   * Run the queue after a delay
+   * @private
+   */
+  _schedule(delayMs) {
+    if (this.stopped || this.current) return;
+
+    clearTimeout(this.timer);
+    this.timer = setTimeout(() => this._processQueue(), delayMs);
+    this.timer.unref();
+  }
+
+  /**
+   * Wait for the next retry that is due
+   * @private
+   */
+  _scheduleNextDue() {
+    if (this.queue.length === 0) return;
+
+    const next = Math.min(...this.queue.map(item => item.nextAttemptAt));
+    this._schedule(Math.max(next - Date.now(), 0));
+  }
+
+  /**
+   * @private
+   */
+  async _loadQueue() {
+    try {
+      const queue = JSON.parse(await fs.promises.readFile(this.queuePath, 'utf8'));
+      return Array.isArray(queue) ? queue : [];
+    } catch (err) {
+      if (err.code !== 'ENOENT') {
+        Logger.warn('Backup queue unreadable, starting empty', { error: err.message });
+      }
+      return [];
+    }
+  }
+
+  /**
+   * @private
+   */
+  async _saveQueue() {
+    await fs.promises.writeFile(this.queuePath, JSON.stringify(this.queue, null, 2), 'utf8');
+  }
+
+  /**
+   * @private
+   */
+  _requireEnabled() {
+    if (!this.config.enabled) {
+      throw new Error('Off-site backup is not enabled');
+    }
+    if (!this.client) {
+      throw new Error('backup.endpoint is not configured');
+    }
+  }
+}
+
+module.exports = BackupUploader;
@@ -0,0 +1,185 @@
+jest.mock('../utils/Logger');
+
+const fs = require('fs');
+const http = require('http');
+const os = require('os');
+const path = require('path');
+const BackupUploader = require('./BackupUploader');
+const StorageManager = require('./StorageManager');
+const { BackupStatus } = require('../shared/types');
+
+const FILENAME = 'CAM01_2026-01-04_14-32-10.mp4';
+
+/**
+ * Poll until a condition holds
+ */
+async function waitFor(condition, timeoutMs = 5000) {
+  const deadline = Date.now() + timeoutMs;
+  while (!condition()) {
+    if (Date.now() > deadline) throw new Error('Timed out waiting for condition');
+    await new Promise(resolve => setTimeout(resolve, 20));
+  }
+}
+
+/**
+ * S3 stand-in that stores PUT bodies and answers with failStatus while it is set
+ */
+async function createFakeS3() {
+  const fake = { objects: new Map(), requests: [], failStatus: null };
+
+  fake.server = http.createServer((req, res) => {
+    const chunks = [];
+    req.on('data', chunk => chunks.push(chunk));
+    req.on('error', () => {});
+    req.on('end', () => {
+      fake.requests.push({ method: req.method, url: req.url, headers: req.headers });
+
+      if (fake.failStatus) {
+        res.writeHead(fake.failStatus, { 'content-type': 'application/xml' });
+        res.end('<Error><Code>SlowDown</Code><Message>Please reduce your request rate.</Message></Error>');
+        return;
+      }
+
+      fake.objects.set(decodeURIComponent(req.url), Buffer.concat(chunks));
+      res.writeHead(200, { etag: '"etag"' });
+      res.end();
+    });
+  });
+
+  await new Promise(resolve => fake.server.listen(0, '127.0.0.1', resolve));
+  fake.endpoint = `http://127.0.0.1:${fake.server.address().port}`;
+  return fake;
+}
+
+describe('BackupUploader', () => {
+  let basePath;
+  let storage;
+  let s3;
+  let uploader;
+
+  beforeEach(async () => {
+    basePath = fs.mkdtempSync(path.join(os.tmpdir(), 'backup-test-'));
+    storage = new StorageManager({ basePath });
+    s3 = await createFakeS3();
+    uploader = new BackupUploader({
+      enabled: true,
+      endpoint: s3.endpoint,
+      bucket: 'backups',
+      prefix: 'site1',
+      accessKeyId: 'AKIDEXAMPLE',
+      secretAccessKey: 'secret',
+      retryDelayMs: 50,
+      maxAttempts: 2
+    }, storage);
+  });
+
+  afterEach(async () => {
+    uploader.stop();
+    jest.restoreAllMocks();
+    await new Promise(resolve => s3.server.close(resolve));
+    fs.rmSync(basePath, { recursive: true, force: true });
+  });
+
+  /**
+   * Write a recording and add it to the index
+   */
+  async function addRecording(content = 'video') {
+    fs.writeFileSync(path.join(basePath, FILENAME), content);
+    await storage.addRecording({
+      cameraId: 'CAM01',
+      filename: FILENAME,
+      timestamp: new Date().toISOString(),
+      size: Buffer.byteLength(content)
+    });
+  }
+
+  test('uploads queued recordings with their metadata', async () => {
+    await addRecording();
+
+    const completed = jest.fn();
+    uploader.on('uploadComplete', completed);
+    await uploader.start();
+    await waitFor(() => completed.mock.calls.length === 1);
+
+    const key = `site1/CAM01/${FILENAME}`;
+    expect(s3.objects.get(`/backups/${key}`).toString()).toBe('video');
+    const metadata = JSON.parse(s3.objects.get(`/backups/${key}.json`));
+    expect(metadata).toEqual(expect.objectContaining({ cameraId: 'CAM01', filename: FILENAME }));
+    expect(metadata.backup).toBeUndefined();
+
+    await waitFor(() => storage.getRecording(FILENAME).backup.status === BackupStatus.UPLOADED);
+    expect(storage.getRecording(FILENAME).backup).toEqual(expect.objectContaining({ key, size: 5, attempts: 0 }));
+    expect(uploader.queue).toEqual([]);
+    expect(JSON.parse(fs.readFileSync(uploader.queuePath, 'utf8'))).toEqual([]);
+  });
+
+  test('retries a failed upload after the retry delay', async () => {
+    await addRecording();
+    s3.failStatus = 503;
+
+    const failed = jest.fn(() => { s3.failStatus = null; });
+    const completed = jest.fn();
+    uploader.on('uploadFailed', failed);
+    uploader.on('uploadComplete', completed);
+    const startedAt = Date.now();
+    await uploader.start();
+    await waitFor(() => completed.mock.calls.length === 1);
+
+    expect(failed).toHaveBeenCalledWith(expect.objectContaining({ filename: FILENAME }), expect.stringMatching(/503 SlowDown/), false);
+    expect(Date.now() - startedAt).toBeGreaterThanOrEqual(50);
+    expect(uploader.getStatus().lastError).toEqual(expect.objectContaining({ filename: FILENAME }));
+    await waitFor(() => storage.getRecording(FILENAME).backup.status === BackupStatus.UPLOADED);
+  });
+
+  test('gives up after maxAttempts until failed uploads are retried', async () => {
+    await addRecording();
+    s3.failStatus = 503;
+
+    const failed = jest.fn();
+    const completed = jest.fn();
+    uploader.on('uploadFailed', failed);
+    uploader.on('uploadComplete', completed);
+    await uploader.start();
+    await waitFor(() => failed.mock.calls.length === 2);
+
+    expect(failed.mock.calls.map(([, , final]) => final)).toEqual([false, true]);
+    expect(uploader.queue).toEqual([]);
+    await waitFor(() => storage.getRecording(FILENAME).backup.status === BackupStatus.FAILED);
+    expect(storage.getRecording(FILENAME).backup.attempts).toBe(2);
+
+    s3.failStatus = null;
+    expect(uploader.retryFailed()).toBe(1);
+    await waitFor(() => completed.mock.calls.length === 1);
+  });
+
+  test('keeps the saved queue and its retry times across restarts', async () => {
+    await addRecording();
+    const item = { filename: FILENAME, attempts: 1, nextAttemptAt: Date.now() + 60000, lastError: 'timed out' };
+    fs.writeFileSync(uploader.queuePath, JSON.stringify([item]));
+
+    await uploader.start();
+    await new Promise(resolve => setTimeout(resolve, 100));
+
+    expect(uploader.queue).toEqual([item]);
+    expect(s3.requests).toEqual([]);
+    expect(storage.getRecording(FILENAME).backup.status).toBe(BackupStatus.PENDING);
+  });
+
+  test('fails the upload and queues a retry when the file disappears after stat', async () => {
+    await addRecording();
+    fs.rmSync(path.join(basePath, FILENAME));
+    jest.spyOn(fs.promises, 'stat').mockResolvedValue({ size: 5 });
+
+    const failed = jest.fn();
+    uploader.on('uploadFailed', failed);
+    await uploader.start();
+    await waitFor(() => failed.mock.calls.length === 1);
+
+    const [recording, error, final] = failed.mock.calls[0];
+    expect(recording.filename).toBe(FILENAME);
+    expect(error).toMatch(/ENOENT/);
+    expect(final).toBe(false);
+    expect(uploader.queue).toEqual([expect.objectContaining({ filename: FILENAME, attempts: 1 })]);
+    await waitFor(() => storage.getRecording(FILENAME).backup.status === BackupStatus.PENDING);
+  });
+});
@@ -3,12 +3,15 @@
  * 
  * Discovers cameras on the local network using ONVIF protocol.
  * Also supports manual QR code pairing as fallback.
+ * Reads the media profiles (GetProfiles) of ONVIF cameras so main and
+ * sub-streams can be used for different purposes.
  */
 
 const EventEmitter = require('events');
 const onvif = require('node-onvif');
 const QRCode = require('qrcode');
 const Logger = require('../utils/Logger');
+const { profilesFromOnvif } = require('../utils/StreamProfiles');
 
 class CameraDiscovery extends EventEmitter {
   constructor(config) {
@@ -152,11 +155,12 @@ class CameraDiscovery extends EventEmitter {
       const streamUri = profile?.stream?.rtsp;
       
       camera.rtspUrl = streamUri;
+      camera.streams = profilesFromOnvif(device.getProfileList(), { username, password });
       camera.connected = true;
       camera.manufacturer = info?.manufacturer;
       camera.model = info?.model;
       
-      Logger.info('Camera connected via ONVIF', { cameraId, rtsp: streamUri });
+      Logger.info('Camera connected via ONVIF', { cameraId, rtsp: streamUri, streams: camera.streams.length });
       
       return camera;
       
@@ -166,6 +170,27 @@ class CameraDiscovery extends EventEmitter {
     }
   }
   
+  /**
+   * Read the stream profiles of an ONVIF camera (GetProfiles)
+   * @param {string} onvifUrl - Device service URL
+   * @param {Object} credentials - { username, password }
+   * @returns {Promise<Array>} Stream profiles (see utils/StreamProfiles)
+   */
+  async getStreamProfiles(onvifUrl, credentials = {}) {
+    const device = new onvif.OnvifDevice({
+      xaddr: onvifUrl,
+      user: credentials.username || 'admin',
+      pass: credentials.password || 'admin'
+    });
+    
+    await device.init();
+    
+    const streams = profilesFromOnvif(device.getProfileList(), credentials);
+    Logger.info('ONVIF stream profiles read', { onvifUrl, count: streams.length });
+    
+    return streams;
+  }
+  
   /**
    * Generate QR code for manual pairing
    * @param {string} serverIp - Edge server IP address
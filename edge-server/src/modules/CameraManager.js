@@ -6,6 +6,7 @@
  * - Camera ID (ASTRO-CAM-001)
  * - Physical location
  * - Alarm state
+ * - Stream profiles (main/sub-stream) for recording and motion analysis
  * - Storage path
  */
 
@@ -31,6 +32,9 @@ class CameraManager extends EventEmitter {
     // Database reference (will be set via setDatabase)
     this.db = null;
     
+    // ONVIF event subscriber (will be set via setEventSubscriber)
+    this.eventSubscriber = null;
+    
     Logger.info('CameraManager initialized', { maxCameras: this.config.maxCameras });
   }
   
@@ -43,6 +47,15 @@ class CameraManager extends EventEmitter {
     Logger.info('CameraManager database connected');
   }
   
+  /**
+   * Set ONVIF event subscriber for camera-side motion alerts
+   * @param {Object} subscriber - OnvifEventSubscriber instance
+   */
+  setEventSubscriber(subscriber) {
+    this.eventSubscriber = subscriber;
+    Logger.info('CameraManager event subscriber connected');
+  }
+  
   /**
    * Load cameras from database on startup
    */
@@ -80,11 +93,18 @@ class CameraManager extends EventEmitter {
           },
           alarmEnabled: row.alarm_enabled !== false,
           motionEnabled: row.motion_enabled !== false,
+          motionZones: row.motion_zones || [],
+          motionSettings: row.motion_settings || {},
+          schedule: row.schedule || null,
+          streams: row.streams || [],
+          recordingStream: row.recording_stream || null,
+          analysisStream: row.analysis_stream || null,
           registeredAt: row.created_at,
           lastSeen: row.last_seen
         };
         
         this.cameras.set(camera.id, camera);
+        this._subscribeEvents(camera);
         
         // Update database if type/location was missing
         if (!row.camera_type || !row.location) {
@@ -114,8 +134,8 @@ class CameraManager extends EventEmitter {
     try {
       // Use simpler INSERT that doesn't require all columns
       const query = `
-        INSERT INTO cameras (id, name, location, rtsp_url, onvif_url, uid, camera_type, username, password_encrypted, status, alarm_enabled, motion_enabled)
-        VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12)
+        INSERT INTO cameras (id, name, location, rtsp_url, onvif_url, uid, camera_type, username, password_encrypted, status, alarm_enabled, motion_enabled, motion_zones, motion_settings, schedule, streams, recording_stream, analysis_stream)
+        VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15, $16, $17, $18)
         ON CONFLICT (id) DO UPDATE SET
           name = $2,
           location = $3,
@@ -124,6 +144,9 @@ class CameraManager extends EventEmitter {
           uid = $6,
           camera_type = $7,
           status = $10,
+          streams = $16,
+          recording_stream = $17,
+          analysis_stream = $18,
           updated_at = CURRENT_TIMESTAMP
       `;
       
@@ -139,7 +162,13 @@ class CameraManager extends EventEmitter {
         camera.credentials?.password || 'admin',
         camera.status || 'ONLINE',
         camera.alarmEnabled !== false,
-        camera.motionEnabled !== false
+        camera.motionEnabled !== false,
+        JSON.stringify(camera.motionZones || []),
+        JSON.stringify(camera.motionSettings || {}),
+        camera.schedule ? JSON.stringify(camera.schedule) : null,
+        JSON.stringify(camera.streams || []),
+        camera.recordingStream || null,
+        camera.analysisStream || null
       ];
       
       Logger.info('Saving camera to database', { cameraId: camera.id, name: camera.name, uid: camera.uid });
@@ -156,7 +185,7 @@ class CameraManager extends EventEmitter {
    * @returns {Object} Registered camera
    */
   registerCamera(cameraData) {
-    const { id, name, location, rtspUrl, onvifUrl, uid, type, credentials, connectionType, p2pInfo } = cameraData;
+    const { id, name, location, rtspUrl, onvifUrl, uid, type, credentials, connectionType, p2pInfo, motionZones, motionSettings, schedule, streams, recordingStream, analysisStream } = cameraData;
     
     if (this.cameras.size >= this.config.maxCameras) {
       throw new Error(`Maximum camera limit (${this.config.maxCameras}) reached`);
@@ -182,6 +211,12 @@ class CameraManager extends EventEmitter {
       lastSeen: new Date().toISOString(),
       alarmEnabled: true,
       motionEnabled: true,
+      motionZones: motionZones || [],
+      motionSettings: motionSettings || {},
+      schedule: schedule || null,
+      streams: streams || [],
+      recordingStream: recordingStream || null,
+      analysisStream: analysisStream || null,
       recordingCount: 0
     };
     
@@ -218,6 +253,8 @@ class CameraManager extends EventEmitter {
       Logger.info('Camera connected', { cameraId });
       this.emit('cameraOnline', camera);
       
+      this._subscribeEvents(camera);
+      
     } catch (err) {
       camera.status = CameraStatus.ERROR;
       Logger.error('Camera connection failed', { cameraId, error: err.message });
@@ -228,6 +265,18 @@ class CameraManager extends EventEmitter {
     }
   }
   
+  /**
+   * Subscribe to the camera's ONVIF motion events
+   * @private
+   */
+  _subscribeEvents(camera) {
+    if (!this.eventSubscriber || !camera.onvifUrl) return;
+    
+    this.eventSubscriber.subscribe(camera).catch((err) => {
+      Logger.warn('ONVIF event subscription failed', { cameraId: camera.id, error: err.message });
+    });
+  }
+  
   /**
    * Schedule camera reconnection
    * @private
@@ -262,6 +311,10 @@ class CameraManager extends EventEmitter {
       this.reconnectTimers.delete(cameraId);
     }
     
+    if (this.eventSubscriber) {
+      this.eventSubscriber.unsubscribe(cameraId);
+    }
+    
     this.cameras.delete(cameraId);
     
     Logger.info('Camera unregistered', { cameraId });
@@ -578,7 +631,13 @@ class CameraManager extends EventEmitter {
         rtspUrl: c.rtspUrl,
         onvifUrl: c.onvifUrl,
         alarmEnabled: c.alarmEnabled,
-        motionEnabled: c.motionEnabled
+        motionEnabled: c.motionEnabled,
+        motionZones: c.motionZones,
+        motionSettings: c.motionSettings,
+        schedule: c.schedule,
+        streams: c.streams,
+        recordingStream: c.recordingStream,
+        analysisStream: c.analysisStream
       }))
     };
   }
@@ -0,0 +1,521 @@
+/**
+ * ASTROSURVEILLANCE - Clip Exporter Module
+ *
+ * Builds a single evidence file from saved recordings for incident reports:
+ * - Takes a list of recordings (optionally trimmed) or a camera and time range
+ * - Trims each piece with FFmpeg, optionally burning in the camera name and
+ *   the wall-clock time of every frame, and joins the pieces into one MP4
+ * - Pieces of different resolutions are scaled and padded to the largest
+ * - The result is checksummed (SHA-256) for chain of custody
+ *
+ * Exports run as jobs, one at a time, and re-encode through the shared
+ * encoder limiter so they never starve live recordings of CPU. Progress is
+ * reported with 'jobProgress'; finished exports are kept for retentionHours.
+ */
+
+const EventEmitter = require('events');
+const ffmpeg = require('fluent-ffmpeg');
+const fs = require('fs');
+const path = require('path');
+const Logger = require('../utils/Logger');
+const { sha256File } = require('../utils/MediaProbe');
+const { ExportStatus, RecordingType } = require('../shared/types');
+
+// Don't report progress more often than this
+const PROGRESS_INTERVAL_MS = 1000;
+
+// How often expired exports are deleted
+const EXPIRY_CHECK_MS = 60 * 60 * 1000;
+
+class ClipExporter extends EventEmitter {
+  /**
+   * @param {Object} config - Export configuration
+   * @param {Object} storageManager - Source of recordings
+   * @param {Object} options - { encodeLimiter: ConcurrencyLimiter shared with
+   *                            recordings, getCameraName: cameraId => name }
+   */
+  constructor(config = {}, storageManager, options = {}) {
+    super();
+
+    this.config = {
+      path: path.resolve(config.path || './exports'),
+      maxRecordings: config.maxRecordings || 50,
+      maxDurationSeconds: config.maxDurationSeconds || 3600,
+      retentionHours: config.retentionHours || 24,
+      crf: config.crf || 20,
+      // Font for burned-in text; FFmpeg's default (fontconfig) when not set
+      fontFile: config.fontFile || null
+    };
+
+    this.storageManager = storageManager;
+    this.encodeLimiter = options.encodeLimiter || null;
+    this.getCameraName = options.getCameraName || (cameraId => cameraId);
+
+    // Jobs by id, oldest first
+    this.jobs = new Map();
+
+    // Serializes export jobs
+    this.queue = Promise.resolve();
+
+    this.expiryTimer = setInterval(() => this._deleteExpired(), EXPIRY_CHECK_MS);
+    this.expiryTimer.unref();
+
+    Logger.info('ClipExporter initialized', this.config);
+  }
+
+  /**
+   * Create an export job
+   * @param {Object} request
+   * @param {Array} request.recordings - Filenames, or { filename, startSeconds, endSeconds }
+   *                                     to trim (seconds from the start of the file)
+   * @param {string} request.cameraId - With from/to instead of recordings
+   * @param {Date} request.from
+   * @param {Date} request.to
+   * @param {boolean} request.burnIn - Burn in camera name and timestamp
+   * @returns {Object} Job
+   * @throws {Error} If the request selects no footage or exceeds the limits
+   */
+  createJob(request) {
+    const pieces = request.recordings
+      ? this._piecesFromList(request.recordings)
+      : this._piecesFromRange(request.cameraId, request.from, request.to);
+
+    if (pieces.length === 0) {
+      throw new Error('No recorded footage matches the export request');
+    }
+    if (pieces.length > this.config.maxRecordings) {
+      throw new Error(`An export can join at most ${this.config.maxRecordings} recordings`);
+    }
+
+    const durationSeconds = pieces.reduce((total, piece) => total + piece.durationSeconds, 0);
+    if (durationSeconds > this.config.maxDurationSeconds) {
+      throw new Error(`An export can be at most ${this.config.maxDurationSeconds} seconds long`);
+    }
+
+    const id = `exp_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+    const cameraIds = [...new Set(pieces.map(piece => piece.cameraId))];
+
+    const job = {
+      id,
+      status: ExportStatus.QUEUED,
+      progress: 0,
+      burnIn: Boolean(request.burnIn),
+      cameraIds,
+      recordings: pieces.map(piece => ({
+        filename: piece.filename,
+        startSeconds: piece.startSeconds,
+        durationSeconds: piece.durationSeconds
+      })),
+      durationSeconds: Math.round(durationSeconds * 100) / 100,
+      filename: this._exportFilename(cameraIds, pieces[0].start),
+      size: null,
+      checksum: null,
+      error: null,
+      createdAt: new Date().toISOString(),
+      startedAt: null,
+      completedAt: null
+    };
+
+    this.jobs.set(id, { job, pieces, command: null, cancelled: false });
+
+    this.queue = this.queue.then(() => this._run(id));
+
+    Logger.info('Export job created', { jobId: id, recordings: pieces.length, duration: job.durationSeconds });
+    this.emit('jobCreated', job);
+
+    return job;
+  }
+
+  /**
+   * Get a job
+   * @param {string} jobId
+   * @returns {Object|null}
+   */
+  getJob(jobId) {
+    const entry = this.jobs.get(jobId);
+    return entry ? entry.job : null;
+  }
+
+  /**
+   * Get all jobs, newest first
+   * @returns {Array}
+   */
+  getJobs() {
+    return Array.from(this.jobs.values()).map(entry => entry.job).reverse();
+  }
+
+  /**
+   * Get the path of a finished export
+   * @param {string} jobId
+   * @returns {string|null}
+   */
+  getFilePath(jobId) {
+    const job = this.getJob(jobId);
+    if (!job || job.status !== ExportStatus.COMPLETED) return null;
+    return path.join(this.config.path, `${jobId}.mp4`);
+  }
+
+  /**
+   * Cancel a queued or running job, or delete a finished one
+   * @param {string} jobId
+   * @returns {boolean} False if the job doesn't exist
+   */
+  async deleteJob(jobId) {
+    const entry = this.jobs.get(jobId);
+    if (!entry) return false;
+
+    entry.cancelled = true;
+    if (entry.command) {
+      try {
+        entry.command.kill('SIGTERM');
+      } catch (err) {
+        Logger.warn('Error stopping export FFmpeg', { jobId, error: err.message });
+      }
+    }
+
+    this.jobs.delete(jobId);
+    await this._removeFiles(jobId);
+
+    Logger.info('Export job deleted', { jobId, status: entry.job.status });
+    return true;
+  }
+
+  /**
+   * Stop the expiry timer and running exports
+   */
+  async stopAll() {
+    clearInterval(this.expiryTimer);
+
+    for (const [jobId, entry] of this.jobs) {
+      if (entry.job.status === ExportStatus.QUEUED || entry.job.status === ExportStatus.RUNNING) {
+        await this.deleteJob(jobId);
+      }
+    }
+  }
+
+  /**
+   * Resolve an explicit list of recordings into pieces
+   * @private
+   */
+  _piecesFromList(items) {
+    if (!Array.isArray(items)) {
+      throw new Error('recordings must be an array');
+    }
+
+    return items.map((item) => {
+      const filename = typeof item === 'string' ? item : item && item.filename;
+      const recording = filename && this.storageManager.getRecording(filename);
+      if (!recording) {
+        throw new Error(`Recording not found: ${filename}`);
+      }
+      if (recording.corrupt) {
+        throw new Error(`Recording is corrupt: ${filename}`);
+      }
+
+      const length = recording.duration || 0;
+      const startSeconds = Math.max(Number(item.startSeconds) || 0, 0);
+      const endSeconds = item.endSeconds !== undefined ? Math.min(Number(item.endSeconds), length) : length;
+
+      if (!(endSeconds > startSeconds)) {
+        throw new Error(`Nothing to export from ${filename}: end must be after start`);
+      }
+
+      return this._piece(recording, startSeconds, endSeconds);
+    });
+  }
+
+  /**
+   * Select the footage of a camera between two times
+   * Event clips and continuous segments overlap; each moment is taken once,
+   * from the recording that starts first.
+   * @private
+   */
+  _piecesFromRange(cameraId, from, to) {
+    if (!cameraId || !(from instanceof Date) || !(to instanceof Date) || !(from < to)) {
+      throw new Error('cameraId and a from/to range are required');
+    }
+
+    const recordings = this.storageManager.getRecordings({ cameraId })
+      .filter(recording => !recording.corrupt && recording.duration > 0)
+      .map(recording => ({ recording, start: this._recordingStart(recording) }))
+      .sort((a, b) => a.start - b.start);
+
+    const pieces = [];
+    let covered = from.getTime();
+
+    for (const { recording, start } of recordings) {
+      const end = start + recording.duration * 1000;
+      if (end <= covered || start >= to.getTime()) continue;
+
+      const startSeconds = (Math.max(start, covered) - start) / 1000;
+      const endSeconds = (Math.min(end, to.getTime()) - start) / 1000;
+      if (endSeconds - startSeconds < 0.5) continue;
+
+      pieces.push(this._piece(recording, startSeconds, endSeconds));
+      covered = start + endSeconds * 1000;
+    }
+
+    return pieces;
+  }
+
+  /**
+   * Describe the part of a recording that goes into an export
+   * @private
+   */
+  _piece(recording, startSeconds, endSeconds) {
+    const start = this._recordingStart(recording);
+
+    return {
+      filename: recording.filename,
+      cameraId: recording.cameraId,
+      path: this.storageManager.getFilePath(recording.filename),
+      start: new Date(start + startSeconds * 1000),
+      startSeconds: Math.round(startSeconds * 100) / 100,
+      durationSeconds: Math.round((endSeconds - startSeconds) * 100) / 100,
+      width: recording.media?.width || null,
+      height: recording.media?.height || null,
+      // Unknown (not probed) counts as having audio
+      hasAudio: recording.media ? Boolean(recording.media.audioCodec) : true
+    };
+  }
+
+  /**
+   * Wall-clock time of the first frame of a recording
+   * Event clips are named after the trigger; their pre-roll comes before it.
+   * @private
+   */
+  _recordingStart(recording) {
+    const preRoll = recording.type === RecordingType.CONTINUOUS ? 0 : (recording.preRollSeconds || 0);
+    return new Date(recording.timestamp).getTime() - preRoll * 1000;
+  }
+
+  /**
+   * Download name of an export: export_CAM01_2026-01-04_14-32-10.mp4
+   * @private
+   */
+  _exportFilename(cameraIds, start) {
+    const pad = (n) => String(n).padStart(2, '0');
+    const date = `${start.getFullYear()}-${pad(start.getMonth() + 1)}-${pad(start.getDate())}`;
+    const time = `${pad(start.getHours())}-${pad(start.getMinutes())}-${pad(start.getSeconds())}`;
+    const cameras = cameraIds.length === 1 ? cameraIds[0] : 'multi';
+    return `export_${cameras}_${date}_${time}.mp4`;
+  }
+
+  /**
+   * Run an export job
+   * @private
+   */
+  async _run(jobId) {
+    const entry = this.jobs.get(jobId);
+    if (!entry || entry.cancelled) return;
+
+    const { job, pieces } = entry;
+    const workDir = path.join(this.config.path, jobId);
+
+    job.status = ExportStatus.RUNNING;
+    job.startedAt = new Date().toISOString();
+    this._reportProgress(entry, 0, true);
+
+    try {
+      await fs.promises.mkdir(workDir, { recursive: true });
+
+      const size = this._targetSize(pieces);
+      const audio = pieces.every(piece => piece.hasAudio);
+      const parts = [];
+      let doneSeconds = 0;
+
+      for (const [index, piece] of pieces.entries()) {
+        const partPath = path.join(workDir, `part${String(index).padStart(3, '0')}.mp4`);
+        await this._encodePiece(entry, piece, partPath, { size, audio, workDir, index, doneSeconds });
+        if (entry.cancelled) return;
+
+        parts.push(partPath);
+        doneSeconds += piece.durationSeconds;
+      }
+
+      const outputPath = path.join(this.config.path, `${jobId}.mp4`);
+      const listPath = path.join(workDir, 'concat.txt');
+      await fs.promises.writeFile(listPath, parts.map(part => `file '${part}'\n`).join(''));
+
+      await this._runCommand(
+        entry,
+        ffmpeg(listPath)
+          .inputOptions(['-f concat', '-safe 0'])
+          .outputOptions(['-c copy', '-movflags +faststart'])
+          .output(outputPath)
+      );
+      if (entry.cancelled) return;
+
+      const stat = await fs.promises.stat(outputPath);
+      job.size = stat.size;
+      job.checksum = await sha256File(outputPath);
+      job.status = ExportStatus.COMPLETED;
+      job.progress = 100;
+      job.completedAt = new Date().toISOString();
+
+      Logger.info('Export completed', { jobId, size: job.size, duration: job.durationSeconds });
+      this.emit('jobCompleted', job);
+    } catch (err) {
+      if (entry.cancelled) return;
+
+      job.status = ExportStatus.FAILED;
+      job.error = err.message;
+      job.completedAt = new Date().toISOString();
+      await fs.promises.rm(path.join(this.config.path, `${jobId}.mp4`), { force: true }).catch(() => {});
+
+      Logger.error('Export failed', { jobId, error: err.message });
+      this.emit('jobFailed', job);
+    } finally {
+      await fs.promises.rm(workDir, { recursive: true, force: true }).catch(() => {});
+    }
+  }
+
+  /**
+   * Trim and re-encode one piece of an export
+   * @private
+   */
+  async _encodePiece(entry, piece, partPath, options) {
+    const filters = [];
+
+    if (options.size) {
+      const { width, height } = options.size;
+      filters.push(
+        `scale=${width}:${height}:force_original_aspect_ratio=decrease`,
+        `pad=${width}:${height}:(ow-iw)/2:(oh-ih)/2`,
+        'setsar=1'
+      );
+    }
+
+    if (entry.job.burnIn) {
+      filters.push(...await this._burnInFilters(piece, options));
+    }
+
+    const command = ffmpeg(piece.path)
+      .seekInput(piece.startSeconds)
+      .duration(piece.durationSeconds)
+      .outputOptions([
+        '-c:v libx264',
+        '-preset veryfast',
+        `-crf ${this.config.crf}`,
+        '-pix_fmt yuv420p',
+        ...(options.audio ? ['-c:a aac', '-b:a 128k', '-ar 48000', '-ac 2'] : ['-an'])
+      ])
+      .output(partPath)
+      .on('progress', (progress) => {
+        const seconds = Math.min(this._parseTimemark(progress.timemark), piece.durationSeconds);
+        this._reportProgress(entry, options.doneSeconds + seconds);
+      });
+
+    if (filters.length > 0) {
+      command.videoFilters(filters);
+    }
+
+    const encode = () => (entry.cancelled ? null : this._runCommand(entry, command));
+    await (this.encodeLimiter ? this.encodeLimiter.run(encode) : encode());
+  }
+
+  /**
+   * drawtext filters for the camera name and the time of each frame
+   * The name is read from a file so it needs no filter escaping.
+   * @private
+   */
+  async _burnInFilters(piece, options) {
+    const labelPath = path.join(options.workDir, `label${options.index}.txt`);
+    await fs.promises.writeFile(labelPath, this.getCameraName(piece.cameraId) || piece.cameraId);
+
+    const height = options.size ? options.size.height : piece.height;
+    const fontSize = Math.max(Math.round((height || 720) / 30), 16);
+    const font = this.config.fontFile ? `fontfile='${this.config.fontFile}':` : '';
+    const style = `${font}fontsize=${fontSize}:fontcolor=white:box=1:boxcolor=black@0.5:boxborderw=6:x=10`;
+    const epoch = Math.round(piece.start.getTime() / 1000);
+
+    return [
+      `drawtext=${style}:y=10:textfile='${labelPath}'`,
+      `drawtext=${style}:y=${10 + Math.round(fontSize * 1.6)}:text='%{pts\\:localtime\\:${epoch}}'`
+    ];
+  }
+
+  /**
+   * Common frame size when pieces differ in resolution (the largest), else null
+   * @private
+   */
+  _targetSize(pieces) {
+    const sizes = pieces.filter(piece => piece.width && piece.height);
+    const distinct = new Set(sizes.map(piece => `${piece.width}x${piece.height}`));
+    if (distinct.size <= 1) return null;
+
+    const largest = sizes.reduce((a, b) => (b.width * b.height > a.width * a.height ? b : a));
+    return { width: largest.width, height: largest.height };
+  }
+
+  /**
+   * Run an FFmpeg command of a job to completion
+   * @private
+   */
+  _runCommand(entry, command) {
+    return new Promise((resolve, reject) => {
+      entry.command = command;
+      command
+        .on('end', () => {
+          entry.command = null;
+          resolve();
+        })
+        .on('error', (err) => {
+          entry.command = null;
+          // Killed by deleteJob
+          if (entry.cancelled) return resolve();
+          reject(err);
+        })
+        .run();
+    });
+  }
+
+  /**
+   * Update job progress and emit 'jobProgress' (throttled)
+   * @private
+   */
+  _reportProgress(entry, doneSeconds, force = false) {
+    const { job } = entry;
+    const progress = Math.min(Math.floor((doneSeconds / job.durationSeconds) * 100), 99);
+    const now = Date.now();
+
+    if (!force && (progress <= job.progress || now - (entry.reportedAt || 0) < PROGRESS_INTERVAL_MS)) return;
+
+    job.progress = Math.max(progress, job.progress);
+    entry.reportedAt = now;
+    this.emit('jobProgress', job);
+  }
+
+  /**
+   * Convert an FFmpeg timemark (HH:MM:SS.ss) to seconds
+   * @private
+   */
+  _parseTimemark(timemark) {
+    if (!timemark) return 0;
+    return String(timemark).split(':').reduce((total, part) => total * 60 + (Number(part) || 0), 0);
+  }
+
+  /**
+   * Delete the files of a job
+   * @private
+   */
+  async _removeFiles(jobId) {
+    await fs.promises.rm(path.join(this.config.path, jobId), { recursive: true, force: true }).catch(() => {});
+    await fs.promises.rm(path.join(this.config.path, `${jobId}.mp4`), { force: true }).catch(() => {});
+  }
+
+  /**
+   * Delete finished jobs older than retentionHours
+   * @private
+   */
+  async _deleteExpired() {
+    const cutoff = Date.now() - this.config.retentionHours * 60 * 60 * 1000;
+
+    for (const [jobId, { job }] of this.jobs) {
+      if (!job.completedAt || new Date(job.completedAt).getTime() > cutoff) continue;
+      await this.deleteJob(jobId);
+    }
+  }
+}
+
+module.exports = ClipExporter;
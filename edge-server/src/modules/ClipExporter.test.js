@@ -0,0 +1,209 @@
+jest.mock('fluent-ffmpeg');
+jest.mock('../utils/Logger');
+
+const crypto = require('crypto');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const ffmpeg = require('fluent-ffmpeg');
+const ClipExporter = require('./ClipExporter');
+const StorageManager = require('./StorageManager');
+const ConcurrencyLimiter = require('../utils/ConcurrencyLimiter');
+const { ExportStatus, RecordingType } = require('../shared/types');
+
+const CLIP = 'CAM01_2026-01-04_14-31-30.mp4';
+const SEGMENT = 'CAM01_2026-01-04_14-30-00_continuous.mp4';
+
+/**
+ * Poll until a condition holds
+ */
+async function waitFor(condition, timeoutMs = 5000) {
+  const deadline = Date.now() + timeoutMs;
+  while (!condition()) {
+    if (Date.now() > deadline) throw new Error('Timed out waiting for condition');
+    await new Promise(resolve => setTimeout(resolve, 20));
+  }
+}
+
+describe('ClipExporter', () => {
+  let basePath;
+  let exportPath;
+  let storage;
+  let exporter;
+
+  beforeEach(async () => {
+    basePath = fs.mkdtempSync(path.join(os.tmpdir(), 'export-test-'));
+    exportPath = path.join(basePath, 'exports');
+    storage = new StorageManager({ basePath: path.join(basePath, 'recordings'), verifyRecordings: false });
+    fs.mkdirSync(storage.getBasePath(), { recursive: true });
+
+    await addRecording(SEGMENT, 'segment', {
+      timestamp: new Date(2026, 0, 4, 14, 30, 0).toISOString(),
+      duration: 120,
+      type: RecordingType.CONTINUOUS
+    });
+    await addRecording(CLIP, 'clip', {
+      timestamp: new Date(2026, 0, 4, 14, 31, 30).toISOString(),
+      duration: 60
+    });
+  });
+
+  afterEach(async () => {
+    await exporter.stopAll();
+    ffmpeg.reset();
+    fs.rmSync(basePath, { recursive: true, force: true });
+  });
+
+  /**
+   * Write a recording and add it to the index
+   */
+  async function addRecording(filename, content, fields) {
+    fs.writeFileSync(path.join(storage.getBasePath(), filename), content);
+    await storage.addRecording({ cameraId: 'CAM01', filename, ...fields });
+  }
+
+  function createExporter(config = {}, options = {}) {
+    exporter = new ClipExporter({ path: exportPath, ...config }, storage, options);
+    return exporter;
+  }
+
+  /**
+   * Wait for a job to finish
+   */
+  function finished(jobId) {
+    return waitFor(() => [ExportStatus.COMPLETED, ExportStatus.FAILED].includes(exporter.getJob(jobId).status));
+  }
+
+  function encodes() {
+    return ffmpeg.commands.filter(command => /part\d{3}\.mp4$/.test(command.outputPath));
+  }
+
+  test('trims and joins the listed recordings into one checksummed file', async () => {
+    createExporter();
+    const completed = jest.fn();
+    exporter.on('jobCompleted', completed);
+
+    const job = exporter.createJob({
+      recordings: [{ filename: SEGMENT, startSeconds: 100, endSeconds: 500 }, CLIP]
+    });
+    expect(job).toEqual(expect.objectContaining({
+      status: ExportStatus.QUEUED,
+      durationSeconds: 80,
+      cameraIds: ['CAM01'],
+      filename: 'export_CAM01_2026-01-04_14-31-40.mp4'
+    }));
+
+    await finished(job.id);
+
+    expect(encodes().map(command => [command.seek, command.length])).toEqual([[100, 20], [0, 60]]);
+    const output = fs.readFileSync(exporter.getFilePath(job.id));
+    expect(output.toString()).toBe('segmentclip');
+    expect(job).toEqual(expect.objectContaining({
+      status: ExportStatus.COMPLETED,
+      progress: 100,
+      size: output.length,
+      checksum: crypto.createHash('sha256').update(output).digest('hex')
+    }));
+    expect(completed).toHaveBeenCalledWith(job);
+    expect(fs.existsSync(path.join(exportPath, job.id))).toBe(false);
+  });
+
+  test('takes each moment of a time range once from overlapping recordings', async () => {
+    createExporter();
+
+    const job = exporter.createJob({
+      cameraId: 'CAM01',
+      from: new Date(2026, 0, 4, 14, 31, 0),
+      to: new Date(2026, 0, 4, 14, 33, 0)
+    });
+
+    expect(job.recordings).toEqual([
+      { filename: SEGMENT, startSeconds: 60, durationSeconds: 60 },
+      { filename: CLIP, startSeconds: 30, durationSeconds: 30 }
+    ]);
+    await finished(job.id);
+  });
+
+  test('rejects requests without footage or over the limits', () => {
+    createExporter({ maxRecordings: 1, maxDurationSeconds: 100 });
+
+    expect(() => exporter.createJob({ recordings: ['missing.mp4'] })).toThrow('Recording not found: missing.mp4');
+    expect(() => exporter.createJob({ recordings: [{ filename: CLIP, startSeconds: 30, endSeconds: 10 }] }))
+      .toThrow('end must be after start');
+    expect(() => exporter.createJob({ recordings: [SEGMENT, CLIP] })).toThrow('at most 1 recordings');
+    expect(() => exporter.createJob({ recordings: [SEGMENT] })).toThrow('at most 100 seconds');
+    expect(() => exporter.createJob({
+      cameraId: 'CAM01',
+      from: new Date(2026, 0, 4, 15, 0, 0),
+      to: new Date(2026, 0, 4, 16, 0, 0)
+    })).toThrow('No recorded footage');
+    expect(exporter.getJobs()).toEqual([]);
+  });
+
+  test('scales pieces to the largest resolution and burns in the camera name and time', async () => {
+    await storage.updateRecording(SEGMENT, { media: { width: 1280, height: 720, audioCodec: null } });
+    await storage.updateRecording(CLIP, { media: { width: 1920, height: 1080, audioCodec: 'aac' } });
+    createExporter({}, { getCameraName: () => 'Front Door' });
+
+    const job = exporter.createJob({ recordings: [SEGMENT, CLIP], burnIn: true });
+    await finished(job.id);
+
+    const [first] = encodes();
+    expect(first.filters).toEqual(expect.arrayContaining([
+      'scale=1920:1080:force_original_aspect_ratio=decrease',
+      expect.stringMatching(/^drawtext=.*textfile='.*label0\.txt'$/),
+      expect.stringMatching(/^drawtext=.*%\{pts\\:localtime\\:\d+\}/)
+    ]));
+    // One piece has no audio track, so the export has none
+    expect(first.outputOpts).toContain('-an');
+  });
+
+  test('fails the job when a piece cannot be encoded', async () => {
+    createExporter();
+    const failed = jest.fn();
+    exporter.on('jobFailed', failed);
+    ffmpeg.hold(command => command.input.endsWith(CLIP));
+
+    const job = exporter.createJob({ recordings: [CLIP] });
+    await waitFor(() => encodes().length === 1 && encodes()[0].running);
+    encodes()[0].fail('Invalid data found when processing input');
+    await finished(job.id);
+
+    expect(job.status).toBe(ExportStatus.FAILED);
+    expect(job.error).toBe('Invalid data found when processing input');
+    expect(failed).toHaveBeenCalledWith(job);
+    expect(exporter.getFilePath(job.id)).toBeNull();
+  });
+
+  test('cancels a running job and goes on with the next one', async () => {
+    createExporter();
+    ffmpeg.hold(command => command.input.endsWith(SEGMENT));
+
+    const running = exporter.createJob({ recordings: [SEGMENT] });
+    const queued = exporter.createJob({ recordings: [CLIP] });
+    await waitFor(() => encodes().length === 1 && encodes()[0].running);
+
+    await expect(exporter.deleteJob(running.id)).resolves.toBe(true);
+    await finished(queued.id);
+
+    expect(encodes()[0].killedWith).toBe('SIGTERM');
+    expect(exporter.getJob(running.id)).toBeNull();
+    expect(fs.existsSync(path.join(exportPath, `${running.id}.mp4`))).toBe(false);
+    expect(queued.status).toBe(ExportStatus.COMPLETED);
+  });
+
+  test('encodes only with a free slot of the shared encoder limiter', async () => {
+    const encodeLimiter = new ConcurrencyLimiter(1);
+    const release = encodeLimiter.tryAcquire();
+    createExporter({}, { encodeLimiter });
+
+    const job = exporter.createJob({ recordings: [CLIP] });
+    await new Promise(resolve => setTimeout(resolve, 50));
+    expect(job.status).toBe(ExportStatus.RUNNING);
+    expect(encodes().filter(command => command.running || fs.existsSync(command.outputPath))).toEqual([]);
+
+    release();
+    await finished(job.id);
+    expect(job.status).toBe(ExportStatus.COMPLETED);
+  });
+});
@@ -0,0 +1,239 @@
+/**
+ * ASTROSURVEILLANCE - Continuous Recorder Module
+ *
+ * Records cameras 24/7 into fixed-length segments with FFmpeg's segment
+ * muxer, alongside motion-triggered event clips.
+ *
+ * - Video is copied without re-encoding; audio is converted to AAC so any
+ *   camera audio codec fits in MP4
+ * - Segments are fragmented MP4, so a segment cut short by a crash or
+ *   restart is still playable
+ * - Segment boundaries are aligned to the wall clock (segment_atclocktime)
+ * - A segment is reported as 'segment' once FFmpeg opens the next one
+ * - Segments that overlap motion are flagged with hasMotion
+ */
+
+const EventEmitter = require('events');
+const ffmpeg = require('fluent-ffmpeg');
+const fs = require('fs');
+const path = require('path');
+const Logger = require('../utils/Logger');
+const { parseVideoFilename } = require('../shared/types');
+
+class ContinuousRecorder extends EventEmitter {
+  constructor(config = {}) {
+    super();
+
+    this.config = {
+      basePath: path.resolve(config.basePath || './recordings'),
+      segmentSeconds: config.segmentSeconds || 300,
+      reconnectDelayMs: config.reconnectDelayMs || 10000
+    };
+
+    // Active recorders per camera
+    this.streams = new Map();
+
+    Logger.info('ContinuousRecorder initialized', this.config);
+  }
+
+  /**
+   * Start recording a camera continuously
+   * @param {string} cameraId
+   * @param {string} rtspUrl
+   */
+  start(cameraId, rtspUrl) {
+    const existing = this.streams.get(cameraId);
+    if (existing) {
+      if (existing.rtspUrl === rtspUrl) return;
+      this.stop(cameraId);
+    }
+
+    fs.mkdirSync(this.config.basePath, { recursive: true });
+
+    const stream = {
+      cameraId,
+      rtspUrl,
+      command: null,
+      current: null,
+      motionActive: false,
+      stopped: false,
+      reconnectTimer: null
+    };
+
+    this.streams.set(cameraId, stream);
+    this._run(stream);
+
+    Logger.info('Continuous recording started', { cameraId, segmentSeconds: this.config.segmentSeconds });
+  }
+
+  /**
+   * Stop recording a camera; the open segment is reported as finished
+   * @param {string} cameraId
+   */
+  stop(cameraId) {
+    const stream = this.streams.get(cameraId);
+    if (!stream) return;
+
+    stream.stopped = true;
+    clearTimeout(stream.reconnectTimer);
+
+    if (stream.command) {
+      try {
+        stream.command.kill('SIGKILL');
+      } catch (err) {
+        Logger.warn('Error stopping continuous FFmpeg', { cameraId, error: err.message });
+      }
+      stream.command = null;
+    }
+
+    this._closeSegment(stream);
+    this.streams.delete(cameraId);
+
+    Logger.info('Continuous recording stopped', { cameraId });
+  }
+
+  /**
+   * Stop all continuous recordings
+   */
+  stopAll() {
+    for (const [cameraId] of this.streams) {
+      this.stop(cameraId);
+    }
+  }
+
+  /**
+   * Check if a camera is recorded continuously
+   * @param {string} cameraId
+   * @returns {boolean}
+   */
+  isRunning(cameraId) {
+    return this.streams.has(cameraId);
+  }
+
+  /**
+   * Track motion so overlapping segments are flagged
+   * @param {string} cameraId
+   * @param {boolean} active - True on MOTION_START, false on MOTION_END
+   */
+  setMotion(cameraId, active) {
+    const stream = this.streams.get(cameraId);
+    if (!stream) return;
+
+    stream.motionActive = active;
+    if (active && stream.current) {
+      stream.current.hasMotion = true;
+    }
+  }
+
+  /**
+   * Get the segment being written for a camera
+   * @param {string} cameraId
+   * @returns {Object|null} { filename, timestamp, hasMotion }
+   */
+  getCurrentSegment(cameraId) {
+    const stream = this.streams.get(cameraId);
+    if (!stream || !stream.current) return null;
+
+    return {
+      filename: stream.current.filename,
+      timestamp: stream.current.startTime.toISOString(),
+      hasMotion: stream.current.hasMotion
+    };
+  }
+
+  /**
+   * Run the segmenting FFmpeg process
+   * @private
+   */
+  _run(stream) {
+    // Same naming as event clips (local time) plus a suffix, see parseVideoFilename
+    const pattern = path.join(this.config.basePath, `${stream.cameraId}_%Y-%m-%d_%H-%M-%S_continuous.mp4`);
+
+    const command = ffmpeg(stream.rtspUrl)
+      .inputOptions(['-rtsp_transport tcp', '-stimeout 5000000'])
+      .outputOptions([
+        '-c:v copy',
+        '-c:a aac',
+        '-f segment',
+        `-segment_time ${this.config.segmentSeconds}`,
+        '-segment_atclocktime 1',
+        '-segment_format mp4',
+        '-segment_format_options movflags=+frag_keyframe+empty_moov+default_base_moof',
+        '-reset_timestamps 1',
+        '-strftime 1'
+      ])
+      .output(pattern)
+      .on('start', (cmd) => {
+        Logger.debug('Continuous FFmpeg started', { cameraId: stream.cameraId, command: cmd });
+      })
+      .on('stderr', (line) => {
+        const match = line.match(/Opening '(.+)' for writing/);
+        if (match) {
+          this._openSegment(stream, path.basename(match[1]));
+        }
+      })
+      .on('error', (err) => {
+        if (stream.stopped) return;
+        Logger.warn('Continuous FFmpeg error', { cameraId: stream.cameraId, error: err.message });
+        this._onStreamEnd(stream);
+      })
+      .on('end', () => {
+        Logger.debug('Continuous FFmpeg finished', { cameraId: stream.cameraId });
+        this._onStreamEnd(stream);
+      });
+
+    stream.command = command;
+    command.run();
+  }
+
+  /**
+   * FFmpeg started a new segment - the previous one is complete
+   * @private
+   */
+  _openSegment(stream, filename) {
+    this._closeSegment(stream);
+
+    const parsed = parseVideoFilename(filename);
+    stream.current = {
+      filename,
+      startTime: parsed ? parsed.timestamp : new Date(),
+      hasMotion: stream.motionActive
+    };
+  }
+
+  /**
+   * Report the open segment as finished
+   * @private
+   */
+  _closeSegment(stream) {
+    const segment = stream.current;
+    if (!segment) return;
+    stream.current = null;
+
+    this.emit('segment', stream.cameraId, {
+      filename: segment.filename,
+      timestamp: segment.startTime.toISOString(),
+      duration: Math.round((Date.now() - segment.startTime.getTime()) / 1000),
+      hasMotion: segment.hasMotion
+    });
+  }
+
+  /**
+   * Close the open segment and reconnect after the stream ended
+   * @private
+   */
+  _onStreamEnd(stream) {
+    stream.command = null;
+    this._closeSegment(stream);
+    if (stream.stopped) return;
+
+    clearTimeout(stream.reconnectTimer);
+    stream.reconnectTimer = setTimeout(() => {
+      if (stream.stopped) return;
+      Logger.info('Reconnecting continuous recording', { cameraId: stream.cameraId });
+      this._run(stream);
+    }, this.config.reconnectDelayMs);
+  }
+}
+
+module.exports = ContinuousRecorder;
@@ -0,0 +1,123 @@
+jest.mock('fluent-ffmpeg');
+jest.mock('../utils/Logger');
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const ffmpeg = require('fluent-ffmpeg');
+const ContinuousRecorder = require('./ContinuousRecorder');
+
+const RTSP_URL = 'rtsp://camera.local/stream';
+const FIRST = 'CAM01_2026-01-04_14-30-00_continuous.mp4';
+const SECOND = 'CAM01_2026-01-04_14-35-00_continuous.mp4';
+const THIRD = 'CAM01_2026-01-04_14-40-00_continuous.mp4';
+
+/**
+ * Poll until a condition holds
+ */
+async function waitFor(condition, timeoutMs = 5000) {
+  const deadline = Date.now() + timeoutMs;
+  while (!condition()) {
+    if (Date.now() > deadline) throw new Error('Timed out waiting for condition');
+    await new Promise(resolve => setTimeout(resolve, 20));
+  }
+}
+
+describe('ContinuousRecorder', () => {
+  let basePath;
+  let recorder;
+  let segments;
+
+  beforeEach(() => {
+    basePath = fs.mkdtempSync(path.join(os.tmpdir(), 'continuous-test-'));
+    recorder = new ContinuousRecorder({ basePath, segmentSeconds: 300, reconnectDelayMs: 50 });
+    segments = [];
+    recorder.on('segment', (cameraId, segment) => segments.push({ cameraId, ...segment }));
+  });
+
+  afterEach(() => {
+    recorder.stopAll();
+    ffmpeg.reset();
+    fs.rmSync(basePath, { recursive: true, force: true });
+  });
+
+  /**
+   * Make the running FFmpeg command log that it opened a segment
+   */
+  function openSegment(filename) {
+    const command = ffmpeg.commands[ffmpeg.commands.length - 1];
+    command.emit('stderr', `[segment @ 0x55d1] Opening '${path.join(basePath, filename)}' for writing`);
+  }
+
+  test('records the stream into clock-aligned segments named like event clips', () => {
+    recorder.start('CAM01', RTSP_URL);
+
+    const [command] = ffmpeg.commands;
+    expect(command.input).toBe(RTSP_URL);
+    expect(command.outputOpts).toEqual(expect.arrayContaining(['-c:v copy', '-segment_time 300', '-segment_atclocktime 1']));
+    expect(command.outputPath).toBe(path.join(basePath, 'CAM01_%Y-%m-%d_%H-%M-%S_continuous.mp4'));
+  });
+
+  test('reports a segment once FFmpeg opens the next one', () => {
+    recorder.start('CAM01', RTSP_URL);
+
+    openSegment(FIRST);
+    expect(segments).toEqual([]);
+    expect(recorder.getCurrentSegment('CAM01')).toEqual({
+      filename: FIRST,
+      timestamp: new Date(2026, 0, 4, 14, 30, 0).toISOString(),
+      hasMotion: false
+    });
+
+    openSegment(SECOND);
+    expect(segments).toEqual([expect.objectContaining({
+      cameraId: 'CAM01',
+      filename: FIRST,
+      timestamp: new Date(2026, 0, 4, 14, 30, 0).toISOString(),
+      hasMotion: false
+    })]);
+    expect(recorder.getCurrentSegment('CAM01').filename).toBe(SECOND);
+  });
+
+  test('flags the segments that overlap motion', () => {
+    recorder.start('CAM01', RTSP_URL);
+
+    openSegment(FIRST);
+    recorder.setMotion('CAM01', true);
+    openSegment(SECOND);
+    recorder.setMotion('CAM01', false);
+    openSegment(THIRD);
+    recorder.stop('CAM01');
+
+    expect(segments.map(segment => [segment.filename, segment.hasMotion])).toEqual([
+      [FIRST, true],
+      [SECOND, true],
+      [THIRD, false]
+    ]);
+  });
+
+  test('reports the open segment and reconnects when the stream ends', async () => {
+    recorder.start('CAM01', RTSP_URL);
+    openSegment(FIRST);
+
+    ffmpeg.commands[0].fail();
+    await waitFor(() => ffmpeg.commands.length === 2);
+
+    expect(segments.map(segment => segment.filename)).toEqual([FIRST]);
+    expect(recorder.getCurrentSegment('CAM01')).toBeNull();
+  });
+
+  test('stops FFmpeg without reconnecting', async () => {
+    recorder.start('CAM01', RTSP_URL);
+    openSegment(FIRST);
+
+    recorder.stop('CAM01');
+
+    expect(ffmpeg.commands[0].killedWith).toBe('SIGKILL');
+    expect(segments.map(segment => segment.filename)).toEqual([FIRST]);
+    expect(recorder.isRunning('CAM01')).toBe(false);
+
+    await new Promise(resolve => setTimeout(resolve, 100));
+    expect(ffmpeg.commands).toHaveLength(1);
+  });
+});
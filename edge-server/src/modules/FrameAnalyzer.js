@@ -0,0 +1,674 @@
+/**
+ * ASTROSURVEILLANCE - Frame Analyzer Module
+ *
+ * Pulls decoded frames from camera streams (or local video files)
+ * through FFmpeg and measures how much of the picture changed.
+ *
+ * Pipeline:
+ * - FFmpeg decodes at a low FPS, scales down, blurs and outputs raw RGB
+ * - Raw frames are read from stdout
+ * - Each frame is compared with a reference inside the camera's motion zones:
+ *   the previous frame, or a background model learned over time
+ * - Global luminance shifts are flagged as lighting changes
+ * - Darker pixels that keep their chromaticity are flagged as shadows
+ * - Changed pixels are grouped into connected blobs for object-size filtering
+ * - Changed pixels are counted on a coarse grid for motion heatmaps
+ * - Results feed MotionDetector.processFrame()
+ */
+
+const EventEmitter = require('events');
+const ffmpeg = require('fluent-ffmpeg');
+const Logger = require('../utils/Logger');
+const { buildZoneMasks } = require('../utils/MotionZones');
+const { BackgroundModel } = require('../shared/types');
+
+class FrameAnalyzer extends EventEmitter {
+  constructor(config = {}) {
+    super();
+
+    this.config = {
+      fps: config.fps || 5,
+      width: config.width || 160,
+      height: config.height || 120,
+      blurRadius: config.blurRadius !== undefined ? config.blurRadius : 2,
+      pixelDiffThreshold: config.pixelDiffThreshold || 25,
+      lightingShiftThreshold: config.lightingShiftThreshold || 10,
+      lightingUniformity: config.lightingUniformity || 0.8,
+      shadowMinRatio: config.shadowMinRatio || 0.4,
+      shadowMaxRatio: config.shadowMaxRatio || 0.9,
+      shadowChromaTolerance: config.shadowChromaTolerance || 0.03,
+      shadowPixelRatio: config.shadowPixelRatio || 0.7,
+      heatmapColumns: config.heatmapColumns || 16,
+      heatmapRows: config.heatmapRows || 12,
+      backgroundDeviation: config.backgroundDeviation || 2.5,
+      blobMinPixels: config.blobMinPixels || 4,
+      maxBlobs: config.maxBlobs || 10,
+      reconnectDelayMs: config.reconnectDelayMs || 10000
+    };
+
+    // Bytes per RGB frame
+    this.frameSize = this.config.width * this.config.height * 3;
+
+    // Active analysis streams per camera
+    this.streams = new Map();
+
+    Logger.info('FrameAnalyzer initialized', this.config);
+  }
+
+  /**
+   * Start analysing a camera stream
+   * @param {string} cameraId
+   * @param {string} source - RTSP URL or local video file path
+   * @param {Object} options - { zones: motion zones to restrict analysis,
+   *                             backgroundModel, learningRate }
+   */
+  start(cameraId, source, options = {}) {
+    if (this.streams.has(cameraId)) {
+      this.stop(cameraId);
+    }
+
+    const stream = {
+      cameraId,
+      source,
+      realtime: true,
+      masks: this._buildMasks(options.zones),
+      model: this._buildModel(options),
+      background: null,
+      command: null,
+      pending: Buffer.alloc(0),
+      previousFrame: null,
+      frameIndex: 0,
+      stopped: false,
+      reconnectTimer: null,
+      onFrame: (frameData) => this.emit('frame', cameraId, frameData)
+    };
+
+    this.streams.set(cameraId, stream);
+    this._run(stream);
+
+    Logger.info('Frame analysis started', { cameraId });
+  }
+
+  /**
+   * Stop analysing a camera stream
+   * @param {string} cameraId
+   */
+  stop(cameraId) {
+    const stream = this.streams.get(cameraId);
+    if (!stream) return;
+
+    stream.stopped = true;
+    clearTimeout(stream.reconnectTimer);
+    this._killCommand(stream);
+    this.streams.delete(cameraId);
+
+    Logger.info('Frame analysis stopped', { cameraId });
+  }
+
+  /**
+   * Update the motion zones of a running stream
+   * @param {string} cameraId
+   * @param {Array} zones
+   */
+  setZones(cameraId, zones) {
+    const stream = this.streams.get(cameraId);
+    if (!stream) return;
+
+    stream.masks = this._buildMasks(zones);
+    Logger.debug('Frame analysis zones updated', { cameraId, zones: (zones || []).length });
+  }
+
+  /**
+   * Change the background model of a running stream
+   * Switching model type discards what was learned so far.
+   * @param {string} cameraId
+   * @param {Object} options - { backgroundModel, learningRate }
+   */
+  setBackgroundModel(cameraId, options) {
+    const stream = this.streams.get(cameraId);
+    if (!stream) return;
+
+    const model = this._buildModel(options);
+    if (model.type !== stream.model.type) {
+      stream.background = null;
+    }
+    stream.model = model;
+
+    Logger.debug('Background model updated', { cameraId, ...model });
+  }
+
+  /**
+   * Forget the learned background, e.g. after a camera was repositioned.
+   * The next frame becomes the new reference.
+   * @param {string} cameraId
+   * @returns {boolean} False if the camera is not being analysed
+   */
+  resetBackground(cameraId) {
+    const stream = this.streams.get(cameraId);
+    if (!stream) return false;
+
+    stream.background = null;
+    stream.previousFrame = null;
+
+    Logger.info('Background model reset', { cameraId, model: stream.model.type });
+    return true;
+  }
+
+  /**
+   * Stop all camera streams
+   */
+  stopAll() {
+    for (const [cameraId] of this.streams) {
+      this.stop(cameraId);
+    }
+  }
+
+  /**
+   * Check if a camera is being analysed
+   * @param {string} cameraId
+   * @returns {boolean}
+   */
+  isRunning(cameraId) {
+    return this.streams.has(cameraId);
+  }
+
+  /**
+   * Get the most recent decoded frame of a camera
+   * Frames are at analysis resolution and already blurred.
+   * @param {string} cameraId
+   * @returns {Object|null} { data, width, height } with RGB data
+   */
+  getLatestFrame(cameraId) {
+    const stream = this.streams.get(cameraId);
+    if (!stream || !stream.previousFrame) return null;
+
+    return {
+      data: stream.previousFrame,
+      width: this.config.width,
+      height: this.config.height
+    };
+  }
+
+  /**
+   * Analyse a local video file as fast as FFmpeg can decode it.
+   * Frame timestamps are derived from the sampling FPS so results
+   * can be replayed through MotionDetector for threshold tuning.
+   * @param {string} filePath - Path to video file
+   * @param {Object} options - { startTime: epoch ms for the first frame, zones,
+   *                             backgroundModel, learningRate }
+   * @returns {Promise<Array>} Per-frame analysis results
+   */
+  analyzeFile(filePath, options = {}) {
+    return new Promise((resolve, reject) => {
+      const results = [];
+
+      const stream = {
+        cameraId: filePath,
+        source: filePath,
+        realtime: false,
+        baseTime: options.startTime || 0,
+        masks: this._buildMasks(options.zones),
+        model: this._buildModel(options),
+        background: null,
+        command: null,
+        pending: Buffer.alloc(0),
+        previousFrame: null,
+        frameIndex: 0,
+        stopped: false,
+        onFrame: (frameData) => results.push(frameData),
+        onEnd: (err) => (err ? reject(err) : resolve(results))
+      };
+
+      this._run(stream);
+    });
+  }
+
+  /**
+   * Compare two RGB frames.
+   * With zone masks, only pixels inside the active area are counted and
+   * the change percentage is that of the busiest include zone.
+   * The heatmap grid counts changed pixels over the whole frame, including
+   * masked areas, so it can be used to decide where zones should go.
+   * @param {Buffer} previous
+   * @param {Buffer} current
+   * @param {Object} masks - Zone masks from buildZoneMasks (optional)
+   * @param {Object} options - { pixelThresholds: per-pixel difference thresholds }
+   * @returns {Object} { pixelChangePercent, motionLevel, changedPixels, zone, zones,
+   *                     hasShadow, hasLightingChange, luminanceShift, grid, blobs }
+   */
+  compareFrames(previous, current, masks = null, options = {}) {
+    const threshold = this.config.pixelDiffThreshold;
+    const pixelThresholds = options.pixelThresholds || null;
+    const active = masks ? masks.active : null;
+    const zoneMasks = masks ? masks.zones : [];
+    const zoneChanged = new Array(zoneMasks.length).fill(0);
+    const pixelCount = current.length / 3;
+    const { width, height, heatmapColumns, heatmapRows } = this.config;
+    const grid = new Array(heatmapColumns * heatmapRows).fill(0);
+    const changedMask = new Uint8Array(pixelCount);
+    let activePixels = 0;
+    let changedPixels = 0;
+    let changedDiffSum = 0;
+    let brighterPixels = 0;
+    let darkerPixels = 0;
+    let shadowPixels = 0;
+    let lumaShiftSum = 0;
+
+    for (let i = 0; i < pixelCount; i++) {
+      const o = i * 3;
+      const previousLuma = this._luma(previous, o);
+      const currentLuma = this._luma(current, o);
+      const delta = currentLuma - previousLuma;
+      const diff = Math.abs(delta);
+      const changed = diff > (pixelThresholds ? pixelThresholds[i] : threshold);
+
+      if (changed) {
+        const column = Math.floor(((i % width) * heatmapColumns) / width);
+        const row = Math.floor((Math.floor(i / width) * heatmapRows) / height);
+        grid[row * heatmapColumns + column]++;
+      }
+
+      if (active && !active[i]) continue;
+      activePixels++;
+      lumaShiftSum += delta;
+
+      if (changed) {
+        changedPixels++;
+        changedDiffSum += diff;
+        changedMask[i] = 1;
+
+        if (delta > 0) {
+          brighterPixels++;
+        } else {
+          darkerPixels++;
+          if (this._isShadowPixel(previous, current, o, previousLuma, currentLuma)) {
+            shadowPixels++;
+          }
+        }
+
+        for (let z = 0; z < zoneMasks.length; z++) {
+          if (zoneMasks[z].mask[i]) zoneChanged[z]++;
+        }
+      }
+    }
+
+    // Motion level is the average intensity of changed pixels on a 0-100 scale
+    const motionLevel = changedPixels > 0
+      ? (changedDiffSum / changedPixels / 255) * 100
+      : 0;
+
+    // Lighting change: the whole scene shifted, and almost all changed pixels moved the same way
+    const luminanceShift = activePixels > 0 ? lumaShiftSum / activePixels : 0;
+    const uniformity = changedPixels > 0
+      ? Math.max(brighterPixels, darkerPixels) / changedPixels
+      : 0;
+    const hasLightingChange = Math.abs(luminanceShift) >= this.config.lightingShiftThreshold &&
+      uniformity >= this.config.lightingUniformity;
+
+    // Shadow: most changed pixels only got darker without changing colour
+    const hasShadow = changedPixels > 0 &&
+      shadowPixels / changedPixels >= this.config.shadowPixelRatio;
+
+    const zones = zoneMasks.map((zone, z) => ({
+      name: zone.name,
+      pixelChangePercent: (zoneChanged[z] / zone.area) * 100
+    }));
+
+    // The zone with the largest share of changed pixels is the one that fired
+    const busiest = zones.reduce((top, zone) => (
+      !top || zone.pixelChangePercent > top.pixelChangePercent ? zone : top
+    ), null);
+
+    return {
+      pixelChangePercent: busiest
+        ? busiest.pixelChangePercent
+        : (activePixels > 0 ? (changedPixels / activePixels) * 100 : 0),
+      motionLevel,
+      changedPixels,
+      zone: busiest && busiest.pixelChangePercent > 0 ? busiest.name : null,
+      zones,
+      hasShadow,
+      hasLightingChange,
+      luminanceShift,
+      grid,
+      blobs: changedPixels > 0 ? this._findBlobs(changedMask) : []
+    };
+  }
+
+  /**
+   * Group changed pixels into 8-connected blobs
+   * Blobs smaller than blobMinPixels are treated as noise and dropped.
+   * @private
+   * @returns {Array} Largest blobs first: { area, areaPercent, aspectRatio,
+   *                  box: { x, y, width, height } } with box in normalized coordinates
+   */
+  _findBlobs(mask) {
+    const { width, height, blobMinPixels, maxBlobs } = this.config;
+    const stack = new Int32Array(mask.length);
+    const blobs = [];
+
+    for (let start = 0; start < mask.length; start++) {
+      if (mask[start] !== 1) continue;
+
+      // Flood fill, marking visited pixels with 2
+      let top = 0;
+      let area = 0;
+      let minX = width, minY = height, maxX = 0, maxY = 0;
+      stack[top++] = start;
+      mask[start] = 2;
+
+      while (top > 0) {
+        const i = stack[--top];
+        const x = i % width;
+        const y = (i - x) / width;
+        area++;
+        if (x < minX) minX = x;
+        if (x > maxX) maxX = x;
+        if (y < minY) minY = y;
+        if (y > maxY) maxY = y;
+
+        for (let dy = -1; dy <= 1; dy++) {
+          const ny = y + dy;
+          if (ny < 0 || ny >= height) continue;
+          for (let dx = -1; dx <= 1; dx++) {
+            const nx = x + dx;
+            if (nx < 0 || nx >= width) continue;
+            const n = ny * width + nx;
+            if (mask[n] === 1) {
+              mask[n] = 2;
+              stack[top++] = n;
+            }
+          }
+        }
+      }
+
+      if (area < blobMinPixels) continue;
+
+      const boxWidth = maxX - minX + 1;
+      const boxHeight = maxY - minY + 1;
+      blobs.push({
+        area,
+        areaPercent: (area / (width * height)) * 100,
+        aspectRatio: boxWidth / boxHeight,
+        box: {
+          x: minX / width,
+          y: minY / height,
+          width: boxWidth / width,
+          height: boxHeight / height
+        }
+      });
+    }
+
+    return blobs.sort((a, b) => b.area - a.area).slice(0, maxBlobs);
+  }
+
+  /**
+   * Luma (BT.601) of the RGB pixel at byte offset o
+   * @private
+   */
+  _luma(frame, o) {
+    return (77 * frame[o] + 150 * frame[o + 1] + 29 * frame[o + 2]) >> 8;
+  }
+
+  /**
+   * A shadow pixel got darker by a bounded ratio while keeping its chromaticity
+   * @private
+   */
+  _isShadowPixel(previous, current, o, previousLuma, currentLuma) {
+    if (previousLuma === 0) return false;
+
+    const ratio = currentLuma / previousLuma;
+    if (ratio < this.config.shadowMinRatio || ratio > this.config.shadowMaxRatio) {
+      return false;
+    }
+
+    const previousSum = previous[o] + previous[o + 1] + previous[o + 2];
+    const currentSum = current[o] + current[o + 1] + current[o + 2];
+    if (previousSum === 0 || currentSum === 0) return false;
+
+    const tolerance = this.config.shadowChromaTolerance;
+    const redShift = Math.abs(current[o] / currentSum - previous[o] / previousSum);
+    const greenShift = Math.abs(current[o + 1] / currentSum - previous[o + 1] / previousSum);
+
+    return redShift <= tolerance && greenShift <= tolerance;
+  }
+
+  /**
+   * Build and start the FFmpeg decode process for a stream
+   * @private
+   */
+  _run(stream) {
+    const { fps, width, height, blurRadius } = this.config;
+
+    const filters = [
+      `fps=${fps}`,
+      `scale=${width}:${height}`
+    ];
+
+    if (blurRadius > 0) {
+      filters.push(`boxblur=${blurRadius}:1`);
+    }
+
+    filters.push('format=rgb24');
+
+    const inputOptions = /^rtsps?:\/\//.test(stream.source)
+      ? ['-rtsp_transport tcp', '-stimeout 5000000']
+      : [];
+
+    stream.pending = Buffer.alloc(0);
+    stream.previousFrame = null;
+
+    const command = ffmpeg(stream.source)
+      .inputOptions(inputOptions)
+      .noAudio()
+      .videoFilters(filters)
+      .outputOptions(['-f rawvideo', '-pix_fmt rgb24'])
+      .on('start', (cmd) => {
+        Logger.debug('Frame analysis FFmpeg started', { cameraId: stream.cameraId, command: cmd });
+      })
+      .on('error', (err) => {
+        if (stream.stopped) return;
+        Logger.warn('Frame analysis FFmpeg error', { cameraId: stream.cameraId, error: err.message });
+        this._onStreamEnd(stream, err);
+      })
+      .on('end', () => {
+        Logger.debug('Frame analysis FFmpeg finished', { cameraId: stream.cameraId });
+        this._onStreamEnd(stream, null);
+      });
+
+    stream.command = command;
+
+    const output = command.pipe();
+    output.on('data', (chunk) => this._onData(stream, chunk));
+  }
+
+  /**
+   * Split raw FFmpeg output into whole frames
+   * @private
+   */
+  _onData(stream, chunk) {
+    if (stream.stopped) return;
+
+    stream.pending = Buffer.concat([stream.pending, chunk]);
+
+    while (stream.pending.length >= this.frameSize) {
+      const frame = Buffer.from(stream.pending.subarray(0, this.frameSize));
+      stream.pending = stream.pending.subarray(this.frameSize);
+      this._onFrame(stream, frame);
+    }
+  }
+
+  /**
+   * Compare a decoded frame with the previous one
+   * @private
+   */
+  _onFrame(stream, frame) {
+    const timestamp = stream.realtime
+      ? Date.now()
+      : stream.baseTime + Math.round(stream.frameIndex * 1000 / this.config.fps);
+
+    const index = stream.frameIndex++;
+    const previous = stream.previousFrame;
+    stream.previousFrame = frame;
+
+    const result = stream.model.type === BackgroundModel.FRAME_DIFF
+      ? (previous ? this.compareFrames(previous, frame, stream.masks) : null)
+      : this._compareWithBackground(stream, frame);
+
+    // First frame only establishes the reference
+    if (!result) return;
+
+    stream.onFrame({
+      index,
+      timestamp,
+      pixelChangePercent: result.pixelChangePercent,
+      motionLevel: result.motionLevel,
+      zone: result.zone,
+      zones: result.zones,
+      hasShadow: result.hasShadow,
+      hasLightingChange: result.hasLightingChange,
+      luminanceShift: result.luminanceShift,
+      grid: result.grid,
+      blobs: result.blobs
+    });
+  }
+
+  /**
+   * Compare a frame with the learned background, then learn from it
+   * @private
+   */
+  _compareWithBackground(stream, frame) {
+    const background = stream.background;
+
+    if (!background) {
+      stream.background = this._createBackground(frame, stream.model.type);
+      return null;
+    }
+
+    const result = this.compareFrames(background.reference, frame, stream.masks, {
+      pixelThresholds: background.thresholds
+    });
+
+    if (result.hasLightingChange) {
+      // Relearn at once rather than firing until the average catches up
+      stream.background = this._createBackground(frame, stream.model.type);
+    } else {
+      this._updateBackground(background, frame, stream.model.learningRate);
+    }
+
+    return result;
+  }
+
+  /**
+   * Start a background model from a single frame
+   * @private
+   */
+  _createBackground(frame, type) {
+    const pixelCount = frame.length / 3;
+    const gaussian = type === BackgroundModel.GAUSSIAN;
+
+    return {
+      mean: Float32Array.from(frame),
+      reference: Buffer.from(frame),
+      variance: gaussian ? new Float32Array(pixelCount) : null,
+      thresholds: gaussian ? new Float32Array(pixelCount).fill(this.config.pixelDiffThreshold) : null
+    };
+  }
+
+  /**
+   * Blend a frame into the background.
+   * The gaussian model also tracks per-pixel luma variance, so pixels that
+   * flicker on their own (foliage, water, screens) need a larger change to count.
+   * Variance learns ten times slower where the pixel is currently foreground,
+   * so people walking through do not raise the threshold behind them.
+   * @private
+   */
+  _updateBackground(background, frame, learningRate) {
+    const { mean, reference, variance, thresholds } = background;
+    const { pixelDiffThreshold, backgroundDeviation } = this.config;
+    const pixelCount = frame.length / 3;
+
+    for (let i = 0; i < pixelCount; i++) {
+      const o = i * 3;
+
+      if (variance) {
+        const meanLuma = (77 * mean[o] + 150 * mean[o + 1] + 29 * mean[o + 2]) / 256;
+        const deviation = this._luma(frame, o) - meanLuma;
+        const rate = Math.abs(deviation) > thresholds[i] ? learningRate / 10 : learningRate;
+        variance[i] += rate * (deviation * deviation - variance[i]);
+        thresholds[i] = Math.max(pixelDiffThreshold, backgroundDeviation * Math.sqrt(variance[i]));
+      }
+
+      for (let c = 0; c < 3; c++) {
+        mean[o + c] += learningRate * (frame[o + c] - mean[o + c]);
+        reference[o + c] = Math.round(mean[o + c]);
+      }
+    }
+  }
+
+  /**
+   * Normalize background model options
+   * @private
+   */
+  _buildModel(options = {}) {
+    return {
+      type: options.backgroundModel || BackgroundModel.FRAME_DIFF,
+      learningRate: options.learningRate || 0.02
+    };
+  }
+
+  /**
+   * Handle FFmpeg exit - reconnect live streams, settle file analysis
+   * @private
+   */
+  _onStreamEnd(stream, err) {
+    stream.command = null;
+
+    if (!stream.realtime) {
+      stream.onEnd(err);
+      return;
+    }
+
+    if (stream.stopped) return;
+
+    // Live streams should never end - schedule reconnection
+    clearTimeout(stream.reconnectTimer);
+    stream.reconnectTimer = setTimeout(() => {
+      if (stream.stopped) return;
+      Logger.info('Reconnecting frame analysis', { cameraId: stream.cameraId });
+      this._run(stream);
+    }, this.config.reconnectDelayMs);
+  }
+
+  /**
+   * Build zone masks at the analysis resolution
+   * Zones that cannot be rasterized leave the whole frame active
+   * rather than silencing the camera.
+   * @private
+   */
+  _buildMasks(zones) {
+    try {
+      return buildZoneMasks(zones, this.config.width, this.config.height);
+    } catch (err) {
+      Logger.warn('Ignoring invalid motion zones', { error: err.message });
+      return null;
+    }
+  }
+
+  /**
+   * Kill a running FFmpeg process
+   * @private
+   */
+  _killCommand(stream) {
+    if (!stream.command) return;
+
+    try {
+      stream.command.kill('SIGKILL');
+    } catch (err) {
+      Logger.warn('Error stopping frame analysis FFmpeg', { cameraId: stream.cameraId, error: err.message });
+    }
+    stream.command = null;
+  }
+}
+
+module.exports = FrameAnalyzer;
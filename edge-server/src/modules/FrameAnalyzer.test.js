@@ -0,0 +1,156 @@
+jest.mock('../utils/Logger');
+
+const FrameAnalyzer = require('./FrameAnalyzer');
+const { buildZoneMasks } = require('../utils/MotionZones');
+
+const WIDTH = 16;
+const HEIGHT = 12;
+
+/**
+ * RGB frame filled with one colour
+ */
+function solidFrame(r, g, b) {
+  const frame = Buffer.alloc(WIDTH * HEIGHT * 3);
+  for (let i = 0; i < WIDTH * HEIGHT; i++) {
+    frame[i * 3] = r;
+    frame[i * 3 + 1] = g;
+    frame[i * 3 + 2] = b;
+  }
+  return frame;
+}
+
+/**
+ * Copy of a frame with a rectangle painted in another colour
+ */
+function paintRect(frame, x, y, width, height, [r, g, b]) {
+  const copy = Buffer.from(frame);
+  for (let row = y; row < y + height; row++) {
+    for (let col = x; col < x + width; col++) {
+      const o = (row * WIDTH + col) * 3;
+      copy[o] = r;
+      copy[o + 1] = g;
+      copy[o + 2] = b;
+    }
+  }
+  return copy;
+}
+
+describe('FrameAnalyzer.compareFrames', () => {
+  let analyzer;
+
+  beforeEach(() => {
+    analyzer = new FrameAnalyzer({ width: WIDTH, height: HEIGHT, heatmapColumns: 4, heatmapRows: 3 });
+  });
+
+  test('reports no change for identical frames', () => {
+    const frame = solidFrame(100, 100, 100);
+    const result = analyzer.compareFrames(frame, Buffer.from(frame));
+
+    expect(result.pixelChangePercent).toBe(0);
+    expect(result.changedPixels).toBe(0);
+    expect(result.motionLevel).toBe(0);
+    expect(result.blobs).toEqual([]);
+    expect(result.hasShadow).toBe(false);
+    expect(result.hasLightingChange).toBe(false);
+  });
+
+  test('measures a moving object as a single blob', () => {
+    const background = solidFrame(40, 40, 40);
+    const current = paintRect(background, 2, 3, 4, 3, [80, 80, 80]);
+    const result = analyzer.compareFrames(background, current);
+
+    expect(result.changedPixels).toBe(12);
+    expect(result.pixelChangePercent).toBeCloseTo((12 / (WIDTH * HEIGHT)) * 100);
+    expect(result.hasLightingChange).toBe(false);
+    expect(result.blobs).toHaveLength(1);
+    expect(result.blobs[0]).toMatchObject({ area: 12, aspectRatio: 4 / 3 });
+    expect(result.blobs[0].box).toEqual({ x: 2 / WIDTH, y: 3 / HEIGHT, width: 4 / WIDTH, height: 3 / HEIGHT });
+  });
+
+  test('separates disconnected objects, largest first, and drops noise', () => {
+    const background = solidFrame(40, 40, 40);
+    let current = paintRect(background, 0, 0, 2, 2, [80, 80, 80]);
+    current = paintRect(current, 8, 6, 4, 4, [80, 80, 80]);
+    current = paintRect(current, 15, 0, 1, 1, [80, 80, 80]);
+    const result = analyzer.compareFrames(background, current);
+
+    expect(result.blobs.map(blob => blob.area)).toEqual([16, 4]);
+  });
+
+  test('counts changed pixels on the heatmap grid', () => {
+    const background = solidFrame(40, 40, 40);
+    const current = paintRect(background, 0, 0, 4, 4, [80, 80, 80]);
+    const result = analyzer.compareFrames(background, current);
+
+    expect(result.grid).toHaveLength(12);
+    expect(result.grid[0]).toBe(16);
+    expect(result.grid.slice(1).every(count => count === 0)).toBe(true);
+  });
+
+  test('flags a uniform brightness shift as a lighting change', () => {
+    const result = analyzer.compareFrames(solidFrame(60, 60, 60), solidFrame(160, 160, 160));
+
+    expect(result.pixelChangePercent).toBe(100);
+    expect(result.hasLightingChange).toBe(true);
+    expect(result.luminanceShift).toBeGreaterThan(90);
+  });
+
+  test('flags darkening that keeps its colour as a shadow', () => {
+    const background = solidFrame(200, 150, 100);
+    const current = paintRect(background, 4, 4, 6, 4, [120, 90, 60]);
+    const result = analyzer.compareFrames(background, current);
+
+    expect(result.changedPixels).toBe(24);
+    expect(result.hasShadow).toBe(true);
+    expect(result.hasLightingChange).toBe(false);
+  });
+
+  test('does not flag a darker object of another colour as a shadow', () => {
+    const background = solidFrame(200, 150, 100);
+    const current = paintRect(background, 4, 4, 6, 4, [20, 90, 140]);
+    const result = analyzer.compareFrames(background, current);
+
+    expect(result.changedPixels).toBe(24);
+    expect(result.hasShadow).toBe(false);
+  });
+
+  test('only counts changes inside zone masks and names the zone that fired', () => {
+    const masks = buildZoneMasks([
+      { name: 'Left', type: 'include', points: [{ x: 0, y: 0 }, { x: 0.5, y: 0 }, { x: 0.5, y: 1 }, { x: 0, y: 1 }] },
+      { name: 'Right', type: 'include', points: [{ x: 0.5, y: 0 }, { x: 1, y: 0 }, { x: 1, y: 1 }, { x: 0.5, y: 1 }] }
+    ], WIDTH, HEIGHT);
+    const background = solidFrame(40, 40, 40);
+    const current = paintRect(background, 10, 2, 4, 4, [80, 80, 80]);
+    const result = analyzer.compareFrames(background, current, masks);
+
+    expect(result.zone).toBe('Right');
+    expect(result.zones).toEqual([
+      { name: 'Left', pixelChangePercent: 0 },
+      { name: 'Right', pixelChangePercent: (16 / 96) * 100 }
+    ]);
+    expect(result.pixelChangePercent).toBeCloseTo((16 / 96) * 100);
+  });
+
+  test('ignores changes in excluded areas but still counts them on the heatmap', () => {
+    const masks = buildZoneMasks([
+      { name: 'Clock', type: 'exclude', points: [{ x: 0, y: 0 }, { x: 0.5, y: 0 }, { x: 0.5, y: 0.5 }, { x: 0, y: 0.5 }] }
+    ], WIDTH, HEIGHT);
+    const background = solidFrame(40, 40, 40);
+    const current = paintRect(background, 0, 0, 4, 4, [80, 80, 80]);
+    const result = analyzer.compareFrames(background, current, masks);
+
+    expect(result.changedPixels).toBe(0);
+    expect(result.pixelChangePercent).toBe(0);
+    expect(result.zone).toBeNull();
+    expect(result.grid[0]).toBe(16);
+  });
+
+  test('uses per-pixel thresholds when given', () => {
+    const background = solidFrame(100, 100, 100);
+    const current = solidFrame(130, 130, 130);
+    const thresholds = new Float32Array(WIDTH * HEIGHT).fill(50);
+
+    expect(analyzer.compareFrames(background, current).changedPixels).toBe(WIDTH * HEIGHT);
+    expect(analyzer.compareFrames(background, current, null, { pixelThresholds: thresholds }).changedPixels).toBe(0);
+  });
+});
@@ -9,11 +9,30 @@
  * - Motion must persist for at least 300ms
  * - Pixel change must exceed 5% of frame
  * - Ignores shadows and lighting changes
+ * - Optionally requires a changed-pixel blob of human/vehicle size and shape
+ *
+ * Suppressed false triggers are emitted as 'motion' events of type
+ * FALSE_POSITIVE with the MotionRejectReason, once per run of rejected frames.
+ *
+ * Where motion happens is accumulated into hourly heatmap grids, emitted
+ * as 'heatmap' (cameraId, { hourStart, columns, rows, cells, frameCount })
+ * deltas for persistence.
  */
 
 const EventEmitter = require('events');
 const Logger = require('../utils/Logger');
-const { MotionEventType } = require('../shared/types');
+const FrameAnalyzer = require('./FrameAnalyzer');
+const { resolveStreamUrl } = require('../utils/StreamProfiles');
+const { MotionEventType, MotionRejectReason, BackgroundModel, StreamRole } = require('../shared/types');
+
+// Suppressed rejection reasons and the counter each one increments
+const SUPPRESSION_COUNTERS = {
+  [MotionRejectReason.SHADOW]: 'shadow',
+  [MotionRejectReason.LIGHTING_CHANGE]: 'lightingChange',
+  [MotionRejectReason.BLOB_TOO_SMALL]: 'blobSize',
+  [MotionRejectReason.BLOB_TOO_LARGE]: 'blobSize',
+  [MotionRejectReason.BLOB_ASPECT]: 'blobAspect'
+};
 
 class MotionDetector extends EventEmitter {
   constructor(config) {
@@ -25,7 +44,21 @@ class MotionDetector extends EventEmitter {
       minPixelChangePercent: config.minPixelChangePercent || 5,
       ignoreShadows: config.ignoreShadows !== false,
       ignoreLightingChanges: config.ignoreLightingChanges !== false,
-      sensitivityLevel: config.sensitivityLevel || 'medium'
+      sensitivityLevel: config.sensitivityLevel || 'medium',
+      backgroundModel: config.backgroundModel || BackgroundModel.FRAME_DIFF,
+      learningRate: config.learningRate || 0.02,
+      // Blob filters are off unless configured (area in % of frame, aspect = width / height)
+      minBlobAreaPercent: config.minBlobAreaPercent ?? null,
+      maxBlobAreaPercent: config.maxBlobAreaPercent ?? null,
+      minAspectRatio: config.minAspectRatio ?? null,
+      maxAspectRatio: config.maxAspectRatio ?? null,
+      analysisEnabled: config.analysis?.enabled !== false,
+      heatmap: {
+        enabled: config.heatmap?.enabled !== false,
+        columns: config.heatmap?.columns || 16,
+        rows: config.heatmap?.rows || 12,
+        flushIntervalMs: config.heatmap?.flushIntervalMs || 300000
+      }
     };
     
     // Active camera streams
@@ -34,6 +67,10 @@ class MotionDetector extends EventEmitter {
     // Motion state per camera
     this.motionState = new Map();
     
+    // Heatmap counts not yet emitted, per camera
+    this.heatmaps = new Map();
+    this.heatmapTimer = null;
+    
     // Sensitivity multipliers
     this.sensitivityMap = {
       low: 1.5,
@@ -41,15 +78,28 @@ class MotionDetector extends EventEmitter {
       high: 0.6
     };
     
+    // Frame differencing engine for RTSP streams
+    this.frameAnalyzer = new FrameAnalyzer({
+      ...config.analysis,
+      heatmapColumns: this.config.heatmap.columns,
+      heatmapRows: this.config.heatmap.rows
+    });
+    this.frameAnalyzer.on('frame', (cameraId, frameData) => {
+      this.processFrame(cameraId, frameData);
+    });
+    
     Logger.info('MotionDetector initialized', this.config);
   }
   
   /**
    * Attach a camera for motion detection
-   * @param {Object} camera - Camera object with id and streamUrl
+   * @param {Object} camera - Camera object with id, rtspUrl (or stream profiles), motionZones and motionSettings
    */
   attachCamera(camera) {
-    const { id, rtspUrl } = camera;
+    const { id, motionZones, motionSettings } = camera;
+    
+    // Analyse the camera's analysis stream (usually the low-resolution sub-stream)
+    const rtspUrl = resolveStreamUrl(camera, StreamRole.ANALYSIS);
     
     if (this.cameras.has(id)) {
       Logger.warn('Camera already attached', { cameraId: id });
@@ -60,6 +110,8 @@ class MotionDetector extends EventEmitter {
       id,
       rtspUrl,
       enabled: true,
+      zones: motionZones || [],
+      settings: motionSettings || {},
       lastFrameTime: null
     });
     
@@ -67,13 +119,16 @@ class MotionDetector extends EventEmitter {
       isMotionActive: false,
       motionStartTime: null,
       lastMotionLevel: 0,
-      consecutiveFrames: 0
+      lastZone: null,
+      consecutiveFrames: 0,
+      cameraMotionActive: false,
+      eventStartTime: null,
+      suppressedReason: null,
+      suppressed: this._emptySuppressionStats()
     });
     
     Logger.info('Camera attached for motion detection', { cameraId: id });
     
-    // In production, this would connect to RTSP stream
-    // For now, we'll simulate with camera API callbacks
     this._startMonitoring(id);
   }
   
@@ -82,33 +137,46 @@ class MotionDetector extends EventEmitter {
    * @param {string} cameraId
    */
   detachCamera(cameraId) {
+    this.frameAnalyzer.stop(cameraId);
+    this._flushHeatmap(cameraId);
     this.cameras.delete(cameraId);
     this.motionState.delete(cameraId);
     Logger.info('Camera detached from motion detection', { cameraId });
   }
   
   /**
-   * Start monitoring a camera (simulation/placeholder for real implementation)
+   * Start monitoring a camera
+   * Streams with an RTSP URL are analysed frame by frame; cameras with
+   * built-in motion detection report through onCameraMotionEvent instead.
    * @private
    */
   _startMonitoring(cameraId) {
-    // In production, this would:
-    // 1. Connect to camera RTSP stream
-    // 2. Use OpenCV or similar for frame analysis
-    // 3. Compare consecutive frames for motion
-    
-    // For cameras with built-in motion detection API (ONVIF),
-    // we would subscribe to their motion events instead
-    Logger.debug('Started monitoring camera', { cameraId });
+    const camera = this.cameras.get(cameraId);
+    
+    if (this.config.analysisEnabled && camera.rtspUrl) {
+      const { backgroundModel, learningRate } = this.getSettings(cameraId);
+      this.frameAnalyzer.start(cameraId, camera.rtspUrl, {
+        zones: camera.zones,
+        backgroundModel,
+        learningRate
+      });
+    }
+    
+    Logger.debug('Started monitoring camera', {
+      cameraId,
+      frameAnalysis: this.frameAnalyzer.isRunning(cameraId)
+    });
   }
   
   /**
    * Process motion event from camera API (ONVIF or similar)
-   * Called when camera sends motion alert
+   * Called when camera sends motion alert. The camera's own detector has
+   * already validated the motion, so frame count and duration rules are skipped.
    * @param {string} cameraId
    * @param {Object} eventData - Motion event data from camera
+   *                             { isMotion, timestamp, motionLevel, source }
    */
-  onCameraMotionEvent(cameraId, eventData) {
+  onCameraMotionEvent(cameraId, eventData = {}) {
     if (!this.cameras.has(cameraId)) {
       Logger.warn('Motion event from unknown camera', { cameraId });
       return;
@@ -120,8 +188,36 @@ class MotionDetector extends EventEmitter {
       return;
     }
     
-    // Process the motion event
-    this._processMotion(cameraId, eventData);
+    const state = this.motionState.get(cameraId);
+    const now = eventData.timestamp ?? Date.now();
+    
+    if (eventData.isMotion === false) {
+      state.cameraMotionActive = false;
+      this._processNoMotion(cameraId, now);
+      return;
+    }
+    
+    // Cameras repeat the alert while motion continues
+    if (state.cameraMotionActive) return;
+    
+    state.cameraMotionActive = true;
+    state.isMotionActive = true;
+    state.motionStartTime = now;
+    state.eventStartTime = state.eventStartTime ?? now;
+    state.consecutiveFrames = 0;
+    state.lastMotionLevel = eventData.motionLevel ?? 100;
+    state.lastZone = null;
+    
+    Logger.info('Motion reported by camera', { cameraId, source: eventData.source });
+    
+    this.emit('motion', cameraId, {
+      type: MotionEventType.MOTION_START,
+      timestamp: new Date(now).toISOString(),
+      duration: 0,
+      level: state.lastMotionLevel,
+      zone: null,
+      source: eventData.source || 'camera'
+    });
   }
   
   /**
@@ -139,21 +235,42 @@ class MotionDetector extends EventEmitter {
       pixelChangePercent = 0,
       motionLevel = 0,
       hasShadow = false,
-      hasLightingChange = false
+      hasLightingChange = false,
+      zone = null,
+      grid = null,
+      blobs = null,
+      timestamp = Date.now()
     } = frameData;
     
     // Apply anti-false-trigger rules
-    const isValid = this._validateMotion({
+    const rejection = this._getRejectionReason({
       pixelChangePercent,
       motionLevel,
       hasShadow,
-      hasLightingChange
-    });
+      hasLightingChange,
+      blobs
+    }, this.getSettings(cameraId));
     
-    if (isValid) {
-      this._processMotion(cameraId, { motionLevel, pixelChangePercent });
+    if (SUPPRESSION_COUNTERS[rejection]) {
+      this._recordSuppression(cameraId, rejection, {
+        motionLevel,
+        zone,
+        blob: blobs && blobs.length > 0 ? blobs[0] : null,
+        timestamp
+      });
+    } else {
+      this.motionState.get(cameraId).suppressedReason = null;
+      
+      // Movement below the trigger thresholds still shows where traffic goes
+      if (grid) {
+        this._accumulateHeatmap(cameraId, grid, timestamp);
+      }
+    }
+    
+    if (!rejection) {
+      this._processMotion(cameraId, { motionLevel, pixelChangePercent, zone, timestamp });
     } else {
-      this._processNoMotion(cameraId);
+      this._processNoMotion(cameraId, timestamp);
     }
   }
   
@@ -161,34 +278,198 @@ class MotionDetector extends EventEmitter {
    * Validate motion against anti-false-trigger rules
    * @private
    */
-  _validateMotion(data) {
-    const { pixelChangePercent, motionLevel, hasShadow, hasLightingChange } = data;
-    const sensitivity = this.sensitivityMap[this.config.sensitivityLevel];
-    const adjustedThreshold = this.config.threshold * sensitivity;
+  _validateMotion(data, settings = this.config) {
+    return this._getRejectionReason(data, settings) === null;
+  }
+  
+  /**
+   * Get the anti-false-trigger rule that rejects a frame
+   * @private
+   * @returns {string|null} MotionRejectReason, or null if the frame is valid motion
+   */
+  _getRejectionReason(data, settings = this.config) {
+    const { pixelChangePercent, motionLevel, hasShadow, hasLightingChange, blobs } = data;
+    const sensitivity = this.sensitivityMap[settings.sensitivityLevel];
+    const adjustedThreshold = settings.threshold * sensitivity;
     
     // Rule 1: Motion level must exceed threshold
     if (motionLevel < adjustedThreshold) {
-      return false;
+      return MotionRejectReason.BELOW_THRESHOLD;
     }
     
     // Rule 2: Pixel change must exceed minimum percentage
-    if (pixelChangePercent < this.config.minPixelChangePercent) {
-      return false;
+    if (pixelChangePercent < settings.minPixelChangePercent) {
+      return MotionRejectReason.SMALL_AREA;
     }
     
     // Rule 3: Ignore shadows if configured
     if (this.config.ignoreShadows && hasShadow) {
       Logger.debug('Motion rejected - shadow detected');
-      return false;
+      return MotionRejectReason.SHADOW;
     }
     
     // Rule 4: Ignore lighting changes if configured
     if (this.config.ignoreLightingChanges && hasLightingChange) {
       Logger.debug('Motion rejected - lighting change detected');
-      return false;
+      return MotionRejectReason.LIGHTING_CHANGE;
     }
     
-    return true;
+    // Rule 5: At least one blob must match the object size and shape filters
+    if (blobs) {
+      return this._getBlobRejectionReason(blobs, settings);
+    }
+    
+    return null;
+  }
+  
+  /**
+   * Check changed-pixel blobs against the size and aspect-ratio filters
+   * @private
+   * @param {Array} blobs - Blobs from FrameAnalyzer, largest first
+   * @returns {string|null} MotionRejectReason, or null if a blob matches
+   */
+  _getBlobRejectionReason(blobs, settings) {
+    const { minBlobAreaPercent, maxBlobAreaPercent, minAspectRatio, maxAspectRatio } = settings;
+    const sizeFiltered = minBlobAreaPercent !== null || maxBlobAreaPercent !== null;
+    const shapeFiltered = minAspectRatio !== null || maxAspectRatio !== null;
+    if (!sizeFiltered && !shapeFiltered) return null;
+    
+    const sized = blobs.filter(blob =>
+      (minBlobAreaPercent === null || blob.areaPercent >= minBlobAreaPercent) &&
+      (maxBlobAreaPercent === null || blob.areaPercent <= maxBlobAreaPercent)
+    );
+    
+    if (sized.length === 0) {
+      const largest = blobs[0];
+      if (largest && maxBlobAreaPercent !== null && largest.areaPercent > maxBlobAreaPercent) {
+        return MotionRejectReason.BLOB_TOO_LARGE;
+      }
+      return MotionRejectReason.BLOB_TOO_SMALL;
+    }
+    
+    const shaped = sized.filter(blob =>
+      (minAspectRatio === null || blob.aspectRatio >= minAspectRatio) &&
+      (maxAspectRatio === null || blob.aspectRatio <= maxAspectRatio)
+    );
+    
+    return shaped.length > 0 ? null : MotionRejectReason.BLOB_ASPECT;
+  }
+  
+  /**
+   * Count a suppressed false trigger and report it as a FALSE_POSITIVE event
+   * Consecutive frames rejected for the same reason count as one event.
+   * @private
+   * @param {Object} details - { motionLevel, zone, blob, timestamp }
+   */
+  _recordSuppression(cameraId, reason, details) {
+    const state = this.motionState.get(cameraId);
+    if (state.suppressedReason === reason) return;
+    
+    state.suppressedReason = reason;
+    state.suppressed[SUPPRESSION_COUNTERS[reason]]++;
+    
+    Logger.info('Motion suppressed', { cameraId, reason });
+    this.emit('motion', cameraId, {
+      type: MotionEventType.FALSE_POSITIVE,
+      reason,
+      timestamp: new Date(details.timestamp).toISOString(),
+      level: details.motionLevel,
+      zone: details.zone,
+      blob: details.blob
+    });
+  }
+  
+  /**
+   * Create zeroed suppression counters
+   * @private
+   */
+  _emptySuppressionStats() {
+    return {
+      shadow: 0,
+      lightingChange: 0,
+      blobSize: 0,
+      blobAspect: 0,
+      since: new Date().toISOString()
+    };
+  }
+  
+  /**
+   * Add a frame's changed-pixel grid to the camera's hourly heatmap
+   * @private
+   */
+  _accumulateHeatmap(cameraId, grid, timestamp) {
+    const { enabled, columns, rows, flushIntervalMs } = this.config.heatmap;
+    if (!enabled || grid.length !== columns * rows) return;
+    
+    const hourStart = timestamp - (timestamp % 3600000);
+    let heatmap = this.heatmaps.get(cameraId);
+    
+    // A new hour starts a new bucket
+    if (heatmap && heatmap.hourStart !== hourStart) {
+      this._flushHeatmap(cameraId);
+      heatmap = null;
+    }
+    
+    if (!heatmap) {
+      heatmap = { hourStart, cells: new Array(columns * rows).fill(0), frameCount: 0 };
+      this.heatmaps.set(cameraId, heatmap);
+    }
+    
+    for (let i = 0; i < grid.length; i++) {
+      heatmap.cells[i] += grid[i];
+    }
+    heatmap.frameCount++;
+    
+    if (!this.heatmapTimer) {
+      this.heatmapTimer = setInterval(() => this.flushHeatmaps(), flushIntervalMs);
+      this.heatmapTimer.unref();
+    }
+  }
+  
+  /**
+   * Emit and clear a camera's pending heatmap counts
+   * @private
+   */
+  _flushHeatmap(cameraId) {
+    const heatmap = this.heatmaps.get(cameraId);
+    if (!heatmap) return;
+    
+    this.heatmaps.delete(cameraId);
+    
+    this.emit('heatmap', cameraId, {
+      hourStart: new Date(heatmap.hourStart).toISOString(),
+      columns: this.config.heatmap.columns,
+      rows: this.config.heatmap.rows,
+      cells: heatmap.cells,
+      frameCount: heatmap.frameCount
+    });
+  }
+  
+  /**
+   * Emit pending heatmap counts of all cameras
+   */
+  flushHeatmaps() {
+    for (const cameraId of Array.from(this.heatmaps.keys())) {
+      this._flushHeatmap(cameraId);
+    }
+  }
+  
+  /**
+   * Get heatmap counts not yet emitted for a camera
+   * @param {string} cameraId
+   * @returns {Object|null} { hourStart, columns, rows, cells, frameCount }
+   */
+  getPendingHeatmap(cameraId) {
+    const heatmap = this.heatmaps.get(cameraId);
+    if (!heatmap) return null;
+    
+    return {
+      hourStart: new Date(heatmap.hourStart).toISOString(),
+      columns: this.config.heatmap.columns,
+      rows: this.config.heatmap.rows,
+      cells: heatmap.cells.slice(),
+      frameCount: heatmap.frameCount
+    };
   }
   
   /**
@@ -197,9 +478,11 @@ class MotionDetector extends EventEmitter {
    */
   _processMotion(cameraId, data) {
     const state = this.motionState.get(cameraId);
-    const now = Date.now();
+    const settings = this.getSettings(cameraId);
+    const now = data.timestamp ?? Date.now();
     
     state.lastMotionLevel = data.motionLevel;
+    state.lastZone = data.zone || null;
     state.consecutiveFrames++;
     
     if (!state.isMotionActive) {
@@ -211,22 +494,25 @@ class MotionDetector extends EventEmitter {
     // Check if motion duration exceeds minimum
     const duration = now - state.motionStartTime;
     
-    if (duration >= this.config.minDurationMs && state.consecutiveFrames >= 3) {
+    if (duration >= settings.minDurationMs && state.consecutiveFrames >= 3) {
       // Valid motion event - emit trigger
       Logger.info('Motion detected', {
         cameraId,
         duration,
-        level: data.motionLevel
+        level: data.motionLevel,
+        zone: state.lastZone
       });
       
       this.emit('motion', cameraId, {
         type: MotionEventType.MOTION_START,
-        timestamp: new Date().toISOString(),
+        timestamp: new Date(now).toISOString(),
         duration,
-        level: data.motionLevel
+        level: data.motionLevel,
+        zone: state.lastZone
       });
       
       // Reset to prevent duplicate triggers
+      state.eventStartTime = state.eventStartTime ?? state.motionStartTime;
       state.motionStartTime = now;
       state.consecutiveFrames = 0;
     }
@@ -236,18 +522,27 @@ class MotionDetector extends EventEmitter {
    * Process frame with no motion
    * @private
    */
-  _processNoMotion(cameraId) {
+  _processNoMotion(cameraId, timestamp = Date.now()) {
     const state = this.motionState.get(cameraId);
     
+    // Motion reported by the camera lasts until the camera clears it
+    if (state.cameraMotionActive) return;
+    
     if (state.isMotionActive) {
-      // Motion ended
       state.isMotionActive = false;
       state.consecutiveFrames = 0;
       
-      this.emit('motion', cameraId, {
-        type: MotionEventType.MOTION_END,
-        timestamp: new Date().toISOString()
-      });
+      // Motion ended - only reported if it lasted long enough to start an event
+      if (state.eventStartTime !== null) {
+        this.emit('motion', cameraId, {
+          type: MotionEventType.MOTION_END,
+          timestamp: new Date(timestamp).toISOString(),
+          duration: timestamp - state.eventStartTime,
+          level: state.lastMotionLevel,
+          zone: state.lastZone
+        });
+        state.eventStartTime = null;
+      }
     }
   }
   
@@ -278,12 +573,150 @@ class MotionDetector extends EventEmitter {
     }
   }
   
+  /**
+   * Replace the motion zones of a camera
+   * @param {string} cameraId
+   * @param {Array} zones - Validated zones (see utils/MotionZones)
+   */
+  setZones(cameraId, zones) {
+    const camera = this.cameras.get(cameraId);
+    if (!camera) return;
+    
+    camera.zones = zones || [];
+    this.frameAnalyzer.setZones(cameraId, camera.zones);
+    Logger.info('Motion zones updated', { cameraId, count: camera.zones.length });
+  }
+  
+  /**
+   * Switch the stream a camera is analysed from (e.g. main to sub-stream)
+   * @param {string} cameraId
+   * @param {string|null} rtspUrl
+   */
+  setStreamUrl(cameraId, rtspUrl) {
+    const camera = this.cameras.get(cameraId);
+    if (!camera || camera.rtspUrl === rtspUrl) return;
+    
+    camera.rtspUrl = rtspUrl;
+    this.frameAnalyzer.stop(cameraId);
+    
+    // Motion in progress was measured on the old stream
+    this._processNoMotion(cameraId);
+    this.motionState.get(cameraId).consecutiveFrames = 0;
+    
+    this._startMonitoring(cameraId);
+    Logger.info('Motion analysis stream changed', { cameraId });
+  }
+  
+  /**
+   * Get a named motion zone of a camera
+   * @param {string} cameraId
+   * @param {string} zoneName
+   * @returns {Object|null}
+   */
+  getZone(cameraId, zoneName) {
+    const camera = this.cameras.get(cameraId);
+    if (!camera || !zoneName) return null;
+    
+    return camera.zones.find(z => z.name === zoneName) || null;
+  }
+  
+  /**
+   * Get suppressed false trigger counters for a camera
+   * @param {string} cameraId
+   * @returns {Object|null} { shadow, lightingChange, blobSize, blobAspect, since }
+   */
+  getSuppressionStats(cameraId) {
+    const state = this.motionState.get(cameraId);
+    return state ? { ...state.suppressed } : null;
+  }
+  
+  /**
+   * Reset suppressed false trigger counters for a camera
+   * @param {string} cameraId
+   */
+  resetSuppressionStats(cameraId) {
+    const state = this.motionState.get(cameraId);
+    if (!state) return;
+    
+    state.suppressed = this._emptySuppressionStats();
+  }
+  
+  /**
+   * Get effective motion settings for a camera
+   * Camera overrides take precedence over the global config.
+   * @param {string} cameraId
+   * @returns {Object} { threshold, minDurationMs, minPixelChangePercent, sensitivityLevel,
+   *                     backgroundModel, learningRate, minBlobAreaPercent, maxBlobAreaPercent,
+   *                     minAspectRatio, maxAspectRatio }
+   */
+  getSettings(cameraId) {
+    const camera = this.cameras.get(cameraId);
+    const overrides = camera ? camera.settings : {};
+    
+    return {
+      threshold: overrides.threshold ?? this.config.threshold,
+      minDurationMs: overrides.minDurationMs ?? this.config.minDurationMs,
+      minPixelChangePercent: overrides.minPixelChangePercent ?? this.config.minPixelChangePercent,
+      sensitivityLevel: overrides.sensitivityLevel ?? this.config.sensitivityLevel,
+      backgroundModel: overrides.backgroundModel ?? this.config.backgroundModel,
+      learningRate: overrides.learningRate ?? this.config.learningRate,
+      minBlobAreaPercent: overrides.minBlobAreaPercent ?? this.config.minBlobAreaPercent,
+      maxBlobAreaPercent: overrides.maxBlobAreaPercent ?? this.config.maxBlobAreaPercent,
+      minAspectRatio: overrides.minAspectRatio ?? this.config.minAspectRatio,
+      maxAspectRatio: overrides.maxAspectRatio ?? this.config.maxAspectRatio
+    };
+  }
+  
+  /**
+   * Replace the motion setting overrides of a camera
+   * @param {string} cameraId
+   * @param {Object} settings - Validated overrides (see utils/MotionSettings)
+   */
+  setSettings(cameraId, settings) {
+    const camera = this.cameras.get(cameraId);
+    if (!camera) return;
+    
+    camera.settings = settings || {};
+    
+    const { backgroundModel, learningRate } = this.getSettings(cameraId);
+    this.frameAnalyzer.setBackgroundModel(cameraId, { backgroundModel, learningRate });
+    
+    Logger.info('Motion settings updated', { cameraId, settings: camera.settings });
+  }
+  
+  /**
+   * Relearn a camera's background, e.g. after it was repositioned
+   * @param {string} cameraId
+   * @returns {boolean} False if the camera is not being analysed
+   */
+  resetBackground(cameraId) {
+    if (!this.cameras.has(cameraId)) return false;
+    
+    const state = this.motionState.get(cameraId);
+    const reset = this.frameAnalyzer.resetBackground(cameraId);
+    
+    // Motion in progress was measured against the old background
+    this._processNoMotion(cameraId);
+    state.consecutiveFrames = 0;
+    
+    return reset;
+  }
+  
   /**
    * Update sensitivity level
    * @param {string} level - 'low', 'medium', or 'high'
+   * @param {string} cameraId - Optional: only this camera, otherwise the global default
    */
-  setSensitivity(level) {
-    if (this.sensitivityMap[level]) {
+  setSensitivity(level, cameraId = null) {
+    if (!this.sensitivityMap[level]) return;
+    
+    if (cameraId) {
+      const camera = this.cameras.get(cameraId);
+      if (camera) {
+        camera.settings = { ...camera.settings, sensitivityLevel: level };
+        Logger.info('Camera sensitivity updated', { cameraId, level });
+      }
+    } else {
       this.config.sensitivityLevel = level;
       Logger.info('Sensitivity updated', { level });
     }
@@ -304,10 +737,28 @@ class MotionDetector extends EventEmitter {
       enabled: camera.enabled,
       isMotionActive: state.isMotionActive,
       lastMotionLevel: state.lastMotionLevel,
-      sensitivity: this.config.sensitivityLevel
+      lastZone: state.lastZone,
+      zones: camera.zones,
+      sensitivity: this.getSettings(cameraId).sensitivityLevel,
+      settings: this.getSettings(cameraId),
+      overrides: camera.settings,
+      suppressed: this.getSuppressionStats(cameraId)
     };
   }
   
+  /**
+   * Stop all frame analysis streams
+   */
+  stopAll() {
+    this.frameAnalyzer.stopAll();
+    
+    clearInterval(this.heatmapTimer);
+    this.heatmapTimer = null;
+    this.flushHeatmaps();
+    
+    Logger.info('Motion detection stopped');
+  }
+  
   /**
    * Get all cameras status
    * @returns {Object}
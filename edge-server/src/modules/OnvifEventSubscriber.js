@@ -0,0 +1,519 @@
+/**
+ * ASTROSURVEILLANCE - ONVIF Event Subscriber
+ *
+ * Subscribes to camera-side motion alerts over ONVIF events.
+ * Cameras that advertise the RuleEngine/CellMotionDetector topic get a
+ * PullPoint subscription, or a basic-notification (WS-BaseNotification)
+ * subscription when PullPoint is not supported and a notify URL is set.
+ * Subscriptions are renewed before they expire and recreated on failure.
+ *
+ * Emits 'motion' (cameraId, { isMotion, timestamp, rule, source })
+ */
+
+const EventEmitter = require('events');
+const url = require('url');
+const soap = require('node-onvif/lib/modules/soap');
+const Logger = require('../utils/Logger');
+const { OnvifSubscriptionMode, OnvifSubscriptionStatus } = require('../shared/types');
+
+const NAMESPACES = [
+  'xmlns:wsa="http://www.w3.org/2005/08/addressing"',
+  'xmlns:wsnt="http://docs.oasis-open.org/wsn/b-2"',
+  'xmlns:tev="http://www.onvif.org/ver10/events/wsdl"',
+  'xmlns:tds="http://www.onvif.org/ver10/device/wsdl"',
+  'xmlns:tns1="http://www.onvif.org/ver10/topics"'
+];
+
+const MOTION_TOPIC = 'tns1:RuleEngine/CellMotionDetector//.';
+const TOPIC_DIALECT = 'http://www.onvif.org/ver10/tev/topicExpression/ConcreteSet';
+
+const ACTIONS = {
+  PullMessages: 'http://www.onvif.org/ver10/events/wsdl/PullPointSubscription/PullMessagesRequest',
+  Renew: 'http://docs.oasis-open.org/wsn/bw-2/SubscriptionManager/RenewRequest',
+  Unsubscribe: 'http://docs.oasis-open.org/wsn/bw-2/SubscriptionManager/UnsubscribeRequest'
+};
+
+class OnvifEventSubscriber extends EventEmitter {
+  constructor(config = {}) {
+    super();
+    
+    this.config = {
+      enabled: config.enabled !== false,
+      mode: config.mode || OnvifSubscriptionMode.AUTO,
+      subscriptionSeconds: config.subscriptionSeconds || 60,
+      // Must stay below the 3 second HTTP timeout of node-onvif
+      pullTimeoutSeconds: config.pullTimeoutSeconds || 2,
+      pollIntervalMs: config.pollIntervalMs || 1000,
+      messageLimit: config.messageLimit || 10,
+      retryDelayMs: config.retryDelayMs || 30000,
+      notifyBaseUrl: config.notifyBaseUrl || null
+    };
+    
+    // Active subscriptions by camera ID
+    this.subscriptions = new Map();
+    
+    Logger.info('OnvifEventSubscriber initialized', this.config);
+  }
+  
+  /**
+   * Subscribe to motion events from a camera
+   * @param {Object} camera - Camera with onvifUrl and credentials
+   * @returns {Promise<Object|null>} Subscription status
+   */
+  async subscribe(camera) {
+    if (!this.config.enabled || !camera.onvifUrl) return null;
+    
+    // Replace any previous subscription (e.g. camera re-registered)
+    if (this.subscriptions.has(camera.id)) {
+      await this.unsubscribe(camera.id);
+    }
+    
+    const subscription = {
+      cameraId: camera.id,
+      deviceUrl: camera.onvifUrl,
+      user: camera.credentials?.username || '',
+      pass: camera.credentials?.password || '',
+      timeDiff: 0,
+      eventsUrl: null,
+      mode: null,
+      address: null,
+      terminationTime: null,
+      status: OnvifSubscriptionStatus.PENDING,
+      error: null,
+      lastEventAt: null,
+      eventCount: 0,
+      session: 0,
+      timers: {}
+    };
+    
+    this.subscriptions.set(camera.id, subscription);
+    await this._start(subscription);
+    
+    return this.getStatus(camera.id);
+  }
+  
+  /**
+   * Cancel a camera's subscription
+   * @param {string} cameraId
+   */
+  async unsubscribe(cameraId) {
+    const subscription = this.subscriptions.get(cameraId);
+    if (!subscription) return;
+    
+    this.subscriptions.delete(cameraId);
+    const address = subscription.address;
+    this._teardown(subscription);
+    
+    if (address) {
+      try {
+        await this._request(subscription, address, 'Unsubscribe', '<wsnt:Unsubscribe/>');
+      } catch (err) {
+        // Subscription expires on its own if the camera is unreachable
+        Logger.debug('ONVIF unsubscribe failed', { cameraId, error: err.message });
+      }
+    }
+    
+    Logger.info('ONVIF event subscription removed', { cameraId });
+  }
+  
+  /**
+   * Cancel all subscriptions
+   */
+  async stopAll() {
+    const cameraIds = Array.from(this.subscriptions.keys());
+    await Promise.all(cameraIds.map(id => this.unsubscribe(id)));
+  }
+  
+  /**
+   * Handle a Notify message posted by a camera (basic notification)
+   * @param {string} cameraId
+   * @param {string} xml - SOAP Notify envelope
+   * @returns {Promise<boolean>} False if the camera has no basic subscription
+   */
+  async handleNotification(cameraId, xml) {
+    const subscription = this.subscriptions.get(cameraId);
+    if (!subscription || subscription.mode !== OnvifSubscriptionMode.BASIC) {
+      return false;
+    }
+    
+    const parsed = await soap.parse(xml);
+    const notify = parsed?.Body?.Notify;
+    if (!notify) {
+      throw new Error('Not an ONVIF Notify message');
+    }
+    
+    this._handleMessages(subscription, notify.NotificationMessage);
+    return true;
+  }
+  
+  /**
+   * Get subscription status
+   * @param {string} cameraId - Optional, all cameras if omitted
+   * @returns {Object|Array|null}
+   */
+  getStatus(cameraId = null) {
+    if (cameraId) {
+      const subscription = this.subscriptions.get(cameraId);
+      return subscription ? this._toStatus(subscription) : null;
+    }
+    
+    return Array.from(this.subscriptions.values()).map(s => this._toStatus(s));
+  }
+  
+  /**
+   * Probe the camera and create a subscription
+   * @private
+   */
+  async _start(subscription) {
+    const session = ++subscription.session;
+    
+    try {
+      await this._probe(subscription);
+      if (!this._isCurrent(subscription, session)) return;
+      
+      if (!subscription.mode) {
+        subscription.status = OnvifSubscriptionStatus.UNSUPPORTED;
+        Logger.info('Camera does not offer ONVIF motion events', {
+          cameraId: subscription.cameraId,
+          error: subscription.error
+        });
+        return;
+      }
+      
+      if (subscription.mode === OnvifSubscriptionMode.PULLPOINT) {
+        await this._createPullPoint(subscription);
+      } else {
+        await this._createBasicSubscription(subscription);
+      }
+      if (!this._isCurrent(subscription, session)) return;
+      
+      subscription.status = OnvifSubscriptionStatus.ACTIVE;
+      subscription.error = null;
+      
+      Logger.info('ONVIF event subscription created', {
+        cameraId: subscription.cameraId,
+        mode: subscription.mode,
+        address: subscription.address
+      });
+      
+      this._scheduleRenew(subscription, session);
+      if (subscription.mode === OnvifSubscriptionMode.PULLPOINT) {
+        this._schedulePull(subscription, session, 0);
+      }
+    } catch (err) {
+      if (this._isCurrent(subscription, session)) {
+        this._scheduleRetry(subscription, err);
+      }
+    }
+  }
+  
+  /**
+   * Find the event service and check the camera advertises motion analytics
+   * @private
+   */
+  async _probe(subscription) {
+    const device = url.parse(subscription.deviceUrl);
+    
+    // WS-Security digests are only accepted within the camera's clock window
+    try {
+      const time = await this._request(subscription, device, 'GetSystemDateAndTime',
+        '<tds:GetSystemDateAndTime/>', { auth: false });
+      subscription.timeDiff = this._parseTimeDiff(time.data);
+    } catch (err) {
+      Logger.debug('Could not read camera clock', { cameraId: subscription.cameraId, error: err.message });
+    }
+    
+    const capabilities = await this._request(subscription, device, 'GetCapabilities',
+      '<tds:GetCapabilities><tds:Category>All</tds:Category></tds:GetCapabilities>');
+    const events = capabilities.data.GetCapabilitiesResponse?.Capabilities?.Events;
+    
+    subscription.mode = null;
+    subscription.eventsUrl = this._text(events?.XAddr);
+    if (!subscription.eventsUrl) {
+      subscription.error = 'No event service';
+      return;
+    }
+    
+    const properties = await this._request(subscription, subscription.eventsUrl,
+      'GetEventProperties', '<tev:GetEventProperties/>');
+    if (!properties.soap.includes('CellMotionDetector')) {
+      subscription.error = 'CellMotionDetector topic not advertised';
+      return;
+    }
+    
+    const pullPointSupported = this._text(events.WSPullPointSupport) === 'true';
+    const mode = this.config.mode;
+    
+    if (mode !== OnvifSubscriptionMode.BASIC && (pullPointSupported || mode === OnvifSubscriptionMode.PULLPOINT)) {
+      subscription.mode = OnvifSubscriptionMode.PULLPOINT;
+    } else if (mode !== OnvifSubscriptionMode.PULLPOINT && this.config.notifyBaseUrl) {
+      subscription.mode = OnvifSubscriptionMode.BASIC;
+    } else {
+      subscription.error = 'PullPoint not supported and no notifyBaseUrl configured';
+    }
+  }
+  
+  /**
+   * Create a PullPoint subscription filtered to motion events
+   * @private
+   */
+  async _createPullPoint(subscription) {
+    const body =
+      '<tev:CreatePullPointSubscription>' +
+        `<tev:Filter><wsnt:TopicExpression Dialect="${TOPIC_DIALECT}">${MOTION_TOPIC}</wsnt:TopicExpression></tev:Filter>` +
+        `<tev:InitialTerminationTime>PT${this.config.subscriptionSeconds}S</tev:InitialTerminationTime>` +
+      '</tev:CreatePullPointSubscription>';
+    
+    const result = await this._request(subscription, subscription.eventsUrl,
+      'CreatePullPointSubscription', body);
+    this._setReference(subscription, result.data.CreatePullPointSubscriptionResponse);
+  }
+  
+  /**
+   * Create a basic-notification subscription pushing to our notify route
+   * @private
+   */
+  async _createBasicSubscription(subscription) {
+    const consumer = `${this.config.notifyBaseUrl.replace(/\/$/, '')}/api/onvif/notify/${encodeURIComponent(subscription.cameraId)}`;
+    const body =
+      '<wsnt:Subscribe>' +
+        `<wsnt:ConsumerReference><wsa:Address>${consumer}</wsa:Address></wsnt:ConsumerReference>` +
+        `<wsnt:Filter><wsnt:TopicExpression Dialect="${TOPIC_DIALECT}">${MOTION_TOPIC}</wsnt:TopicExpression></wsnt:Filter>` +
+        `<wsnt:InitialTerminationTime>PT${this.config.subscriptionSeconds}S</wsnt:InitialTerminationTime>` +
+      '</wsnt:Subscribe>';
+    
+    const result = await this._request(subscription, subscription.eventsUrl, 'Subscribe', body);
+    this._setReference(subscription, result.data.SubscribeResponse);
+  }
+  
+  /**
+   * Store the subscription manager address from a subscribe response
+   * @private
+   */
+  _setReference(subscription, response) {
+    const address = this._text(response?.SubscriptionReference?.Address);
+    if (!address) {
+      throw new Error('Subscription response has no SubscriptionReference');
+    }
+    
+    subscription.address = address;
+    subscription.terminationTime = this._text(response.TerminationTime) || null;
+  }
+  
+  /**
+   * Schedule the next PullMessages request
+   * @private
+   */
+  _schedulePull(subscription, session, delay) {
+    subscription.timers.pull = setTimeout(async () => {
+      const startedAt = Date.now();
+      const body =
+        '<tev:PullMessages>' +
+          `<tev:Timeout>PT${this.config.pullTimeoutSeconds}S</tev:Timeout>` +
+          `<tev:MessageLimit>${this.config.messageLimit}</tev:MessageLimit>` +
+        '</tev:PullMessages>';
+      
+      try {
+        const result = await this._request(subscription, subscription.address, 'PullMessages', body);
+        if (!this._isCurrent(subscription, session)) return;
+        
+        this._handleMessages(subscription, result.data.PullMessagesResponse?.NotificationMessage);
+        
+        // Cameras that answer immediately would otherwise be polled in a tight loop
+        const elapsed = Date.now() - startedAt;
+        this._schedulePull(subscription, session, Math.max(0, this.config.pollIntervalMs - elapsed));
+      } catch (err) {
+        if (this._isCurrent(subscription, session)) {
+          this._scheduleRetry(subscription, err);
+        }
+      }
+    }, delay);
+  }
+  
+  /**
+   * Schedule renewal at half the subscription lifetime
+   * @private
+   */
+  _scheduleRenew(subscription, session) {
+    const interval = (this.config.subscriptionSeconds * 1000) / 2;
+    
+    subscription.timers.renew = setTimeout(async () => {
+      const body = `<wsnt:Renew><wsnt:TerminationTime>PT${this.config.subscriptionSeconds}S</wsnt:TerminationTime></wsnt:Renew>`;
+      
+      try {
+        const result = await this._request(subscription, subscription.address, 'Renew', body);
+        if (!this._isCurrent(subscription, session)) return;
+        
+        subscription.terminationTime = this._text(result.data.RenewResponse?.TerminationTime) || null;
+        Logger.debug('ONVIF event subscription renewed', { cameraId: subscription.cameraId });
+        this._scheduleRenew(subscription, session);
+      } catch (err) {
+        if (this._isCurrent(subscription, session)) {
+          this._scheduleRetry(subscription, err);
+        }
+      }
+    }, interval);
+  }
+  
+  /**
+   * Drop the current subscription and try again later
+   * @private
+   */
+  _scheduleRetry(subscription, err) {
+    this._teardown(subscription);
+    
+    subscription.status = OnvifSubscriptionStatus.RETRYING;
+    subscription.error = err.message;
+    
+    Logger.warn('ONVIF event subscription failed, retrying', {
+      cameraId: subscription.cameraId,
+      error: err.message,
+      retryInMs: this.config.retryDelayMs
+    });
+    
+    subscription.timers.retry = setTimeout(() => {
+      this._start(subscription);
+    }, this.config.retryDelayMs);
+  }
+  
+  /**
+   * Clear timers and invalidate in-flight requests
+   * @private
+   */
+  _teardown(subscription) {
+    Object.values(subscription.timers).forEach(timer => clearTimeout(timer));
+    subscription.timers = {};
+    subscription.session++;
+    subscription.address = null;
+    subscription.terminationTime = null;
+  }
+  
+  /**
+   * Check a callback still belongs to the live subscription
+   * @private
+   */
+  _isCurrent(subscription, session) {
+    return this.subscriptions.get(subscription.cameraId) === subscription &&
+      subscription.session === session;
+  }
+  
+  /**
+   * Translate notification messages into motion events
+   * @private
+   */
+  _handleMessages(subscription, messages) {
+    if (!messages) return;
+    
+    for (const message of [].concat(messages)) {
+      const event = this._parseMotionMessage(message);
+      if (!event) continue;
+      
+      subscription.lastEventAt = new Date().toISOString();
+      subscription.eventCount++;
+      
+      Logger.debug('ONVIF motion event', { cameraId: subscription.cameraId, ...event });
+      this.emit('motion', subscription.cameraId, event);
+    }
+  }
+  
+  /**
+   * Parse a RuleEngine/CellMotionDetector notification
+   * @private
+   * @returns {Object|null} { isMotion, timestamp, rule, source }
+   */
+  _parseMotionMessage(message) {
+    const topic = this._text(message?.Topic);
+    if (!topic || !topic.includes('CellMotionDetector')) return null;
+    
+    const inner = message.Message?.Message || message.Message;
+    if (!inner) return null;
+    
+    const findItem = (group, name) => {
+      const item = [].concat(group?.SimpleItem || []).find(i => i?.$?.Name === name);
+      return item ? item.$.Value : undefined;
+    };
+    
+    const isMotion = findItem(inner.Data, 'IsMotion');
+    if (isMotion === undefined) return null;
+    
+    const utcTime = Date.parse(inner.$?.UtcTime);
+    
+    return {
+      isMotion: isMotion === 'true',
+      timestamp: Number.isNaN(utcTime) ? Date.now() : utcTime,
+      rule: findItem(inner.Source, 'Rule') || null,
+      source: 'onvif'
+    };
+  }
+  
+  /**
+   * Send a SOAP request
+   * Subscription manager requests carry WS-Addressing headers, which most
+   * cameras need to route them to the right subscription.
+   * @private
+   */
+  _request(subscription, target, method, body, options = {}) {
+    const address = typeof target === 'string' ? url.parse(target) : target;
+    
+    let envelope = soap.createRequestSoap({
+      body,
+      xmlns: NAMESPACES,
+      diff: subscription.timeDiff,
+      user: options.auth === false ? '' : subscription.user,
+      pass: subscription.pass
+    });
+    
+    if (ACTIONS[method]) {
+      const addressing = `<wsa:Action>${ACTIONS[method]}</wsa:Action><wsa:To>${url.format(address)}</wsa:To>`;
+      envelope = envelope.replace('<s:Header>', `<s:Header>${addressing}`);
+    }
+    
+    return soap.requestCommand(address, method, envelope);
+  }
+  
+  /**
+   * Compute camera clock offset from GetSystemDateAndTime
+   * @private
+   */
+  _parseTimeDiff(data) {
+    const utc = data.GetSystemDateAndTimeResponse?.SystemDateAndTime?.UTCDateTime;
+    if (!utc) return 0;
+    
+    const cameraTime = Date.UTC(
+      Number(utc.Date.Year), Number(utc.Date.Month) - 1, Number(utc.Date.Day),
+      Number(utc.Time.Hour), Number(utc.Time.Minute), Number(utc.Time.Second)
+    );
+    
+    return Number.isNaN(cameraTime) ? 0 : cameraTime - Date.now();
+  }
+  
+  /**
+   * Read the text of a parsed element that may carry attributes
+   * @private
+   */
+  _text(value) {
+    if (value === undefined || value === null) return null;
+    if (typeof value === 'object') return value._ !== undefined ? String(value._).trim() : null;
+    return String(value).trim();
+  }
+  
+  /**
+   * Public view of a subscription
+   * @private
+   */
+  _toStatus(subscription) {
+    return {
+      cameraId: subscription.cameraId,
+      mode: subscription.mode,
+      status: subscription.status,
+      eventsUrl: subscription.eventsUrl,
+      address: subscription.address,
+      terminationTime: subscription.terminationTime,
+      lastEventAt: subscription.lastEventAt,
+      eventCount: subscription.eventCount,
+      error: subscription.error
+    };
+  }
+}
+
+module.exports = OnvifEventSubscriber;
@@ -0,0 +1,93 @@
+jest.mock('../utils/Logger');
+
+const OnvifEventSubscriber = require('./OnvifEventSubscriber');
+const { createFakeOnvifCamera } = require('../../scripts/fake-onvif-camera');
+const { OnvifSubscriptionMode, OnvifSubscriptionStatus } = require('../shared/types');
+
+/**
+ * Poll until a condition holds
+ */
+async function waitFor(condition, timeoutMs = 5000) {
+  const deadline = Date.now() + timeoutMs;
+  while (!condition()) {
+    if (Date.now() > deadline) throw new Error('Timed out waiting for condition');
+    await new Promise(resolve => setTimeout(resolve, 20));
+  }
+}
+
+describe('OnvifEventSubscriber with the fake ONVIF camera', () => {
+  let camera;
+  let subscriber;
+  let events;
+
+  beforeEach(async () => {
+    camera = await createFakeOnvifCamera({ port: 0 });
+    subscriber = new OnvifEventSubscriber({
+      subscriptionSeconds: 2,
+      pullTimeoutSeconds: 1,
+      pollIntervalMs: 20,
+      retryDelayMs: 100
+    });
+    events = [];
+    subscriber.on('motion', (cameraId, event) => events.push({ cameraId, ...event }));
+
+    await subscriber.subscribe({ id: 'CAM01', onvifUrl: camera.deviceUrl });
+  });
+
+  afterEach(async () => {
+    await subscriber.stopAll();
+    await camera.close();
+  });
+
+  test('creates a PullPoint subscription', () => {
+    const status = subscriber.getStatus('CAM01');
+
+    expect(status).toMatchObject({
+      mode: OnvifSubscriptionMode.PULLPOINT,
+      status: OnvifSubscriptionStatus.ACTIVE,
+      eventsUrl: `${camera.url}/onvif/event_service`,
+      error: null
+    });
+    expect(camera.getSubscriptions()).toHaveLength(1);
+    expect(status.address).toBe(camera.getSubscriptions()[0].address);
+  });
+
+  test('turns pulled messages into motion events', async () => {
+    camera.setMotion(true);
+    await waitFor(() => events.length === 1);
+    camera.setMotion(false);
+    await waitFor(() => events.length === 2);
+
+    expect(events).toEqual([
+      expect.objectContaining({ cameraId: 'CAM01', isMotion: true, rule: 'MyMotionDetectorRule', source: 'onvif' }),
+      expect.objectContaining({ cameraId: 'CAM01', isMotion: false })
+    ]);
+    expect(subscriber.getStatus('CAM01').eventCount).toBe(2);
+  });
+
+  test('renews the subscription before it expires', async () => {
+    const [created] = camera.getSubscriptions();
+    const firstTermination = subscriber.getStatus('CAM01').terminationTime;
+
+    await waitFor(() => created.renewals > 0);
+
+    expect(camera.getSubscriptions()).toEqual([created]);
+    await waitFor(() => subscriber.getStatus('CAM01').terminationTime !== firstTermination);
+  });
+
+  test('subscribes again after a fault', async () => {
+    const [first] = camera.getSubscriptions();
+
+    // The next PullMessages to the old address gets a SOAP fault
+    camera.dropSubscriptions();
+    await waitFor(() => camera.getSubscriptions().length === 1);
+
+    const [second] = camera.getSubscriptions();
+    expect(second.address).not.toBe(first.address);
+    await waitFor(() => subscriber.getStatus('CAM01').status === OnvifSubscriptionStatus.ACTIVE);
+    expect(subscriber.getStatus('CAM01').address).toBe(second.address);
+
+    camera.setMotion(true);
+    await waitFor(() => events.length === 1);
+  });
+});
@@ -0,0 +1,217 @@
+/**
+ * ASTROSURVEILLANCE - Pre-Event Buffer Module
+ *
+ * Keeps the last seconds of each camera stream on disk so recordings
+ * can include what happened before motion was confirmed.
+ *
+ * - FFmpeg copies the RTSP stream (no re-encoding) into short MPEG-TS
+ *   segments that overwrite each other in a ring (-segment_wrap)
+ * - Segments are cut on keyframes, so a segment may be longer than
+ *   segmentSeconds; the ring holds enough of them for the longest pre-roll
+ * - capture() copies the newest finished segments out of the ring before
+ *   they are overwritten
+ */
+
+const EventEmitter = require('events');
+const ffmpeg = require('fluent-ffmpeg');
+const fs = require('fs');
+const path = require('path');
+const Logger = require('../utils/Logger');
+
+class PreEventBuffer extends EventEmitter {
+  constructor(config = {}) {
+    super();
+
+    this.config = {
+      basePath: path.resolve(config.basePath || './temp/pre-event'),
+      segmentSeconds: config.segmentSeconds || 1,
+      reconnectDelayMs: config.reconnectDelayMs || 10000
+    };
+
+    // Active buffers per camera
+    this.buffers = new Map();
+
+    Logger.info('PreEventBuffer initialized', this.config);
+  }
+
+  /**
+   * Start buffering a camera stream
+   * @param {string} cameraId
+   * @param {string} rtspUrl
+   * @param {number} seconds - Longest pre-roll that will be requested
+   */
+  start(cameraId, rtspUrl, seconds) {
+    const existing = this.buffers.get(cameraId);
+    if (existing) {
+      if (existing.rtspUrl === rtspUrl && existing.seconds === seconds) return;
+      this.stop(cameraId);
+    }
+
+    const directory = path.join(this.config.basePath, cameraId);
+    fs.rmSync(directory, { recursive: true, force: true });
+    fs.mkdirSync(directory, { recursive: true });
+
+    const buffer = {
+      cameraId,
+      rtspUrl,
+      seconds,
+      directory,
+      // Two spare slots: the segment being written and one being captured
+      wrap: Math.ceil(seconds / this.config.segmentSeconds) + 2,
+      command: null,
+      stopped: false,
+      reconnectTimer: null
+    };
+
+    this.buffers.set(cameraId, buffer);
+    this._run(buffer);
+
+    Logger.info('Pre-event buffering started', { cameraId, seconds });
+  }
+
+  /**
+   * Stop buffering a camera stream and delete its segments
+   * @param {string} cameraId
+   */
+  stop(cameraId) {
+    const buffer = this.buffers.get(cameraId);
+    if (!buffer) return;
+
+    buffer.stopped = true;
+    clearTimeout(buffer.reconnectTimer);
+    this._killCommand(buffer);
+    this.buffers.delete(cameraId);
+
+    fs.rmSync(buffer.directory, { recursive: true, force: true });
+
+    Logger.info('Pre-event buffering stopped', { cameraId });
+  }
+
+  /**
+   * Stop all buffers
+   */
+  stopAll() {
+    for (const [cameraId] of this.buffers) {
+      this.stop(cameraId);
+    }
+  }
+
+  /**
+   * Check if a camera is being buffered
+   * @param {string} cameraId
+   * @returns {boolean}
+   */
+  isRunning(cameraId) {
+    return this.buffers.has(cameraId);
+  }
+
+  /**
+   * Copy the newest finished segments covering at least `seconds`
+   * @param {string} cameraId
+   * @param {string} destination - Directory to copy the segments to
+   * @param {number} seconds - Pre-roll length
+   * @returns {Promise<Array<string>>} Copied segment paths, oldest first (empty if nothing is buffered)
+   */
+  async capture(cameraId, destination, seconds) {
+    const buffer = this.buffers.get(cameraId);
+    if (!buffer) return [];
+
+    const names = await fs.promises.readdir(buffer.directory);
+    const segments = [];
+
+    for (const name of names) {
+      if (!name.endsWith('.ts')) continue;
+      const stat = await fs.promises.stat(path.join(buffer.directory, name)).catch(() => null);
+      if (stat && stat.size > 0) {
+        segments.push({ name, finishedAt: stat.mtimeMs });
+      }
+    }
+
+    // Newest last; the newest segment is still being written
+    segments.sort((a, b) => a.finishedAt - b.finishedAt);
+    segments.pop();
+
+    // Segments that ended inside the window, plus the one that covers its start
+    const since = Date.now() - seconds * 1000;
+    let first = segments.findIndex(segment => segment.finishedAt >= since);
+    if (first === -1) return [];
+    first = Math.max(first - 1, 0);
+
+    await fs.promises.mkdir(destination, { recursive: true });
+
+    const copied = [];
+    for (const segment of segments.slice(first)) {
+      const target = path.join(destination, `pre_${String(copied.length).padStart(3, '0')}.ts`);
+      await fs.promises.copyFile(path.join(buffer.directory, segment.name), target);
+      copied.push(target);
+    }
+
+    return copied;
+  }
+
+  /**
+   * Run the segmenting FFmpeg process
+   * @private
+   */
+  _run(buffer) {
+    const command = ffmpeg(buffer.rtspUrl)
+      .inputOptions(['-rtsp_transport tcp', '-stimeout 5000000'])
+      .outputOptions([
+        '-c copy',
+        '-f segment',
+        `-segment_time ${this.config.segmentSeconds}`,
+        `-segment_wrap ${buffer.wrap}`,
+        '-segment_format mpegts',
+        '-reset_timestamps 1'
+      ])
+      .output(path.join(buffer.directory, 'seg%03d.ts'))
+      .on('start', (cmd) => {
+        Logger.debug('Pre-event FFmpeg started', { cameraId: buffer.cameraId, command: cmd });
+      })
+      .on('error', (err) => {
+        if (buffer.stopped) return;
+        Logger.warn('Pre-event FFmpeg error', { cameraId: buffer.cameraId, error: err.message });
+        this._onStreamEnd(buffer);
+      })
+      .on('end', () => {
+        Logger.debug('Pre-event FFmpeg finished', { cameraId: buffer.cameraId });
+        this._onStreamEnd(buffer);
+      });
+
+    buffer.command = command;
+    command.run();
+  }
+
+  /**
+   * Reconnect after the stream ended
+   * @private
+   */
+  _onStreamEnd(buffer) {
+    buffer.command = null;
+    if (buffer.stopped) return;
+
+    clearTimeout(buffer.reconnectTimer);
+    buffer.reconnectTimer = setTimeout(() => {
+      if (buffer.stopped) return;
+      Logger.info('Reconnecting pre-event buffer', { cameraId: buffer.cameraId });
+      this._run(buffer);
+    }, this.config.reconnectDelayMs);
+  }
+
+  /**
+   * Kill a running FFmpeg process
+   * @private
+   */
+  _killCommand(buffer) {
+    if (!buffer.command) return;
+
+    try {
+      buffer.command.kill('SIGKILL');
+    } catch (err) {
+      Logger.warn('Error stopping pre-event FFmpeg', { cameraId: buffer.cameraId, error: err.message });
+    }
+    buffer.command = null;
+  }
+}
+
+module.exports = PreEventBuffer;
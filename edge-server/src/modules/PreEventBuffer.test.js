@@ -0,0 +1,107 @@
+jest.mock('fluent-ffmpeg');
+jest.mock('../utils/Logger');
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const ffmpeg = require('fluent-ffmpeg');
+const PreEventBuffer = require('./PreEventBuffer');
+
+const RTSP_URL = 'rtsp://camera.local/stream';
+
+/**
+ * Poll until a condition holds
+ */
+async function waitFor(condition, timeoutMs = 5000) {
+  const deadline = Date.now() + timeoutMs;
+  while (!condition()) {
+    if (Date.now() > deadline) throw new Error('Timed out waiting for condition');
+    await new Promise(resolve => setTimeout(resolve, 20));
+  }
+}
+
+describe('PreEventBuffer', () => {
+  let basePath;
+  let buffer;
+
+  beforeEach(() => {
+    basePath = fs.mkdtempSync(path.join(os.tmpdir(), 'pre-event-test-'));
+    buffer = new PreEventBuffer({ basePath, segmentSeconds: 2, reconnectDelayMs: 50 });
+  });
+
+  afterEach(() => {
+    buffer.stopAll();
+    ffmpeg.reset();
+    fs.rmSync(basePath, { recursive: true, force: true });
+  });
+
+  /**
+   * Write a ring segment that finished secondsAgo
+   */
+  function writeSegment(name, content, secondsAgo) {
+    const file = path.join(basePath, 'CAM01', name);
+    fs.writeFileSync(file, content);
+    const time = new Date(Date.now() - secondsAgo * 1000);
+    fs.utimesSync(file, time, time);
+  }
+
+  test('segments the stream into a ring large enough for the pre-roll', () => {
+    fs.mkdirSync(path.join(basePath, 'CAM01'));
+    fs.writeFileSync(path.join(basePath, 'CAM01', 'seg000.ts'), 'stale');
+
+    buffer.start('CAM01', RTSP_URL, 5);
+
+    const [command] = ffmpeg.commands;
+    expect(command.input).toBe(RTSP_URL);
+    expect(command.outputOpts).toEqual(expect.arrayContaining(['-c copy', '-segment_time 2', '-segment_wrap 5']));
+    expect(command.outputPath).toBe(path.join(basePath, 'CAM01', 'seg%03d.ts'));
+    expect(fs.readdirSync(path.join(basePath, 'CAM01'))).toEqual([]);
+    expect(buffer.isRunning('CAM01')).toBe(true);
+  });
+
+  test('captures the finished segments covering the pre-roll, oldest first', async () => {
+    buffer.start('CAM01', RTSP_URL, 5);
+    writeSegment('seg003.ts', 'old', 10);
+    writeSegment('seg000.ts', 'first', 4);
+    writeSegment('seg001.ts', 'second', 2);
+    writeSegment('seg002.ts', 'writing', 0);
+
+    const destination = path.join(basePath, 'clip');
+    const copied = await buffer.capture('CAM01', destination, 3);
+
+    expect(copied).toEqual([path.join(destination, 'pre_000.ts'), path.join(destination, 'pre_001.ts')]);
+    expect(copied.map(file => fs.readFileSync(file, 'utf8'))).toEqual(['first', 'second']);
+  });
+
+  test('captures nothing without finished segments inside the pre-roll', async () => {
+    buffer.start('CAM01', RTSP_URL, 5);
+    writeSegment('seg000.ts', 'old', 30);
+    writeSegment('seg001.ts', 'writing', 0);
+
+    await expect(buffer.capture('CAM01', path.join(basePath, 'clip'), 5)).resolves.toEqual([]);
+    await expect(buffer.capture('CAM02', path.join(basePath, 'clip'), 5)).resolves.toEqual([]);
+  });
+
+  test('reconnects after the stream ends', async () => {
+    buffer.start('CAM01', RTSP_URL, 5);
+    ffmpeg.commands[0].fail();
+    await waitFor(() => ffmpeg.commands.length === 2);
+
+    expect(ffmpeg.commands[1].running).toBe(true);
+  });
+
+  test('stops FFmpeg and deletes the segments', async () => {
+    buffer.start('CAM01', RTSP_URL, 5);
+    writeSegment('seg000.ts', 'first', 1);
+
+    buffer.stop('CAM01');
+
+    expect(ffmpeg.commands[0].killedWith).toBe('SIGKILL');
+    expect(fs.existsSync(path.join(basePath, 'CAM01'))).toBe(false);
+    expect(buffer.isRunning('CAM01')).toBe(false);
+
+    // No reconnect after a stop
+    await new Promise(resolve => setTimeout(resolve, 100));
+    expect(ffmpeg.commands).toHaveLength(1);
+  });
+});
@@ -4,11 +4,11 @@
  * THE MOST CRITICAL MODULE
  * 
  * Implements a strict state machine for recording control.
- * Golden Rule: One trigger = One video = Exactly 60 seconds
+ * Golden Rule: One trigger = One video
  * 
  * State Machine:
  * - IDLE: Waiting for motion
- * - RECORDING: 60-sec timer running
+ * - RECORDING: Timer running (durationSeconds, 60 by default)
  * - LOCKED: Prevents retrigger during recording
  * - SAVING: Writing file to SD
  * - RESET: Returns to IDLE after cooldown
@@ -16,10 +16,45 @@
 
 const EventEmitter = require('events');
 const ffmpeg = require('fluent-ffmpeg');
+const fs = require('fs');
 const path = require('path');
 const Timer = require('../utils/Timer');
 const Logger = require('../utils/Logger');
-const { RecordingState, generateVideoFilename } = require('../shared/types');
+const PreEventBuffer = require('./PreEventBuffer');
+const ContinuousRecorder = require('./ContinuousRecorder');
+const ThumbnailGenerator = require('./ThumbnailGenerator');
+const ConcurrencyLimiter = require('../utils/ConcurrencyLimiter');
+const { RecordingState, RecordingMode, RecordingType, generateVideoFilename } = require('../shared/types');
+
+// Longest supported pre-roll (the buffer lives on disk, keep it short)
+const MAX_PRE_EVENT_SECONDS = 30;
+
+// How long to wait for FFmpeg to finalize a live recording before joining
+const LIVE_EXIT_TIMEOUT_MS = 10000;
+
+// Don't restart FFmpeg for less than this much of the recording window
+const MIN_RETRY_WINDOW_MS = 3000;
+
+// Pieces smaller than this hold no footage (FFmpeg failed before the first frame)
+const MIN_PIECE_BYTES = 1024;
+
+// RTSP transports to alternate between on retries
+const RTSP_TRANSPORTS = ['tcp', 'udp'];
+
+// Video codec value that remuxes the camera stream instead of re-encoding it
+const PASSTHROUGH_CODEC = 'copy';
+
+// Re-encode settings shared by live recordings and pre-roll, so both can be joined without re-encoding
+const ENCODING_OPTIONS = [
+  '-preset ultrafast',
+  '-crf 23'
+];
+
+// Camera audio (often G.711) isn't allowed in MP4, so it is always converted
+const AUDIO_OPTIONS = [
+  '-c:a aac',
+  '-b:a 128k'
+];
 
 class RecordingController extends EventEmitter {
   constructor(config, storageManager) {
@@ -40,12 +75,87 @@ class RecordingController extends EventEmitter {
     // Reset delay in milliseconds
     this.resetDelayMs = (config.resetDelaySeconds || 3) * 1000;
     
+    // Extend mode: clip length bounds and post-roll after the last motion
+    this.mode = config.mode || RecordingMode.FIXED;
+    this.maxDurationMs = Math.max((config.maxDurationSeconds || 300) * 1000, this.recordingDurationMs);
+    this.postRollMs = (config.postRollSeconds || 10) * 1000;
+    
+    // Default pre-roll, overridable per camera in config.cameras
+    this.preEventSeconds = config.preEventSeconds || 0;
+    
+    // FFmpeg restarts when a recording is interrupted
+    this.retryAttempts = config.retryAttempts ?? 3;
+    this.retryDelayMs = (config.retryDelaySeconds || 1) * 1000;
+    this.rtspTransport = config.rtspTransport || 'tcp';
+    this.transportFallback = config.transportFallback !== false;
+    
+    // Default video codec, overridable per camera in config.cameras
+    this.codec = config.codec || 'libx264';
+    
+    // Re-encodes running at once; further ones are deferred to a queue
+    this.encodeLimiter = new ConcurrencyLimiter(config.maxConcurrentEncodes || 2);
+    
+    // Rolling segment buffer feeding the pre-roll
+    this.preEventBuffer = new PreEventBuffer({
+      basePath: config.preEventBufferPath,
+      segmentSeconds: config.preEventSegmentSeconds
+    });
+    
+    // 24/7 segmented recording, written next to the event clips
+    this.continuousRecorder = new ContinuousRecorder({
+      basePath: storageManager.getBasePath(),
+      segmentSeconds: config.continuousSegmentSeconds
+    });
+    this.continuousRecorder.on('segment', (cameraId, segment) => {
+      this._indexSegment(cameraId, segment);
+    });
+    
+    // Poster frames and sprite sheets for saved clips
+    this.thumbnailGenerator = new ThumbnailGenerator(config.thumbnails);
+    
     Logger.info('RecordingController initialized', {
+      mode: this.mode,
       duration: this.recordingDurationMs,
-      resetDelay: this.resetDelayMs
+      maxDuration: this.mode === RecordingMode.EXTEND ? this.maxDurationMs : undefined,
+      resetDelay: this.resetDelayMs,
+      preEvent: this.preEventSeconds,
+      codec: this.codec,
+      maxConcurrentEncodes: this.encodeLimiter.maxConcurrent
     });
   }
   
+  /**
+   * Get the pre-roll length of a camera
+   * @param {string} cameraId
+   * @returns {number} Seconds (0 = no pre-roll)
+   */
+  getPreEventSeconds(cameraId) {
+    const seconds = this.config.cameras?.[cameraId]?.preEventSeconds ?? this.preEventSeconds;
+    return Math.min(Math.max(Number(seconds) || 0, 0), MAX_PRE_EVENT_SECONDS);
+  }
+  
+  /**
+   * Check if a camera is recorded continuously
+   * Continuous cameras are also recorded 24/7 by ContinuousRecorder,
+   * independent of the state machine.
+   * @param {string} cameraId
+   * @returns {boolean}
+   */
+  isContinuous(cameraId) {
+    return Boolean(this.config.cameras?.[cameraId]?.continuous);
+  }
+  
+  /**
+   * Get the video codec of a camera's clips
+   * recording.codec unless the camera sets codec = 'copy', which remuxes its
+   * H.264/H.265 stream into MP4 without touching the CPU.
+   * @param {string} cameraId
+   * @returns {string} FFmpeg encoder name, or 'copy' for passthrough
+   */
+  getCodec(cameraId) {
+    return this.config.cameras?.[cameraId]?.codec || this.codec;
+  }
+  
   /**
    * Get or initialize camera state
    * @param {string} cameraId
@@ -57,7 +167,24 @@ class RecordingController extends EventEmitter {
         state: RecordingState.IDLE,
         currentFile: null,
         startTime: null,
-        rtspUrl: null
+        stopTime: null,
+        rtspUrl: null,
+        zone: null,
+        // An alarm was raised during the current clip
+        alarm: false,
+        motionActive: false,
+        preEvent: null,
+        // Files recorded for the current clip; more than one after a retry
+        pieces: [],
+        retries: 0,
+        transport: this.rtspTransport,
+        codec: null,
+        // Releases the encoder slot held by a re-encoded recording
+        releaseEncoder: null,
+        // Codec to re-encode a clip with after it was captured with passthrough
+        deferredCodec: null,
+        // Resolves once the clip being saved is joined and indexed
+        saving: null
       });
     }
     return this.cameraStates.get(cameraId);
@@ -65,13 +192,28 @@ class RecordingController extends EventEmitter {
   
   /**
    * Start recording for a camera
+   * In extend mode (recording.mode = 'extend') a trigger during RECORDING
+   * keeps the clip open instead of being ignored, so one incident becomes
+   * one file.
    * @param {string} cameraId - Camera identifier
    * @param {string} rtspUrl - RTSP stream URL (optional, uses stored)
-   * @returns {boolean} True if recording started
+   * @param {Object} trigger - Optional trigger details ({ zone, type: 'motion'
+   *                          (default) or 'manual', motion: true if triggered
+   *                          by a MOTION_START still in progress, alarm: true
+   *                          if the trigger also raised the alarm })
+   * @returns {boolean} True if recording started (false if blocked or an active
+   *                    recording was extended instead)
    */
-  startRecording(cameraId, rtspUrl = null) {
+  startRecording(cameraId, rtspUrl = null, trigger = {}) {
     const cameraState = this.getCameraState(cameraId);
     
+    // In extend mode, motion during a recording keeps it open
+    if (cameraState.state === RecordingState.RECORDING && this.mode === RecordingMode.EXTEND) {
+      if (trigger.alarm) cameraState.alarm = true;
+      this._extendRecording(cameraId);
+      return false;
+    }
+    
     // CRITICAL: Only start if in IDLE state
     if (cameraState.state !== RecordingState.IDLE) {
       Logger.warn('Recording blocked - camera not IDLE', {
@@ -86,37 +228,123 @@ class RecordingController extends EventEmitter {
     cameraState.startTime = new Date();
     cameraState.currentFile = generateVideoFilename(cameraId, cameraState.startTime);
     cameraState.rtspUrl = rtspUrl || cameraState.rtspUrl;
+    cameraState.zone = trigger.zone || null;
+    cameraState.alarm = trigger.alarm === true;
+    cameraState.motionActive = this.mode === RecordingMode.EXTEND && trigger.motion === true;
+    cameraState.retries = 0;
+    cameraState.transport = this.rtspTransport;
+    this._assignEncoder(cameraId, cameraState);
     
     const outputPath = path.join(
       this.storageManager.getBasePath(),
       cameraState.currentFile
     );
     
+    // With a pre-roll, the live part is recorded separately and joined when saving
+    const preEventSeconds = this.getPreEventSeconds(cameraId);
+    let livePath = outputPath;
+    cameraState.preEvent = null;
+    
+    if (preEventSeconds > 0 && cameraState.rtspUrl && this.preEventBuffer.isRunning(cameraId)) {
+      const workDir = path.join(
+        this.storageManager.getBasePath(),
+        '.pre-event',
+        path.basename(cameraState.currentFile, '.mp4')
+      );
+      fs.mkdirSync(workDir, { recursive: true });
+      livePath = path.join(workDir, 'live.mp4');
+      
+      cameraState.preEvent = {
+        seconds: preEventSeconds,
+        workDir,
+        livePath,
+        outputPath,
+        prepared: this._preparePreEvent(cameraId, workDir, preEventSeconds, cameraState.codec)
+      };
+    }
+    
     Logger.info('Starting recording', {
       cameraId,
       filename: cameraState.currentFile,
-      duration: this.recordingDurationMs / 1000
+      duration: this.recordingDurationMs / 1000,
+      preEvent: cameraState.preEvent ? preEventSeconds : 0,
+      zone: cameraState.zone,
+      codec: cameraState.codec
     });
     
     // Start FFmpeg recording
-    this._startFFmpegRecording(cameraId, cameraState.rtspUrl, outputPath);
+    cameraState.pieces = [livePath];
+    this._startFFmpegRecording(cameraId, cameraState.rtspUrl, livePath, {
+      transport: cameraState.transport,
+      codec: cameraState.codec,
+      durationSeconds: this._getWindowMs(cameraState) / 1000
+    });
     
-    // Start precise timer for exactly 60 seconds
+    // Start precise timer for durationSeconds (maxDurationSeconds while motion continues in extend mode)
     Timer.start(
       `recording_${cameraId}`,
-      this.recordingDurationMs,
+      cameraState.motionActive ? this.maxDurationMs : this.recordingDurationMs,
       () => this._onTimerEnd(cameraId)
     );
     
-    this.emit('recordingStarted', cameraId, cameraState.currentFile);
+    const triggerType = cameraState.alarm ? 'alarm' : (trigger.type || 'motion');
+    this.emit('recordingStarted', cameraId, cameraState.currentFile, cameraState.zone, triggerType);
     return true;
   }
   
+  /**
+   * Pick the codec of a new recording and take an encoder slot for re-encoding
+   * At most maxConcurrentEncodes clips are re-encoded at once; without a free
+   * slot the clip is captured with passthrough and re-encoded later.
+   * @private
+   */
+  _assignEncoder(cameraId, cameraState) {
+    const codec = this.getCodec(cameraId);
+    cameraState.codec = codec;
+    cameraState.deferredCodec = null;
+    
+    if (codec === PASSTHROUGH_CODEC || !cameraState.rtspUrl) return;
+    
+    cameraState.releaseEncoder = this.encodeLimiter.tryAcquire();
+    if (cameraState.releaseEncoder) return;
+    
+    cameraState.codec = PASSTHROUGH_CODEC;
+    cameraState.deferredCodec = codec;
+    
+    Logger.info('All encoders busy, recording with passthrough', {
+      cameraId,
+      ...this.encodeLimiter.getStats()
+    });
+  }
+  
+  /**
+   * Give back the encoder slot of a recording
+   * @private
+   */
+  _releaseEncoder(cameraState) {
+    if (!cameraState.releaseEncoder) return;
+    cameraState.releaseEncoder();
+    cameraState.releaseEncoder = null;
+  }
+  
+  /**
+   * FFmpeg output options for a video codec
+   * @private
+   */
+  _getEncodingOptions(codec) {
+    if (codec === PASSTHROUGH_CODEC) {
+      return ['-c:v copy', ...AUDIO_OPTIONS];
+    }
+    return [`-c:v ${codec}`, ...ENCODING_OPTIONS, ...AUDIO_OPTIONS];
+  }
+  
   /**
    * Start FFmpeg recording process
    * @private
+   * @param {Object} options - { transport: RTSP transport, codec: video codec,
+   *                          durationSeconds: FFmpeg -t limit }
    */
-  _startFFmpegRecording(cameraId, rtspUrl, outputPath) {
+  _startFFmpegRecording(cameraId, rtspUrl, outputPath, options) {
     // If no RTSP URL, simulate recording (for testing)
     if (!rtspUrl) {
       Logger.warn('No RTSP URL, using test pattern', { cameraId });
@@ -124,36 +352,208 @@ class RecordingController extends EventEmitter {
       return;
     }
     
+    let onExit;
+    const exited = new Promise((resolve) => { onExit = resolve; });
+    
     const ffmpegProcess = ffmpeg(rtspUrl)
       .inputOptions([
-        '-rtsp_transport tcp',
+        `-rtsp_transport ${options.transport}`,
         '-stimeout 5000000'
       ])
       .outputOptions([
-        '-c:v libx264',
-        '-preset ultrafast',
-        '-crf 23',
-        '-c:a aac',
-        '-b:a 128k',
+        ...this._getEncodingOptions(options.codec),
         '-movflags +faststart',
-        `-t ${this.config.durationSeconds}`
+        `-t ${Math.max(Math.round(options.durationSeconds), 1)}`
       ])
       .output(outputPath)
       .on('start', (cmd) => {
         Logger.debug('FFmpeg started', { cameraId, command: cmd });
       })
       .on('error', (err) => {
+        onExit();
+        
+        // Stopping the process on purpose also ends in an error
+        if (this.activeProcesses.get(cameraId) !== ffmpegProcess) return;
+        
         Logger.error('FFmpeg error', { cameraId, error: err.message });
         this._handleRecordingError(cameraId, err);
       })
       .on('end', () => {
+        onExit();
         Logger.debug('FFmpeg finished', { cameraId });
+        
+        // The camera closed the stream well before the recording window ends
+        if (this.activeProcesses.get(cameraId) !== ffmpegProcess) return;
+        const cameraState = this.getCameraState(cameraId);
+        if (cameraState.state === RecordingState.RECORDING && this._getWindowMs(cameraState) > MIN_RETRY_WINDOW_MS) {
+          this._handleRecordingError(cameraId, new Error('Stream ended early'));
+        }
       });
     
+    ffmpegProcess.exited = exited;
     ffmpegProcess.run();
     this.activeProcesses.set(cameraId, ffmpegProcess);
   }
   
+  /**
+   * Time left until the recording can last no longer
+   * (durationSeconds, or maxDurationSeconds in extend mode)
+   * @private
+   */
+  _getWindowMs(cameraState) {
+    const limit = this.mode === RecordingMode.EXTEND ? this.maxDurationMs : this.recordingDurationMs;
+    return limit - (Date.now() - cameraState.startTime.getTime());
+  }
+  
+  /**
+   * Keep an active recording open while motion continues (extend mode)
+   * @private
+   */
+  _extendRecording(cameraId) {
+    const cameraState = this.getCameraState(cameraId);
+    if (cameraState.motionActive) return;
+    
+    cameraState.motionActive = true;
+    this._rescheduleStop(cameraId);
+    
+    Logger.info('Recording extended - motion continues', { cameraId, filename: cameraState.currentFile });
+    this.emit('recordingExtended', cameraId, cameraState.currentFile);
+  }
+  
+  /**
+   * Motion started: flag the continuous segment being written
+   * @param {string} cameraId
+   */
+  onMotionStart(cameraId) {
+    this.continuousRecorder.setMotion(cameraId, true);
+  }
+  
+  /**
+   * Motion ended: stop the recording after the post-roll (extend mode)
+   * @param {string} cameraId
+   */
+  onMotionEnd(cameraId) {
+    this.continuousRecorder.setMotion(cameraId, false);
+    
+    const cameraState = this.getCameraState(cameraId);
+    if (this.mode !== RecordingMode.EXTEND || cameraState.state !== RecordingState.RECORDING) return;
+    if (!cameraState.motionActive) return;
+    
+    cameraState.motionActive = false;
+    this._rescheduleStop(cameraId);
+  }
+  
+  /**
+   * Flag the clip being recorded as alarm footage (kept longer by retention rules)
+   * @param {string} cameraId
+   * @returns {boolean} True if a clip was recording
+   */
+  markAlarm(cameraId) {
+    const cameraState = this.cameraStates.get(cameraId);
+    if (!cameraState || cameraState.state !== RecordingState.RECORDING) return false;
+    
+    cameraState.alarm = true;
+    return true;
+  }
+  
+  /**
+   * Move the stop timer of an active recording (extend mode)
+   * While motion is active the recording runs until maxDurationSeconds;
+   * otherwise until the post-roll ends, but at least durationSeconds.
+   * @private
+   */
+  _rescheduleStop(cameraId) {
+    const cameraState = this.getCameraState(cameraId);
+    const elapsed = Date.now() - cameraState.startTime.getTime();
+    const remainingToMax = this.maxDurationMs - elapsed;
+    
+    const remaining = cameraState.motionActive
+      ? remainingToMax
+      : Math.min(Math.max(this.recordingDurationMs - elapsed, this.postRollMs), remainingToMax);
+    
+    Timer.start(
+      `recording_${cameraId}`,
+      Math.max(remaining, 0),
+      () => this._onTimerEnd(cameraId)
+    );
+    
+    Logger.debug('Recording stop rescheduled', { cameraId, remainingMs: Math.round(remaining) });
+  }
+  
+  /**
+   * Copy the buffered pre-roll and encode it like the live recording
+   * Cameras with preEventSeconds are buffered continuously by PreEventBuffer;
+   * the pre-roll is joined in front of the live recording when saving.
+   * A re-encoded pre-roll runs on the encoder slot of its recording.
+   * @private
+   * @returns {Promise<string|null>} Path of the encoded pre-roll, or null if nothing was buffered
+   */
+  async _preparePreEvent(cameraId, workDir, seconds, codec) {
+    try {
+      const segments = await this.preEventBuffer.capture(cameraId, workDir, seconds);
+      if (segments.length === 0) {
+        Logger.warn('No pre-event footage buffered', { cameraId });
+        return null;
+      }
+      
+      const prePath = path.join(workDir, 'pre.mp4');
+      await this._runFFmpeg(
+        ffmpeg(`concat:${segments.join('|')}`)
+          .outputOptions([...this._getEncodingOptions(codec), '-movflags +faststart'])
+          .output(prePath)
+      );
+      
+      return prePath;
+    } catch (err) {
+      Logger.warn('Failed to prepare pre-event footage', { cameraId, error: err.message });
+      return null;
+    }
+  }
+  
+  /**
+   * Join the pre-roll and the live recording into the final file
+   * Falls back to the live recording alone if joining fails.
+   * @private
+   */
+  async _finishPreEvent(cameraId, preEvent) {
+    const prePath = await preEvent.prepared;
+    
+    try {
+      if (!prePath) {
+        await fs.promises.rename(preEvent.livePath, preEvent.outputPath);
+        return;
+      }
+      
+      const listPath = path.join(preEvent.workDir, 'concat.txt');
+      await fs.promises.writeFile(listPath, `file '${prePath}'\nfile '${preEvent.livePath}'\n`);
+      
+      await this._runFFmpeg(
+        ffmpeg(listPath)
+          .inputOptions(['-f concat', '-safe 0'])
+          .outputOptions(['-c copy', '-movflags +faststart'])
+          .output(preEvent.outputPath)
+      );
+    } catch (err) {
+      Logger.warn('Failed to prepend pre-event footage', { cameraId, error: err.message });
+      await fs.promises.rename(preEvent.livePath, preEvent.outputPath).catch(() => {});
+    } finally {
+      await fs.promises.rm(preEvent.workDir, { recursive: true, force: true });
+    }
+  }
+  
+  /**
+   * Run an FFmpeg command to completion
+   * @private
+   */
+  _runFFmpeg(command) {
+    return new Promise((resolve, reject) => {
+      command
+        .on('end', resolve)
+        .on('error', reject)
+        .run();
+    });
+  }
+  
   /**
    * Handle timer end - stop recording
    * @private
@@ -170,15 +570,18 @@ class RecordingController extends EventEmitter {
     }
     
     Logger.info('Recording timer ended', { cameraId });
+    cameraState.stopTime = new Date();
+    Timer.stop(`retry_${cameraId}`);
     
     // Stop FFmpeg
+    const liveExited = this.activeProcesses.get(cameraId)?.exited;
     this._stopFFmpegRecording(cameraId);
     
     // Transition to SAVING state
     cameraState.state = RecordingState.SAVING;
     
     // Save to storage index
-    this._saveRecording(cameraId);
+    cameraState.saving = this._saveRecording(cameraId, liveExited);
   }
   
   /**
@@ -201,35 +604,187 @@ class RecordingController extends EventEmitter {
    * Save recording metadata and transition to RESET
    * @private
    */
-  async _saveRecording(cameraId) {
+  async _saveRecording(cameraId, liveExited) {
     const cameraState = this.getCameraState(cameraId);
     
+    await this._storeRecording(cameraId, cameraState, liveExited);
+    this._releaseEncoder(cameraState);
+    
+    // Transition to RESET state
+    cameraState.state = RecordingState.RESET;
+    this._onReset(cameraId);
+  }
+  
+  /**
+   * Finalize the files of a stopped recording and add the clip to the index
+   * Joins retry pieces and the pre-roll, then starts previews and any deferred re-encode.
+   * Emits recordingError instead of recordingComplete if nothing could be saved.
+   * @private
+   */
+  async _storeRecording(cameraId, cameraState, liveExited) {
+    const preRollSeconds = cameraState.preEvent ? cameraState.preEvent.seconds : 0;
+    const degraded = cameraState.retries > 0;
+    const deferredCodec = cameraState.deferredCodec;
+    
     try {
-      // Add to storage index
-      await this.storageManager.addRecording({
+      // Wait for FFmpeg to finalize the file so it can be joined, sized and probed
+      let exitTimeout;
+      await Promise.race([
+        liveExited || Promise.resolve(),
+        new Promise(resolve => { exitTimeout = setTimeout(resolve, LIVE_EXIT_TIMEOUT_MS); })
+      ]);
+      clearTimeout(exitTimeout);
+      
+      // Stopped before FFmpeg wrote any footage
+      if (cameraState.rtspUrl && !(await this._hasFootage(cameraState.pieces))) {
+        this._discardPreEvent(cameraState);
+        this._discardPieces(cameraState);
+        throw new Error('No footage recorded');
+      }
+      
+      if (cameraState.pieces.length > 1) {
+        await this._stitchPieces(cameraId, cameraState);
+      }
+      
+      if (cameraState.preEvent) {
+        await this._finishPreEvent(cameraId, cameraState.preEvent);
+        cameraState.preEvent = null;
+      }
+      
+      const duration = this.mode === RecordingMode.EXTEND
+        ? Math.round((cameraState.stopTime - cameraState.startTime) / 1000)
+        : this.config.durationSeconds;
+      
+      // Add to storage index (the index probes the real duration)
+      const entry = await this.storageManager.addRecording({
         cameraId,
         filename: cameraState.currentFile,
         timestamp: cameraState.startTime.toISOString(),
-        duration: this.config.durationSeconds
+        duration: duration + preRollSeconds,
+        preRollSeconds,
+        zone: cameraState.zone,
+        alarm: cameraState.alarm,
+        degraded
       });
       
       Logger.info('Recording saved', {
         cameraId,
-        filename: cameraState.currentFile
+        filename: cameraState.currentFile,
+        corrupt: entry.corrupt
       });
       
       this.emit('recordingComplete', cameraId, cameraState.currentFile);
       
+      // Previews and deferred re-encodes are slow, don't hold up the state machine
+      if (!entry.corrupt) {
+        this._createPreviews(cameraId, cameraState.currentFile, {
+          duration: entry.duration,
+          posterOffset: preRollSeconds + 1
+        });
+        
+        if (deferredCodec) {
+          this._transcodeRecording(cameraId, cameraState.currentFile, deferredCodec);
+        }
+      }
+      
     } catch (err) {
       Logger.error('Failed to save recording', {
         cameraId,
         error: err.message
       });
+      this.emit('recordingError', cameraId, err);
     }
+  }
+  
+  /**
+   * Generate the poster frame and sprite sheet of a saved clip
+   * Runs in the background; they are added to the index entry once ready.
+   * @private
+   */
+  async _createPreviews(cameraId, filename, options) {
+    if (!this.thumbnailGenerator.isEnabled()) return;
     
-    // Transition to RESET state
-    cameraState.state = RecordingState.RESET;
-    this._onReset(cameraId);
+    try {
+      const previews = await this.thumbnailGenerator.generate(
+        path.join(this.storageManager.getBasePath(), filename),
+        { duration: options.duration, posterOffset: options.posterOffset }
+      );
+      
+      await this.storageManager.updateRecording(filename, previews);
+      this.emit('previewsReady', cameraId, filename, previews);
+    } catch (err) {
+      Logger.warn('Failed to generate recording previews', { cameraId, filename, error: err.message });
+    }
+  }
+  
+  /**
+   * Re-encode a clip that was captured with passthrough while all encoders were busy
+   * Waits in the encoder queue, then replaces the clip and re-verifies it.
+   * The clip may have changed while it waited: deleted, archived to another
+   * tier, only left in the off-site backup, or locked as evidence (whose
+   * content must not change). It is then left as it is.
+   * @private
+   */
+  async _transcodeRecording(cameraId, filename, codec) {
+    let tempPath = null;
+    
+    const skipReason = () => {
+      const recording = this.storageManager.getRecording(filename);
+      if (!recording) return 'deleted';
+      if (recording.remote) return 'not stored locally';
+      if (recording.locked) return 'locked as evidence';
+      return null;
+    };
+    
+    try {
+      Logger.debug('Re-encode queued', { cameraId, filename, ...this.encodeLimiter.getStats() });
+      
+      const replaced = await this.encodeLimiter.run(async () => {
+        let reason = skipReason();
+        if (reason) {
+          Logger.info('Skipping re-encode of recording', { cameraId, filename, reason });
+          return false;
+        }
+        
+        // Wherever the clip is now; the temp file sits beside it so rename stays on one volume
+        const filePath = this.storageManager.getFilePath(filename);
+        tempPath = path.join(path.dirname(filePath), '.transcode', filename);
+        
+        await fs.promises.mkdir(path.dirname(tempPath), { recursive: true });
+        await this._runFFmpeg(
+          ffmpeg(filePath)
+            .outputOptions([...this._getEncodingOptions(codec), '-movflags +faststart'])
+            .output(tempPath)
+        );
+        
+        reason = skipReason() ||
+          (this.storageManager.getFilePath(filename) !== filePath ? 'archived while encoding' : null);
+        if (reason) {
+          Logger.info('Discarding re-encode of recording', { cameraId, filename, reason });
+          return false;
+        }
+        
+        await fs.promises.rename(tempPath, filePath);
+        return true;
+      });
+      
+      if (!replaced) return;
+      
+      await this.storageManager.reverifyRecording(filename);
+      
+      Logger.info('Recording re-encoded', { cameraId, filename, codec });
+      this.emit('recordingTranscoded', cameraId, filename, codec);
+    } catch (err) {
+      Logger.warn('Failed to re-encode recording, keeping passthrough clip', {
+        cameraId,
+        filename,
+        error: err.message
+      });
+    } finally {
+      if (tempPath) {
+        await fs.promises.rm(tempPath, { force: true }).catch(() => {});
+      }
+    }
   }
   
   /**
@@ -246,9 +801,7 @@ class RecordingController extends EventEmitter {
       `reset_${cameraId}`,
       this.resetDelayMs,
       () => {
-        cameraState.state = RecordingState.IDLE;
-        cameraState.currentFile = null;
-        cameraState.startTime = null;
+        this._resetState(cameraState);
         
         Logger.info('Camera returned to IDLE', { cameraId });
         this.emit('recordingReady', cameraId);
@@ -256,18 +809,72 @@ class RecordingController extends EventEmitter {
     );
   }
   
+  /**
+   * Return a camera to IDLE, forgetting the last recording
+   * @private
+   */
+  _resetState(cameraState) {
+    cameraState.state = RecordingState.IDLE;
+    cameraState.currentFile = null;
+    cameraState.startTime = null;
+    cameraState.stopTime = null;
+    cameraState.zone = null;
+    cameraState.alarm = false;
+    cameraState.motionActive = false;
+    cameraState.preEvent = null;
+    cameraState.pieces = [];
+    cameraState.retries = 0;
+    cameraState.codec = null;
+    cameraState.deferredCodec = null;
+    cameraState.saving = null;
+  }
+  
   /**
    * Handle recording errors
+   * Retries while possible; then saves what was recorded, or drops the
+   * recording if nothing was.
    * @private
    */
-  _handleRecordingError(cameraId, error) {
+  async _handleRecordingError(cameraId, error) {
     const cameraState = this.getCameraState(cameraId);
+    this.activeProcesses.delete(cameraId);
+    
+    if (cameraState.state === RecordingState.RECORDING) {
+      if (this._retryRecording(cameraId, error)) return;
+      
+      const filename = cameraState.currentFile;
+      const hasFootage = await this._hasFootage(cameraState.pieces);
+      
+      // The timer may have ended the recording meanwhile
+      if (cameraState.state !== RecordingState.RECORDING || cameraState.currentFile !== filename) return;
+      
+      if (hasFootage) {
+        Logger.warn('Recording retries exhausted, saving partial recording', { cameraId, filename });
+        this.emit('recordingDegraded', cameraId, {
+          filename,
+          attempt: cameraState.retries,
+          maxAttempts: this.retryAttempts,
+          transport: cameraState.transport,
+          error: error.message,
+          exhausted: true
+        });
+        
+        Timer.stop(`recording_${cameraId}`);
+        cameraState.stopTime = new Date();
+        cameraState.state = RecordingState.SAVING;
+        cameraState.saving = this._saveRecording(cameraId);
+        return;
+      }
+    }
     
-    // Stop timer
+    // Stop timers
     Timer.stop(`recording_${cameraId}`);
+    Timer.stop(`retry_${cameraId}`);
     
     // Clean up
-    this.activeProcesses.delete(cameraId);
+    this._discardPreEvent(cameraState);
+    this._discardPieces(cameraState);
+    this._releaseEncoder(cameraState);
     
     // Force reset
     cameraState.state = RecordingState.RESET;
@@ -276,33 +883,218 @@ class RecordingController extends EventEmitter {
     this.emit('recordingError', cameraId, error);
   }
   
+  /**
+   * Restart FFmpeg into a new piece of the interrupted recording
+   * Waits retryDelaySeconds and switches between RTSP over TCP and UDP, up to
+   * retryAttempts times while the recording window is still open. Pieces are
+   * stitched into one clip when saving.
+   * @private
+   * @returns {boolean} False if no retry is left or the window is too short
+   */
+  _retryRecording(cameraId, error) {
+    const cameraState = this.getCameraState(cameraId);
+    
+    if (!cameraState.rtspUrl || cameraState.retries >= this.retryAttempts) return false;
+    if (this._getWindowMs(cameraState) - this.retryDelayMs < MIN_RETRY_WINDOW_MS) return false;
+    
+    cameraState.retries++;
+    if (this.transportFallback) {
+      const next = (RTSP_TRANSPORTS.indexOf(cameraState.transport) + 1) % RTSP_TRANSPORTS.length;
+      cameraState.transport = RTSP_TRANSPORTS[next];
+    }
+    
+    const details = {
+      filename: cameraState.currentFile,
+      attempt: cameraState.retries,
+      maxAttempts: this.retryAttempts,
+      transport: cameraState.transport,
+      error: error.message,
+      exhausted: false
+    };
+    
+    Logger.warn('Recording interrupted, retrying', { cameraId, ...details });
+    this.emit('recordingDegraded', cameraId, details);
+    
+    Timer.start(`retry_${cameraId}`, this.retryDelayMs, () => {
+      if (cameraState.state !== RecordingState.RECORDING || cameraState.currentFile !== details.filename) return;
+      
+      const piecesDir = this._getPiecesDir(cameraState);
+      fs.mkdirSync(piecesDir, { recursive: true });
+      
+      const piecePath = path.join(piecesDir, `part${String(cameraState.pieces.length).padStart(3, '0')}.mp4`);
+      cameraState.pieces.push(piecePath);
+      
+      this._startFFmpegRecording(cameraId, cameraState.rtspUrl, piecePath, {
+        transport: cameraState.transport,
+        codec: cameraState.codec,
+        durationSeconds: this._getWindowMs(cameraState) / 1000
+      });
+    });
+    
+    return true;
+  }
+  
+  /**
+   * Working directory for the pieces of an interrupted recording
+   * @private
+   */
+  _getPiecesDir(cameraState) {
+    return path.join(
+      this.storageManager.getBasePath(),
+      '.pieces',
+      path.basename(cameraState.currentFile, '.mp4')
+    );
+  }
+  
+  /**
+   * Check if any piece of a recording holds footage
+   * @private
+   */
+  async _hasFootage(pieces) {
+    for (const piece of pieces) {
+      const stat = await fs.promises.stat(piece).catch(() => null);
+      if (stat && stat.size >= MIN_PIECE_BYTES) return true;
+    }
+    return false;
+  }
+  
+  /**
+   * Join the pieces of an interrupted recording into the first piece's path
+   * Falls back to the first piece with footage if joining fails.
+   * @private
+   */
+  async _stitchPieces(cameraId, cameraState) {
+    const target = cameraState.pieces[0];
+    const piecesDir = this._getPiecesDir(cameraState);
+    const usable = [];
+    
+    for (const piece of cameraState.pieces) {
+      const stat = await fs.promises.stat(piece).catch(() => null);
+      if (stat && stat.size >= MIN_PIECE_BYTES) usable.push(piece);
+    }
+    
+    try {
+      if (usable.length === 0) return;
+      
+      if (usable.length === 1) {
+        if (usable[0] !== target) await fs.promises.rename(usable[0], target);
+        return;
+      }
+      
+      const listPath = path.join(piecesDir, 'concat.txt');
+      const stitchedPath = path.join(piecesDir, 'stitched.mp4');
+      await fs.promises.writeFile(listPath, usable.map(piece => `file '${piece}'\n`).join(''));
+      
+      await this._runFFmpeg(
+        ffmpeg(listPath)
+          .inputOptions(['-f concat', '-safe 0'])
+          .outputOptions(['-c copy', '-movflags +faststart'])
+          .output(stitchedPath)
+      );
+      await fs.promises.rename(stitchedPath, target);
+      
+      Logger.info('Recording pieces stitched', { cameraId, pieces: usable.length });
+    } catch (err) {
+      Logger.warn('Failed to stitch recording pieces', { cameraId, error: err.message });
+      if (usable[0] !== target) await fs.promises.rename(usable[0], target).catch(() => {});
+    } finally {
+      await fs.promises.rm(piecesDir, { recursive: true, force: true });
+    }
+  }
+  
+  /**
+   * Delete the pieces of a dropped recording
+   * @private
+   */
+  _discardPieces(cameraState) {
+    if (cameraState.pieces.length > 1) {
+      fs.promises.rm(this._getPiecesDir(cameraState), { recursive: true, force: true }).catch(() => {});
+    }
+    cameraState.pieces = [];
+  }
+  
+  /**
+   * Delete the working files of an unfinished pre-event recording
+   * @private
+   */
+  _discardPreEvent(cameraState) {
+    if (!cameraState.preEvent) return;
+    
+    const { workDir, prepared } = cameraState.preEvent;
+    cameraState.preEvent = null;
+    prepared.finally(() => fs.promises.rm(workDir, { recursive: true, force: true }).catch(() => {}));
+  }
+  
   /**
    * Force stop recording for a camera
+   * A recording in progress is cut short and saved like one whose timer
+   * ended (pre-roll and retry pieces joined), then the camera returns to
+   * IDLE without the reset delay. Without footage it ends in recordingError.
    * @param {string} cameraId
+   * @returns {Promise<void>} Resolves once the recording is saved
    */
-  forceStop(cameraId) {
+  async forceStop(cameraId) {
     const cameraState = this.getCameraState(cameraId);
     
     Timer.stop(`recording_${cameraId}`);
-    Timer.stop(`reset_${cameraId}`);
-    this._stopFFmpegRecording(cameraId);
+    Timer.stop(`retry_${cameraId}`);
     
-    cameraState.state = RecordingState.IDLE;
-    cameraState.currentFile = null;
-    cameraState.startTime = null;
+    if (cameraState.state === RecordingState.RECORDING) {
+      cameraState.stopTime = new Date();
+      const liveExited = this.activeProcesses.get(cameraId)?.exited;
+      this._stopFFmpegRecording(cameraId);
+      
+      cameraState.state = RecordingState.SAVING;
+      cameraState.saving = this._storeRecording(cameraId, cameraState, liveExited);
+    } else {
+      this._stopFFmpegRecording(cameraId);
+    }
+    
+    // A clip being saved (also by its timer) is finished first
+    if (cameraState.saving) await cameraState.saving;
+    
+    Timer.stop(`reset_${cameraId}`);
+    this._releaseEncoder(cameraState);
+    this._resetState(cameraState);
     
     Logger.info('Recording force stopped', { cameraId });
   }
   
   /**
-   * Stop all recordings
+   * Add a finished continuous segment to the storage index
+   * Segments are flagged hasMotion when motion occurred while they were written.
+   * @private
+   */
+  async _indexSegment(cameraId, segment) {
+    try {
+      await this.storageManager.addRecording({
+        cameraId,
+        filename: segment.filename,
+        timestamp: segment.timestamp,
+        duration: segment.duration,
+        type: RecordingType.CONTINUOUS,
+        hasMotion: segment.hasMotion
+      });
+      
+      this.emit('segmentComplete', cameraId, segment.filename, segment.hasMotion);
+    } catch (err) {
+      Logger.error('Failed to index continuous segment', { cameraId, filename: segment.filename, error: err.message });
+    }
+  }
+  
+  /**
+   * Stop all recordings, saving the clips in progress
    */
   async stopAll() {
     const promises = [];
     
     for (const [cameraId] of this.cameraStates) {
-      this.forceStop(cameraId);
+      promises.push(this.forceStop(cameraId));
     }
+    await Promise.all(promises);
+    
+    this.preEventBuffer.stopAll();
+    this.continuousRecorder.stopAll();
     
     Timer.stopAll();
     Logger.info('All recordings stopped');
@@ -319,7 +1111,11 @@ class RecordingController extends EventEmitter {
       state: cameraState.state,
       currentFile: cameraState.currentFile,
       startTime: cameraState.startTime,
-      remainingMs: Timer.getRemaining(`recording_${cameraId}`)
+      zone: cameraState.zone,
+      motionActive: cameraState.motionActive,
+      codec: cameraState.codec,
+      remainingMs: Timer.getRemaining(`recording_${cameraId}`),
+      continuousSegment: this.continuousRecorder.getCurrentSegment(cameraId)
     };
   }
   
@@ -343,7 +1139,38 @@ class RecordingController extends EventEmitter {
   registerCamera(cameraId, rtspUrl) {
     const cameraState = this.getCameraState(cameraId);
     cameraState.rtspUrl = rtspUrl;
-    Logger.info('Camera registered for recording', { cameraId });
+    
+    const preEventSeconds = this.getPreEventSeconds(cameraId);
+    if (rtspUrl && preEventSeconds > 0) {
+      this.preEventBuffer.start(cameraId, rtspUrl, preEventSeconds);
+    } else {
+      this.preEventBuffer.stop(cameraId);
+    }
+    
+    const continuous = Boolean(rtspUrl) && this.isContinuous(cameraId);
+    if (continuous) {
+      this.continuousRecorder.start(cameraId, rtspUrl);
+    } else {
+      this.continuousRecorder.stop(cameraId);
+    }
+    
+    Logger.info('Camera registered for recording', { cameraId, preEvent: preEventSeconds, continuous });
+  }
+  
+  /**
+   * Stop recording and buffering for a removed camera
+   * A recording in progress is saved first.
+   * @param {string} cameraId
+   * @returns {Promise<void>}
+   */
+  async unregisterCamera(cameraId) {
+    const stopped = this.forceStop(cameraId);
+    this.preEventBuffer.stop(cameraId);
+    this.continuousRecorder.stop(cameraId);
+    
+    await stopped;
+    this.cameraStates.delete(cameraId);
+    Logger.info('Camera unregistered from recording', { cameraId });
   }
 }
 
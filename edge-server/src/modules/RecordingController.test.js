@@ -0,0 +1,469 @@
+jest.mock('fluent-ffmpeg');
+jest.mock('../utils/Logger');
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const ffmpeg = require('fluent-ffmpeg');
+const RecordingController = require('./RecordingController');
+const StorageManager = require('./StorageManager');
+const { RecordingState, RecordingMode, RecordingType } = require('../shared/types');
+
+const RTSP_URL = 'rtsp://camera.local/stream';
+const LIVE_BYTES = 4096;
+
+/**
+ * Poll until a condition holds
+ */
+async function waitFor(condition, timeoutMs = 5000) {
+  const deadline = Date.now() + timeoutMs;
+  while (!condition()) {
+    if (Date.now() > deadline) throw new Error('Timed out waiting for condition');
+    await new Promise(resolve => setTimeout(resolve, 20));
+  }
+}
+
+describe('RecordingController', () => {
+  let basePath;
+  let storage;
+  let controller;
+
+  beforeEach(() => {
+    basePath = fs.mkdtempSync(path.join(os.tmpdir(), 'recording-test-'));
+    storage = new StorageManager({ basePath });
+  });
+
+  afterEach(async () => {
+    await controller.stopAll();
+    ffmpeg.reset();
+    fs.rmSync(basePath, { recursive: true, force: true });
+  });
+
+  /**
+   * Controller whose pre-event buffer holds a 1000 byte pre-roll per camera
+   */
+  function createController(config = {}) {
+    controller = new RecordingController({
+      durationSeconds: 60,
+      resetDelaySeconds: 1,
+      thumbnails: { enabled: false },
+      ...config
+    }, storage);
+
+    controller.preEventBuffer.isRunning = () => true;
+    controller.preEventBuffer.capture = async (cameraId, workDir) => {
+      const segment = path.join(workDir, 'seg000.ts');
+      fs.writeFileSync(segment, Buffer.alloc(1000, 2));
+      return [segment];
+    };
+    return controller;
+  }
+
+  /**
+   * The running FFmpeg command recording a camera
+   */
+  function liveCommand() {
+    return ffmpeg.commands.filter(command => command.live && command.running).pop();
+  }
+
+  describe('startRecording', () => {
+    test('reports what triggered the recording', () => {
+      createController();
+      const started = jest.fn();
+      controller.on('recordingStarted', started);
+
+      controller.startRecording('CAM01', null, { zone: 'door', motion: true });
+      controller.startRecording('CAM02', null, { type: 'manual' });
+      controller.startRecording('CAM03', null, { motion: true, alarm: true });
+
+      expect(started.mock.calls).toEqual([
+        ['CAM01', expect.any(String), 'door', 'motion'],
+        ['CAM02', expect.any(String), null, 'manual'],
+        ['CAM03', expect.any(String), null, 'alarm']
+      ]);
+    });
+  });
+
+  describe('extend mode', () => {
+    function createExtendController() {
+      return createController({
+        mode: RecordingMode.EXTEND,
+        durationSeconds: 0.2,
+        maxDurationSeconds: 1,
+        postRollSeconds: 0.1,
+        resetDelaySeconds: 0.1
+      });
+    }
+
+    test('keeps the recording open when motion is triggered again', () => {
+      createExtendController();
+      const extended = jest.fn();
+      controller.on('recordingExtended', extended);
+
+      controller.startRecording('CAM01', null, { zone: 'door' });
+      const { currentFile } = controller.getState('CAM01');
+
+      expect(controller.startRecording('CAM01', null, { alarm: true })).toBe(false);
+      expect(extended).toHaveBeenCalledWith('CAM01', currentFile);
+      expect(controller.getState('CAM01').state).toBe(RecordingState.RECORDING);
+      expect(controller.getCameraState('CAM01').alarm).toBe(true);
+    });
+
+    test('stops after the post-roll once motion ends', async () => {
+      createExtendController();
+      const completed = jest.fn();
+      controller.on('recordingComplete', completed);
+
+      controller.startRecording('CAM01', null, { motion: true });
+      await new Promise(resolve => setTimeout(resolve, 300));
+      expect(controller.getState('CAM01').state).toBe(RecordingState.RECORDING);
+
+      const motionEndedAt = Date.now();
+      controller.onMotionEnd('CAM01');
+      await waitFor(() => completed.mock.calls.length === 1);
+
+      expect(Date.now() - motionEndedAt).toBeLessThan(800);
+    });
+
+    test('stops at maxDurationSeconds while motion continues', async () => {
+      createExtendController();
+      const completed = jest.fn();
+      controller.on('recordingComplete', completed);
+
+      controller.startRecording('CAM01', null, { motion: true });
+      const { currentFile } = controller.getState('CAM01');
+      await new Promise(resolve => setTimeout(resolve, 600));
+      expect(completed).not.toHaveBeenCalled();
+
+      await waitFor(() => completed.mock.calls.length === 1);
+      expect(storage.getRecording(currentFile).duration).toBe(1);
+    });
+
+    test('ignores triggers during a recording in fixed mode', () => {
+      createController();
+      const extended = jest.fn();
+      controller.on('recordingExtended', extended);
+
+      controller.startRecording('CAM01');
+
+      expect(controller.startRecording('CAM01', null, { motion: true })).toBe(false);
+      expect(extended).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('pre-roll', () => {
+    test('joins the buffered pre-roll in front of the live recording', async () => {
+      createController({ durationSeconds: 0.2, resetDelaySeconds: 0.1, preEventSeconds: 5 });
+      const ready = jest.fn();
+      controller.on('recordingReady', ready);
+
+      controller.startRecording('CAM01', RTSP_URL);
+      const { currentFile } = controller.getState('CAM01');
+      await waitFor(() => ready.mock.calls.length === 1);
+
+      const concat = ffmpeg.commands.find(command => command.input.startsWith('concat:'));
+      expect(concat.outputPath).toBe(path.join(basePath, '.pre-event', path.basename(currentFile, '.mp4'), 'pre.mp4'));
+      expect(fs.statSync(path.join(basePath, currentFile)).size).toBe(1000 + LIVE_BYTES);
+      expect(storage.getRecording(currentFile)).toEqual(expect.objectContaining({ preRollSeconds: 5 }));
+      expect(fs.readdirSync(path.join(basePath, '.pre-event'))).toEqual([]);
+      expect(controller.getState('CAM01').state).toBe(RecordingState.IDLE);
+    });
+
+    test('saves the live recording alone when nothing was buffered', async () => {
+      createController({ durationSeconds: 0.2, resetDelaySeconds: 0.1, preEventSeconds: 5 });
+      controller.preEventBuffer.capture = async () => [];
+      const ready = jest.fn();
+      controller.on('recordingReady', ready);
+
+      controller.startRecording('CAM01', RTSP_URL);
+      const { currentFile } = controller.getState('CAM01');
+      await waitFor(() => ready.mock.calls.length === 1);
+
+      expect(fs.statSync(path.join(basePath, currentFile)).size).toBe(LIVE_BYTES);
+      expect(fs.readdirSync(path.join(basePath, '.pre-event'))).toEqual([]);
+    });
+
+    test('records without pre-roll while the camera is not buffered', async () => {
+      createController({ preEventSeconds: 5 });
+      controller.preEventBuffer.isRunning = () => false;
+
+      controller.startRecording('CAM01', RTSP_URL);
+
+      expect(liveCommand().outputPath).toBe(path.join(basePath, controller.getState('CAM01').currentFile));
+    });
+  });
+
+  describe('retries', () => {
+    /**
+     * Fail the running recording once it has written its file
+     */
+    async function interrupt(outputPath) {
+      await waitFor(() => fs.existsSync(outputPath) && liveCommand() && liveCommand().outputPath === outputPath);
+      liveCommand().fail();
+    }
+
+    function piecePath(currentFile, index) {
+      return path.join(basePath, '.pieces', path.basename(currentFile, '.mp4'), `part00${index}.mp4`);
+    }
+
+    test('restarts over the other transport and stitches the pieces when the timer ends', async () => {
+      createController({ durationSeconds: 3.5, retryDelaySeconds: 0.05, resetDelaySeconds: 0.1 });
+      const degraded = jest.fn();
+      const completed = jest.fn();
+      controller.on('recordingDegraded', degraded);
+      controller.on('recordingComplete', completed);
+
+      controller.startRecording('CAM01', RTSP_URL);
+      const { currentFile } = controller.getState('CAM01');
+      await interrupt(path.join(basePath, currentFile));
+      await waitFor(() => fs.existsSync(piecePath(currentFile, 1)));
+
+      expect(liveCommand().inputOpts).toContain('-rtsp_transport udp');
+      expect(degraded).toHaveBeenCalledWith('CAM01', expect.objectContaining({
+        filename: currentFile,
+        attempt: 1,
+        transport: 'udp',
+        exhausted: false
+      }));
+
+      await waitFor(() => completed.mock.calls.length === 1);
+      expect(fs.statSync(path.join(basePath, currentFile)).size).toBe(2 * LIVE_BYTES);
+      expect(storage.getRecording(currentFile).degraded).toBe(true);
+      expect(fs.existsSync(path.dirname(piecePath(currentFile, 1)))).toBe(false);
+    });
+
+    test('treats a stream that ends early as an interruption', async () => {
+      createController({ durationSeconds: 10, retryDelaySeconds: 0.05 });
+
+      controller.startRecording('CAM01', RTSP_URL);
+      const { currentFile } = controller.getState('CAM01');
+      await waitFor(() => fs.existsSync(path.join(basePath, currentFile)));
+      liveCommand().end();
+
+      await waitFor(() => fs.existsSync(piecePath(currentFile, 1)));
+      expect(controller.getState('CAM01').state).toBe(RecordingState.RECORDING);
+    });
+
+    test('saves the partial recording once retries are exhausted', async () => {
+      createController({ durationSeconds: 10, retryAttempts: 1, retryDelaySeconds: 0.05 });
+      const degraded = jest.fn();
+      const completed = jest.fn();
+      controller.on('recordingDegraded', degraded);
+      controller.on('recordingComplete', completed);
+
+      controller.startRecording('CAM01', RTSP_URL);
+      const { currentFile } = controller.getState('CAM01');
+      await interrupt(path.join(basePath, currentFile));
+      await interrupt(piecePath(currentFile, 1));
+      await waitFor(() => completed.mock.calls.length === 1);
+
+      expect(degraded.mock.calls.map(([, details]) => details.exhausted)).toEqual([false, true]);
+      expect(fs.statSync(path.join(basePath, currentFile)).size).toBe(2 * LIVE_BYTES);
+      expect(storage.getRecording(currentFile).degraded).toBe(true);
+    });
+
+    test('does not retry when too little of the recording window is left', async () => {
+      createController({ durationSeconds: 2, retryDelaySeconds: 0.05 });
+      const degraded = jest.fn();
+      const completed = jest.fn();
+      controller.on('recordingDegraded', degraded);
+      controller.on('recordingComplete', completed);
+
+      controller.startRecording('CAM01', RTSP_URL);
+      const { currentFile } = controller.getState('CAM01');
+      await interrupt(path.join(basePath, currentFile));
+      await waitFor(() => completed.mock.calls.length === 1);
+
+      expect(degraded).toHaveBeenCalledWith('CAM01', expect.objectContaining({ attempt: 0, exhausted: true }));
+      expect(fs.statSync(path.join(basePath, currentFile)).size).toBe(LIVE_BYTES);
+    });
+
+    test('drops a recording that failed before writing any footage', async () => {
+      createController({ retryAttempts: 0, preEventSeconds: 5 });
+      const failed = jest.fn();
+      controller.on('recordingError', failed);
+
+      controller.startRecording('CAM01', RTSP_URL);
+      const { currentFile } = controller.getState('CAM01');
+      liveCommand().fail();
+      await waitFor(() => failed.mock.calls.length === 1);
+
+      expect(failed).toHaveBeenCalledWith('CAM01', expect.objectContaining({ message: 'Connection refused' }));
+      expect(storage.getRecording(currentFile)).toBeFalsy();
+      expect(controller.getState('CAM01').state).toBe(RecordingState.RESET);
+      await waitFor(() => !fs.existsSync(path.join(basePath, '.pre-event', path.basename(currentFile, '.mp4'))));
+    });
+  });
+
+  describe('codecs', () => {
+    function transcodes() {
+      return ffmpeg.commands.filter(command => command.outputPath.includes(`${path.sep}.transcode${path.sep}`));
+    }
+
+    test('records passthrough cameras without an encoder slot', () => {
+      createController({ cameras: { CAM01: { codec: 'copy' } } });
+
+      controller.startRecording('CAM01', RTSP_URL);
+
+      expect(liveCommand().outputOpts).toContain('-c:v copy');
+      expect(controller.encodeLimiter.getStats().active).toBe(0);
+    });
+
+    test('captures with passthrough while all encoders are busy and re-encodes later', async () => {
+      createController({ maxConcurrentEncodes: 1 });
+      const transcoded = jest.fn();
+      controller.on('recordingTranscoded', transcoded);
+
+      controller.startRecording('CAM01', RTSP_URL);
+      expect(liveCommand().outputOpts).toContain('-c:v libx264');
+      controller.startRecording('CAM02', RTSP_URL);
+      expect(liveCommand().outputOpts).toContain('-c:v copy');
+      const { currentFile } = controller.getState('CAM02');
+      await waitFor(() => fs.existsSync(path.join(basePath, currentFile)));
+
+      // Waits for the encoder slot held by CAM01
+      await controller.forceStop('CAM02');
+      await new Promise(resolve => setTimeout(resolve, 50));
+      expect(transcodes()).toEqual([]);
+
+      await waitFor(() => ffmpeg.commands.filter(command => command.live && fs.existsSync(command.outputPath)).length === 2);
+      await controller.forceStop('CAM01');
+      await waitFor(() => transcoded.mock.calls.length === 1);
+
+      expect(transcoded).toHaveBeenCalledWith('CAM02', currentFile, 'libx264');
+      expect(transcodes()).toHaveLength(1);
+      expect(transcodes()[0].input).toBe(path.join(basePath, currentFile));
+      expect(transcodes()[0].outputOpts).toContain('-c:v libx264');
+      expect(fs.existsSync(path.join(basePath, '.transcode', currentFile))).toBe(false);
+      expect(controller.encodeLimiter.getStats().active).toBe(0);
+    });
+
+    test('leaves a clip locked while waiting for the encoder as it is', async () => {
+      createController({ maxConcurrentEncodes: 1 });
+      const transcoded = jest.fn();
+      controller.on('recordingTranscoded', transcoded);
+
+      controller.startRecording('CAM01', RTSP_URL);
+      controller.startRecording('CAM02', RTSP_URL);
+      const { currentFile } = controller.getState('CAM02');
+      await waitFor(() => ffmpeg.commands.filter(command => command.live && fs.existsSync(command.outputPath)).length === 2);
+
+      await controller.forceStop('CAM02');
+      await storage.lockRecording(currentFile, { reason: 'INC-42', lockedBy: 'admin' });
+      await controller.forceStop('CAM01');
+      await waitFor(() => controller.encodeLimiter.getStats().active === 0 && controller.encodeLimiter.getStats().queued === 0);
+      await new Promise(resolve => setTimeout(resolve, 50));
+
+      expect(transcodes()).toEqual([]);
+      expect(transcoded).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('continuous recording', () => {
+    test('indexes finished segments with their motion flag', async () => {
+      createController();
+      const completed = jest.fn();
+      controller.on('segmentComplete', completed);
+
+      controller.continuousRecorder.emit('segment', 'CAM01', {
+        filename: 'CAM01_2026-01-04_14-30-00_continuous.mp4',
+        timestamp: new Date(2026, 0, 4, 14, 30, 0).toISOString(),
+        duration: 300,
+        hasMotion: true
+      });
+      await waitFor(() => completed.mock.calls.length === 1);
+
+      expect(completed).toHaveBeenCalledWith('CAM01', 'CAM01_2026-01-04_14-30-00_continuous.mp4', true);
+      expect(storage.getRecording('CAM01_2026-01-04_14-30-00_continuous.mp4')).toEqual(expect.objectContaining({
+        type: RecordingType.CONTINUOUS,
+        duration: 300,
+        hasMotion: true
+      }));
+    });
+  });
+
+  describe('forceStop', () => {
+    test('saves the recording in progress with its pre-roll', async () => {
+      createController({ preEventSeconds: 5 });
+      const completed = jest.fn();
+      controller.on('recordingComplete', completed);
+
+      controller.startRecording('CAM01', RTSP_URL);
+      const { currentFile } = controller.getState('CAM01');
+      const workDir = path.join(basePath, '.pre-event', path.basename(currentFile, '.mp4'));
+      await waitFor(() => fs.existsSync(path.join(workDir, 'live.mp4')));
+
+      await controller.forceStop('CAM01');
+
+      expect(fs.statSync(path.join(basePath, currentFile)).size).toBe(1000 + LIVE_BYTES);
+      expect(fs.existsSync(workDir)).toBe(false);
+      expect(storage.getRecording(currentFile)).toEqual(expect.objectContaining({ cameraId: 'CAM01', preRollSeconds: 5 }));
+      expect(completed).toHaveBeenCalledWith('CAM01', currentFile);
+      expect(controller.getState('CAM01').state).toBe(RecordingState.IDLE);
+    });
+
+    test('stitches the pieces of an interrupted recording', async () => {
+      createController({ durationSeconds: 10, retryDelaySeconds: 0.05 });
+
+      controller.startRecording('CAM01', RTSP_URL);
+      const { currentFile } = controller.getState('CAM01');
+      await waitFor(() => fs.existsSync(path.join(basePath, currentFile)));
+
+      liveCommand().fail();
+      const piece = path.join(basePath, '.pieces', path.basename(currentFile, '.mp4'), 'part001.mp4');
+      await waitFor(() => fs.existsSync(piece));
+
+      await controller.forceStop('CAM01');
+
+      expect(fs.statSync(path.join(basePath, currentFile)).size).toBe(2 * LIVE_BYTES);
+      expect(fs.existsSync(path.join(basePath, '.pieces', path.basename(currentFile, '.mp4')))).toBe(false);
+      expect(storage.getRecording(currentFile).degraded).toBe(true);
+    });
+
+    test('reports a recording stopped before any footage as failed', async () => {
+      createController({ preEventSeconds: 5 });
+      const completed = jest.fn();
+      const failed = jest.fn();
+      controller.on('recordingComplete', completed);
+      controller.on('recordingError', failed);
+
+      controller.startRecording('CAM01', RTSP_URL);
+      const { currentFile } = controller.getState('CAM01');
+      await controller.forceStop('CAM01');
+
+      expect(failed).toHaveBeenCalledWith('CAM01', expect.objectContaining({ message: 'No footage recorded' }));
+      expect(completed).not.toHaveBeenCalled();
+      expect(storage.getRecording(currentFile)).toBeFalsy();
+      await waitFor(() => !fs.existsSync(path.join(basePath, '.pre-event', path.basename(currentFile, '.mp4'))));
+    });
+
+    test('lets the camera record again right away', async () => {
+      createController();
+
+      controller.startRecording('CAM01', RTSP_URL);
+      await waitFor(() => liveCommand() && fs.existsSync(liveCommand().outputPath));
+      await controller.forceStop('CAM01');
+
+      expect(controller.startRecording('CAM01', RTSP_URL)).toBe(true);
+    });
+  });
+
+  describe('stopAll', () => {
+    test('saves the recordings of every camera', async () => {
+      createController({ preEventSeconds: 5 });
+
+      controller.startRecording('CAM01', RTSP_URL);
+      controller.startRecording('CAM02', RTSP_URL);
+      const files = ['CAM01', 'CAM02'].map(cameraId => controller.getState(cameraId).currentFile);
+      await waitFor(() => ffmpeg.commands.filter(command => command.live && fs.existsSync(command.outputPath)).length === 2);
+
+      await controller.stopAll();
+
+      for (const file of files) {
+        expect(fs.statSync(path.join(basePath, file)).size).toBe(1000 + LIVE_BYTES);
+        expect(storage.getRecording(file)).toBeTruthy();
+      }
+      expect(fs.readdirSync(path.join(basePath, '.pre-event'))).toEqual([]);
+    });
+  });
+});
@@ -0,0 +1,228 @@
+/**
+ * ASTROSURVEILLANCE - Retention Manager Module
+ *
+ * Deletes recordings that are older than their retention rule allows, on a
+ * cron schedule. Capacity cleanup in StorageManager still runs when the
+ * disk fills up; retention keeps the disk from getting there.
+ *
+ * Rules are checked in order and the first match decides:
+ * [
+ *   { "cameraId": "CAM03", "days": null },     // keep forever
+ *   { "type": "alarm", "days": 90 },
+ *   { "type": "motion", "days": 30 },
+ *   { "type": "continuous", "days": 7 }
+ * ]
+ * A rule matches on cameraId, type (RetentionClass) or both. Continuous
+ * segments that saw motion count as motion, so they outlive idle footage
+ * like they do in capacity cleanup. Recordings no rule matches are kept,
+ * as are locked recordings.
+ */
+
+const EventEmitter = require('events');
+const cron = require('node-cron');
+const Logger = require('../utils/Logger');
+const { RecordingType, RetentionClass } = require('../shared/types');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const MAX_RULES = 50;
+
+/**
+ * Validate and normalize retention rules
+ * @param {Array<Object>} rules
+ * @returns {Array<Object>} Rules as { cameraId, type, days }
+ * @throws {Error} If a rule is invalid
+ */
+function validateRules(rules) {
+  if (!Array.isArray(rules)) {
+    throw new Error('rules must be an array');
+  }
+  if (rules.length > MAX_RULES) {
+    throw new Error(`At most ${MAX_RULES} retention rules are allowed`);
+  }
+
+  const types = Object.values(RetentionClass);
+
+  return rules.map((rule, index) => {
+    if (!rule || typeof rule !== 'object') {
+      throw new Error(`Rule ${index + 1} must be an object`);
+    }
+    if (rule.cameraId !== undefined && rule.cameraId !== null && typeof rule.cameraId !== 'string') {
+      throw new Error(`Rule ${index + 1}: cameraId must be a string`);
+    }
+    if (rule.type !== undefined && rule.type !== null && !types.includes(rule.type)) {
+      throw new Error(`Rule ${index + 1}: type must be one of ${types.join(', ')}`);
+    }
+    if (rule.days !== null && !(typeof rule.days === 'number' && rule.days > 0)) {
+      throw new Error(`Rule ${index + 1}: days must be a positive number, or null to keep forever`);
+    }
+
+    return {
+      cameraId: rule.cameraId || null,
+      type: rule.type || null,
+      days: rule.days
+    };
+  });
+}
+
+/**
+ * Get the retention class of a recording
+ * @param {Object} recording - Storage index entry
+ * @returns {string} RetentionClass
+ */
+function classifyRecording(recording) {
+  if (recording.type === RecordingType.CONTINUOUS && !recording.hasMotion) return RetentionClass.CONTINUOUS;
+  return recording.alarm ? RetentionClass.ALARM : RetentionClass.MOTION;
+}
+
+class RetentionManager extends EventEmitter {
+  /**
+   * @param {Object} config - retention section of the config
+   * @param {StorageManager} storageManager
+   * @throws {Error} If the schedule or rules are invalid
+   */
+  constructor(config = {}, storageManager) {
+    super();
+
+    this.config = {
+      enabled: config.enabled !== false,
+      // Daily at 03:30 by default
+      schedule: config.schedule || '30 3 * * *',
+      rules: validateRules(config.rules || [])
+    };
+
+    if (!cron.validate(this.config.schedule)) {
+      throw new Error(`Invalid retention schedule: ${this.config.schedule}`);
+    }
+
+    this.storageManager = storageManager;
+    this.task = null;
+    this.running = false;
+    this.lastRun = null;
+
+    Logger.info('RetentionManager initialized', {
+      enabled: this.config.enabled,
+      schedule: this.config.schedule,
+      rules: this.config.rules.length
+    });
+  }
+
+  /**
+   * Start the schedule
+   */
+  start() {
+    if (!this.config.enabled || this.task) return;
+
+    this.task = cron.schedule(this.config.schedule, () => {
+      this.run().catch((err) => {
+        Logger.error('Retention run failed', { error: err.message });
+      });
+    });
+  }
+
+  /**
+   * Stop the schedule
+   */
+  stop() {
+    if (this.task) {
+      this.task.stop();
+      this.task = null;
+    }
+  }
+
+  /**
+   * Get the policy and the result of the last run
+   * @returns {Object}
+   */
+  getPolicy() {
+    return {
+      ...this.config,
+      running: this.running,
+      lastRun: this.lastRun
+    };
+  }
+
+  /**
+   * List the recordings the rules would delete, without deleting anything
+   * @param {Date} now
+   * @returns {Object} { evaluatedAt, recordings, count, bytes, lockedCount }
+   */
+  dryRun(now = new Date()) {
+    const recordings = [];
+    let lockedCount = 0;
+
+    for (const recording of this.storageManager.getRecordings()) {
+      const type = classifyRecording(recording);
+      const ruleIndex = this.config.rules.findIndex(rule =>
+        (!rule.cameraId || rule.cameraId === recording.cameraId) &&
+        (!rule.type || rule.type === type)
+      );
+      if (ruleIndex === -1) continue;
+
+      const { days } = this.config.rules[ruleIndex];
+      const ageMs = now - new Date(recording.timestamp);
+      if (days === null || ageMs <= days * DAY_MS) continue;
+
+      // Expired, but held as evidence
+      if (recording.locked) {
+        lockedCount++;
+        continue;
+      }
+
+      recordings.push({
+        filename: recording.filename,
+        cameraId: recording.cameraId,
+        type,
+        timestamp: recording.timestamp,
+        ageDays: Math.floor(ageMs / DAY_MS),
+        rule: ruleIndex,
+        days,
+        size: recording.size || 0
+      });
+    }
+
+    return {
+      evaluatedAt: now.toISOString(),
+      recordings,
+      count: recordings.length,
+      bytes: recordings.reduce((total, recording) => total + recording.size, 0),
+      lockedCount
+    };
+  }
+
+  /**
+   * Delete the recordings the rules have expired
+   * @returns {Promise<Object>} Summary of the run
+   */
+  async run() {
+    if (this.running) {
+      throw new Error('Retention is already running');
+    }
+    this.running = true;
+
+    try {
+      const result = this.dryRun();
+      const deleted = await this.storageManager.deleteRecordings(
+        result.recordings.map(recording => recording.filename)
+      );
+      const deletedSet = new Set(deleted);
+
+      this.lastRun = {
+        completedAt: new Date().toISOString(),
+        deletedCount: deleted.length,
+        failedCount: result.count - deleted.length,
+        bytes: result.recordings
+          .filter(recording => deletedSet.has(recording.filename))
+          .reduce((total, recording) => total + recording.size, 0)
+      };
+
+      Logger.info('Retention run complete', this.lastRun);
+      this.emit('retentionApplied', this.lastRun);
+      return this.lastRun;
+    } finally {
+      this.running = false;
+    }
+  }
+}
+
+module.exports = RetentionManager;
+module.exports.validateRules = validateRules;
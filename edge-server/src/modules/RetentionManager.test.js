@@ -0,0 +1,119 @@
+jest.mock('../utils/Logger');
+
+const RetentionManager = require('./RetentionManager');
+const { validateRules } = RetentionManager;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const now = new Date('2026-03-01T00:00:00Z');
+const daysAgo = days => new Date(now - days * DAY_MS).toISOString();
+
+function storageWith(recordings) {
+  return {
+    getRecordings: () => recordings,
+    deleteRecordings: jest.fn(async filenames => filenames)
+  };
+}
+
+describe('validateRules', () => {
+  test('normalizes rules', () => {
+    expect(validateRules([{ cameraId: 'CAM01', days: null }, { type: 'alarm', days: 90 }])).toEqual([
+      { cameraId: 'CAM01', type: null, days: null },
+      { cameraId: null, type: 'alarm', days: 90 }
+    ]);
+  });
+
+  test.each([
+    ['a non-array', {}, /rules must be an array/],
+    ['a non-object rule', ['x'], /Rule 1 must be an object/],
+    ['a non-string cameraId', [{ cameraId: 3, days: 1 }], /cameraId must be a string/],
+    ['an unknown type', [{ type: 'event', days: 1 }], /type must be one of alarm, motion, continuous/],
+    ['zero days', [{ days: 0 }], /days must be a positive number/],
+    ['missing days', [{ type: 'motion' }], /days must be a positive number/],
+    ['too many rules', new Array(51).fill({ days: 1 }), /At most 50/]
+  ])('rejects %s', (label, rules, message) => {
+    expect(() => validateRules(rules)).toThrow(message);
+  });
+});
+
+describe('RetentionManager.dryRun', () => {
+  const recordings = [
+    { filename: 'alarm-old.mp4', cameraId: 'CAM01', type: 'event', alarm: true, timestamp: daysAgo(100), size: 100 },
+    { filename: 'alarm-new.mp4', cameraId: 'CAM01', type: 'event', alarm: true, timestamp: daysAgo(60), size: 100 },
+    { filename: 'motion-old.mp4', cameraId: 'CAM01', type: 'event', timestamp: daysAgo(31), size: 200 },
+    { filename: 'segment-old.mp4', cameraId: 'CAM01', type: 'continuous', timestamp: daysAgo(8), size: 300 },
+    { filename: 'segment-new.mp4', cameraId: 'CAM01', type: 'continuous', timestamp: daysAgo(6), size: 300 },
+    { filename: 'segment-motion.mp4', cameraId: 'CAM01', type: 'continuous', hasMotion: true, timestamp: daysAgo(20), size: 300 },
+    { filename: 'kept-camera.mp4', cameraId: 'CAM03', type: 'continuous', timestamp: daysAgo(400), size: 400 },
+    { filename: 'locked.mp4', cameraId: 'CAM01', type: 'event', timestamp: daysAgo(45), size: 500, locked: true }
+  ];
+  afterEach(() => {
+    jest.useRealTimers();
+  });
+
+  const rules = [
+    { cameraId: 'CAM03', days: null },
+    { type: 'alarm', days: 90 },
+    { type: 'motion', days: 30 },
+    { type: 'continuous', days: 7 }
+  ];
+
+  test('lists recordings older than the first matching rule', () => {
+    const manager = new RetentionManager({ rules }, storageWith(recordings));
+    const result = manager.dryRun(now);
+
+    expect(result.recordings.map(r => [r.filename, r.type, r.rule, r.ageDays])).toEqual([
+      ['alarm-old.mp4', 'alarm', 1, 100],
+      ['motion-old.mp4', 'motion', 2, 31],
+      ['segment-old.mp4', 'continuous', 3, 8]
+    ]);
+    expect(result.count).toBe(3);
+    expect(result.bytes).toBe(600);
+    expect(result.evaluatedAt).toBe(now.toISOString());
+  });
+
+  test('keeps continuous segments with motion as long as motion clips', () => {
+    const idle = { filename: 'idle.mp4', cameraId: 'CAM01', type: 'continuous', timestamp: daysAgo(10), size: 300 };
+    const busy = { filename: 'busy.mp4', cameraId: 'CAM01', type: 'continuous', hasMotion: true, timestamp: daysAgo(10), size: 300 };
+    const manager = new RetentionManager({ rules }, storageWith([idle, busy]));
+
+    expect(manager.dryRun(now).recordings.map(r => [r.filename, r.type])).toEqual([['idle.mp4', 'continuous']]);
+    expect(manager.dryRun(new Date(now.getTime() + 21 * DAY_MS)).recordings.map(r => [r.filename, r.type])).toEqual([
+      ['idle.mp4', 'continuous'],
+      ['busy.mp4', 'motion']
+    ]);
+  });
+
+  test('keeps locked recordings and counts them', () => {
+    const result = new RetentionManager({ rules }, storageWith(recordings)).dryRun(now);
+
+    expect(result.recordings.some(r => r.filename === 'locked.mp4')).toBe(false);
+    expect(result.lockedCount).toBe(1);
+  });
+
+  test('keeps recordings no rule matches', () => {
+    const result = new RetentionManager({ rules: [{ cameraId: 'CAM02', days: 1 }] }, storageWith(recordings)).dryRun(now);
+
+    expect(result.count).toBe(0);
+  });
+
+  test('run deletes what the dry run lists and reports what was removed', async () => {
+    jest.useFakeTimers({ now });
+    const storage = storageWith(recordings);
+    storage.deleteRecordings.mockResolvedValue(['alarm-old.mp4', 'segment-old.mp4']);
+    const manager = new RetentionManager({ rules }, storage);
+    const applied = jest.fn();
+    manager.on('retentionApplied', applied);
+
+    const summary = await manager.run();
+
+    expect(storage.deleteRecordings).toHaveBeenCalledWith(['alarm-old.mp4', 'motion-old.mp4', 'segment-old.mp4']);
+    expect(summary).toMatchObject({ deletedCount: 2, failedCount: 1, bytes: 400 });
+    expect(applied).toHaveBeenCalledWith(summary);
+    expect(manager.running).toBe(false);
+  });
+
+  test('rejects an invalid schedule', () => {
+    expect(() => new RetentionManager({ schedule: 'every night' }, storageWith([])))
+      .toThrow('Invalid retention schedule: every night');
+  });
+});
@@ -116,15 +116,27 @@ class SecurityManager {
     
     this.sessions.set(sessionId, session);
     
-    Logger.debug('Session created', { sessionId, isAdmin });
+    Logger.debug('Session created', { sessionRef: this.getSessionRef(session), isAdmin });
     
     return {
       sessionId,
+      sessionRef: this.getSessionRef(session),
       expiresAt,
       permissions: session.permissions
     };
   }
   
+  /**
+   * Get a reference to a session for audit trails
+   * It identifies the session without being usable as its token.
+   * @param {Object} session
+   * @returns {string} e.g. session:3f2a9c0d81b4e7a6
+   */
+  getSessionRef(session) {
+    const hash = crypto.createHash('sha256').update(session.sessionId).digest('hex');
+    return `session:${hash.slice(0, 16)}`;
+  }
+  
   /**
    * Validate a session
    * @param {string} sessionId
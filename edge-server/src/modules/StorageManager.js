@@ -2,12 +2,20 @@
  * ASTROSURVEILLANCE - Storage Manager Module
  * 
  * Manages SD card storage for video recordings.
+ * Measures the real volume (statfs), including data that isn't ours.
  * Implements auto-cleanup when storage reaches 90% capacity.
  * 
  * Storage Safety Rules:
  * - Never overwrite files
- * - Auto-delete oldest files only when SD is 90% full
+ * - Auto-delete oldest files only when SD is 90% full or below minFreeSpaceMB
+ * - Continuous segments without motion are deleted before anything else
  * - Maintain index.json for mobile browsing
+ * - Probe each new recording (ffprobe + SHA-256) and flag corrupt files
+ * - Never delete locked recordings (evidence lock / legal hold)
+ * 
+ * Tiered storage: recordings older than a tier's moveAfterHours are moved
+ * from the primary volume (basePath) to archive tiers (USB disk, NAS mount).
+ * The index keeps each recording's tier; getFilePath resolves it.
  */
 
 const EventEmitter = require('events');
@@ -15,7 +23,24 @@ const fs = require('fs').promises;
 const fsSync = require('fs');
 const path = require('path');
 const Logger = require('../utils/Logger');
-const { StorageHealth, parseVideoFilename } = require('../shared/types');
+const { probeVideo, sha256File } = require('../utils/MediaProbe');
+const { StorageHealth, RecordingType, parseVideoFilename } = require('../shared/types');
+
+// Tier of basePath; index entries without a tier are on it
+const PRIMARY_TIER = 'primary';
+const TIER_NAME_PATTERN = /^[A-Za-z0-9_-]{1,50}$/;
+const CAMERA_ID_PATTERN = /^[A-Za-z0-9_-]{1,50}$/;
+
+/**
+ * Check that a backup entry names a recording as this server names them
+ * (CAM01_2026-01-04_14-32-10.mp4), so no path can be smuggled into the index
+ */
+const isValidImportEntry = (entry) => {
+  if (!entry || typeof entry.filename !== 'string' || typeof entry.cameraId !== 'string') return false;
+
+  const parsed = parseVideoFilename(entry.filename);
+  return !!parsed && CAMERA_ID_PATTERN.test(parsed.cameraId) && parsed.cameraId === entry.cameraId;
+};
 
 class StorageManager extends EventEmitter {
   constructor(config) {
@@ -25,12 +50,24 @@ class StorageManager extends EventEmitter {
       basePath: config.basePath || './recordings',
       maxUsagePercent: config.maxUsagePercent || 90,
       autoCleanup: config.autoCleanup !== false,
+      // Health thresholds (percent of the volume in use)
+      warningPercent: config.warningPercent || 70,
+      criticalPercent: config.criticalPercent || 90,
+      // Less free space than this is critical and triggers cleanup
+      minFreeSpaceMB: config.minFreeSpaceMB ?? 1024,
+      checkIntervalMs: config.checkIntervalMs || 60000,
+      archiveIntervalMs: config.archiveIntervalMs || 15 * 60 * 1000,
+      verifyRecordings: config.verifyRecordings !== false,
       indexFile: config.indexFile || 'index.json'
     };
     
     this.basePath = path.resolve(this.config.basePath);
     this.indexPath = path.join(this.basePath, this.config.indexFile);
     
+    // Archive tiers, nearest first
+    this.tiers = this._parseTiers(config.tiers || []);
+    this.tierStats = new Map();
+    
     // In-memory recording index
     this.recordings = [];
     
@@ -40,10 +77,22 @@ class StorageManager extends EventEmitter {
       usedBytes: 0,
       freeBytes: 0,
       usagePercent: 0,
+      recordingsBytes: 0,
       health: StorageHealth.HEALTHY
     };
     
-    Logger.info('StorageManager initialized', { basePath: this.basePath });
+    // Set while cleanup deletes recordings
+    this.cleaning = false;
+    this.checkTimer = null;
+    
+    // Set while recordings are moved to archive tiers
+    this.archiving = false;
+    this.archiveTimer = null;
+    
+    Logger.info('StorageManager initialized', {
+      basePath: this.basePath,
+      tiers: this.tiers.map(tier => tier.name)
+    });
   }
   
   /**
@@ -60,6 +109,19 @@ class StorageManager extends EventEmitter {
       // Check storage health
       await this._updateStorageStats();
       
+      // The volume can also fill up from outside (other data, logs)
+      this.checkTimer = setInterval(() => this._updateStorageStats(), this.config.checkIntervalMs);
+      this.checkTimer.unref();
+      
+      if (this.tiers.length > 0) {
+        this.archiveTimer = setInterval(() => {
+          this.archiveRecordings().catch((err) => {
+            Logger.error('Archive run failed', { error: err.message });
+          });
+        }, this.config.archiveIntervalMs);
+        this.archiveTimer.unref();
+      }
+      
       Logger.info('Storage initialized', {
         recordings: this.recordings.length,
         health: this.stats.health
@@ -79,6 +141,62 @@ class StorageManager extends EventEmitter {
     return this.basePath;
   }
   
+  /**
+   * Validate archive tier config
+   * @private
+   */
+  _parseTiers(tiers) {
+    if (!Array.isArray(tiers)) {
+      throw new Error('storage.tiers must be an array');
+    }
+    
+    const names = new Set([PRIMARY_TIER]);
+    
+    return tiers.map((tier, index) => {
+      if (!tier || typeof tier.name !== 'string' || !TIER_NAME_PATTERN.test(tier.name)) {
+        throw new Error(`Storage tier ${index + 1}: name must be 1-50 letters, digits, "-" or "_"`);
+      }
+      if (names.has(tier.name)) {
+        throw new Error(`Duplicate storage tier name: ${tier.name}`);
+      }
+      if (typeof tier.path !== 'string' || !tier.path) {
+        throw new Error(`Storage tier ${tier.name}: path is required`);
+      }
+      // Leave fresh clips alone while previews and re-encodes still work on them
+      if (!(typeof tier.moveAfterHours === 'number' && tier.moveAfterHours >= 1)) {
+        throw new Error(`Storage tier ${tier.name}: moveAfterHours must be at least 1`);
+      }
+      names.add(tier.name);
+      
+      return {
+        name: tier.name,
+        path: path.resolve(tier.path),
+        moveAfterHours: tier.moveAfterHours,
+        maxUsagePercent: tier.maxUsagePercent || 95
+      };
+    }).sort((a, b) => a.moveAfterHours - b.moveAfterHours);
+  }
+  
+  /**
+   * Get the directory of a tier
+   * @private
+   */
+  _getTierPath(tierName) {
+    if (!tierName || tierName === PRIMARY_TIER) return this.basePath;
+    
+    const tier = this.tiers.find(t => t.name === tierName);
+    // A tier removed from the config: fall back to primary
+    return tier ? tier.path : this.basePath;
+  }
+  
+  /**
+   * Whether a recording is on the primary volume (remote-only ones are nowhere)
+   * @private
+   */
+  _isOnPrimary(recording) {
+    return !recording.remote && this._getTierPath(recording.tier) === this.basePath;
+  }
+  
   /**
    * Load recording index from file
    * @private
@@ -117,52 +235,46 @@ class StorageManager extends EventEmitter {
   }
   
   /**
-   * Update storage statistics
+   * Update storage statistics from the volume holding basePath
+   * Run cleanup and emit storageWarning/storageCritical as the disk fills.
    * @private
    */
   async _updateStorageStats() {
     try {
-      // Get disk space info (cross-platform approach)
-      const { exec } = require('child_process');
+      await this._releaseExpiredLocks();
+      await this._measureDisk();
       
-      // Calculate used space from our recordings
-      let usedBytes = 0;
-      for (const recording of this.recordings) {
-        try {
-          const filePath = path.join(this.basePath, recording.filename);
-          const stat = await fs.stat(filePath);
-          usedBytes += stat.size;
-        } catch (err) {
-          // File might be missing
-        }
+      if (this.tiers.length > 0) {
+        await this._measureTiers();
       }
       
-      // Estimate total space (simplified - in production use proper disk space API)
-      // For now, assume 32GB SD card
-      const totalBytes = 32 * 1024 * 1024 * 1024; // 32GB
-      const freeBytes = totalBytes - usedBytes;
-      const usagePercent = (usedBytes / totalBytes) * 100;
-      
-      this.stats = {
-        totalBytes,
-        usedBytes,
-        freeBytes,
-        usagePercent,
-        health: this._calculateHealth(usagePercent)
-      };
+      // Space taken by our own recordings and previews on this volume
+      let recordingsBytes = 0;
+      for (const recording of this.recordings.filter(r => this._isOnPrimary(r))) {
+        for (const filename of this._getRecordingFiles(recording)) {
+          try {
+            const filePath = path.join(this.basePath, filename);
+            const stat = await fs.stat(filePath);
+            recordingsBytes += stat.size;
+          } catch (err) {
+            // File might be missing
+          }
+        }
+      }
+      this.stats.recordingsBytes = recordingsBytes;
       
       // Check if cleanup needed
-      if (this.config.autoCleanup && usagePercent >= this.config.maxUsagePercent) {
+      if (this.config.autoCleanup && !this.cleaning && this._needsCleanup()) {
         await this._performCleanup();
       }
       
       // Emit warning if needed
       if (this.stats.health === StorageHealth.WARNING) {
-        this.emit('storageWarning', usagePercent);
+        this.emit('storageWarning', this.stats.usagePercent);
       } else if (this.stats.health === StorageHealth.CRITICAL) {
-        this.emit('storageCritical', usagePercent);
+        this.emit('storageCritical', this.stats.usagePercent);
       }
-      
+    
     } catch (err) {
       Logger.error('Failed to update storage stats', { error: err.message });
       this.stats.health = StorageHealth.ERROR;
@@ -170,44 +282,106 @@ class StorageManager extends EventEmitter {
   }
   
   /**
-   * Calculate storage health based on usage
+   * Read capacity and free space of the volume (statfs)
+   * Usage is counted like df: free space is what we can still write,
+   * without blocks reserved for root.
    * @private
    */
-  _calculateHealth(usagePercent) {
-    if (usagePercent >= 90) return StorageHealth.CRITICAL;
-    if (usagePercent >= 70) return StorageHealth.WARNING;
+  async _measureDisk() {
+    const disk = await fs.statfs(this.basePath);
+    
+    const totalBytes = disk.blocks * disk.bsize;
+    const freeBytes = disk.bavail * disk.bsize;
+    const usedBytes = (disk.blocks - disk.bfree) * disk.bsize;
+    const usableBytes = usedBytes + freeBytes;
+    const usagePercent = usableBytes > 0 ? (usedBytes / usableBytes) * 100 : 100;
+    
+    this.stats = {
+      ...this.stats,
+      totalBytes,
+      usedBytes,
+      freeBytes,
+      usagePercent,
+      health: this._calculateHealth(usagePercent, freeBytes)
+    };
+  }
+  
+  /**
+   * Whether the disk is full enough to start cleanup
+   * @private
+   */
+  _needsCleanup() {
+    return this.stats.usagePercent >= this.config.maxUsagePercent ||
+      this.stats.freeBytes < this.config.minFreeSpaceMB * 1024 * 1024;
+  }
+  
+  /**
+   * Calculate storage health based on usage and free space
+   * @private
+   */
+  _calculateHealth(usagePercent, freeBytes) {
+    if (usagePercent >= this.config.criticalPercent) return StorageHealth.CRITICAL;
+    if (freeBytes < this.config.minFreeSpaceMB * 1024 * 1024) return StorageHealth.CRITICAL;
+    if (usagePercent >= this.config.warningPercent) return StorageHealth.WARNING;
     return StorageHealth.HEALTHY;
   }
   
   /**
-   * Perform cleanup - delete oldest recordings
+   * Perform cleanup - delete idle continuous segments, then oldest recordings
    * @private
    */
   async _performCleanup() {
-    Logger.info('Starting storage cleanup');
+    if (this.cleaning) return;
+    this.cleaning = true;
     
-    // Sort recordings by timestamp (oldest first)
-    const sorted = [...this.recordings].sort((a, b) => 
-      new Date(a.timestamp) - new Date(b.timestamp)
+    Logger.info('Starting storage cleanup', {
+      usagePercent: this.stats.usagePercent,
+      freeBytes: this.stats.freeBytes
+    });
+    
+    // Idle continuous footage goes first, then by timestamp (oldest first)
+    const isIdle = (r) => r.type === RecordingType.CONTINUOUS && !r.hasMotion;
+    // Only recordings on the primary volume free it up
+    const sorted = this.recordings.filter(r => !r.locked && this._isOnPrimary(r)).sort((a, b) =>
+      (isIdle(b) - isIdle(a)) || (new Date(a.timestamp) - new Date(b.timestamp))
     );
     
     // Delete oldest recordings until we're under threshold
     let deletedCount = 0;
     const targetUsage = this.config.maxUsagePercent - 10; // Delete until 80%
+    const minFreeBytes = this.config.minFreeSpaceMB * 1024 * 1024;
+    const overTarget = () => this.stats.usagePercent > targetUsage || this.stats.freeBytes < minFreeBytes;
     
-    while (this.stats.usagePercent > targetUsage && sorted.length > 0) {
-      const oldest = sorted.shift();
+    try {
+      while (overTarget() && sorted.length > 0) {
+        const oldest = sorted.shift();
+        
+        try {
+          await this.deleteRecording(oldest.filename, false);
+          deletedCount++;
+          await this._measureDisk();
+        } catch (err) {
+          Logger.warn('Failed to delete recording during cleanup', {
+            filename: oldest.filename,
+            error: err.message
+          });
+        }
+      }
       
-      try {
-        await this.deleteRecording(oldest.filename, false);
-        deletedCount++;
-        await this._updateStorageStats();
-      } catch (err) {
-        Logger.warn('Failed to delete recording during cleanup', {
-          filename: oldest.filename,
-          error: err.message
-        });
+      if (deletedCount > 0) {
+        await this._saveIndex();
       }
+    } finally {
+      this.cleaning = false;
+    }
+    
+    // Other data on the volume can keep it full after our recordings are gone
+    if (overTarget()) {
+      Logger.warn('Storage still above cleanup target', {
+        usagePercent: this.stats.usagePercent,
+        freeBytes: this.stats.freeBytes,
+        recordings: this.recordings.length
+      });
     }
     
     Logger.info('Storage cleanup complete', { deletedCount });
@@ -225,10 +399,28 @@ class StorageManager extends EventEmitter {
       filename: recording.filename,
       timestamp: recording.timestamp,
       duration: recording.duration,
+      zone: recording.zone || null,
+      type: recording.type || RecordingType.EVENT,
+      // Footage before the trigger; timestamp is the trigger time
+      preRollSeconds: recording.preRollSeconds || 0,
       size: 0, // Will be updated when file is available
       downloaded: false
     };
     
+    if (entry.type === RecordingType.CONTINUOUS) {
+      entry.hasMotion = Boolean(recording.hasMotion);
+    }
+    
+    // Stitched from pieces after FFmpeg was interrupted
+    if (recording.degraded) {
+      entry.degraded = true;
+    }
+    
+    // An alarm was raised while the clip was recorded
+    if (recording.alarm) {
+      entry.alarm = true;
+    }
+    
     // Try to get file size
     try {
       const filePath = path.join(this.basePath, recording.filename);
@@ -238,6 +430,10 @@ class StorageManager extends EventEmitter {
       // File might not exist yet
     }
     
+    if (this.config.verifyRecordings && entry.size > 0) {
+      await this._verifyRecording(entry);
+    }
+    
     this.recordings.push(entry);
     await this._saveIndex();
     
@@ -250,6 +446,143 @@ class StorageManager extends EventEmitter {
     return entry;
   }
   
+  /**
+   * Probe a recording for its real duration and media info and checksum it
+   * Recordings ffprobe can't read are flagged as corrupt.
+   * @private
+   */
+  async _verifyRecording(entry) {
+    const filePath = path.join(this._getTierPath(entry.tier), entry.filename);
+    
+    try {
+      const media = await probeVideo(filePath);
+      entry.duration = media.duration;
+      entry.media = {
+        width: media.width,
+        height: media.height,
+        videoCodec: media.videoCodec,
+        audioCodec: media.audioCodec,
+        bitrate: media.bitrate,
+        frameRate: media.frameRate
+      };
+      entry.corrupt = false;
+    } catch (err) {
+      // A missing ffprobe says nothing about the file
+      if (/Cannot find ffprobe/.test(err.message)) {
+        Logger.warn('ffprobe not available, recording not probed', { filename: entry.filename });
+      } else {
+        entry.corrupt = true;
+        Logger.warn('Recording failed verification', { filename: entry.filename, error: err.message });
+        this.emit('recordingCorrupt', entry, err.message);
+      }
+    }
+    
+    try {
+      entry.checksum = await sha256File(filePath);
+    } catch (err) {
+      entry.checksum = null;
+      Logger.warn('Failed to checksum recording', { filename: entry.filename, error: err.message });
+    }
+    
+    entry.verifiedAt = new Date().toISOString();
+  }
+  
+  /**
+   * Re-read size and verification of an indexed recording whose file was replaced
+   * @param {string} filename - Recording filename
+   * @returns {Object|null} Updated entry
+   */
+  async reverifyRecording(filename) {
+    const recording = this.getRecording(filename);
+    if (!recording) return null;
+    
+    const stat = await fs.stat(this.getFilePath(filename));
+    recording.size = stat.size;
+    
+    if (this.config.verifyRecordings) {
+      await this._verifyRecording(recording);
+    }
+    
+    await this._saveIndex();
+    
+    this.emit('recordingUpdated', recording);
+    return recording;
+  }
+  
+  /**
+   * Add recordings known from a backup to the index (after losing the SD card)
+   * They are flagged remote: true until their file is restored. Entries whose
+   * filename or cameraId does not follow the recording naming are skipped.
+   * @param {Array<Object>} entries - Index entries as stored with the backup
+   * @returns {Promise<number>} Number of recordings added
+   */
+  async importRecordings(entries) {
+    const known = new Set(this.recordings.map(r => r.filename));
+    let imported = 0;
+    
+    for (const entry of entries) {
+      if (!isValidImportEntry(entry)) {
+        Logger.warn('Skipping backup entry with an invalid filename', { filename: entry?.filename, cameraId: entry?.cameraId });
+        continue;
+      }
+      if (known.has(entry.filename)) continue;
+      
+      // Previews and archive tiers refer to files that are gone
+      const { tier, archivedAt, thumbnail, sprite, ...recording } = entry;
+      this.recordings.push({ ...recording, remote: true });
+      known.add(entry.filename);
+      imported++;
+    }
+    
+    if (imported > 0) {
+      await this._saveIndex();
+      Logger.info('Recordings imported from backup', { count: imported });
+    }
+    
+    return imported;
+  }
+  
+  /**
+   * Update fields of an indexed recording (e.g. previews)
+   * @param {string} filename - Recording filename
+   * @param {Object} fields - Fields to set
+   * @returns {Object|null} Updated entry
+   */
+  async updateRecording(filename, fields) {
+    const recording = this.getRecording(filename);
+    if (!recording) return null;
+    
+    Object.assign(recording, fields);
+    await this._saveIndex();
+    
+    this.emit('recordingUpdated', recording);
+    return recording;
+  }
+  
+  /**
+   * Update fields of several recordings, saving the index once
+   * @param {Map<string, Object>} updates - Fields to set by filename
+   * @returns {Promise<number>} Number of recordings updated
+   */
+  async updateRecordings(updates) {
+    const updated = [];
+    
+    for (const [filename, fields] of updates) {
+      const recording = this.getRecording(filename);
+      if (!recording) continue;
+      
+      Object.assign(recording, fields);
+      updated.push(recording);
+    }
+    
+    if (updated.length > 0) {
+      await this._saveIndex();
+      updated.forEach(recording => this.emit('recordingUpdated', recording));
+    }
+    
+    return updated.length;
+  }
+  
   /**
    * Get all recordings
    * @param {Object} filters - Optional filters
@@ -263,6 +596,16 @@ class StorageManager extends EventEmitter {
       result = result.filter(r => r.cameraId === filters.cameraId);
     }
     
+    // Filter by type (entries indexed before types existed are event clips)
+    if (filters.type) {
+      result = result.filter(r => (r.type || RecordingType.EVENT) === filters.type);
+    }
+    
+    // Filter by evidence lock
+    if (filters.locked !== undefined) {
+      result = result.filter(r => Boolean(r.locked) === filters.locked);
+    }
+    
     // Filter by date range
     if (filters.startDate) {
       const start = new Date(filters.startDate);
@@ -303,13 +646,24 @@ class StorageManager extends EventEmitter {
    * @param {boolean} updateIndex - Whether to save index
    */
   async deleteRecording(filename, updateIndex = true) {
-    const filePath = path.join(this.basePath, filename);
+    // The clip and its previews
+    const entry = this.recordings.find(r => r.filename === filename);
+    if (entry && entry.locked) {
+      const err = new Error(`Recording is locked: ${filename}`);
+      err.code = 'RECORDING_LOCKED';
+      throw err;
+    }
     
-    try {
-      await fs.unlink(filePath);
-    } catch (err) {
-      if (err.code !== 'ENOENT') {
-        throw err;
+    const files = entry ? this._getRecordingFiles(entry) : [filename];
+    const dir = this._getTierPath(entry && entry.tier);
+    
+    for (const file of files) {
+      try {
+        await fs.unlink(path.join(dir, file));
+      } catch (err) {
+        if (err.code !== 'ENOENT') {
+          throw err;
+        }
       }
     }
     
@@ -329,12 +683,119 @@ class StorageManager extends EventEmitter {
   }
   
   /**
-   * Get file path for streaming/download
+   * Delete several recordings, saving the index once
+   * @param {Array<string>} filenames
+   * @returns {Promise<Array<string>>} Filenames actually deleted
+   */
+  async deleteRecordings(filenames) {
+    const deleted = [];
+    
+    for (const filename of filenames) {
+      try {
+        await this.deleteRecording(filename, false);
+        deleted.push(filename);
+      } catch (err) {
+        Logger.warn('Failed to delete recording', { filename, error: err.message });
+      }
+    }
+    
+    if (deleted.length > 0) {
+      await this._saveIndex();
+      await this._updateStorageStats();
+    }
+    
+    return deleted;
+  }
+  
+  /**
+   * Lock a recording so cleanup, retention and deletion leave it alone
+   * Locking a locked recording replaces its lock.
    * @param {string} filename
+   * @param {Object} lock
+   * @param {string} lock.reason - Why the recording is held (e.g. incident number)
+   * @param {string} lock.lockedBy - Session that placed the hold (SecurityManager.getSessionRef)
+   * @param {string|null} lock.note - Free-text note, e.g. the investigator's name
+   * @param {string|null} lock.expiresAt - ISO date the hold ends (null: until unlocked)
+   * @returns {Promise<Object>} Updated index entry
+   * @throws {Error} If the recording is not in the index
+   */
+  async lockRecording(filename, lock) {
+    const recording = this.getRecording(filename);
+    if (!recording) {
+      throw new Error(`Recording not found: ${filename}`);
+    }
+    
+    recording.locked = true;
+    recording.lock = {
+      reason: lock.reason,
+      lockedBy: lock.lockedBy,
+      note: lock.note || null,
+      lockedAt: new Date().toISOString(),
+      expiresAt: lock.expiresAt || null
+    };
+    await this._saveIndex();
+    
+    Logger.info('Recording locked', { filename, ...recording.lock });
+    this.emit('recordingLocked', recording);
+    return recording;
+  }
+  
+  /**
+   * Release the lock of a recording
+   * @param {string} filename
+   * @param {string} unlockedBy - Session that released it ('expired' when the hold ran out)
+   * @param {string|null} note - Free-text note for the audit trail
+   * @returns {Promise<Object>} Updated index entry
+   * @throws {Error} If the recording is not in the index
+   */
+  async unlockRecording(filename, unlockedBy, note = null) {
+    const recording = this.getRecording(filename);
+    if (!recording) {
+      throw new Error(`Recording not found: ${filename}`);
+    }
+    
+    const lock = recording.lock || null;
+    recording.locked = false;
+    delete recording.lock;
+    await this._saveIndex();
+    
+    Logger.info('Recording unlocked', { filename, unlockedBy, note, lock });
+    this.emit('recordingUnlocked', recording, lock, unlockedBy, note);
+    return recording;
+  }
+  
+  /**
+   * Unlock recordings whose hold has expired
+   * @private
+   */
+  async _releaseExpiredLocks() {
+    const now = new Date();
+    const expired = this.recordings.filter(r =>
+      r.locked && r.lock && r.lock.expiresAt && new Date(r.lock.expiresAt) <= now
+    );
+    
+    for (const recording of expired) {
+      await this.unlockRecording(recording.filename, 'expired');
+    }
+  }
+  
+  /**
+   * Get the files of a recording: the clip plus any previews
+   * @private
+   */
+  _getRecordingFiles(recording) {
+    return [recording.filename, recording.thumbnail, recording.sprite && recording.sprite.filename]
+      .filter(Boolean);
+  }
+  
+  /**
+   * Get file path for streaming/download, on whichever tier holds the file
+   * @param {string} filename - Recording or preview filename
    * @returns {string}
    */
   getFilePath(filename) {
-    return path.join(this.basePath, filename);
+    const owner = this.recordings.find(r => this._getRecordingFiles(r).includes(filename));
+    return path.join(this._getTierPath(owner && owner.tier), filename);
   }
   
   /**
@@ -343,10 +804,217 @@ class StorageManager extends EventEmitter {
    * @returns {boolean}
    */
   fileExists(filename) {
-    const filePath = path.join(this.basePath, filename);
+    const filePath = this.getFilePath(filename);
     return fsSync.existsSync(filePath);
   }
   
+  /**
+   * Get the storage tiers with their usage
+   * @returns {Array<Object>}
+   */
+  getTiers() {
+    const count = (name) => this.recordings.filter(r => (r.tier || PRIMARY_TIER) === name).length;
+    
+    return [
+      {
+        name: PRIMARY_TIER,
+        path: this.basePath,
+        online: this.stats.health !== StorageHealth.ERROR,
+        totalBytes: this.stats.totalBytes,
+        freeBytes: this.stats.freeBytes,
+        usagePercent: this.stats.usagePercent,
+        recordingCount: this.recordings.filter(r => this._isOnPrimary(r)).length
+      },
+      ...this.tiers.map(tier => ({
+        name: tier.name,
+        path: tier.path,
+        moveAfterHours: tier.moveAfterHours,
+        maxUsagePercent: tier.maxUsagePercent,
+        online: false,
+        ...this.tierStats.get(tier.name),
+        recordingCount: count(tier.name)
+      }))
+    ];
+  }
+  
+  /**
+   * Measure the archive tiers
+   * A tier on the same device as basePath is offline: usually a NAS or USB
+   * mount point with nothing mounted, and writing there would fill the SD card.
+   * @private
+   */
+  async _measureTiers() {
+    const primary = await fs.stat(this.basePath);
+    
+    for (const tier of this.tiers) {
+      try {
+        const stat = await fs.stat(tier.path);
+        if (!stat.isDirectory()) {
+          throw new Error('not a directory');
+        }
+        if (stat.dev === primary.dev) {
+          throw new Error('on the primary volume (not mounted?)');
+        }
+        
+        const disk = await fs.statfs(tier.path);
+        const freeBytes = disk.bavail * disk.bsize;
+        const usedBytes = (disk.blocks - disk.bfree) * disk.bsize;
+        
+        this.tierStats.set(tier.name, {
+          online: true,
+          totalBytes: disk.blocks * disk.bsize,
+          freeBytes,
+          usagePercent: usedBytes + freeBytes > 0 ? (usedBytes / (usedBytes + freeBytes)) * 100 : 100,
+          error: null
+        });
+      } catch (err) {
+        const wasOnline = this.tierStats.get(tier.name)?.online !== false;
+        this.tierStats.set(tier.name, { online: false, error: err.message });
+        
+        if (wasOnline) {
+          Logger.warn('Storage tier offline', { tier: tier.name, path: tier.path, error: err.message });
+          this.emit('tierOffline', tier.name, err.message);
+        }
+      }
+    }
+  }
+  
+  /**
+   * Move recordings older than a tier's moveAfterHours to that tier
+   * Each recording goes to the farthest tier its age qualifies for. Tiers
+   * that are offline or above their maxUsagePercent are skipped.
+   * @param {Date} now
+   * @returns {Promise<Object>} { movedCount, failedCount, bytes }
+   */
+  async archiveRecordings(now = new Date()) {
+    const summary = { movedCount: 0, failedCount: 0, bytes: 0 };
+    if (this.tiers.length === 0 || this.archiving) return summary;
+    
+    this.archiving = true;
+    
+    try {
+      await this._measureTiers();
+      
+      const tierIndex = (name) => this.tiers.findIndex(t => t.name === name);
+      const oldestFirst = [...this.recordings].sort((a, b) => new Date(a.timestamp) - new Date(b.timestamp));
+      
+      for (const recording of oldestFirst) {
+        // The recording may have been deleted while files were copied;
+        // restored listings have no local file to move
+        if (!this.recordings.includes(recording) || recording.remote) continue;
+        
+        const ageHours = (now - new Date(recording.timestamp)) / (60 * 60 * 1000);
+        const current = tierIndex(recording.tier);
+        
+        // Farthest usable tier the recording is old enough for
+        const target = this.tiers.reduce((best, tier, index) => {
+          const stats = this.tierStats.get(tier.name);
+          const usable = stats && stats.online &&
+            stats.usagePercent < tier.maxUsagePercent &&
+            stats.freeBytes > (recording.size || 0);
+          return index > current && ageHours >= tier.moveAfterHours && usable ? index : best;
+        }, -1);
+        if (target === -1) continue;
+        
+        const tier = this.tiers[target];
+        try {
+          const bytes = await this._moveRecording(recording, tier);
+          summary.movedCount++;
+          summary.bytes += bytes;
+          
+          // Keep the free space estimate current between measurements
+          const stats = this.tierStats.get(tier.name);
+          stats.freeBytes -= bytes;
+        } catch (err) {
+          summary.failedCount++;
+          Logger.warn('Failed to archive recording', {
+            filename: recording.filename,
+            tier: tier.name,
+            error: err.message
+          });
+        }
+      }
+    } finally {
+      this.archiving = false;
+    }
+    
+    if (summary.movedCount > 0) {
+      await this._updateStorageStats();
+      Logger.info('Archive run complete', summary);
+    }
+    
+    return summary;
+  }
+  
+  /**
+   * Copy a recording and its previews to a tier, then remove the originals
+   * The index points to the new tier only once every copy is complete.
+   * @private
+   * @returns {Promise<number>} Bytes moved
+   */
+  async _moveRecording(recording, tier) {
+    const sourceDir = this._getTierPath(recording.tier);
+    const files = this._getRecordingFiles(recording);
+    const copied = [];
+    let bytes = 0;
+    
+    try {
+      for (const file of files) {
+        const source = path.join(sourceDir, file);
+        const target = path.join(tier.path, file);
+        const partial = `${target}.part`;
+        
+        // Previews can be missing (not generated yet, deleted by hand)
+        let stat;
+        try {
+          stat = await fs.stat(source);
+        } catch (err) {
+          if (err.code === 'ENOENT' && file !== recording.filename) continue;
+          throw err;
+        }
+        
+        await fs.copyFile(source, partial);
+        copied.push(partial);
+        
+        const copy = await fs.stat(partial);
+        if (copy.size !== stat.size) {
+          throw new Error(`Incomplete copy of ${file} (${copy.size} of ${stat.size} bytes)`);
+        }
+        
+        await fs.rename(partial, target);
+        copied[copied.length - 1] = target;
+        bytes += stat.size;
+      }
+      
+      // Deleted (e.g. by retention) while it was copied
+      if (!this.recordings.includes(recording)) {
+        throw new Error('Recording was deleted during the move');
+      }
+    } catch (err) {
+      for (const file of copied) {
+        await fs.unlink(file).catch(() => {});
+      }
+      throw err;
+    }
+    
+    const fromTier = recording.tier || PRIMARY_TIER;
+    recording.tier = tier.name;
+    recording.archivedAt = new Date().toISOString();
+    await this._saveIndex();
+    
+    for (const file of files) {
+      await fs.unlink(path.join(sourceDir, file)).catch((err) => {
+        if (err.code !== 'ENOENT') {
+          Logger.warn('Failed to remove archived original', { file, error: err.message });
+        }
+      });
+    }
+    
+    Logger.info('Recording archived', { filename: recording.filename, from: fromTier, to: tier.name, bytes });
+    this.emit('recordingArchived', recording, fromTier);
+    return bytes;
+  }
+  
   /**
    * Mark recording as downloaded
    * @param {string} filename
@@ -369,7 +1037,9 @@ class StorageManager extends EventEmitter {
       ...this.stats,
       recordingCount: this.recordings.length,
       autoCleanup: this.config.autoCleanup,
-      maxUsagePercent: this.config.maxUsagePercent
+      maxUsagePercent: this.config.maxUsagePercent,
+      minFreeSpaceMB: this.config.minFreeSpaceMB,
+      tiers: this.tiers.length > 0 ? this.getTiers() : undefined
     };
   }
   
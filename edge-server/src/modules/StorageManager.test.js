@@ -0,0 +1,370 @@
+jest.mock('../utils/Logger');
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const StorageManager = require('./StorageManager');
+const { RecordingType, StorageHealth } = require('../shared/types');
+
+describe('StorageManager.importRecordings', () => {
+  let basePath;
+  let storage;
+
+  beforeEach(() => {
+    basePath = fs.mkdtempSync(path.join(os.tmpdir(), 'storage-test-'));
+    storage = new StorageManager({ basePath });
+  });
+
+  afterEach(() => {
+    fs.rmSync(basePath, { recursive: true, force: true });
+  });
+
+  test('adds backup entries as remote and drops local-only fields', async () => {
+    const imported = await storage.importRecordings([
+      { cameraId: 'CAM01', filename: 'CAM01_2026-01-04_14-32-10.mp4', tier: 'usb', thumbnail: 'x.jpg' },
+      { cameraId: 'ASTRO-CAM-001', filename: 'ASTRO-CAM-001_2026-01-04_14-00-00_continuous.mp4' }
+    ]);
+
+    expect(imported).toBe(2);
+    expect(storage.getRecording('CAM01_2026-01-04_14-32-10.mp4')).toEqual({
+      cameraId: 'CAM01',
+      filename: 'CAM01_2026-01-04_14-32-10.mp4',
+      remote: true
+    });
+    expect(JSON.parse(fs.readFileSync(storage.indexPath, 'utf8')).recordings).toHaveLength(2);
+  });
+
+  test('skips recordings already in the index', async () => {
+    const entry = { cameraId: 'CAM01', filename: 'CAM01_2026-01-04_14-32-10.mp4' };
+
+    expect(await storage.importRecordings([entry])).toBe(1);
+    expect(await storage.importRecordings([entry, entry])).toBe(0);
+    expect(storage.getRecordings()).toHaveLength(1);
+  });
+
+  test.each([
+    ['a path in the filename', { cameraId: 'CAM01', filename: '../CAM01_2026-01-04_14-32-10.mp4' }],
+    ['a path in the camera id', { cameraId: '../../etc', filename: '../../etc_2026-01-04_14-32-10.mp4' }],
+    ['a nested filename', { cameraId: 'a/CAM01', filename: 'a/CAM01_2026-01-04_14-32-10.mp4' }],
+    ['a filename of another camera', { cameraId: 'CAM02', filename: 'CAM01_2026-01-04_14-32-10.mp4' }],
+    ['a foreign filename', { cameraId: 'CAM01', filename: 'index.json' }],
+    ['a missing camera id', { filename: 'CAM01_2026-01-04_14-32-10.mp4' }],
+    ['a non-string filename', { cameraId: 'CAM01', filename: ['CAM01_2026-01-04_14-32-10.mp4'] }]
+  ])('rejects %s', async (label, entry) => {
+    expect(await storage.importRecordings([entry, null])).toBe(0);
+    expect(storage.getRecordings()).toEqual([]);
+  });
+});
+
+describe('StorageManager disk usage', () => {
+  let basePath;
+  let storage;
+
+  beforeEach(() => {
+    basePath = fs.mkdtempSync(path.join(os.tmpdir(), 'storage-test-'));
+    storage = new StorageManager({ basePath, minFreeSpaceMB: 100 });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+    fs.rmSync(basePath, { recursive: true, force: true });
+  });
+
+  /**
+   * Report a volume of 4 KiB blocks
+   */
+  function mockStatfs(blocks, bfree, bavail) {
+    jest.spyOn(fs.promises, 'statfs').mockResolvedValue({ bsize: 4096, blocks, bfree, bavail });
+  }
+
+  test('counts usage like df, without blocks reserved for root', async () => {
+    mockStatfs(1000000, 200000, 150000);
+
+    await storage._measureDisk();
+
+    expect(storage.stats).toEqual(expect.objectContaining({
+      totalBytes: 1000000 * 4096,
+      usedBytes: 800000 * 4096,
+      freeBytes: 150000 * 4096,
+      health: StorageHealth.WARNING
+    }));
+    expect(storage.stats.usagePercent).toBeCloseTo((800000 / 950000) * 100);
+  });
+
+  test('is critical below minFreeSpaceMB even when mostly empty', async () => {
+    // 80 MiB free of a 400 MiB volume
+    mockStatfs(100000, 20000, 20000);
+
+    await storage._measureDisk();
+
+    expect(storage.stats.usagePercent).toBe(80);
+    expect(storage.stats.health).toBe(StorageHealth.CRITICAL);
+  });
+
+  test('is healthy with room to spare', async () => {
+    mockStatfs(1000000, 900000, 900000);
+
+    await storage._measureDisk();
+
+    expect(storage.stats.usagePercent).toBe(10);
+    expect(storage.stats.health).toBe(StorageHealth.HEALTHY);
+  });
+});
+
+describe('StorageManager cleanup', () => {
+  let basePath;
+  let storage;
+
+  beforeEach(() => {
+    basePath = fs.mkdtempSync(path.join(os.tmpdir(), 'storage-test-'));
+    fs.mkdirSync(path.join(basePath, 'usb'));
+    storage = new StorageManager({
+      basePath,
+      maxUsagePercent: 90,
+      minFreeSpaceMB: 0,
+      // Turned on once the test recordings are in place
+      autoCleanup: false,
+      verifyRecordings: false,
+      tiers: [{ name: 'usb', path: path.join(basePath, 'usb'), moveAfterHours: 24 }]
+    });
+
+    // Each local recording on the primary volume takes 5%, on top of 70% of other data
+    jest.spyOn(storage, '_measureTiers').mockResolvedValue();
+    jest.spyOn(storage, '_measureDisk').mockImplementation(async () => {
+      const usagePercent = 70 + 5 * storage.recordings.filter(r => storage._isOnPrimary(r)).length;
+      storage.stats = { ...storage.stats, usagePercent, freeBytes: 1024 * 1024 * 1024 };
+    });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+    fs.rmSync(basePath, { recursive: true, force: true });
+  });
+
+  /**
+   * Write a recording on the primary volume and add it to the index
+   */
+  async function addRecording(filename, fields = {}) {
+    fs.writeFileSync(path.join(basePath, filename), 'video');
+    await storage.addRecording({
+      cameraId: 'CAM01',
+      filename,
+      timestamp: new Date(`${filename.slice(6, 16)}T12:00:00Z`).toISOString()
+    });
+    await storage.updateRecording(filename, fields);
+  }
+
+  test('deletes idle continuous segments first, then the oldest recordings on the primary volume', async () => {
+    await addRecording('CAM01_2026-01-01_12-00-00.mp4', { locked: true });
+    await addRecording('CAM01_2026-01-02_12-00-00.mp4', { tier: 'usb' });
+    await addRecording('CAM01_2026-01-02_13-00-00.mp4', { remote: true });
+    await addRecording('CAM01_2026-01-03_12-00-00.mp4');
+    await addRecording('CAM01_2026-01-04_12-00-00_continuous.mp4', { type: RecordingType.CONTINUOUS, hasMotion: true });
+    await addRecording('CAM01_2026-01-05_12-00-00_continuous.mp4', { type: RecordingType.CONTINUOUS, hasMotion: false });
+    await addRecording('CAM01_2026-01-06_12-00-00.mp4');
+    const deleted = [];
+    storage.on('recordingDeleted', filename => deleted.push(filename));
+    const completed = jest.fn();
+    storage.on('cleanupComplete', completed);
+
+    // 5 recordings on the primary volume: 95%, cleaned up to 80%
+    storage.config.autoCleanup = true;
+    await storage._updateStorageStats();
+
+    expect(deleted).toEqual([
+      'CAM01_2026-01-05_12-00-00_continuous.mp4',
+      'CAM01_2026-01-03_12-00-00.mp4',
+      'CAM01_2026-01-04_12-00-00_continuous.mp4'
+    ]);
+    expect(completed).toHaveBeenCalledWith(3);
+    expect(storage.getRecordings().map(r => r.filename).sort()).toEqual([
+      'CAM01_2026-01-01_12-00-00.mp4',
+      'CAM01_2026-01-02_12-00-00.mp4',
+      'CAM01_2026-01-02_13-00-00.mp4',
+      'CAM01_2026-01-06_12-00-00.mp4'
+    ]);
+    expect(fs.existsSync(path.join(basePath, 'CAM01_2026-01-01_12-00-00.mp4'))).toBe(true);
+  });
+
+  test('stops when only locked recordings are left on the primary volume', async () => {
+    await addRecording('CAM01_2026-01-01_12-00-00.mp4', { locked: true });
+    await addRecording('CAM01_2026-01-02_12-00-00.mp4', { locked: true });
+    await addRecording('CAM01_2026-01-03_12-00-00.mp4', { locked: true });
+    await addRecording('CAM01_2026-01-04_12-00-00.mp4', { locked: true });
+    const completed = jest.fn();
+    storage.on('cleanupComplete', completed);
+
+    storage.config.autoCleanup = true;
+    await storage._updateStorageStats();
+
+    expect(completed).toHaveBeenCalledWith(0);
+    expect(storage.getRecordings()).toHaveLength(4);
+  });
+});
+
+describe('StorageManager locks', () => {
+  const FILENAME = 'CAM01_2026-01-04_14-32-10.mp4';
+  let basePath;
+  let storage;
+
+  beforeEach(async () => {
+    basePath = fs.mkdtempSync(path.join(os.tmpdir(), 'storage-test-'));
+    storage = new StorageManager({ basePath, autoCleanup: false, verifyRecordings: false });
+    fs.writeFileSync(path.join(basePath, FILENAME), 'video');
+    await storage.addRecording({ cameraId: 'CAM01', filename: FILENAME, timestamp: new Date().toISOString() });
+  });
+
+  afterEach(() => {
+    fs.rmSync(basePath, { recursive: true, force: true });
+  });
+
+  test('refuses to delete a locked recording until it is unlocked', async () => {
+    await storage.lockRecording(FILENAME, { reason: 'INC-42', lockedBy: 'admin#1', note: 'Officer Ray' });
+
+    expect(storage.getRecording(FILENAME)).toEqual(expect.objectContaining({
+      locked: true,
+      lock: expect.objectContaining({ reason: 'INC-42', lockedBy: 'admin#1', note: 'Officer Ray', expiresAt: null })
+    }));
+    await expect(storage.deleteRecording(FILENAME)).rejects.toMatchObject({ code: 'RECORDING_LOCKED' });
+    await expect(storage.deleteRecordings([FILENAME])).resolves.toEqual([]);
+    expect(fs.existsSync(path.join(basePath, FILENAME))).toBe(true);
+
+    const unlocked = jest.fn();
+    storage.on('recordingUnlocked', unlocked);
+    await storage.unlockRecording(FILENAME, 'admin#2', 'Case closed');
+
+    expect(unlocked).toHaveBeenCalledWith(
+      expect.objectContaining({ filename: FILENAME, locked: false }),
+      expect.objectContaining({ reason: 'INC-42' }),
+      'admin#2',
+      'Case closed'
+    );
+    expect(storage.getRecording(FILENAME).lock).toBeUndefined();
+    await storage.deleteRecording(FILENAME, false);
+    expect(fs.existsSync(path.join(basePath, FILENAME))).toBe(false);
+  });
+
+  test('releases holds once they expire', async () => {
+    await storage.lockRecording(FILENAME, { reason: 'INC-42', lockedBy: 'admin#1', expiresAt: new Date(Date.now() - 1000).toISOString() });
+    const unlocked = jest.fn();
+    storage.on('recordingUnlocked', unlocked);
+
+    await storage._releaseExpiredLocks();
+
+    expect(unlocked).toHaveBeenCalledWith(expect.anything(), expect.anything(), 'expired', null);
+    expect(storage.getRecording(FILENAME).locked).toBe(false);
+    const saved = JSON.parse(fs.readFileSync(storage.indexPath, 'utf8')).recordings[0];
+    expect(saved.locked).toBe(false);
+  });
+
+  test('keeps holds that have not expired', async () => {
+    await storage.lockRecording(FILENAME, { reason: 'INC-42', lockedBy: 'admin#1', expiresAt: new Date(Date.now() + 60000).toISOString() });
+
+    await storage._releaseExpiredLocks();
+
+    expect(storage.getRecording(FILENAME).locked).toBe(true);
+  });
+});
+
+describe('StorageManager archive tiers', () => {
+  const NOW = new Date('2026-01-10T12:00:00Z');
+  let basePath;
+  let storage;
+  let tierStats;
+
+  beforeEach(() => {
+    basePath = fs.mkdtempSync(path.join(os.tmpdir(), 'storage-test-'));
+    fs.mkdirSync(path.join(basePath, 'primary'));
+    fs.mkdirSync(path.join(basePath, 'nas'));
+    fs.mkdirSync(path.join(basePath, 'cold'));
+    storage = new StorageManager({
+      basePath: path.join(basePath, 'primary'),
+      autoCleanup: false,
+      verifyRecordings: false,
+      tiers: [
+        { name: 'cold', path: path.join(basePath, 'cold'), moveAfterHours: 168 },
+        { name: 'nas', path: path.join(basePath, 'nas'), moveAfterHours: 24, maxUsagePercent: 80 }
+      ]
+    });
+
+    // Test tiers share the temp volume, which would count as not mounted
+    tierStats = {
+      nas: { online: true, freeBytes: 1024 * 1024, usagePercent: 50 },
+      cold: { online: true, freeBytes: 1024 * 1024, usagePercent: 50 }
+    };
+    jest.spyOn(storage, '_measureTiers').mockImplementation(async () => {
+      for (const [name, stats] of Object.entries(tierStats)) {
+        storage.tierStats.set(name, { ...stats });
+      }
+    });
+    jest.spyOn(storage, '_updateStorageStats').mockResolvedValue();
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+    fs.rmSync(basePath, { recursive: true, force: true });
+  });
+
+  /**
+   * Write a recording recorded hoursAgo before NOW, with a poster frame
+   */
+  async function addRecording(filename, hoursAgo) {
+    const thumbnail = filename.replace('.mp4', '.jpg');
+    fs.writeFileSync(path.join(storage.getBasePath(), filename), 'video');
+    fs.writeFileSync(path.join(storage.getBasePath(), thumbnail), 'jpeg');
+    await storage.addRecording({
+      cameraId: 'CAM01',
+      filename,
+      timestamp: new Date(NOW.getTime() - hoursAgo * 60 * 60 * 1000).toISOString()
+    });
+    await storage.updateRecording(filename, { thumbnail });
+  }
+
+  test('moves each recording to the farthest tier its age qualifies for', async () => {
+    await addRecording('CAM01_2026-01-01_12-00-00.mp4', 216);
+    await addRecording('CAM01_2026-01-08_12-00-00.mp4', 48);
+    await addRecording('CAM01_2026-01-10_11-00-00.mp4', 1);
+
+    const summary = await storage.archiveRecordings(NOW);
+
+    expect(summary).toEqual({ movedCount: 2, failedCount: 0, bytes: 18 });
+    expect(storage.getRecording('CAM01_2026-01-01_12-00-00.mp4').tier).toBe('cold');
+    expect(storage.getRecording('CAM01_2026-01-08_12-00-00.mp4').tier).toBe('nas');
+    expect(storage.getRecording('CAM01_2026-01-10_11-00-00.mp4').tier).toBeUndefined();
+
+    expect(fs.readdirSync(path.join(basePath, 'cold')).sort()).toEqual(['CAM01_2026-01-01_12-00-00.jpg', 'CAM01_2026-01-01_12-00-00.mp4']);
+    expect(storage.getFilePath('CAM01_2026-01-08_12-00-00.jpg')).toBe(path.join(basePath, 'nas', 'CAM01_2026-01-08_12-00-00.jpg'));
+    expect(fs.existsSync(path.join(storage.getBasePath(), 'CAM01_2026-01-08_12-00-00.mp4'))).toBe(false);
+    const saved = JSON.parse(fs.readFileSync(storage.indexPath, 'utf8')).recordings;
+    expect(saved.find(r => r.filename === 'CAM01_2026-01-08_12-00-00.mp4').tier).toBe('nas');
+  });
+
+  test('skips tiers that are offline or above maxUsagePercent', async () => {
+    await addRecording('CAM01_2026-01-01_12-00-00.mp4', 216);
+    tierStats.cold = { online: false, error: 'not mounted' };
+
+    await storage.archiveRecordings(NOW);
+    expect(storage.getRecording('CAM01_2026-01-01_12-00-00.mp4').tier).toBe('nas');
+
+    tierStats.cold = { online: true, freeBytes: 1024 * 1024, usagePercent: 50 };
+    await storage.archiveRecordings(NOW);
+    expect(storage.getRecording('CAM01_2026-01-01_12-00-00.mp4').tier).toBe('cold');
+
+    await addRecording('CAM01_2026-01-08_12-00-00.mp4', 48);
+    tierStats.nas.usagePercent = 85;
+    const summary = await storage.archiveRecordings(NOW);
+    expect(summary.movedCount).toBe(0);
+    expect(storage.getRecording('CAM01_2026-01-08_12-00-00.mp4').tier).toBeUndefined();
+  });
+
+  test('reports a tier on the primary volume as offline', async () => {
+    storage._measureTiers.mockRestore();
+    const offline = jest.fn();
+    storage.on('tierOffline', offline);
+
+    await storage._measureTiers();
+
+    expect(offline).toHaveBeenCalledWith('nas', 'on the primary volume (not mounted?)');
+    expect(storage.getTiers().find(tier => tier.name === 'nas')).toEqual(expect.objectContaining({ online: false }));
+  });
+});
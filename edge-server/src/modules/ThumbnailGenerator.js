@@ -0,0 +1,122 @@
+/**
+ * ASTROSURVEILLANCE - Thumbnail Generator Module
+ *
+ * Creates preview images for saved recordings with FFmpeg:
+ * - A poster frame (<clip>.thumb.jpg) taken just after the trigger
+ * - A sprite sheet (<clip>.sprite.jpg) of evenly spaced thumbnails in a
+ *   grid, for hover/scrub previews
+ *
+ * Previews are written next to the clip. Jobs run one at a time so
+ * thumbnailing never competes with live recordings for more than one core.
+ */
+
+const EventEmitter = require('events');
+const ffmpeg = require('fluent-ffmpeg');
+const fs = require('fs');
+const path = require('path');
+const Logger = require('../utils/Logger');
+
+class ThumbnailGenerator extends EventEmitter {
+  constructor(config = {}) {
+    super();
+
+    this.config = {
+      enabled: config.enabled !== false,
+      width: config.width || 320,
+      spriteWidth: config.spriteWidth || 160,
+      spriteCount: config.spriteCount || 10,
+      spriteColumns: config.spriteColumns || 5,
+      // JPEG quality for FFmpeg's -q:v (2 = best, 31 = worst)
+      quality: config.quality || 5
+    };
+
+    // Serializes preview jobs
+    this.queue = Promise.resolve();
+
+    Logger.info('ThumbnailGenerator initialized', this.config);
+  }
+
+  /**
+   * Check if preview generation is enabled
+   * @returns {boolean}
+   */
+  isEnabled() {
+    return this.config.enabled;
+  }
+
+  /**
+   * Queue preview generation for a clip
+   * @param {string} videoPath - Absolute path of the clip
+   * @param {Object} options - { duration (seconds), posterOffset (seconds) }
+   * @returns {Promise<Object>} { thumbnail, sprite } - filenames and sprite geometry
+   */
+  generate(videoPath, options = {}) {
+    const job = this.queue.then(() => this._generate(videoPath, options));
+    // Keep the queue going when a job fails
+    this.queue = job.catch(() => {});
+    return job;
+  }
+
+  /**
+   * Generate the poster frame and sprite sheet
+   * @private
+   */
+  async _generate(videoPath, options) {
+    await fs.promises.access(videoPath);
+
+    const directory = path.dirname(videoPath);
+    const base = path.basename(videoPath, path.extname(videoPath));
+    const duration = Math.max(options.duration || 0, 1);
+    const { width, spriteWidth, spriteCount, spriteColumns, quality } = this.config;
+
+    const thumbnail = `${base}.thumb.jpg`;
+    const posterOffset = Math.min(Math.max(options.posterOffset || 0, 0), duration - 0.5);
+
+    await this._run(
+      ffmpeg(videoPath)
+        .seekInput(Math.max(posterOffset, 0))
+        .outputOptions(['-frames:v 1', `-vf scale=${width}:-2`, `-q:v ${quality}`])
+        .output(path.join(directory, thumbnail))
+    );
+
+    const interval = duration / spriteCount;
+    const rows = Math.ceil(spriteCount / spriteColumns);
+    const sprite = {
+      filename: `${base}.sprite.jpg`,
+      columns: spriteColumns,
+      rows,
+      count: spriteCount,
+      intervalSeconds: Math.round(interval * 100) / 100,
+      tileWidth: spriteWidth
+    };
+
+    await this._run(
+      ffmpeg(videoPath)
+        .outputOptions([
+          `-vf fps=1/${interval},scale=${spriteWidth}:-2,tile=${spriteColumns}x${rows}`,
+          '-frames:v 1',
+          `-q:v ${quality}`
+        ])
+        .output(path.join(directory, sprite.filename))
+    );
+
+    Logger.debug('Recording previews generated', { video: path.basename(videoPath) });
+
+    return { thumbnail, sprite };
+  }
+
+  /**
+   * Run an FFmpeg command to completion
+   * @private
+   */
+  _run(command) {
+    return new Promise((resolve, reject) => {
+      command
+        .on('end', resolve)
+        .on('error', reject)
+        .run();
+    });
+  }
+}
+
+module.exports = ThumbnailGenerator;
@@ -0,0 +1,88 @@
+/**
+ * ASTROSURVEILLANCE - Concurrency Limiter
+ *
+ * Caps how many jobs of one kind run at the same time (e.g. FFmpeg
+ * re-encodes on a Raspberry Pi). Jobs beyond the limit wait in FIFO order
+ * until a slot is released.
+ */
+
+class ConcurrencyLimiter {
+  /**
+   * @param {number} maxConcurrent - Slots available at once (at least 1)
+   */
+  constructor(maxConcurrent) {
+    this.maxConcurrent = Math.max(Math.floor(maxConcurrent) || 1, 1);
+    this.active = 0;
+    this.waiting = [];
+  }
+
+  /**
+   * Take a slot if one is free right now
+   * @returns {Function|null} Release function, or null if all slots are taken
+   */
+  tryAcquire() {
+    if (this.active >= this.maxConcurrent || this.waiting.length > 0) return null;
+    this.active++;
+    return this._createRelease();
+  }
+
+  /**
+   * Wait for a slot
+   * @returns {Promise<Function>} Release function
+   */
+  acquire() {
+    const release = this.tryAcquire();
+    if (release) return Promise.resolve(release);
+
+    return new Promise(resolve => this.waiting.push(resolve));
+  }
+
+  /**
+   * Run a job once a slot is free
+   * @param {Function} job - Async function
+   * @returns {Promise<*>} Result of the job
+   */
+  async run(job) {
+    const release = await this.acquire();
+    try {
+      return await job();
+    } finally {
+      release();
+    }
+  }
+
+  /**
+   * Get slot usage
+   * @returns {Object} { active, queued, maxConcurrent }
+   */
+  getStats() {
+    return {
+      active: this.active,
+      queued: this.waiting.length,
+      maxConcurrent: this.maxConcurrent
+    };
+  }
+
+  /**
+   * Create the release function of a taken slot (safe to call twice)
+   * @private
+   */
+  _createRelease() {
+    let released = false;
+
+    return () => {
+      if (released) return;
+      released = true;
+
+      const next = this.waiting.shift();
+      if (next) {
+        // Hand the slot straight to the next job
+        next(this._createRelease());
+      } else {
+        this.active--;
+      }
+    };
+  }
+}
+
+module.exports = ConcurrencyLimiter;
@@ -0,0 +1,69 @@
+const ConcurrencyLimiter = require('./ConcurrencyLimiter');
+
+describe('ConcurrencyLimiter', () => {
+  test('allows at least one slot', () => {
+    expect(new ConcurrencyLimiter(0).maxConcurrent).toBe(1);
+    expect(new ConcurrencyLimiter(2.7).maxConcurrent).toBe(2);
+  });
+
+  test('tryAcquire takes free slots only', () => {
+    const limiter = new ConcurrencyLimiter(2);
+    const first = limiter.tryAcquire();
+    const second = limiter.tryAcquire();
+
+    expect(first).toEqual(expect.any(Function));
+    expect(second).toEqual(expect.any(Function));
+    expect(limiter.tryAcquire()).toBeNull();
+
+    first();
+    expect(limiter.getStats()).toEqual({ active: 1, queued: 0, maxConcurrent: 2 });
+  });
+
+  test('releasing twice frees only one slot', () => {
+    const limiter = new ConcurrencyLimiter(1);
+    const release = limiter.tryAcquire();
+
+    release();
+    release();
+    expect(limiter.getStats().active).toBe(0);
+  });
+
+  test('hands slots to waiting jobs in FIFO order', async () => {
+    const limiter = new ConcurrencyLimiter(1);
+    const order = [];
+    const release = limiter.tryAcquire();
+
+    const a = limiter.acquire().then((releaseA) => { order.push('a'); return releaseA; });
+    const b = limiter.acquire().then((releaseB) => { order.push('b'); return releaseB; });
+
+    expect(limiter.getStats()).toEqual({ active: 1, queued: 2, maxConcurrent: 1 });
+    // Queued jobs come first, even when a slot is about to free up
+    expect(limiter.tryAcquire()).toBeNull();
+
+    release();
+    (await a)();
+    (await b)();
+
+    expect(order).toEqual(['a', 'b']);
+    expect(limiter.getStats()).toEqual({ active: 0, queued: 0, maxConcurrent: 1 });
+  });
+
+  test('run never exceeds the limit and releases on failure', async () => {
+    const limiter = new ConcurrencyLimiter(2);
+    let running = 0;
+    let peak = 0;
+
+    const job = async () => {
+      running++;
+      peak = Math.max(peak, running);
+      await new Promise(resolve => setImmediate(resolve));
+      running--;
+    };
+
+    await Promise.all([1, 2, 3, 4, 5].map(() => limiter.run(job)));
+    await expect(limiter.run(async () => { throw new Error('encode failed'); })).rejects.toThrow('encode failed');
+
+    expect(peak).toBe(2);
+    expect(limiter.getStats().active).toBe(0);
+  });
+});
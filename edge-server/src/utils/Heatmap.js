@@ -0,0 +1,128 @@
+/**
+ * ASTROSURVEILLANCE - Motion Heatmap Utilities
+ *
+ * Merging of hourly heatmap grids and PNG rendering.
+ * A heatmap is a flat row-major array of changed-pixel counts:
+ * { columns, rows, cells: [...], frameCount }
+ */
+
+/**
+ * Sum heatmaps of the same grid size
+ * Heatmaps recorded with a different grid size are skipped.
+ * @param {Array} heatmaps - Hourly heatmaps
+ * @param {number} columns
+ * @param {number} rows
+ * @returns {Object} { columns, rows, cells, frameCount, hours, max }
+ */
+function mergeHeatmaps(heatmaps, columns, rows) {
+  const cells = new Array(columns * rows).fill(0);
+  let frameCount = 0;
+  let hours = 0;
+
+  for (const heatmap of heatmaps) {
+    if (heatmap.columns !== columns || heatmap.rows !== rows) continue;
+
+    for (let i = 0; i < cells.length; i++) {
+      cells[i] += heatmap.cells[i] || 0;
+    }
+    frameCount += heatmap.frameCount || 0;
+    hours++;
+  }
+
+  return {
+    columns,
+    rows,
+    cells,
+    frameCount,
+    hours,
+    max: cells.reduce((max, value) => Math.max(max, value), 0)
+  };
+}
+
+/**
+ * Convert a flat cell array into rows for JSON responses
+ * @param {Object} heatmap - { columns, rows, cells }
+ * @returns {Array<Array<number>>}
+ */
+function toGrid(heatmap) {
+  const grid = [];
+  for (let row = 0; row < heatmap.rows; row++) {
+    grid.push(heatmap.cells.slice(row * heatmap.columns, (row + 1) * heatmap.columns));
+  }
+  return grid;
+}
+
+/**
+ * Map a 0-1 intensity to a blue-green-yellow-red colour
+ * @private
+ */
+function _heatColor(value) {
+  const stops = [
+    [0, 0, 255],
+    [0, 255, 0],
+    [255, 255, 0],
+    [255, 0, 0]
+  ];
+  const position = value * (stops.length - 1);
+  const index = Math.min(Math.floor(position), stops.length - 2);
+  const t = position - index;
+  const from = stops[index];
+  const to = stops[index + 1];
+
+  return from.map((channel, i) => Math.round(channel + (to[i] - channel) * t));
+}
+
+/**
+ * Render a heatmap as a PNG, optionally over a camera frame
+ * @param {Object} heatmap - { columns, rows, cells, max }
+ * @param {Object} background - { data, width, height } RGB frame (optional)
+ * @param {Object} options - { width: output width in pixels, opacity: 0-1 }
+ * @returns {Promise<Buffer>} PNG image
+ * @throws {Error} If sharp is not installed
+ */
+async function renderHeatmapPng(heatmap, background = null, options = {}) {
+  let sharp;
+  try {
+    sharp = require('sharp');
+  } catch (err) {
+    throw new Error('PNG rendering requires the sharp module');
+  }
+
+  const width = options.width || 640;
+  const height = background
+    ? Math.round((width * background.height) / background.width)
+    : Math.round((width * heatmap.rows) / heatmap.columns);
+  const opacity = options.opacity ?? 0.6;
+
+  // One RGBA pixel per cell, transparent where nothing moved
+  const overlay = Buffer.alloc(heatmap.columns * heatmap.rows * 4);
+  for (let i = 0; i < heatmap.cells.length; i++) {
+    const value = heatmap.max > 0 ? heatmap.cells[i] / heatmap.max : 0;
+    const [r, g, b] = _heatColor(value);
+    overlay[i * 4] = r;
+    overlay[i * 4 + 1] = g;
+    overlay[i * 4 + 2] = b;
+    overlay[i * 4 + 3] = value > 0 ? Math.round(255 * opacity * Math.max(value, 0.15)) : 0;
+  }
+
+  const layer = await sharp(overlay, {
+    raw: { width: heatmap.columns, height: heatmap.rows, channels: 4 }
+  })
+    .resize(width, height, { kernel: 'cubic', fit: 'fill' })
+    .png()
+    .toBuffer();
+
+  const base = background
+    ? sharp(background.data, {
+      raw: { width: background.width, height: background.height, channels: 3 }
+    }).resize(width, height, { fit: 'fill' })
+    : sharp({ create: { width, height, channels: 3, background: '#000000' } });
+
+  return base.composite([{ input: layer }]).png().toBuffer();
+}
+
+module.exports = {
+  mergeHeatmaps,
+  toGrid,
+  renderHeatmapPng
+};
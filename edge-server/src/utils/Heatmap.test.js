@@ -0,0 +1,40 @@
+const { mergeHeatmaps, toGrid } = require('./Heatmap');
+
+describe('mergeHeatmaps', () => {
+  test('sums cells and frame counts of matching grids', () => {
+    const merged = mergeHeatmaps([
+      { columns: 2, rows: 2, cells: [1, 0, 3, 0], frameCount: 10 },
+      { columns: 2, rows: 2, cells: [2, 5, 0, 0], frameCount: 20 }
+    ], 2, 2);
+
+    expect(merged).toEqual({ columns: 2, rows: 2, cells: [3, 5, 3, 0], frameCount: 30, hours: 2, max: 5 });
+  });
+
+  test('skips heatmaps recorded with another grid size', () => {
+    const merged = mergeHeatmaps([
+      { columns: 2, rows: 2, cells: [1, 1, 1, 1], frameCount: 5 },
+      { columns: 4, rows: 3, cells: new Array(12).fill(9), frameCount: 50 }
+    ], 2, 2);
+
+    expect(merged.cells).toEqual([1, 1, 1, 1]);
+    expect(merged.frameCount).toBe(5);
+    expect(merged.hours).toBe(1);
+  });
+
+  test('returns an empty grid without heatmaps', () => {
+    expect(mergeHeatmaps([], 3, 1)).toEqual({ columns: 3, rows: 1, cells: [0, 0, 0], frameCount: 0, hours: 0, max: 0 });
+  });
+
+  test('treats missing cells and frame counts as zero', () => {
+    const merged = mergeHeatmaps([{ columns: 2, rows: 1, cells: [4] }], 2, 1);
+
+    expect(merged.cells).toEqual([4, 0]);
+    expect(merged.frameCount).toBe(0);
+  });
+});
+
+describe('toGrid', () => {
+  test('splits cells into rows', () => {
+    expect(toGrid({ columns: 3, rows: 2, cells: [1, 2, 3, 4, 5, 6] })).toEqual([[1, 2, 3], [4, 5, 6]]);
+  });
+});
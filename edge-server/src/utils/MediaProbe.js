@@ -0,0 +1,73 @@
+/**
+ * ASTROSURVEILLANCE - Media Probe Utilities
+ *
+ * Verification of finished recordings: ffprobe reads the real duration,
+ * resolution, codecs and bitrate, and the file is hashed with SHA-256 so
+ * later copies or exports can be checked against the original.
+ */
+
+const crypto = require('crypto');
+const ffmpeg = require('fluent-ffmpeg');
+const fs = require('fs');
+
+/**
+ * Read stream and format metadata of a video file
+ * @param {string} filePath
+ * @returns {Promise<Object>} { duration, width, height, videoCodec, audioCodec, bitrate, frameRate }
+ * @throws {Error} If ffprobe fails or the file has no video stream
+ */
+function probeVideo(filePath) {
+  return new Promise((resolve, reject) => {
+    ffmpeg.ffprobe(filePath, (err, data) => {
+      if (err) return reject(err);
+
+      const video = data.streams.find(stream => stream.codec_type === 'video');
+      const audio = data.streams.find(stream => stream.codec_type === 'audio');
+      const duration = Number(data.format.duration);
+
+      if (!video) return reject(new Error('No video stream'));
+      if (!(duration > 0)) return reject(new Error('No duration'));
+
+      resolve({
+        duration: Math.round(duration * 100) / 100,
+        width: video.width || null,
+        height: video.height || null,
+        videoCodec: video.codec_name || null,
+        audioCodec: audio ? audio.codec_name : null,
+        bitrate: Number(data.format.bit_rate) || null,
+        frameRate: _parseFrameRate(video.avg_frame_rate || video.r_frame_rate)
+      });
+    });
+  });
+}
+
+/**
+ * Compute the SHA-256 checksum of a file
+ * @param {string} filePath
+ * @returns {Promise<string>} Hex digest
+ */
+function sha256File(filePath) {
+  return new Promise((resolve, reject) => {
+    const hash = crypto.createHash('sha256');
+    fs.createReadStream(filePath)
+      .on('error', reject)
+      .on('data', chunk => hash.update(chunk))
+      .on('end', () => resolve(hash.digest('hex')));
+  });
+}
+
+/**
+ * Parse an ffprobe frame rate such as "25/1"
+ * @private
+ */
+function _parseFrameRate(rate) {
+  if (!rate) return null;
+  const [numerator, denominator] = rate.split('/').map(Number);
+  if (!numerator || !denominator) return null;
+  return Math.round((numerator / denominator) * 100) / 100;
+}
+
+module.exports = {
+  probeVideo,
+  sha256File
+};
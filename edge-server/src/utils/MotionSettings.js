@@ -0,0 +1,103 @@
+/**
+ * ASTROSURVEILLANCE - Motion Settings Utilities
+ *
+ * Validation of per-camera motion tuning overrides.
+ * Only the keys present on a camera override the global
+ * motionDetection config; a null value resets a key to the default.
+ */
+
+const { BackgroundModel } = require('../shared/types');
+
+const SENSITIVITY_LEVELS = ['low', 'medium', 'high'];
+const BACKGROUND_MODELS = Object.values(BackgroundModel);
+
+// Numeric settings with their allowed range
+const NUMERIC_SETTINGS = {
+  threshold: { min: 0, max: 100 },
+  minDurationMs: { min: 0, max: 60000 },
+  minPixelChangePercent: { min: 0, max: 100 },
+  learningRate: { min: 0.001, max: 1 },
+  minBlobAreaPercent: { min: 0, max: 100 },
+  maxBlobAreaPercent: { min: 0, max: 100 },
+  minAspectRatio: { min: 0, max: 100 },
+  maxAspectRatio: { min: 0, max: 100 }
+};
+
+// Range settings whose minimum must not exceed the maximum
+const RANGES = [
+  ['minBlobAreaPercent', 'maxBlobAreaPercent'],
+  ['minAspectRatio', 'maxAspectRatio']
+];
+
+/**
+ * Validate and normalize per-camera motion settings
+ * @param {Object} settings - Settings as received from the API
+ * @returns {Object} Normalized overrides
+ * @throws {Error} If a setting is invalid
+ */
+function validateMotionSettings(settings) {
+  if (!settings || typeof settings !== 'object' || Array.isArray(settings)) {
+    throw new Error('motionSettings must be an object');
+  }
+
+  const result = {};
+
+  for (const [key, value] of Object.entries(settings)) {
+    if (value === null) continue;
+
+    if (NUMERIC_SETTINGS[key]) {
+      const { min, max } = NUMERIC_SETTINGS[key];
+      const number = Number(value);
+      if (!Number.isFinite(number) || number < min || number > max) {
+        throw new Error(`${key} must be a number between ${min} and ${max}`);
+      }
+      result[key] = number;
+    } else if (key === 'sensitivityLevel') {
+      if (!SENSITIVITY_LEVELS.includes(value)) {
+        throw new Error(`sensitivityLevel must be one of: ${SENSITIVITY_LEVELS.join(', ')}`);
+      }
+      result[key] = value;
+    } else if (key === 'backgroundModel') {
+      if (!BACKGROUND_MODELS.includes(value)) {
+        throw new Error(`backgroundModel must be one of: ${BACKGROUND_MODELS.join(', ')}`);
+      }
+      result[key] = value;
+    } else {
+      throw new Error(`Unknown motion setting: ${key}`);
+    }
+  }
+
+  return result;
+}
+
+/**
+ * Apply validated updates to a camera's current overrides
+ * @param {Object} current - Current overrides
+ * @param {Object} updates - Updates as received from the API
+ * @returns {Object} New overrides
+ * @throws {Error} If an update is invalid
+ */
+function mergeMotionSettings(current, updates) {
+  const validated = validateMotionSettings(updates);
+  const merged = { ...(current || {}), ...validated };
+
+  // Null resets the setting to the global default
+  for (const [key, value] of Object.entries(updates)) {
+    if (value === null) delete merged[key];
+  }
+
+  for (const [minKey, maxKey] of RANGES) {
+    if (merged[minKey] !== undefined && merged[maxKey] !== undefined && merged[minKey] > merged[maxKey]) {
+      throw new Error(`${minKey} must not exceed ${maxKey}`);
+    }
+  }
+
+  return merged;
+}
+
+module.exports = {
+  SENSITIVITY_LEVELS,
+  BACKGROUND_MODELS,
+  validateMotionSettings,
+  mergeMotionSettings
+};
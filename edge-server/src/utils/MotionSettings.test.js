@@ -0,0 +1,47 @@
+const { validateMotionSettings, mergeMotionSettings } = require('./MotionSettings');
+
+describe('validateMotionSettings', () => {
+  test('accepts known settings and converts numbers', () => {
+    expect(validateMotionSettings({
+      threshold: '20',
+      sensitivityLevel: 'high',
+      backgroundModel: 'gaussian',
+      learningRate: 0.05
+    })).toEqual({ threshold: 20, sensitivityLevel: 'high', backgroundModel: 'gaussian', learningRate: 0.05 });
+  });
+
+  test('skips null values', () => {
+    expect(validateMotionSettings({ threshold: null })).toEqual({});
+  });
+
+  test.each([
+    ['a non-object', [], /must be an object/],
+    ['an out-of-range number', { threshold: 101 }, /threshold must be a number between 0 and 100/],
+    ['a non-numeric value', { minDurationMs: 'soon' }, /minDurationMs/],
+    ['an unknown sensitivity level', { sensitivityLevel: 'extreme' }, /sensitivityLevel must be one of/],
+    ['an unknown background model', { backgroundModel: 'median' }, /backgroundModel must be one of/],
+    ['an unknown key', { speed: 3 }, /Unknown motion setting: speed/]
+  ])('rejects %s', (label, settings, message) => {
+    expect(() => validateMotionSettings(settings)).toThrow(message);
+  });
+});
+
+describe('mergeMotionSettings', () => {
+  test('overrides keys and resets null ones to the default', () => {
+    expect(mergeMotionSettings(
+      { threshold: 20, minDurationMs: 500 },
+      { threshold: 30, minDurationMs: null }
+    )).toEqual({ threshold: 30 });
+  });
+
+  test('starts from no overrides', () => {
+    expect(mergeMotionSettings(null, { sensitivityLevel: 'low' })).toEqual({ sensitivityLevel: 'low' });
+  });
+
+  test('rejects a minimum above its maximum, including across updates', () => {
+    expect(() => mergeMotionSettings({}, { minAspectRatio: 3, maxAspectRatio: 2 }))
+      .toThrow('minAspectRatio must not exceed maxAspectRatio');
+    expect(() => mergeMotionSettings({ maxBlobAreaPercent: 10 }, { minBlobAreaPercent: 20 }))
+      .toThrow('minBlobAreaPercent must not exceed maxBlobAreaPercent');
+  });
+});
@@ -0,0 +1,183 @@
+/**
+ * ASTROSURVEILLANCE - Motion Zone Utilities
+ *
+ * Validation and rasterization of per-camera motion zones.
+ * Zone points use normalized coordinates (0-1) so the same zone
+ * works at any analysis resolution.
+ *
+ * Zone format:
+ * { name: 'Dock Door', type: 'include', enabled: true,
+ *   points: [{ x: 0.1, y: 0.2 }, { x: 0.5, y: 0.2 }, { x: 0.5, y: 0.9 }] }
+ */
+
+const { MotionZoneType } = require('../shared/types');
+
+// Frame analysis resolution used when none is given
+const DEFAULT_MASK_WIDTH = 160;
+const DEFAULT_MASK_HEIGHT = 120;
+
+/**
+ * Validate and normalize a list of zones
+ * Zones are rasterized at the analysis resolution so include zones
+ * that would never see motion are rejected up front.
+ * @param {Array} zones - Zones as received from the API
+ * @param {number} width - Analysis frame width in pixels
+ * @param {number} height - Analysis frame height in pixels
+ * @returns {Array} Normalized zones
+ * @throws {Error} If a zone is invalid
+ */
+function validateZones(zones, width = DEFAULT_MASK_WIDTH, height = DEFAULT_MASK_HEIGHT) {
+  if (!Array.isArray(zones)) {
+    throw new Error('motionZones must be an array');
+  }
+
+  const names = new Set();
+
+  const normalized = zones.map((zone, index) => {
+    if (!zone || typeof zone.name !== 'string' || !zone.name.trim()) {
+      throw new Error(`Zone ${index} requires a name`);
+    }
+
+    const name = zone.name.trim();
+    if (names.has(name)) {
+      throw new Error(`Duplicate zone name: ${name}`);
+    }
+    names.add(name);
+
+    const type = zone.type || MotionZoneType.INCLUDE;
+    if (!Object.values(MotionZoneType).includes(type)) {
+      throw new Error(`Zone ${name} has invalid type: ${type}`);
+    }
+
+    if (!Array.isArray(zone.points) || zone.points.length < 3) {
+      throw new Error(`Zone ${name} requires at least 3 points`);
+    }
+
+    const points = zone.points.map((point) => {
+      const x = Number(point?.x);
+      const y = Number(point?.y);
+      if (!Number.isFinite(x) || !Number.isFinite(y) || x < 0 || x > 1 || y < 0 || y > 1) {
+        throw new Error(`Zone ${name} points must have x and y between 0 and 1`);
+      }
+      return { x, y };
+    });
+
+    return {
+      name,
+      type,
+      enabled: zone.enabled !== false,
+      points,
+      triggerAlarm: zone.triggerAlarm !== false,
+      triggerRecording: zone.triggerRecording !== false
+    };
+  });
+
+  buildZoneMasks(normalized, width, height);
+  return normalized;
+}
+
+/**
+ * Check if a point lies inside a polygon (ray casting)
+ * @private
+ */
+function _pointInPolygon(x, y, points) {
+  let inside = false;
+
+  for (let i = 0, j = points.length - 1; i < points.length; j = i++) {
+    const xi = points[i].x, yi = points[i].y;
+    const xj = points[j].x, yj = points[j].y;
+
+    if ((yi > y) !== (yj > y) && x < ((xj - xi) * (y - yi)) / (yj - yi) + xi) {
+      inside = !inside;
+    }
+  }
+
+  return inside;
+}
+
+/**
+ * Rasterize a polygon into a pixel mask
+ * @private
+ */
+function _rasterize(points, width, height) {
+  const mask = new Uint8Array(width * height);
+
+  for (let row = 0; row < height; row++) {
+    const y = (row + 0.5) / height;
+    for (let col = 0; col < width; col++) {
+      const x = (col + 0.5) / width;
+      if (_pointInPolygon(x, y, points)) {
+        mask[row * width + col] = 1;
+      }
+    }
+  }
+
+  return mask;
+}
+
+/**
+ * Build pixel masks for a frame size
+ * @param {Array} zones - Validated zones
+ * @param {number} width - Frame width in pixels
+ * @param {number} height - Frame height in pixels
+ * @returns {Object|null} { active, zones: [{ name, mask, area }] } or null when unrestricted
+ * @throws {Error} If an enabled include zone covers no pixels
+ */
+function buildZoneMasks(zones, width, height) {
+  const enabled = (zones || []).filter(z => z.enabled !== false);
+  if (enabled.length === 0) return null;
+
+  const size = width * height;
+  const includes = enabled.filter(z => z.type !== MotionZoneType.EXCLUDE);
+  const excludes = enabled.filter(z => z.type === MotionZoneType.EXCLUDE);
+
+  // Union of all exclusion masks
+  const excluded = new Uint8Array(size);
+  for (const zone of excludes) {
+    const mask = _rasterize(zone.points, width, height);
+    for (let i = 0; i < size; i++) {
+      if (mask[i]) excluded[i] = 1;
+    }
+  }
+
+  // Include zones minus exclusions
+  const zoneMasks = includes.map((zone) => {
+    const mask = _rasterize(zone.points, width, height);
+    let area = 0;
+    let excludedArea = 0;
+    for (let i = 0; i < size; i++) {
+      if (!mask[i]) continue;
+      if (excluded[i]) {
+        mask[i] = 0;
+        excludedArea++;
+      } else {
+        area++;
+      }
+    }
+
+    if (area === 0) {
+      throw new Error(excludedArea > 0
+        ? `Zone ${zone.name} is entirely covered by exclude zones`
+        : `Zone ${zone.name} covers no area`);
+    }
+
+    return { name: zone.name, mask, area };
+  });
+
+  // Active area: union of include zones, or whole frame when there are none
+  const active = new Uint8Array(size);
+  for (let i = 0; i < size; i++) {
+    if (includes.length === 0) {
+      active[i] = excluded[i] ? 0 : 1;
+    } else {
+      active[i] = zoneMasks.some(z => z.mask[i]) ? 1 : 0;
+    }
+  }
+
+  return { active, zones: zoneMasks };
+}
+
+module.exports = {
+  validateZones,
+  buildZoneMasks
+};
@@ -0,0 +1,88 @@
+const { validateZones, buildZoneMasks } = require('./MotionZones');
+
+const SQUARE = [{ x: 0, y: 0 }, { x: 0.5, y: 0 }, { x: 0.5, y: 0.5 }, { x: 0, y: 0.5 }];
+const FULL = [{ x: 0, y: 0 }, { x: 1, y: 0 }, { x: 1, y: 1 }, { x: 0, y: 1 }];
+
+describe('validateZones', () => {
+  test('normalizes zones with defaults', () => {
+    expect(validateZones([{ name: ' Dock ', points: SQUARE }])).toEqual([{
+      name: 'Dock',
+      type: 'include',
+      enabled: true,
+      points: SQUARE,
+      triggerAlarm: true,
+      triggerRecording: true
+    }]);
+  });
+
+  test.each([
+    ['a non-array', {}, /must be an array/],
+    ['a zone without a name', [{ points: SQUARE }], /requires a name/],
+    ['duplicate names', [{ name: 'A', points: SQUARE }, { name: 'A', points: SQUARE }], /Duplicate zone name/],
+    ['an unknown type', [{ name: 'A', type: 'mask', points: SQUARE }], /invalid type/],
+    ['fewer than 3 points', [{ name: 'A', points: SQUARE.slice(0, 2) }], /at least 3 points/],
+    ['points outside 0-1', [{ name: 'A', points: [{ x: 0, y: 0 }, { x: 1.5, y: 0 }, { x: 1, y: 1 }] }], /between 0 and 1/],
+    ['a zone with collinear points', [{ name: 'Line', points: [{ x: 0, y: 0 }, { x: 0.5, y: 0.5 }, { x: 1, y: 1 }] }], /Zone Line covers no area/],
+    ['an include zone hidden by exclusions', [
+      { name: 'Dock', points: SQUARE },
+      { name: 'Everything', type: 'exclude', points: FULL }
+    ], /Zone Dock is entirely covered by exclude zones/]
+  ])('rejects %s', (label, zones, message) => {
+    expect(() => validateZones(zones)).toThrow(message);
+  });
+
+  test('rejects a zone too small to cover a pixel at the given resolution', () => {
+    const speck = [{ name: 'Speck', points: [{ x: 0.01, y: 0.01 }, { x: 0.02, y: 0.01 }, { x: 0.02, y: 0.02 }] }];
+
+    expect(() => validateZones(speck, 8, 8)).toThrow(/Zone Speck covers no area/);
+  });
+
+  test('accepts disabled zones that would be empty', () => {
+    expect(() => validateZones([
+      { name: 'Dock', points: SQUARE, enabled: false },
+      { name: 'Everything', type: 'exclude', points: FULL }
+    ])).not.toThrow();
+  });
+});
+
+describe('buildZoneMasks', () => {
+  test('returns null without enabled zones', () => {
+    expect(buildZoneMasks([], 8, 8)).toBeNull();
+    expect(buildZoneMasks([{ name: 'A', enabled: false, points: SQUARE }], 8, 8)).toBeNull();
+  });
+
+  test('rasterizes an include zone', () => {
+    const masks = buildZoneMasks([{ name: 'A', type: 'include', points: SQUARE }], 8, 8);
+
+    expect(masks.zones).toHaveLength(1);
+    expect(masks.zones[0].area).toBe(16);
+    expect(masks.active[0]).toBe(1);
+    expect(masks.active[3 * 8 + 3]).toBe(1);
+    expect(masks.active[4 * 8 + 4]).toBe(0);
+  });
+
+  test('subtracts exclusions from include zones', () => {
+    const masks = buildZoneMasks([
+      { name: 'All', type: 'include', points: FULL },
+      { name: 'Clock', type: 'exclude', points: SQUARE }
+    ], 8, 8);
+
+    expect(masks.zones[0].area).toBe(48);
+    expect(masks.active[0]).toBe(0);
+    expect(masks.active[7 * 8 + 7]).toBe(1);
+  });
+
+  test('throws when exclusions leave an include zone empty', () => {
+    expect(() => buildZoneMasks([
+      { name: 'Dock', type: 'include', points: SQUARE },
+      { name: 'Corner', type: 'exclude', points: SQUARE }
+    ], 8, 8)).toThrow('Zone Dock is entirely covered by exclude zones');
+  });
+
+  test('with only exclusions, the rest of the frame is active', () => {
+    const masks = buildZoneMasks([{ name: 'Clock', type: 'exclude', points: SQUARE }], 8, 8);
+
+    expect(masks.zones).toEqual([]);
+    expect(masks.active.reduce((sum, value) => sum + value, 0)).toBe(48);
+  });
+});
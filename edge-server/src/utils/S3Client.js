@@ -0,0 +1,287 @@
+/**
+ * ASTROSURVEILLANCE - Minimal S3 Client
+ *
+ * The few S3 calls off-site backup needs (PUT, GET, HEAD, ListObjectsV2),
+ * signed with AWS Signature V4 over Node's http/https. Works with AWS S3
+ * and S3-compatible servers (MinIO, Ceph, Wasabi). Uploads stream the
+ * file with an unsigned payload, so large clips are never held in memory.
+ */
+
+const crypto = require('crypto');
+const http = require('http');
+const https = require('https');
+
+const SERVICE = 's3';
+const EMPTY_SHA256 = crypto.createHash('sha256').update('').digest('hex');
+const UNSIGNED_PAYLOAD = 'UNSIGNED-PAYLOAD';
+
+class S3Client {
+  /**
+   * @param {Object} options
+   * @param {string} options.endpoint - e.g. https://s3.eu-west-1.amazonaws.com or http://192.168.1.5:9000
+   * @param {string} options.region
+   * @param {string} options.bucket
+   * @param {string} options.accessKeyId
+   * @param {string} options.secretAccessKey
+   * @param {boolean} options.forcePathStyle - /bucket/key URLs (MinIO) instead of bucket.host
+   * @param {number} options.timeoutMs - Socket inactivity timeout
+   */
+  constructor(options) {
+    this.endpoint = new URL(options.endpoint);
+    this.region = options.region || 'us-east-1';
+    this.bucket = options.bucket;
+    this.accessKeyId = options.accessKeyId;
+    this.secretAccessKey = options.secretAccessKey;
+    this.forcePathStyle = options.forcePathStyle !== false;
+    this.timeoutMs = options.timeoutMs || 60000;
+  }
+
+  /**
+   * Upload an object
+   * @param {string} key
+   * @param {Buffer|string|stream.Readable} body - Streams need contentLength
+   * @param {Object} options - { contentLength, contentType, metadata }
+   * @returns {Promise<Object>} { etag }
+   */
+  async putObject(key, body, options = {}) {
+    const headers = { 'content-type': options.contentType || 'application/octet-stream' };
+    for (const [name, value] of Object.entries(options.metadata || {})) {
+      headers[`x-amz-meta-${name.toLowerCase()}`] = String(value);
+    }
+
+    const res = await this._request('PUT', key, { headers, body, contentLength: options.contentLength });
+    res.resume();
+    return { etag: res.headers.etag || null };
+  }
+
+  /**
+   * Download an object
+   * @param {string} key
+   * @returns {Promise<http.IncomingMessage>} Response stream
+   */
+  getObject(key) {
+    return this._request('GET', key);
+  }
+
+  /**
+   * Download and parse a JSON object
+   * @param {string} key
+   * @returns {Promise<Object>}
+   */
+  async getJson(key) {
+    const res = await this._request('GET', key);
+    return JSON.parse(await readBody(res));
+  }
+
+  /**
+   * Get the size of an object
+   * @param {string} key
+   * @returns {Promise<Object|null>} { size, etag }, or null if it doesn't exist
+   */
+  async headObject(key) {
+    try {
+      const res = await this._request('HEAD', key);
+      res.resume();
+      return { size: Number(res.headers['content-length']), etag: res.headers.etag || null };
+    } catch (err) {
+      if (err.statusCode === 404) return null;
+      throw err;
+    }
+  }
+
+  /**
+   * List all objects under a prefix (ListObjectsV2, following continuation tokens)
+   * @param {string} prefix
+   * @returns {Promise<Array<Object>>} [{ key, size, lastModified }]
+   */
+  async listObjects(prefix = '') {
+    const objects = [];
+    let token = null;
+
+    do {
+      const query = { 'list-type': '2', prefix };
+      if (token) query['continuation-token'] = token;
+
+      const res = await this._request('GET', '', { query });
+      const xml = await readBody(res);
+
+      for (const [, contents] of xml.matchAll(/<Contents>([\s\S]*?)<\/Contents>/g)) {
+        objects.push({
+          key: decodeXml(xmlValue(contents, 'Key')),
+          size: Number(xmlValue(contents, 'Size')),
+          lastModified: xmlValue(contents, 'LastModified')
+        });
+      }
+
+      token = xmlValue(xml, 'IsTruncated') === 'true' ? decodeXml(xmlValue(xml, 'NextContinuationToken')) : null;
+    } while (token);
+
+    return objects;
+  }
+
+  /**
+   * Send a signed request; resolves with the response once the status is 2xx
+   * @private
+   */
+  _request(method, key, { query = {}, headers = {}, body = null, contentLength } = {}) {
+    const url = this._objectUrl(key, query);
+    const isStream = body && typeof body.pipe === 'function';
+    const payload = isStream || body === null ? body : Buffer.from(body);
+
+    const signed = this.sign({
+      method,
+      url,
+      headers: {
+        ...headers,
+        ...(payload !== null ? { 'content-length': String(isStream ? contentLength : payload.length) } : {})
+      },
+      payloadHash: isStream ? UNSIGNED_PAYLOAD : sha256Hex(payload || ''),
+      date: new Date()
+    });
+
+    const transport = url.protocol === 'https:' ? https : http;
+
+    return new Promise((resolve, reject) => {
+      const req = transport.request(url, { method, headers: signed }, async (res) => {
+        if (res.statusCode >= 200 && res.statusCode < 300) {
+          resolve(res);
+          return;
+        }
+
+        const text = method === 'HEAD' ? '' : await readBody(res).catch(() => '');
+        const err = new Error(
+          `S3 ${method} ${key || '/'} failed: ${res.statusCode} ${xmlValue(text, 'Code') || ''} ${xmlValue(text, 'Message') || ''}`.trim()
+        );
+        err.statusCode = res.statusCode;
+        err.code = xmlValue(text, 'Code') || null;
+        reject(err);
+      });
+
+      req.setTimeout(this.timeoutMs, () => {
+        req.destroy(new Error(`S3 ${method} ${key || '/'} timed out`));
+      });
+      req.on('error', reject);
+
+      if (isStream) {
+        payload.on('error', err => req.destroy(err));
+        payload.pipe(req);
+      } else {
+        req.end(payload || undefined);
+      }
+    });
+  }
+
+  /**
+   * URL of an object (or of the bucket for an empty key)
+   * @private
+   */
+  _objectUrl(key, query) {
+    const url = new URL(this.endpoint.href);
+    const objectPath = key ? `/${encodeKey(key)}` : '/';
+    const basePath = url.pathname.replace(/\/$/, '');
+
+    if (this.forcePathStyle) {
+      url.pathname = `${basePath}/${this.bucket}${objectPath}`;
+    } else {
+      url.hostname = `${this.bucket}.${url.hostname}`;
+      url.pathname = `${basePath}${objectPath}`;
+    }
+
+    url.search = Object.keys(query).sort()
+      .map(name => `${encodeRfc3986(name)}=${encodeRfc3986(query[name])}`)
+      .join('&');
+    return url;
+  }
+
+  /**
+   * Sign a request with AWS Signature V4
+   * @param {Object} request - { method, url, headers, payloadHash, date }
+   * @returns {Object} Headers including x-amz-date and authorization
+   */
+  sign({ method, url, headers, payloadHash, date }) {
+    const amzDate = date.toISOString().replace(/[:-]|\.\d{3}/g, '');
+    const day = amzDate.slice(0, 8);
+
+    const allHeaders = {
+      ...headers,
+      host: url.host,
+      'x-amz-content-sha256': payloadHash,
+      'x-amz-date': amzDate
+    };
+    const names = Object.keys(allHeaders).map(name => name.toLowerCase()).sort();
+    const lowerHeaders = Object.fromEntries(
+      Object.entries(allHeaders).map(([name, value]) => [name.toLowerCase(), String(value).trim()])
+    );
+
+    const canonicalRequest = [
+      method,
+      url.pathname,
+      url.search.replace(/^\?/, ''),
+      names.map(name => `${name}:${lowerHeaders[name]}\n`).join(''),
+      names.join(';'),
+      payloadHash
+    ].join('\n');
+
+    const scope = `${day}/${this.region}/${SERVICE}/aws4_request`;
+    const stringToSign = ['AWS4-HMAC-SHA256', amzDate, scope, sha256Hex(canonicalRequest)].join('\n');
+
+    const signingKey = [day, this.region, SERVICE, 'aws4_request']
+      .reduce((key, part) => hmac(key, part), `AWS4${this.secretAccessKey}`);
+    const signature = hmac(signingKey, stringToSign).toString('hex');
+
+    return {
+      ...lowerHeaders,
+      authorization: `AWS4-HMAC-SHA256 Credential=${this.accessKeyId}/${scope}, ` +
+        `SignedHeaders=${names.join(';')}, Signature=${signature}`
+    };
+  }
+}
+
+/**
+ * Encode a string per RFC 3986, as SigV4 requires
+ */
+function encodeRfc3986(value) {
+  return encodeURIComponent(value).replace(/[!'()*]/g, c => `%${c.charCodeAt(0).toString(16).toUpperCase()}`);
+}
+
+/**
+ * Encode an object key, keeping the slashes
+ */
+function encodeKey(key) {
+  return key.split('/').map(encodeRfc3986).join('/');
+}
+
+function sha256Hex(data) {
+  return data === '' ? EMPTY_SHA256 : crypto.createHash('sha256').update(data).digest('hex');
+}
+
+function hmac(key, data) {
+  return crypto.createHmac('sha256', key).update(data).digest();
+}
+
+function readBody(res) {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    res.on('data', chunk => chunks.push(chunk));
+    res.on('end', () => resolve(Buffer.concat(chunks).toString('utf8')));
+    res.on('error', reject);
+  });
+}
+
+function xmlValue(xml, tag) {
+  const match = xml.match(new RegExp(`<${tag}>([\\s\\S]*?)</${tag}>`));
+  return match ? match[1] : null;
+}
+
+function decodeXml(value) {
+  if (value === null) return null;
+  return value
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&quot;/g, '"')
+    .replace(/&apos;/g, "'")
+    .replace(/&#(\d+);/g, (m, code) => String.fromCharCode(Number(code)))
+    .replace(/&amp;/g, '&');
+}
+
+module.exports = S3Client;
@@ -0,0 +1,234 @@
+/**
+ * ASTROSURVEILLANCE - Camera Schedule Utilities
+ *
+ * Validation and evaluation of per-camera schedules. Motion detection,
+ * alarm triggering and recording each have their own weekly time ranges;
+ * a target without ranges is always enabled. Holidays override the
+ * ranges for the whole day, enabling each target unless set to false.
+ * Times are evaluated in the schedule's IANA timezone.
+ *
+ * Schedule format:
+ * { timezone: 'Africa/Lagos',
+ *   alarm: [{ days: ['mon', 'tue', 'wed', 'thu', 'fri'], start: '18:00', end: '07:00' },
+ *           { days: ['sat', 'sun'], start: '00:00', end: '24:00' }],
+ *   holidays: [{ date: '2026-12-25', name: 'Christmas', alarm: false }] }
+ *
+ * A range whose end is before its start runs past midnight into the next day.
+ */
+
+const { ScheduleTarget } = require('../shared/types');
+
+const DAYS = ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'];
+const TARGETS = Object.values(ScheduleTarget);
+const TIME_PATTERN = /^([01]\d|2[0-4]):([0-5]\d)$/;
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+// Date formatters are expensive to create, keep one per timezone
+const formatters = new Map();
+
+/**
+ * Validate and normalize a camera schedule
+ * @param {Object|null} schedule - Schedule as received from the API (null removes it)
+ * @returns {Object|null} Normalized schedule
+ * @throws {Error} If the schedule is invalid
+ */
+function validateSchedule(schedule) {
+  if (schedule === null) return null;
+
+  if (typeof schedule !== 'object' || Array.isArray(schedule)) {
+    throw new Error('schedule must be an object');
+  }
+
+  for (const key of Object.keys(schedule)) {
+    if (key !== 'timezone' && key !== 'holidays' && !TARGETS.includes(key)) {
+      throw new Error(`Unknown schedule key: ${key}`);
+    }
+  }
+
+  const result = {
+    timezone: _validateTimezone(schedule.timezone),
+    holidays: _validateHolidays(schedule.holidays || [])
+  };
+
+  for (const target of TARGETS) {
+    if (schedule[target] !== undefined && schedule[target] !== null) {
+      result[target] = _validateRanges(target, schedule[target]);
+    }
+  }
+
+  return result;
+}
+
+/**
+ * Check whether a target is enabled by a schedule at a given time
+ * @param {Object|null} schedule - Normalized schedule (null means always enabled)
+ * @param {string} target - ScheduleTarget
+ * @param {Date} date
+ * @returns {boolean}
+ */
+function isScheduleActive(schedule, target, date = new Date()) {
+  if (!schedule) return true;
+
+  const local = _localTime(date, schedule.timezone);
+
+  const holiday = (schedule.holidays || []).find(h => h.date === local.date);
+  if (holiday) {
+    return holiday[target] !== false;
+  }
+
+  const ranges = schedule[target];
+  if (!ranges) return true;
+
+  const previousDay = DAYS[(DAYS.indexOf(local.day) + 6) % 7];
+
+  return ranges.some((range) => {
+    const start = _toMinutes(range.start);
+    const end = _toMinutes(range.end);
+
+    if (start < end) {
+      return range.days.includes(local.day) && local.minutes >= start && local.minutes < end;
+    }
+
+    // Overnight range (or a full day when start equals end)
+    return (range.days.includes(local.day) && local.minutes >= start) ||
+      (range.days.includes(previousDay) && local.minutes < end);
+  });
+}
+
+/**
+ * Evaluate every target of a schedule
+ * @param {Object|null} schedule
+ * @param {Date} date
+ * @returns {Object} { motion, alarm, recording } booleans
+ */
+function getScheduleState(schedule, date = new Date()) {
+  const state = {};
+  for (const target of TARGETS) {
+    state[target] = isScheduleActive(schedule, target, date);
+  }
+  return state;
+}
+
+/**
+ * Validate a timezone name, defaulting to the server timezone
+ * @private
+ */
+function _validateTimezone(timezone) {
+  if (timezone === undefined || timezone === null) {
+    return Intl.DateTimeFormat().resolvedOptions().timeZone;
+  }
+
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone: timezone });
+  } catch (err) {
+    throw new Error(`Unknown timezone: ${timezone}`);
+  }
+
+  return timezone;
+}
+
+/**
+ * Validate and normalize the time ranges of one target
+ * @private
+ */
+function _validateRanges(target, ranges) {
+  if (!Array.isArray(ranges)) {
+    throw new Error(`schedule.${target} must be an array of time ranges`);
+  }
+
+  return ranges.map((range, index) => {
+    const label = `schedule.${target}[${index}]`;
+
+    if (!range || !Array.isArray(range.days) || range.days.length === 0) {
+      throw new Error(`${label} requires a list of days`);
+    }
+
+    const days = range.days.map((day) => {
+      const name = typeof day === 'number' ? DAYS[day] : String(day).toLowerCase().slice(0, 3);
+      if (!DAYS.includes(name)) {
+        throw new Error(`${label} has an invalid day: ${day}`);
+      }
+      return name;
+    });
+
+    for (const key of ['start', 'end']) {
+      if (!TIME_PATTERN.test(range[key]) || _toMinutes(range[key]) > 24 * 60) {
+        throw new Error(`${label}.${key} must be a time between 00:00 and 24:00`);
+      }
+    }
+
+    return {
+      days: [...new Set(days)],
+      start: range.start,
+      end: range.end
+    };
+  });
+}
+
+/**
+ * Validate and normalize holiday exceptions
+ * @private
+ */
+function _validateHolidays(holidays) {
+  if (!Array.isArray(holidays)) {
+    throw new Error('schedule.holidays must be an array');
+  }
+
+  return holidays.map((holiday, index) => {
+    if (!holiday || !DATE_PATTERN.test(holiday.date) || Number.isNaN(Date.parse(holiday.date))) {
+      throw new Error(`schedule.holidays[${index}].date must be a YYYY-MM-DD date`);
+    }
+
+    const result = { date: holiday.date };
+    if (holiday.name) result.name = String(holiday.name);
+    for (const target of TARGETS) {
+      if (holiday[target] !== undefined) result[target] = holiday[target] !== false;
+    }
+    return result;
+  });
+}
+
+/**
+ * Convert "HH:MM" to minutes since midnight
+ * @private
+ */
+function _toMinutes(time) {
+  const [hours, minutes] = time.split(':').map(Number);
+  return hours * 60 + minutes;
+}
+
+/**
+ * Get the local date, weekday and minutes since midnight in a timezone
+ * @private
+ */
+function _localTime(date, timeZone) {
+  if (!formatters.has(timeZone)) {
+    formatters.set(timeZone, new Intl.DateTimeFormat('en-US', {
+      timeZone,
+      hourCycle: 'h23',
+      year: 'numeric',
+      month: '2-digit',
+      day: '2-digit',
+      weekday: 'short',
+      hour: '2-digit',
+      minute: '2-digit'
+    }));
+  }
+
+  const parts = {};
+  for (const part of formatters.get(timeZone).formatToParts(date)) {
+    parts[part.type] = part.value;
+  }
+
+  return {
+    date: `${parts.year}-${parts.month}-${parts.day}`,
+    day: parts.weekday.toLowerCase(),
+    minutes: Number(parts.hour) * 60 + Number(parts.minute)
+  };
+}
+
+module.exports = {
+  validateSchedule,
+  isScheduleActive,
+  getScheduleState
+};
@@ -0,0 +1,122 @@
+const { validateSchedule, isScheduleActive, getScheduleState } = require('./Schedule');
+
+// 2026-01-05 is a Monday; Africa/Lagos is UTC+1 all year
+const lagos = (ranges, extra = {}) => validateSchedule({ timezone: 'Africa/Lagos', motion: ranges, ...extra });
+
+describe('isScheduleActive', () => {
+  test('is always active without a schedule or without ranges for the target', () => {
+    expect(isScheduleActive(null, 'motion')).toBe(true);
+    expect(isScheduleActive(lagos([{ days: ['mon'], start: '08:00', end: '09:00' }]), 'alarm')).toBe(true);
+  });
+
+  test('checks daytime ranges on the listed days', () => {
+    const schedule = lagos([{ days: ['mon', 'tue', 'wed', 'thu', 'fri'], start: '08:00', end: '17:00' }]);
+
+    expect(isScheduleActive(schedule, 'motion', new Date('2026-01-05T07:00:00Z'))).toBe(true);   // 08:00
+    expect(isScheduleActive(schedule, 'motion', new Date('2026-01-05T06:59:00Z'))).toBe(false);  // 07:59
+    expect(isScheduleActive(schedule, 'motion', new Date('2026-01-05T16:00:00Z'))).toBe(false);  // 17:00, end is exclusive
+    expect(isScheduleActive(schedule, 'motion', new Date('2026-01-10T10:00:00Z'))).toBe(false);  // Saturday
+  });
+
+  test('runs overnight ranges past midnight into the next day', () => {
+    const schedule = lagos([{ days: ['mon'], start: '18:00', end: '07:00' }]);
+
+    expect(isScheduleActive(schedule, 'motion', new Date('2026-01-05T21:00:00Z'))).toBe(true);   // Mon 22:00
+    expect(isScheduleActive(schedule, 'motion', new Date('2026-01-06T05:00:00Z'))).toBe(true);   // Tue 06:00
+    expect(isScheduleActive(schedule, 'motion', new Date('2026-01-06T06:00:00Z'))).toBe(false);  // Tue 07:00
+    expect(isScheduleActive(schedule, 'motion', new Date('2026-01-05T02:00:00Z'))).toBe(false);  // Mon 03:00, Sunday not listed
+    expect(isScheduleActive(schedule, 'motion', new Date('2026-01-06T20:00:00Z'))).toBe(false);  // Tue 21:00
+  });
+
+  test('treats 00:00-24:00 as the whole day', () => {
+    const schedule = lagos([{ days: ['sun'], start: '00:00', end: '24:00' }]);
+
+    expect(isScheduleActive(schedule, 'motion', new Date('2026-01-03T23:00:00Z'))).toBe(true);   // Sun 00:00
+    expect(isScheduleActive(schedule, 'motion', new Date('2026-01-04T22:59:00Z'))).toBe(true);   // Sun 23:59
+    expect(isScheduleActive(schedule, 'motion', new Date('2026-01-04T23:00:00Z'))).toBe(false);  // Mon 00:00
+  });
+
+  test('evaluates ranges in the schedule timezone', () => {
+    const ranges = [{ days: ['mon'], start: '09:00', end: '10:00' }];
+    const instant = new Date('2026-01-05T09:30:00Z');
+
+    expect(isScheduleActive(validateSchedule({ timezone: 'UTC', motion: ranges }), 'motion', instant)).toBe(true);
+    expect(isScheduleActive(validateSchedule({ timezone: 'Africa/Lagos', motion: ranges }), 'motion', instant)).toBe(false);
+    expect(isScheduleActive(validateSchedule({ timezone: 'America/New_York', motion: ranges }), 'motion', instant)).toBe(false);
+  });
+
+  test('uses the local weekday when the timezone is on another date', () => {
+    const schedule = validateSchedule({ timezone: 'Asia/Tokyo', motion: [{ days: ['tue'], start: '08:00', end: '09:00' }] });
+
+    // Monday 23:30 UTC is Tuesday 08:30 in Tokyo
+    expect(isScheduleActive(schedule, 'motion', new Date('2026-01-05T23:30:00Z'))).toBe(true);
+  });
+
+  test('follows daylight saving time', () => {
+    const schedule = validateSchedule({ timezone: 'America/New_York', motion: [{ days: ['mon'], start: '09:00', end: '10:00' }] });
+
+    expect(isScheduleActive(schedule, 'motion', new Date('2026-01-05T14:30:00Z'))).toBe(true);   // EST, UTC-5
+    expect(isScheduleActive(schedule, 'motion', new Date('2026-07-06T13:30:00Z'))).toBe(true);   // EDT, UTC-4
+    expect(isScheduleActive(schedule, 'motion', new Date('2026-07-06T14:30:00Z'))).toBe(false);
+  });
+
+  test('lets holidays override the ranges for the whole local day', () => {
+    const schedule = lagos(
+      [{ days: ['mon'], start: '08:00', end: '17:00' }],
+      { alarm: [], holidays: [{ date: '2026-01-05', name: 'Closed', motion: false }] }
+    );
+    const evening = new Date('2026-01-05T22:00:00Z');  // Mon 23:00, outside the range
+
+    expect(isScheduleActive(schedule, 'motion', new Date('2026-01-05T10:00:00Z'))).toBe(false);
+    expect(isScheduleActive(schedule, 'alarm', evening)).toBe(true);
+    // 00:30 Tuesday in Lagos is no longer the holiday
+    expect(isScheduleActive(schedule, 'alarm', new Date('2026-01-05T23:30:00Z'))).toBe(false);
+  });
+});
+
+describe('getScheduleState', () => {
+  test('evaluates every target', () => {
+    const schedule = validateSchedule({
+      timezone: 'UTC',
+      motion: [{ days: ['mon'], start: '09:00', end: '10:00' }],
+      recording: [{ days: ['tue'], start: '09:00', end: '10:00' }]
+    });
+
+    expect(getScheduleState(schedule, new Date('2026-01-05T09:30:00Z')))
+      .toEqual({ motion: true, alarm: true, recording: false });
+  });
+});
+
+describe('validateSchedule', () => {
+  test('normalizes day names and numbers', () => {
+    const schedule = validateSchedule({
+      timezone: 'UTC',
+      alarm: [{ days: [1, 'Tuesday', 'mon'], start: '18:00', end: '07:00' }]
+    });
+
+    expect(schedule).toEqual({
+      timezone: 'UTC',
+      holidays: [],
+      alarm: [{ days: ['mon', 'tue'], start: '18:00', end: '07:00' }]
+    });
+  });
+
+  test('defaults to the server timezone and accepts null to remove a schedule', () => {
+    expect(validateSchedule({}).timezone).toBe(Intl.DateTimeFormat().resolvedOptions().timeZone);
+    expect(validateSchedule(null)).toBeNull();
+  });
+
+  test.each([
+    ['a non-object', [], /must be an object/],
+    ['an unknown key', { lights: [] }, /Unknown schedule key: lights/],
+    ['an unknown timezone', { timezone: 'Mars/Olympus' }, /Unknown timezone/],
+    ['ranges that are not an array', { motion: {} }, /must be an array of time ranges/],
+    ['a range without days', { motion: [{ days: [], start: '08:00', end: '09:00' }] }, /requires a list of days/],
+    ['an invalid day', { motion: [{ days: ['someday'], start: '08:00', end: '09:00' }] }, /invalid day/],
+    ['an invalid time', { motion: [{ days: ['mon'], start: '8am', end: '09:00' }] }, /start must be a time/],
+    ['a time past 24:00', { motion: [{ days: ['mon'], start: '08:00', end: '24:30' }] }, /end must be a time/],
+    ['an invalid holiday date', { holidays: [{ date: '25/12/2026' }] }, /YYYY-MM-DD/]
+  ])('rejects %s', (label, schedule, message) => {
+    expect(() => validateSchedule(schedule)).toThrow(message);
+  });
+});
@@ -0,0 +1,190 @@
+/**
+ * ASTROSURVEILLANCE - Camera Stream Profile Utilities
+ *
+ * Cameras usually offer a high-resolution main stream and a low-resolution
+ * sub-stream. A camera can list its streams as named profiles and pick one
+ * per role: recordingStream for RecordingController, analysisStream for
+ * MotionDetector. Without a pick, recording uses the largest profile and
+ * analysis the smallest; without profiles both use the camera's rtspUrl.
+ *
+ * Profile format:
+ * { name: 'sub', url: 'rtsp://...', width: 640, height: 360,
+ *   codec: 'H264', frameRate: 15, bitrate: 512, token: 'Profile_2', source: 'onvif' }
+ */
+
+const { StreamRole } = require('../shared/types');
+
+const MAX_STREAMS = 8;
+const NAME_PATTERN = /^[A-Za-z0-9_-]{1,50}$/;
+const URL_PATTERN = /^rtsps?:\/\//i;
+
+/**
+ * Validate and normalize a list of stream profiles
+ * @param {Array<Object>} streams - Profiles as received from the API
+ * @returns {Array<Object>} Normalized profiles
+ * @throws {Error} If a profile is invalid
+ */
+function validateStreams(streams) {
+  if (!Array.isArray(streams)) {
+    throw new Error('streams must be an array');
+  }
+  if (streams.length > MAX_STREAMS) {
+    throw new Error(`At most ${MAX_STREAMS} streams are allowed`);
+  }
+
+  const names = new Set();
+
+  return streams.map((stream, index) => {
+    if (!stream || typeof stream !== 'object') {
+      throw new Error(`Stream ${index + 1} must be an object`);
+    }
+    if (typeof stream.name !== 'string' || !NAME_PATTERN.test(stream.name)) {
+      throw new Error(`Stream ${index + 1}: name must be 1-50 letters, digits, "-" or "_"`);
+    }
+    if (names.has(stream.name)) {
+      throw new Error(`Duplicate stream name: ${stream.name}`);
+    }
+    if (typeof stream.url !== 'string' || !URL_PATTERN.test(stream.url)) {
+      throw new Error(`Stream ${stream.name}: url must be an rtsp:// URL`);
+    }
+    names.add(stream.name);
+
+    return {
+      name: stream.name,
+      url: stream.url,
+      width: _positiveNumber(stream.width),
+      height: _positiveNumber(stream.height),
+      codec: typeof stream.codec === 'string' ? stream.codec : null,
+      frameRate: _positiveNumber(stream.frameRate),
+      bitrate: _positiveNumber(stream.bitrate),
+      token: typeof stream.token === 'string' ? stream.token : null,
+      source: stream.source === 'onvif' ? 'onvif' : 'manual'
+    };
+  });
+}
+
+/**
+ * Validate the stream picked for a role
+ * @param {Array<Object>} streams - The camera's normalized profiles
+ * @param {string|null} name - Profile name (null selects automatically)
+ * @returns {string|null}
+ * @throws {Error} If no profile has this name
+ */
+function validateStreamName(streams, name) {
+  if (name === null || name === undefined || name === '') return null;
+
+  if (!(streams || []).some(stream => stream.name === name)) {
+    throw new Error(`Unknown stream: ${name}`);
+  }
+  return name;
+}
+
+/**
+ * Get the stream a camera uses for a role
+ * @param {Object} camera - Camera with rtspUrl, streams, recordingStream and analysisStream
+ * @param {string} role - StreamRole
+ * @returns {Object|null} Profile, or null if the camera has none
+ */
+function selectStream(camera, role) {
+  const streams = camera.streams || [];
+  if (streams.length === 0) return null;
+
+  const name = role === StreamRole.ANALYSIS ? camera.analysisStream : camera.recordingStream;
+  const picked = name && streams.find(stream => stream.name === name);
+  if (picked) return picked;
+
+  // Profiles without a resolution sort as the largest
+  const sorted = [...streams].sort((a, b) => _pixels(a) - _pixels(b));
+  return role === StreamRole.ANALYSIS ? sorted[0] : sorted[sorted.length - 1];
+}
+
+/**
+ * Get the RTSP URL a camera uses for a role
+ * @param {Object} camera
+ * @param {string} role - StreamRole
+ * @returns {string|null}
+ */
+function resolveStreamUrl(camera, role) {
+  const stream = selectStream(camera, role);
+  return stream ? stream.url : (camera.rtspUrl || null);
+}
+
+/**
+ * Convert node-onvif media profiles (GetProfiles) to stream profiles
+ * Stream URIs without credentials get the camera's, as FFmpeg needs them.
+ * @param {Array<Object>} profiles - OnvifDevice.getProfileList()
+ * @param {Object} credentials - { username, password }
+ * @returns {Array<Object>} Normalized profiles (profiles without an RTSP URI are skipped)
+ */
+function profilesFromOnvif(profiles, credentials = {}) {
+  const names = new Set();
+
+  const streams = (profiles || [])
+    .filter(profile => profile.stream && profile.stream.rtsp)
+    .slice(0, MAX_STREAMS)
+    .map((profile, index) => {
+      const encoder = profile.video?.encoder || {};
+      let name = String(profile.name || profile.token || `profile${index + 1}`)
+        .replace(/[^A-Za-z0-9_-]+/g, '_')
+        .slice(0, 50) || `profile${index + 1}`;
+      if (names.has(name)) name = `${name.slice(0, 45)}_${index + 1}`;
+      names.add(name);
+
+      return {
+        name,
+        url: _withCredentials(profile.stream.rtsp, credentials),
+        width: encoder.resolution?.width,
+        height: encoder.resolution?.height,
+        codec: encoder.encoding || null,
+        frameRate: encoder.framerate,
+        bitrate: encoder.bitrate,
+        token: profile.token || null,
+        source: 'onvif'
+      };
+    });
+
+  return validateStreams(streams);
+}
+
+/**
+ * Add credentials to an RTSP URL that has none
+ * @private
+ */
+function _withCredentials(url, credentials) {
+  if (!credentials.username) return url;
+
+  try {
+    const parsed = new URL(url);
+    if (parsed.username) return url;
+    parsed.username = encodeURIComponent(credentials.username);
+    parsed.password = encodeURIComponent(credentials.password || '');
+    return parsed.toString();
+  } catch (err) {
+    return url;
+  }
+}
+
+/**
+ * Pixel count of a profile, for picking the largest or smallest
+ * @private
+ */
+function _pixels(stream) {
+  return stream.width && stream.height ? stream.width * stream.height : Infinity;
+}
+
+/**
+ * Parse an optional positive number (resolution, frame rate, bitrate)
+ * @private
+ */
+function _positiveNumber(value) {
+  const number = Number(value);
+  return Number.isFinite(number) && number > 0 ? number : null;
+}
+
+module.exports = {
+  validateStreams,
+  validateStreamName,
+  selectStream,
+  resolveStreamUrl,
+  profilesFromOnvif
+};
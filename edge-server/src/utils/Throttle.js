@@ -0,0 +1,43 @@
+/**
+ * ASTROSURVEILLANCE - Bandwidth Throttle
+ *
+ * Transform stream that passes data through at most bytesPerSecond, so
+ * uploads leave room on the uplink for live streams and the mobile app.
+ */
+
+const { Transform } = require('stream');
+
+class Throttle extends Transform {
+  /**
+   * @param {number} bytesPerSecond - 0 or less passes data through unthrottled
+   */
+  constructor(bytesPerSecond) {
+    super();
+
+    this.bytesPerSecond = bytesPerSecond;
+    this.startTime = null;
+    this.bytes = 0;
+  }
+
+  _transform(chunk, encoding, callback) {
+    if (!(this.bytesPerSecond > 0)) {
+      callback(null, chunk);
+      return;
+    }
+
+    if (this.startTime === null) this.startTime = Date.now();
+    this.bytes += chunk.length;
+    this.push(chunk);
+
+    // Hold the next chunk until the average rate is back under the limit
+    const dueMs = (this.bytes / this.bytesPerSecond) * 1000;
+    const delay = dueMs - (Date.now() - this.startTime);
+    if (delay > 0) {
+      setTimeout(callback, delay);
+    } else {
+      callback();
+    }
+  }
+}
+
+module.exports = Throttle;
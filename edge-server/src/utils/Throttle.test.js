@@ -0,0 +1,42 @@
+const { Readable } = require('stream');
+const { pipeline } = require('stream/promises');
+const Throttle = require('./Throttle');
+
+/**
+ * Pipe chunks through a throttle, collecting the output
+ */
+async function throttle(chunks, bytesPerSecond) {
+  const output = [];
+  const started = Date.now();
+
+  await pipeline(Readable.from(chunks), new Throttle(bytesPerSecond), async (source) => {
+    for await (const chunk of source) output.push(chunk);
+  });
+
+  return { data: Buffer.concat(output), elapsedMs: Date.now() - started };
+}
+
+describe('Throttle', () => {
+  const chunks = () => [0, 1, 2, 3].map(i => Buffer.alloc(1000, i));
+
+  test('passes data through unchanged', async () => {
+    const { data } = await throttle(chunks(), 40000);
+
+    expect(data).toEqual(Buffer.concat(chunks()));
+  });
+
+  test('holds the average rate under the limit', async () => {
+    // 4000 bytes at 10000 B/s: the last chunk is due after 300 ms
+    const { elapsedMs } = await throttle(chunks(), 10000);
+
+    expect(elapsedMs).toBeGreaterThanOrEqual(290);
+    expect(elapsedMs).toBeLessThan(2000);
+  });
+
+  test('does not throttle without a limit', async () => {
+    const { data, elapsedMs } = await throttle(chunks(), 0);
+
+    expect(data.length).toBe(4000);
+    expect(elapsedMs).toBeLessThan(200);
+  });
+});
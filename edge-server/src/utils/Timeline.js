@@ -0,0 +1,169 @@
+/**
+ * ASTROSURVEILLANCE - Recording Timeline Utilities
+ *
+ * Merges recordings, motion events and alarm events of one camera into a
+ * single timeline for scrub bars. Time not covered by any recording is
+ * marked as a gap; failed and corrupt recordings are listed but do not
+ * cover time.
+ *
+ * Every item has a kind, an ISO start and an ISO end (null while still
+ * open), sorted by start:
+ * { kind: 'recording', start, end, filename, recordingType, status, zone, hasMotion }
+ * { kind: 'motion', start, end, zone, level }
+ * { kind: 'alarm', start, end, source, stoppedBy }
+ * { kind: 'gap', start, end, durationSeconds }
+ */
+
+const { MotionEventType } = require('../shared/types');
+
+// Recordings closer than this are treated as continuous (segment boundaries, rounding)
+const DEFAULT_GAP_TOLERANCE_MS = 2000;
+
+// Order of items starting at the same time
+const KIND_ORDER = ['gap', 'recording', 'motion', 'alarm'];
+
+/**
+ * Build the timeline of a camera
+ * @param {Object} options
+ * @param {Date} options.from
+ * @param {Date} options.to
+ * @param {Array<Object>} options.recordings - { filename, start, end, recordingType, status, zone, hasMotion }
+ * @param {Array<Object>} options.motionEvents - Persisted motion events (EventRepository format)
+ * @param {Array<Object>} options.alarmEvents - { start, end, source, stoppedBy }
+ * @param {number} options.gapToleranceMs
+ * @returns {Object} { items, summary }
+ */
+function buildTimeline(options) {
+  const { from, to } = options;
+  const now = new Date();
+  const tolerance = options.gapToleranceMs ?? DEFAULT_GAP_TOLERANCE_MS;
+
+  const recordings = (options.recordings || [])
+    .filter(recording => _overlaps(recording.start, recording.end || now, from, to))
+    .map(recording => ({ kind: 'recording', ...recording }));
+
+  const motion = _motionSpans(options.motionEvents || [])
+    .filter(span => _overlaps(span.start, span.end || now, from, to));
+
+  const alarms = (options.alarmEvents || [])
+    .filter(alarm => _overlaps(alarm.start, alarm.end || now, from, to))
+    .map(alarm => ({ kind: 'alarm', ...alarm }));
+
+  const gaps = _findGaps(recordings, from, to < now ? to : now, tolerance);
+
+  const items = [...gaps, ...recordings, ...motion, ...alarms]
+    .map(item => ({
+      ...item,
+      start: new Date(item.start).toISOString(),
+      end: item.end ? new Date(item.end).toISOString() : null
+    }))
+    .sort((a, b) =>
+      (new Date(a.start) - new Date(b.start)) || (KIND_ORDER.indexOf(a.kind) - KIND_ORDER.indexOf(b.kind))
+    );
+
+  const gapSeconds = gaps.reduce((total, gap) => total + gap.durationSeconds, 0);
+  const windowSeconds = Math.max((Math.min(to, now) - from) / 1000, 0);
+
+  return {
+    items,
+    summary: {
+      recordings: recordings.length,
+      motionEvents: motion.length,
+      alarmEvents: alarms.length,
+      gaps: gaps.length,
+      recordedSeconds: Math.max(Math.round(windowSeconds - gapSeconds), 0),
+      gapSeconds
+    }
+  };
+}
+
+/**
+ * Pair persisted MOTION_START/MOTION_END rows into spans
+ * @private
+ */
+function _motionSpans(events) {
+  const sorted = [...events].sort((a, b) => new Date(a.detectedAt) - new Date(b.detectedAt));
+  const spans = [];
+  let open = null;
+
+  for (const event of sorted) {
+    if (event.type === MotionEventType.MOTION_START) {
+      // Repeated starts while motion continues belong to the same span
+      if (open) {
+        open.level = Math.max(open.level, event.motionLevel || 0);
+      } else {
+        open = {
+          kind: 'motion',
+          start: new Date(event.detectedAt),
+          end: null,
+          zone: event.zone || null,
+          level: event.motionLevel || 0
+        };
+      }
+    } else if (event.type === MotionEventType.MOTION_END) {
+      const end = new Date(event.detectedAt);
+      const span = open || {
+        kind: 'motion',
+        start: new Date(end.getTime() - (event.durationMs || 0)),
+        zone: event.zone || null,
+        level: 0
+      };
+
+      span.end = end;
+      span.level = Math.max(span.level, event.motionLevel || 0);
+      spans.push(span);
+      open = null;
+    }
+  }
+
+  if (open) spans.push(open);
+
+  return spans;
+}
+
+/**
+ * Find the parts of [from, to] not covered by any recording
+ * @private
+ */
+function _findGaps(recordings, from, to, tolerance) {
+  const spans = recordings
+    .filter(recording => recording.status !== 'failed' && recording.status !== 'corrupt')
+    .map(recording => [new Date(recording.start).getTime(), new Date(recording.end || Date.now()).getTime()])
+    .sort((a, b) => a[0] - b[0]);
+
+  const gaps = [];
+  let cursor = from.getTime();
+  const end = to.getTime();
+
+  const addGap = (gapStart, gapEnd) => {
+    if (gapEnd - gapStart <= tolerance) return;
+    gaps.push({
+      kind: 'gap',
+      start: new Date(gapStart),
+      end: new Date(gapEnd),
+      durationSeconds: Math.round((gapEnd - gapStart) / 1000)
+    });
+  };
+
+  for (const [spanStart, spanEnd] of spans) {
+    if (spanStart > cursor) addGap(cursor, Math.min(spanStart, end));
+    cursor = Math.max(cursor, spanEnd);
+    if (cursor >= end) break;
+  }
+
+  if (cursor < end) addGap(cursor, end);
+
+  return gaps;
+}
+
+/**
+ * Check whether [start, end] overlaps [from, to]
+ * @private
+ */
+function _overlaps(start, end, from, to) {
+  return new Date(start) < to && new Date(end) > from;
+}
+
+module.exports = {
+  buildTimeline
+};
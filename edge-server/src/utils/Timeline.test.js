@@ -0,0 +1,105 @@
+const { buildTimeline } = require('./Timeline');
+
+const at = time => `2026-01-05T${time}Z`;
+const from = new Date(at('10:00:00'));
+const to = new Date(at('11:00:00'));
+
+describe('buildTimeline', () => {
+  test('marks time not covered by recordings as gaps', () => {
+    const { items, summary } = buildTimeline({
+      from,
+      to,
+      recordings: [
+        { filename: 'a.mp4', start: at('10:10:00'), end: at('10:20:00'), status: 'complete' },
+        { filename: 'b.mp4', start: at('10:20:01'), end: at('10:30:00'), status: 'complete' }
+      ]
+    });
+
+    expect(items.map(item => [item.kind, item.start, item.end])).toEqual([
+      ['gap', at('10:00:00.000'), at('10:10:00.000')],
+      ['recording', at('10:10:00.000'), at('10:20:00.000')],
+      ['recording', at('10:20:01.000'), at('10:30:00.000')],
+      ['gap', at('10:30:00.000'), at('11:00:00.000')]
+    ]);
+    expect(summary).toEqual({
+      recordings: 2,
+      motionEvents: 0,
+      alarmEvents: 0,
+      gaps: 2,
+      recordedSeconds: 1200,
+      gapSeconds: 2400
+    });
+  });
+
+  test('honours the gap tolerance between segments', () => {
+    const recordings = [
+      { filename: 'a.mp4', start: at('10:00:00'), end: at('10:30:00') },
+      { filename: 'b.mp4', start: at('10:30:05'), end: at('11:00:00') }
+    ];
+
+    expect(buildTimeline({ from, to, recordings }).summary.gaps).toBe(1);
+    expect(buildTimeline({ from, to, recordings, gapToleranceMs: 10000 }).summary.gaps).toBe(0);
+  });
+
+  test('lists failed and corrupt recordings without letting them cover time', () => {
+    const { items, summary } = buildTimeline({
+      from,
+      to,
+      recordings: [
+        { filename: 'a.mp4', start: at('10:00:00'), end: at('11:00:00'), status: 'failed' },
+        { filename: 'b.mp4', start: at('10:00:00'), end: at('11:00:00'), status: 'corrupt' }
+      ]
+    });
+
+    expect(summary.recordings).toBe(2);
+    expect(summary.gapSeconds).toBe(3600);
+    expect(items[0].kind).toBe('gap');
+  });
+
+  test('leaves out items outside the window', () => {
+    const { summary } = buildTimeline({
+      from,
+      to,
+      recordings: [
+        { filename: 'before.mp4', start: at('09:00:00'), end: at('09:59:00') },
+        { filename: 'overlap.mp4', start: at('09:50:00'), end: at('10:05:00') }
+      ],
+      alarmEvents: [{ start: at('11:30:00'), end: at('11:31:00') }]
+    });
+
+    expect(summary.recordings).toBe(1);
+    expect(summary.alarmEvents).toBe(0);
+  });
+
+  test('pairs motion starts and ends into spans', () => {
+    const { items } = buildTimeline({
+      from,
+      to,
+      motionEvents: [
+        { type: 'MOTION_START', detectedAt: at('10:05:00'), zone: 'Dock', motionLevel: 20 },
+        { type: 'MOTION_START', detectedAt: at('10:05:10'), zone: 'Dock', motionLevel: 45 },
+        { type: 'MOTION_END', detectedAt: at('10:06:00'), motionLevel: 10 },
+        { type: 'MOTION_END', detectedAt: at('10:20:00'), durationMs: 30000, zone: 'Gate' },
+        { type: 'MOTION_START', detectedAt: at('10:50:00'), motionLevel: 5 }
+      ]
+    });
+
+    expect(items.filter(item => item.kind === 'motion')).toEqual([
+      { kind: 'motion', start: at('10:05:00.000'), end: at('10:06:00.000'), zone: 'Dock', level: 45 },
+      { kind: 'motion', start: at('10:19:30.000'), end: at('10:20:00.000'), zone: 'Gate', level: 0 },
+      { kind: 'motion', start: at('10:50:00.000'), end: null, zone: null, level: 5 }
+    ]);
+  });
+
+  test('sorts items by start, recordings before events starting with them', () => {
+    const { items } = buildTimeline({
+      from,
+      to,
+      recordings: [{ filename: 'a.mp4', start: at('10:30:00'), end: at('11:00:00') }],
+      motionEvents: [{ type: 'MOTION_START', detectedAt: at('10:30:00') }, { type: 'MOTION_END', detectedAt: at('10:31:00') }],
+      alarmEvents: [{ start: at('10:30:00'), end: at('10:30:10'), source: 'motion' }]
+    });
+
+    expect(items.map(item => item.kind)).toEqual(['gap', 'recording', 'motion', 'alarm']);
+  });
+});
@@ -13,12 +13,14 @@ import {
   TouchableOpacity,
   RefreshControl,
   Alert,
+  Image,
 } from 'react-native';
 import { useFocusEffect } from '@react-navigation/native';
 import Icon from 'react-native-vector-icons/MaterialCommunityIcons';
 
 import { useApp } from '../context/AppContext';
 import { downloadService } from '../services/download';
+import { api } from '../services/api';
 import { colors, spacing, borderRadius, typography, shadows } from '../utils/theme';
 
 const RecordingsScreen = ({ route, navigation }) => {
@@ -120,7 +122,14 @@ const RecordingsScreen = ({ route, navigation }) => {
           onPress={() => handlePlay(item)}
         >
           <View style={styles.recordingIcon}>
-            <Icon name="video" size={32} color={colors.accent} />
+            {item.thumbnail ? (
+              <Image
+                source={{ uri: api.getRecordingThumbnailUrl(item.filename) }}
+                style={styles.thumbnail}
+              />
+            ) : (
+              <Icon name="video" size={32} color={colors.accent} />
+            )}
             {item.downloaded && (
               <Icon 
                 name="check-circle" 
@@ -263,6 +272,12 @@ const styles = StyleSheet.create({
     position: 'relative',
     marginRight: spacing.md,
   },
+  thumbnail: {
+    width: 80,
+    height: 45,
+    borderRadius: borderRadius.sm,
+    backgroundColor: colors.surface,
+  },
   downloadedBadge: {
     position: 'absolute',
     bottom: -4,
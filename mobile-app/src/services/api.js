@@ -210,10 +210,25 @@ class ApiService {
     return `${this.baseUrl}/api/recordings/${filename}/stream`;
   }
   
+  getRecordingThumbnailUrl(filename) {
+    return `${this.baseUrl}/api/recordings/${filename}/thumbnail`;
+  }
+  
+  getRecordingSpriteUrl(filename) {
+    return `${this.baseUrl}/api/recordings/${filename}/sprite`;
+  }
+  
   async getRecordingStatus() {
     return this.get('/api/recordings/status/all');
   }
   
+  async getRecordingTimeline(cameraId, from, to) {
+    const params = new URLSearchParams({ cameraId });
+    if (from) params.set('from', new Date(from).toISOString());
+    if (to) params.set('to', new Date(to).toISOString());
+    return this.get(`/api/recordings/timeline?${params}`);
+  }
+  
   // ============ ALARM ENDPOINTS ============
   
   async getAlarmStatus() {
@@ -14,6 +14,33 @@ const RecordingState = {
   RESET: 'RESET'          // Returns to IDLE
 };
 
+// Recording Modes
+const RecordingMode = {
+  FIXED: 'fixed',           // One trigger = one clip of durationSeconds
+  EXTEND: 'extend'          // Continued motion extends the clip up to maxDurationSeconds
+};
+
+// Recording Types
+const RecordingType = {
+  EVENT: 'event',           // Clip triggered by motion or manually
+  CONTINUOUS: 'continuous'  // Fixed-length segment of a 24/7 recording
+};
+
+// Off-site backup status of a recording
+const BackupStatus = {
+  PENDING: 'PENDING',       // Queued for upload (or waiting to retry)
+  UPLOADING: 'UPLOADING',
+  UPLOADED: 'UPLOADED',
+  FAILED: 'FAILED'          // Gave up after backup.maxAttempts
+};
+
+// Recording classes matched by retention rules
+const RetentionClass = {
+  ALARM: 'alarm',           // Event clip during which an alarm was raised
+  MOTION: 'motion',         // Other event clips (motion or manual)
+  CONTINUOUS: 'continuous'  // Continuous recording segments
+};
+
 // Camera Status
 const CameraStatus = {
   ONLINE: 'ONLINE',
@@ -38,11 +65,71 @@ const MotionEventType = {
   FALSE_POSITIVE: 'FALSE_POSITIVE'
 };
 
+// Reasons a frame with changes was not treated as motion
+const MotionRejectReason = {
+  BELOW_THRESHOLD: 'BELOW_THRESHOLD',   // Motion level too low
+  SMALL_AREA: 'SMALL_AREA',             // Too few pixels changed
+  SHADOW: 'SHADOW',                     // Change is a moving shadow
+  LIGHTING_CHANGE: 'LIGHTING_CHANGE',   // Global lighting shift
+  BLOB_TOO_SMALL: 'BLOB_TOO_SMALL',     // No object large enough (birds, insects)
+  BLOB_TOO_LARGE: 'BLOB_TOO_LARGE',     // Only objects larger than allowed
+  BLOB_ASPECT: 'BLOB_ASPECT'            // No object with an allowed shape
+};
+
+// Motion Zone Types
+const MotionZoneType = {
+  INCLUDE: 'include',       // Only motion inside counts
+  EXCLUDE: 'exclude'        // Motion inside is masked out
+};
+
+// Background Models for frame analysis
+const BackgroundModel = {
+  FRAME_DIFF: 'frame-diff',             // Compare with the previous frame
+  RUNNING_AVERAGE: 'running-average',   // Compare with a slowly learned average
+  GAUSSIAN: 'gaussian'                  // Running average with per-pixel noise thresholds
+};
+
+// Camera Schedule Targets (each has its own time ranges)
+const ScheduleTarget = {
+  MOTION: 'motion',
+  ALARM: 'alarm',
+  RECORDING: 'recording'
+};
+
+// Uses of a camera stream, each can pick its own stream profile
+const StreamRole = {
+  RECORDING: 'recording',   // Clips, pre-roll and continuous segments
+  ANALYSIS: 'analysis'      // Frames for motion detection
+};
+
+// ONVIF Event Subscription Modes
+const OnvifSubscriptionMode = {
+  AUTO: 'auto',             // PullPoint if supported, else basic
+  PULLPOINT: 'pullpoint',   // Edge server polls the camera
+  BASIC: 'basic'            // Camera posts to the edge server
+};
+
+// ONVIF Event Subscription Status
+const OnvifSubscriptionStatus = {
+  PENDING: 'PENDING',
+  ACTIVE: 'ACTIVE',
+  RETRYING: 'RETRYING',
+  UNSUPPORTED: 'UNSUPPORTED'
+};
+
+// Clip Export Job Status
+const ExportStatus = {
+  QUEUED: 'QUEUED',
+  RUNNING: 'RUNNING',
+  COMPLETED: 'COMPLETED',
+  FAILED: 'FAILED'
+};
+
 // Storage Health Status
 const StorageHealth = {
   HEALTHY: 'HEALTHY',       // < 70% full
   WARNING: 'WARNING',       // 70-90% full
-  CRITICAL: 'CRITICAL',     // > 90% full
+  CRITICAL: 'CRITICAL',     // > 90% full, or below storage.minFreeSpaceMB
   ERROR: 'ERROR'            // Read/write error
 };
 
@@ -65,25 +152,38 @@ const generateVideoFilename = (cameraId, timestamp = new Date()) => {
 
 // Parse video filename to extract metadata
 const parseVideoFilename = (filename) => {
-  const match = filename.match(/^(.+)_(\d{4}-\d{2}-\d{2})_(\d{2}-\d{2}-\d{2})\.mp4$/);
+  const match = filename.match(/^(.+)_(\d{4}-\d{2}-\d{2})_(\d{2}-\d{2}-\d{2})(_continuous)?\.mp4$/);
   if (!match) return null;
   
-  const [, cameraId, datePart, timePart] = match;
+  const [, cameraId, datePart, timePart, continuous] = match;
   const [year, month, day] = datePart.split('-').map(Number);
   const [hour, minute, second] = timePart.split('-').map(Number);
   
   return {
     cameraId,
     timestamp: new Date(year, month - 1, day, hour, minute, second),
+    type: continuous ? RecordingType.CONTINUOUS : RecordingType.EVENT,
     filename
   };
 };
 
 module.exports = {
   RecordingState,
+  RecordingMode,
+  RecordingType,
+  RetentionClass,
+  BackupStatus,
   CameraStatus,
   AlarmState,
   MotionEventType,
+  MotionRejectReason,
+  MotionZoneType,
+  BackgroundModel,
+  ScheduleTarget,
+  StreamRole,
+  OnvifSubscriptionMode,
+  OnvifSubscriptionStatus,
+  ExportStatus,
   StorageHealth,
   ResponseCode,
   generateVideoFilename,